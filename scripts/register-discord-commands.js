@@ -11,12 +11,34 @@ const commands = [
           { name: 'status', value: 'status' },
           { name: 'start', value: 'start' },
           { name: 'stop', value: 'stop' },
+          { name: 'detail', value: 'detail' },
+          { name: 'procs', value: 'procs' },
+          { name: 'topo', value: 'topo' },
+          { name: 'report', value: 'report' },
+          { name: 'chart', value: 'chart' },
+          { name: 'idle', value: 'idle' },
+          { name: 'diag', value: 'diag' },
           { name: 'help', value: 'help' },
         )
     )
     .addIntegerOption(opt =>
       opt.setName('interval').setDescription('Monitoring interval in minutes (1-60)')
         .setMinValue(1).setMaxValue(60)
+    )
+    .addStringOption(opt =>
+      opt.setName('server').setDescription('Server name (for detail / procs / topo / report / chart / idle / diag)')
+    )
+    .addIntegerOption(opt =>
+      opt.setName('gpu').setDescription('GPU index (for detail)').setMinValue(0)
+    )
+    .addBooleanOption(opt =>
+      opt.setName('fresh').setDescription('Skip the status cache and query the servers now')
+    )
+    .addIntegerOption(opt =>
+      opt.setName('hours').setDescription('Hours of history (for chart, default: 6)').setMinValue(1).setMaxValue(168)
+    )
+    .addStringOption(opt =>
+      opt.setName('range').setDescription('Report range: week, month, YYYY-MM or "YYYY-MM-DD YYYY-MM-DD" (default: week)')
     ),
 
   new SlashCommandBuilder()
@@ -25,9 +47,13 @@ const commands = [
     .addSubcommand(sub =>
       sub.setName('add').setDescription('Add a server')
         .addStringOption(o => o.setName('name').setDescription('Server name').setRequired(true))
-        .addStringOption(o => o.setName('host').setDescription('SSH host (user@hostname)').setRequired(true))
+        .addStringOption(o => o.setName('host').setDescription('SSH host (user@hostname) or dcgm-exporter metrics URL').setRequired(true))
         .addIntegerOption(o => o.setName('port').setDescription('SSH port (default: 22)'))
         .addStringOption(o => o.setName('key').setDescription('Path to SSH key'))
+        .addStringOption(o => o.setName('collector').setDescription('GPU collector (default: nvidia)')
+          .addChoices({ name: 'nvidia', value: 'nvidia' }, { name: 'rocm', value: 'rocm' }, { name: 'dcgm', value: 'dcgm' }))
+        .addStringOption(o => o.setName('transport').setDescription('How status is collected (default: ssh)')
+          .addChoices({ name: 'ssh', value: 'ssh' }, { name: 'agent', value: 'agent' }))
     )
     .addSubcommand(sub =>
       sub.setName('remove').setDescription('Remove a server')
@@ -40,6 +66,15 @@ const commands = [
         .addIntegerOption(o => o.setName('port').setDescription('New SSH port'))
         .addStringOption(o => o.setName('key').setDescription('New SSH key path'))
         .addStringOption(o => o.setName('newname').setDescription('New server name'))
+        .addStringOption(o => o.setName('collector').setDescription('New GPU collector')
+          .addChoices({ name: 'nvidia', value: 'nvidia' }, { name: 'rocm', value: 'rocm' }, { name: 'dcgm', value: 'dcgm' }))
+        .addStringOption(o => o.setName('transport').setDescription('How status is collected')
+          .addChoices({ name: 'ssh', value: 'ssh' }, { name: 'agent', value: 'agent' }))
+        .addStringOption(o => o.setName('disks').setDescription('Mount points for disk metrics (e.g., /,/home)'))
+        .addStringOption(o => o.setName('tags').setDescription('Server tags for /watch (e.g., a100,train); "," removes them'))
+        .addIntegerOption(o => o.setName('timeout').setDescription('Status poll timeout in seconds').setMinValue(1).setMaxValue(600))
+        .addIntegerOption(o => o.setName('retries').setDescription('Retries after a transient failure').setMinValue(0).setMaxValue(10))
+        .addIntegerOption(o => o.setName('concurrency').setDescription('Remote commands at once on this server').setMinValue(1).setMaxValue(64))
     )
     .addSubcommand(sub =>
       sub.setName('list').setDescription('List all configured servers')
@@ -49,7 +84,7 @@ const commands = [
     .setName('occupy')
     .setDescription('Occupy GPUs on a server')
     .addStringOption(o => o.setName('server').setDescription('Server name').setRequired(true))
-    .addStringOption(o => o.setName('gpu_ids').setDescription('Comma-separated GPU IDs (e.g., 0,1,2)').setRequired(true))
+    .addStringOption(o => o.setName('gpu_ids').setDescription('Comma-separated GPU IDs (e.g., 0,1,2), best:N or a MIG UUID').setRequired(true))
     .addNumberOption(o => o.setName('memory_gb').setDescription('Memory per GPU in GB').setRequired(true))
     .addStringOption(o => o.setName('python_path').setDescription('Path to Python with PyTorch').setRequired(true)),
 
@@ -59,7 +94,7 @@ const commands = [
     .addSubcommand(sub =>
       sub.setName('start').setDescription('Start auto-occupy monitor')
         .addStringOption(o => o.setName('server').setDescription('Server name').setRequired(true))
-        .addStringOption(o => o.setName('gpu_ids').setDescription('GPU IDs (e.g., 0,1)').setRequired(true))
+        .addStringOption(o => o.setName('gpu_ids').setDescription('GPU IDs (e.g., 0,1), best:N or a MIG UUID').setRequired(true))
         .addNumberOption(o => o.setName('memory_gb').setDescription('Memory per GPU in GB').setRequired(true))
         .addStringOption(o => o.setName('python_path').setDescription('Python path with PyTorch').setRequired(true))
         .addIntegerOption(o => o.setName('frequency_min').setDescription('Check frequency in minutes').setRequired(true).setMinValue(1).setMaxValue(1440))
@@ -79,6 +114,67 @@ const commands = [
     .addStringOption(o => o.setName('server').setDescription('Server name (optional)'))
     .addStringOption(o => o.setName('username').setDescription('Username whose processes to kill (optional)')),
 
+  new SlashCommandBuilder()
+    .setName('alert')
+    .setDescription('Threshold alert rules')
+    .addSubcommand(sub =>
+      sub.setName('add').setDescription('Add an alert rule posting to this channel')
+        .addStringOption(o => o.setName('metric').setDescription('What to watch').setRequired(true)
+          .addChoices(
+            { name: 'temperature (°C)', value: 'temp' },
+            { name: 'utilization (%)', value: 'util' },
+            { name: 'memory (% used)', value: 'mem' },
+            { name: 'power (% of limit)', value: 'power' },
+            { name: 'server unreachable', value: 'unreachable' },
+            { name: 'GPU count', value: 'gpus' },
+          ))
+        .addStringOption(o => o.setName('op').setDescription('Comparison (default >)')
+          .addChoices(
+            { name: '>', value: '>' },
+            { name: '>=', value: '>=' },
+            { name: '<', value: '<' },
+            { name: '<=', value: '<=' },
+          ))
+        .addNumberOption(o => o.setName('value').setDescription('Threshold (GPU count: leave empty to alert when GPUs drop)'))
+        .addStringOption(o => o.setName('for').setDescription('How long it must hold, e.g. 5m (default: at once)'))
+        .addStringOption(o => o.setName('server').setDescription('Only this server'))
+        .addIntegerOption(o => o.setName('gpu').setDescription('Only this GPU index').setMinValue(0))
+        .addStringOption(o => o.setName('cooldown').setDescription('Quiet time between alerts, e.g. 30m (default 30m)'))
+        .addChannelOption(o => o.setName('channel').setDescription('Channel to post to (default: this one)'))
+    )
+    .addSubcommand(sub =>
+      sub.setName('list').setDescription('List alert rules')
+    )
+    .addSubcommand(sub =>
+      sub.setName('remove').setDescription('Remove an alert rule')
+        .addIntegerOption(o => o.setName('id').setDescription('Rule number').setRequired(true))
+    )
+    .addSubcommand(sub =>
+      sub.setName('mute').setDescription('Mute an alert rule for a while')
+        .addIntegerOption(o => o.setName('id').setDescription('Rule number').setRequired(true))
+        .addStringOption(o => o.setName('duration').setDescription('e.g. 2h (default 1h), or "off" to unmute'))
+    ),
+
+  new SlashCommandBuilder()
+    .setName('watch')
+    .setDescription('Get a DM when free GPUs turn up')
+    .addSubcommand(sub =>
+      sub.setName('add').setDescription('Watch for free GPUs')
+        .addIntegerOption(o => o.setName('count').setDescription('GPUs needed on one server (default: 1)').setMinValue(1).setMaxValue(64))
+        .addNumberOption(o => o.setName('min_free_gb').setDescription('Free memory per GPU in GB'))
+        .addStringOption(o => o.setName('model').setDescription('Part of the GPU name, e.g. A6000'))
+        .addStringOption(o => o.setName('server').setDescription('Only this server'))
+        .addStringOption(o => o.setName('tag').setDescription('Only servers with this tag'))
+        .addBooleanOption(o => o.setName('repeat').setDescription('DM every time a server frees up, instead of once'))
+    )
+    .addSubcommand(sub =>
+      sub.setName('list').setDescription('List your watches')
+    )
+    .addSubcommand(sub =>
+      sub.setName('remove').setDescription('Remove a watch')
+        .addIntegerOption(o => o.setName('id').setDescription('Watch number').setRequired(true))
+    ),
+
   new SlashCommandBuilder()
     .setName('gpuhelp')
     .setDescription('Show all GPU Monitor commands'),
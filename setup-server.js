@@ -8,20 +8,25 @@
  * - Direct SSH connections
  * - Proxy jump (bastion/jump host) connections
  * - Automatic ssh-copy-id for key setup
+ * - Host key pinning (trust on first use, see src/host-keys.js)
+ * - dcgm-exporter metrics URLs (no SSH; tested by fetching the URL)
  * - Timeout handling to prevent hanging
  */
 
 import readline from 'readline';
-import { exec, spawn } from 'child_process';
+import { execFile, spawn } from 'child_process';
 import { promisify } from 'util';
 import { addServer, getServers, removeServer, editServer } from './src/config.js';
+import { getCollector, COLLECTOR_NAMES, isMetricsUrl } from './src/collectors.js';
+import { buildHostKeyArgs, fetchHostKeys, trustHostKeys, forgetHostKeys } from './src/host-keys.js';
+import { runRemoteCommand } from './src/transport.js';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 // Timeout constants (in milliseconds)
 const SSH_COPY_ID_TIMEOUT = 60000; // 60 seconds for ssh-copy-id (needs user input)
 const SSH_TEST_TIMEOUT = 15000;    // 15 seconds for SSH test
-const NVIDIA_SMI_TIMEOUT = 20000;  // 20 seconds for nvidia-smi
+const COLLECTOR_TIMEOUT = 20000;   // 20 seconds for nvidia-smi / rocm-smi
 
 let rl = readline.createInterface({
   input: process.stdin,
@@ -57,7 +62,7 @@ function resumeReadline() {
 function buildSSHOptions(server) {
   const options = [
     '-o', 'ConnectTimeout=10',
-    '-o', 'StrictHostKeyChecking=no',
+    ...buildHostKeyArgs(server),
   ];
 
   if (server.port && server.port !== 22) {
@@ -75,6 +80,28 @@ function buildSSHOptions(server) {
   return options;
 }
 
+/**
+ * Fetch a server's host key and ask the user to confirm its fingerprint
+ * @returns {Promise<Array|null>} The confirmed keys, or null if not trusted
+ */
+async function confirmHostKey(server) {
+  process.stdout.write(`Fetching host key of ${server.host}... `);
+  let keys;
+  try {
+    keys = await fetchHostKeys(server);
+  } catch (error) {
+    console.log('❌ Failed');
+    console.log(`   ${error.message}`);
+    return null;
+  }
+  console.log('');
+  keys.forEach(key => console.log(`   ${key.type} key fingerprint is ${key.fingerprint}`));
+  console.log('   Compare it with the server\'s own key: ssh-keygen -lf /etc/ssh/ssh_host_ed25519_key.pub');
+
+  const answer = await question('Trust this host key? (y/n): ');
+  return answer.toLowerCase() === 'y' ? keys : null;
+}
+
 /**
  * Copy SSH key to server using ssh-copy-id with timeout
  */
@@ -85,6 +112,7 @@ async function copySSHKey(server) {
   return new Promise((resolve) => {
     const args = [
       '-o', 'ConnectTimeout=10',
+      ...buildHostKeyArgs(server),
     ];
 
     if (server.port && server.port !== 22) {
@@ -151,10 +179,8 @@ async function testSSHConnection(server) {
   const options = buildSSHOptions(server);
   options.push('-o', 'BatchMode=yes');
 
-  const cmd = `ssh ${options.join(' ')} ${server.host} "echo connected"`;
-
   try {
-    await execAsync(cmd, { timeout: SSH_TEST_TIMEOUT });
+    await execFileAsync('ssh', [...options, server.host, 'echo connected'], { timeout: SSH_TEST_TIMEOUT });
     return { success: true };
   } catch (error) {
     if (error.killed) {
@@ -165,20 +191,38 @@ async function testSSHConnection(server) {
 }
 
 /**
- * Test nvidia-smi on remote server with timeout
+ * Test the server's GPU collector (nvidia-smi / rocm-smi) with timeout
  */
-async function testNvidiaSmi(server) {
+async function testGpuCollector(server) {
+  const collector = getCollector(server);
   const options = buildSSHOptions(server);
   options.push('-o', 'BatchMode=yes');
 
-  const cmd = `ssh ${options.join(' ')} ${server.host} "nvidia-smi --query-gpu=name --format=csv,noheader"`;
+  try {
+    const { stdout } = await execFileAsync('ssh', [...options, server.host, collector.statusCmd], { timeout: COLLECTOR_TIMEOUT });
+    const gpus = collector.parseGpus(stdout.trim()).map(gpu => gpu.name);
+    return { success: true, gpus };
+  } catch (error) {
+    if (error.killed) {
+      return { success: false, error: `Timeout after ${COLLECTOR_TIMEOUT / 1000}s` };
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Test a dcgm server by fetching its metrics URL through the transport
+ */
+async function testMetricsUrl(server) {
+  const collector = getCollector(server);
 
   try {
-    const { stdout } = await execAsync(cmd, { timeout: NVIDIA_SMI_TIMEOUT });
-    return { success: true, gpus: stdout.trim().split('\n') };
+    const { stdout } = await runRemoteCommand(server, collector.statusCmd, { timeout: COLLECTOR_TIMEOUT });
+    const gpus = collector.parseGpus(stdout.trim()).map(gpu => gpu.name);
+    return { success: true, gpus };
   } catch (error) {
     if (error.killed) {
-      return { success: false, error: `Timeout after ${NVIDIA_SMI_TIMEOUT / 1000}s` };
+      return { success: false, error: `Timeout after ${COLLECTOR_TIMEOUT / 1000}s` };
     }
     return { success: false, error: error.message };
   }
@@ -203,6 +247,9 @@ async function listServers() {
     if (server.identityFile) {
       console.log(`    Key: ${server.identityFile}`);
     }
+    if (server.collector && server.collector !== 'nvidia') {
+      console.log(`    Collector: ${server.collector}`);
+    }
     console.log('');
   }
 }
@@ -217,12 +264,18 @@ async function addNewServer() {
     return;
   }
 
-  const host = await question('SSH host (e.g., root@192.168.1.100): ');
+  const host = await question('SSH host or dcgm-exporter metrics URL (e.g., root@192.168.1.100 or http://node:9400/metrics): ');
   if (!host.trim()) {
     console.log('Host is required.');
     return;
   }
 
+  // dcgm servers are read from their metrics URL, so there is nothing to set up over SSH
+  if (isMetricsUrl(host.trim())) {
+    await addMetricsServer({ name: name.trim(), host: host.trim(), collector: 'dcgm' });
+    return;
+  }
+
   const portStr = await question('SSH port [22]: ');
   const port = parseInt(portStr) || 22;
 
@@ -230,14 +283,39 @@ async function addNewServer() {
 
   const identityFile = await question('SSH private key path (leave empty for default ~/.ssh/id_*): ');
 
+  const collector = await question(`GPU collector (${COLLECTOR_NAMES.join('/')}) [nvidia]: `);
+  if (collector.trim() && !COLLECTOR_NAMES.includes(collector.trim())) {
+    console.log(`Unknown collector. Available: ${COLLECTOR_NAMES.join(', ')}`);
+    return;
+  }
+  if (collector.trim() === 'dcgm') {
+    console.log('The dcgm collector needs a metrics URL as host, e.g. http://node:9400/metrics');
+    return;
+  }
+
   const serverConfig = {
     name: name.trim(),
     host: host.trim(),
     port,
     proxyJump: proxyJump.trim() || null,
     identityFile: identityFile.trim() || null,
+    collector: collector.trim() || null,
   };
 
+  // Trust on first use: pin the host key before sending a password or key to it
+  const hostKeys = await confirmHostKey(serverConfig);
+  if (hostKeys) {
+    serverConfig.hostKeyFingerprint = hostKeys[0].fingerprint;
+    // Trusted under the server's name until it has an id
+    await trustHostKeys(serverConfig, hostKeys);
+  } else {
+    const continueAdd = await question('Add server without a pinned host key? (y/n): ');
+    if (continueAdd.toLowerCase() !== 'y') {
+      console.log('Server not added.');
+      return;
+    }
+  }
+
   // Ask if user wants to copy SSH key
   const shouldCopy = await question('\nCopy SSH key to this server now? (y/n) [y]: ');
 
@@ -250,6 +328,7 @@ async function addNewServer() {
       console.log('\n⚠️  SSH key copy may have failed or timed out. You can try again later with option 5.');
       const continueAdd = await question('Add server anyway? (y/n): ');
       if (continueAdd.toLowerCase() !== 'y') {
+        await forgetHostKeys(serverConfig);
         console.log('Server not added.');
         return;
       }
@@ -266,21 +345,22 @@ async function addNewServer() {
     if (sshResult.success) {
       console.log('✅ OK');
 
-      process.stdout.write('Testing nvidia-smi... ');
-      const nvidiaResult = await testNvidiaSmi(serverConfig);
+      process.stdout.write(`Testing ${getCollector(serverConfig).binary}... `);
+      const gpuResult = await testGpuCollector(serverConfig);
 
-      if (nvidiaResult.success) {
-        console.log(`✅ Found ${nvidiaResult.gpus.length} GPU(s):`);
-        nvidiaResult.gpus.forEach((gpu, i) => console.log(`   GPU ${i}: ${gpu}`));
+      if (gpuResult.success) {
+        console.log(`✅ Found ${gpuResult.gpus.length} GPU(s):`);
+        gpuResult.gpus.forEach((gpu, i) => console.log(`   GPU ${i}: ${gpu}`));
       } else {
         console.log('⚠️  Failed');
-        console.log(`   ${nvidiaResult.error}`);
+        console.log(`   ${gpuResult.error}`);
       }
     } else {
       console.log('❌ Failed');
       console.log(`   ${sshResult.error}`);
       const continueAdd = await question('Add server anyway? (y/n): ');
       if (continueAdd.toLowerCase() !== 'y') {
+        await forgetHostKeys(serverConfig);
         console.log('Server not added.');
         return;
       }
@@ -288,6 +368,42 @@ async function addNewServer() {
   }
 
   // Save server
+  try {
+    const server = await addServer(serverConfig);
+    if (hostKeys) {
+      await forgetHostKeys(serverConfig);
+      await trustHostKeys(server, hostKeys);
+    }
+    console.log(`\n✅ Server "${server.name}" added successfully!\n`);
+  } catch (error) {
+    console.log(`\n❌ Failed to add server: ${error.message}\n`);
+  }
+}
+
+/**
+ * Add a dcgm server: no host key or SSH key, just test its metrics URL
+ */
+async function addMetricsServer(serverConfig) {
+  const shouldTest = await question('\nTest metrics URL now? (y/n) [y]: ');
+
+  if (shouldTest.toLowerCase() !== 'n') {
+    process.stdout.write(`Fetching ${serverConfig.host}... `);
+    const gpuResult = await testMetricsUrl(serverConfig);
+
+    if (gpuResult.success) {
+      console.log(`✅ Found ${gpuResult.gpus.length} GPU(s):`);
+      gpuResult.gpus.forEach((gpu, i) => console.log(`   GPU ${i}: ${gpu}`));
+    } else {
+      console.log('❌ Failed');
+      console.log(`   ${gpuResult.error}`);
+      const continueAdd = await question('Add server anyway? (y/n): ');
+      if (continueAdd.toLowerCase() !== 'y') {
+        console.log('Server not added.');
+        return;
+      }
+    }
+  }
+
   try {
     const server = await addServer(serverConfig);
     console.log(`\n✅ Server "${server.name}" added successfully!\n`);
@@ -317,7 +433,8 @@ async function removeExistingServer() {
 
   if (confirm.toLowerCase() === 'y') {
     try {
-      await removeServer(name.trim());
+      const removed = await removeServer(name.trim());
+      await forgetHostKeys(removed);
       console.log(`\n✅ Server "${name}" removed.\n`);
     } catch (error) {
       console.log(`\n❌ ${error.message}\n`);
@@ -405,6 +522,11 @@ async function copyKeyToServer() {
     return;
   }
 
+  if (server.collector === 'dcgm') {
+    console.log(`${server.name} is read from its metrics URL and has no SSH access.`);
+    return;
+  }
+
   const success = await copySSHKey(server);
 
   if (success) {
@@ -414,6 +536,49 @@ async function copyKeyToServer() {
   }
 }
 
+async function trustServerHostKey() {
+  const servers = await getServers();
+
+  if (servers.length === 0) {
+    console.log('\nNo servers configured. Add a server first.\n');
+    return;
+  }
+
+  await listServers();
+
+  const name = await question('Enter server name to trust the host key of: ');
+
+  if (!name.trim()) {
+    console.log('No server name provided.');
+    return;
+  }
+
+  const server = servers.find(s => s.name.toLowerCase() === name.trim().toLowerCase());
+  if (!server) {
+    console.log(`Server "${name}" not found.`);
+    return;
+  }
+
+  if (server.collector === 'dcgm') {
+    console.log(`${server.name} is read from its metrics URL and has no SSH access.`);
+    return;
+  }
+
+  if (server.hostKeyFingerprint) {
+    console.log(`Currently pinned: ${server.hostKeyFingerprint}`);
+  }
+
+  const hostKeys = await confirmHostKey(server);
+  if (!hostKeys) {
+    console.log('\nHost key not changed.\n');
+    return;
+  }
+
+  await editServer(server.id, { hostKeyFingerprint: hostKeys[0].fingerprint });
+  await trustHostKeys(server, hostKeys);
+  console.log(`\n✅ Pinned ${hostKeys[0].fingerprint} for ${server.name}\n`);
+}
+
 async function testAllServers() {
   const servers = await getServers();
 
@@ -427,14 +592,30 @@ async function testAllServers() {
   for (const server of servers) {
     process.stdout.write(`Testing ${server.name}... `);
 
+    if (server.collector === 'dcgm') {
+      const gpuResult = await testMetricsUrl(server);
+      if (gpuResult.success) {
+        console.log(`✅ OK (${gpuResult.gpus.length} GPU(s))`);
+      } else {
+        console.log(`❌ ${gpuResult.error}`);
+      }
+      continue;
+    }
+
+    if (server.transport === 'agent') {
+      // Reports are pushed to the bot by gpu-agent; there is no SSH poll to test here
+      console.log('⏭️  Skipped (reports through gpu-agent)');
+      continue;
+    }
+
     const sshResult = await testSSHConnection(server);
 
     if (sshResult.success) {
-      const nvidiaResult = await testNvidiaSmi(server);
-      if (nvidiaResult.success) {
-        console.log(`✅ OK (${nvidiaResult.gpus.length} GPU(s))`);
+      const gpuResult = await testGpuCollector(server);
+      if (gpuResult.success) {
+        console.log(`✅ OK (${gpuResult.gpus.length} GPU(s))`);
       } else {
-        console.log('⚠️  SSH OK, but nvidia-smi failed');
+        console.log(`⚠️  SSH OK, but ${getCollector(server).binary} failed`);
       }
     } else {
       if (sshResult.error.includes('Timeout')) {
@@ -460,9 +641,10 @@ async function main() {
     console.log('  4. Remove a server');
     console.log('  5. Copy SSH key to a server');
     console.log('  6. Test all servers');
-    console.log('  7. Exit');
+    console.log('  7. Trust a server\'s host key');
+    console.log('  8. Exit');
 
-    const choice = await question('\nSelect option (1-7): ');
+    const choice = await question('\nSelect option (1-8): ');
 
     switch (choice.trim()) {
       case '1':
@@ -484,6 +666,9 @@ async function main() {
         await testAllServers();
         break;
       case '7':
+        await trustServerHostKey();
+        break;
+      case '8':
         console.log('\nGoodbye!\n');
         rl.close();
         process.exit(0);
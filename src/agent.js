@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import os from 'os';
+import { buildSnapshotCmd } from './gpu.js';
+import { COLLECTOR_NAMES, DEFAULT_COLLECTOR } from './collectors.js';
+import { signReport } from './ingest.js';
+
+/**
+ * gpu-agent: runs on a GPU server and pushes snapshots to the bot.
+ *
+ * Every interval it runs the same snapshot script the bot would run over
+ * SSH and POSTs the raw output, signed with GPU_AGENT_SECRET, to the bot's
+ * /agent/report endpoint. Parsing stays on the bot, so agents don't need
+ * upgrading when the bot learns to read more of the output.
+ *
+ *   gpu-agent --url http://bot-host:8787/agent/report [--name <server>]
+ *             [--interval 30] [--collector nvidia|rocm] [--once]
+ *
+ * Options can also come from GPU_AGENT_URL, GPU_AGENT_NAME,
+ * GPU_AGENT_INTERVAL and GPU_AGENT_COLLECTOR. The secret is only read from
+ * GPU_AGENT_SECRET so it stays out of the process list. Disk mounts come
+ * from HOST_DISK_MOUNTS as on the bot.
+ */
+const execFileAsync = promisify(execFile);
+const PUSH_TIMEOUT_MS = 10000;
+const COLLECT_TIMEOUT_MS = 30000;
+
+// dcgm servers are read over HTTP, there is nothing to run locally
+const AGENT_COLLECTORS = COLLECTOR_NAMES.filter(name => name !== 'dcgm');
+
+const USAGE = `Usage: gpu-agent --url <ingest url> [--name <server>] [--interval <seconds>] [--collector ${AGENT_COLLECTORS.join('|')}] [--once]
+Set GPU_AGENT_SECRET to the server's agentSecret (or the bot's AGENT_SECRET).`;
+
+/**
+ * Parse agent options from argv and the environment
+ * @param {string[]} argv
+ * @returns {{url: string, name: string, interval: number, collector: string, once: boolean, secret: string}}
+ */
+function parseAgentOptions(argv, env = process.env) {
+  const options = {
+    url: env.GPU_AGENT_URL || null,
+    name: env.GPU_AGENT_NAME || os.hostname(),
+    interval: parseInt(env.GPU_AGENT_INTERVAL) || 30,
+    collector: env.GPU_AGENT_COLLECTOR || DEFAULT_COLLECTOR,
+    once: false,
+    secret: env.GPU_AGENT_SECRET || null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--url': options.url = argv[++i]; break;
+      case '--name': options.name = argv[++i]; break;
+      case '--interval': options.interval = parseInt(argv[++i]); break;
+      case '--collector': options.collector = argv[++i]; break;
+      case '--once': options.once = true; break;
+      default: throw new Error(`Unknown option: ${argv[i]}\n${USAGE}`);
+    }
+  }
+
+  if (!options.url) throw new Error(`--url is required\n${USAGE}`);
+  if (!options.secret) throw new Error(`GPU_AGENT_SECRET is not set\n${USAGE}`);
+  if (!AGENT_COLLECTORS.includes(options.collector)) {
+    throw new Error(`Unknown collector "${options.collector}". Available: ${AGENT_COLLECTORS.join(', ')}`);
+  }
+  if (!(options.interval >= 5)) throw new Error('--interval must be at least 5 seconds');
+
+  return options;
+}
+
+/**
+ * Run the snapshot script locally and build a report. A failing collector
+ * is reported too, so the bot shows the real error instead of a stale server.
+ */
+async function collectReport(options) {
+  const report = {
+    server: options.name,
+    collector: options.collector,
+    collectedAt: new Date().toISOString(),
+    snapshot: '',
+    error: null,
+  };
+
+  try {
+    const { stdout } = await execFileAsync('sh', ['-c', buildSnapshotCmd({ collector: options.collector })], {
+      timeout: COLLECT_TIMEOUT_MS,
+      maxBuffer: 10 * 1024 * 1024,
+    });
+    report.snapshot = stdout;
+  } catch (error) {
+    // error.message repeats the whole script; stderr has the actual failure
+    report.error = error.killed
+      ? 'Snapshot timed out'
+      : error.stderr?.trim().split('\n').pop() || `Snapshot failed with exit code ${error.code}`;
+  }
+
+  return report;
+}
+
+/**
+ * POST a signed report to the bot
+ */
+async function pushReport(options, report) {
+  const body = JSON.stringify(report);
+  const timestamp = Date.now();
+
+  const response = await fetch(options.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GPU-Agent-Timestamp': String(timestamp),
+      'X-GPU-Agent-Signature': `sha256=${signReport(body, options.secret, timestamp)}`,
+    },
+    body,
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`Bot rejected report (HTTP ${response.status}): ${text}`);
+  }
+}
+
+async function runOnce(options) {
+  const report = await collectReport(options);
+  await pushReport(options, report);
+  return report;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseAgentOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (options.once) {
+    try {
+      const report = await runOnce(options);
+      console.log(report.error ? `Pushed error report: ${report.error}` : 'Pushed report');
+    } catch (error) {
+      console.error(`Push failed: ${error.message}`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  console.log(`gpu-agent reporting ${options.name} to ${options.url} every ${options.interval}s`);
+
+  // Keep going through failures; the bot marks the server stale on its own
+  const tick = async () => {
+    try {
+      await runOnce(options);
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Push failed: ${error.message}`);
+    }
+    setTimeout(tick, options.interval * 1000);
+  };
+  tick();
+
+  process.on('SIGINT', () => process.exit(0));
+  process.on('SIGTERM', () => process.exit(0));
+}
+
+main();
@@ -0,0 +1,389 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getAllServersGpuStatusWithProcesses, formatDuration } from './gpu.js';
+
+/**
+ * Threshold alert rules.
+ *
+ * Rules are kept in alerts.json next to servers.json, e.g.
+ *   { "id": 3, "metric": "temp", "op": ">", "threshold": 85, "forSec": 300,
+ *     "server": null, "gpu": null, "cooldownSec": 1800,
+ *     "platform": "slack", "channel": "C0123", "mutedUntil": null }
+ * and written as "temp > 85 for 5m". Metrics:
+ *   temp, util, mem (% of memory), power (% of power limit)   per GPU
+ *   unreachable, gpus (GPU count; "gpus" alone: fewer than the most seen)   per server
+ *
+ * Every ALERT_CHECK_INTERVAL seconds the rules are evaluated against a
+ * fresh poll. A rule fires for a GPU or server once its condition has held
+ * for `forSec`; each firing is announced once in the rule's channel, with
+ * everything that fired in the same check in one message, and a recovery
+ * message when the condition clears. After a rule has sent an alert, new
+ * firings wait out its cooldown, and muted rules stay quiet until their
+ * mute ends (firings still pending then are announced).
+ *
+ * Environment:
+ *   ALERT_CHECK_INTERVAL=60    Seconds between rule checks (0 disables them)
+ *   ALERTS_FILE=./alerts.json  Where the rules are kept
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CHECK_INTERVAL_SEC = parseFloat(process.env.ALERT_CHECK_INTERVAL ?? '60');
+const DEFAULT_COOLDOWN_SEC = 30 * 60;
+const DEFAULT_MUTE_SEC = 60 * 60;
+
+const METRICS = {
+  temp: { scope: 'gpu', unit: '°C', value: gpu => gpu.temperature },
+  util: { scope: 'gpu', unit: '%', value: gpu => gpu.gpuUtilization },
+  mem: { scope: 'gpu', unit: '%', value: gpu => (gpu.memoryTotal > 0 ? (gpu.memoryUsed / gpu.memoryTotal) * 100 : null) },
+  power: { scope: 'gpu', unit: '% of limit', value: gpu => (gpu.powerLimit > 0 ? (gpu.powerDraw / gpu.powerLimit) * 100 : null) },
+  unreachable: { scope: 'server' },
+  gpus: { scope: 'server' },
+};
+const METRIC_ALIASES = { temperature: 'temp', utilization: 'util', memory: 'mem', down: 'unreachable', 'gpu-count': 'gpus' };
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+};
+
+// platform -> async (channel, text) => void
+const senders = new Map();
+// rule id -> { lastNotifiedAt, targets: Map("server|gpu" -> { since, firing, notified, value }) }
+const ruleStates = new Map();
+// server -> most GPUs seen, the baseline for "gpus" rules without a threshold
+const gpuCounts = new Map();
+let checkTimer = null;
+
+// Read when used, so tests can point it at a temporary file
+function getAlertsFile() {
+  return process.env.ALERTS_FILE || path.join(__dirname, '..', 'alerts.json');
+}
+
+async function loadAlertConfig() {
+  try {
+    return JSON.parse(await fs.readFile(getAlertsFile(), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { nextId: 1, rules: [] };
+    throw error;
+  }
+}
+
+async function saveAlertConfig(config) {
+  await fs.writeFile(getAlertsFile(), JSON.stringify(config, null, 2));
+}
+
+/**
+ * Parse a duration like "30s", "5m", "2h" or "1d" (a bare number is minutes)
+ * @param {string} str
+ * @returns {number} Seconds
+ */
+export function parseAlertDuration(str) {
+  const match = String(str ?? '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d)?$/);
+  if (!match) throw new Error(`Invalid duration "${str}". Use e.g. 30s, 5m, 2h or 1d.`);
+  const unit = { s: 1, m: 60, h: 3600, d: 86400 }[match[2] || 'm'];
+  return Math.round(parseFloat(match[1]) * unit);
+}
+
+/**
+ * Parse rule arguments, e.g. ["temp", ">", "85", "for", "5m", "server", "grandrapids"]
+ *   <metric> [<op> <value>] [for <duration>] [server <name>] [gpu <index>]
+ *   [cooldown <duration>] [channel <id>]
+ * @param {string[]} args
+ * @returns {Object} Rule fields (without id, platform and channel unless given)
+ */
+export function parseAlertRule(args) {
+  const usage = 'Usage: add <temp|util|mem|power|unreachable|gpus> [> 85] [for 5m] [server <name>] [gpu <index>] [cooldown 30m] [channel <id>]';
+  // The condition may be written with or without spaces: "temp>85", "temp > 85°C"
+  const [, metricName = '', op, threshold, rest] = args.join(' ').trim()
+    .match(/^([\w-]*)\s*(?:(>=|<=|>|<)\s*(\S*?)(?:°?c|%)?(?=\s|$))?(.*)$/i);
+  const metric = METRIC_ALIASES[metricName.toLowerCase()] || metricName.toLowerCase();
+  if (!METRICS[metric]) throw new Error(`Unknown metric "${metricName}". ${usage}`);
+  const tokens = rest.split(/\s+/).filter(Boolean);
+
+  const rule = { metric, op: null, threshold: null, forSec: 0, server: null, gpu: null, cooldownSec: DEFAULT_COOLDOWN_SEC };
+  if (op) {
+    rule.op = op;
+    rule.threshold = threshold === '' ? NaN : Number(threshold);
+    if (!Number.isFinite(rule.threshold)) throw new Error(`The threshold must be a number. ${usage}`);
+  } else if (tokens[0]?.toLowerCase() === 'dropped') {
+    tokens.shift();
+  }
+  if (metric === 'unreachable' && rule.op) throw new Error('"unreachable" takes no threshold, e.g. unreachable for 5m');
+  if (METRICS[metric].scope === 'gpu' && !rule.op) throw new Error(`"${metric}" needs a threshold, e.g. ${metric} > 90`);
+
+  while (tokens.length > 0) {
+    const key = tokens.shift().toLowerCase();
+    const value = tokens.shift();
+    if (value === undefined) throw new Error(`Missing value after "${key}". ${usage}`);
+    switch (key) {
+      case 'for': rule.forSec = parseAlertDuration(value); break;
+      case 'cooldown': rule.cooldownSec = parseAlertDuration(value); break;
+      case 'server': rule.server = value; break;
+      case 'gpu':
+        if (!/^\d+$/.test(value)) throw new Error(`Invalid GPU index "${value}"`);
+        rule.gpu = parseInt(value);
+        break;
+      // Slack sends channel mentions as <#C0123|name>
+      case 'channel': rule.channel = value.replace(/^<#([^|>]+).*>$/, '$1').replace(/^#/, ''); break;
+      default: throw new Error(`Unknown option "${key}". ${usage}`);
+    }
+  }
+  if (rule.gpu !== null && METRICS[metric].scope !== 'gpu') throw new Error(`"${metric}" is a per-server rule and takes no GPU`);
+  return rule;
+}
+
+/**
+ * Describe a rule, e.g. "temp > 85°C for 5m on grandrapids GPU 2"
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  const { unit = '' } = METRICS[rule.metric];
+  let text = rule.metric;
+  if (rule.op) text += ` ${rule.op} ${rule.threshold}${unit}`;
+  else if (rule.metric === 'gpus') text += ' dropped';
+  if (rule.forSec > 0) text += ` for ${formatDuration(rule.forSec)}`;
+  if (rule.server) text += ` on ${rule.server}${rule.gpu !== null ? ` GPU ${rule.gpu}` : ''}`;
+  else if (rule.gpu !== null) text += ` on GPU ${rule.gpu}`;
+  return text;
+}
+
+/**
+ * All rules
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAlertRules() {
+  return (await loadAlertConfig()).rules;
+}
+
+/**
+ * Add a rule
+ * @param {Object} fields - From parseAlertRule, plus platform and channel to alert
+ * @param {string} [createdBy] - Chat user who added it
+ * @returns {Promise<Object>} The rule with its id
+ */
+export async function addAlertRule(fields, createdBy = null) {
+  if (!fields.platform || !fields.channel) throw new Error('An alert rule needs a channel to post to');
+  const config = await loadAlertConfig();
+  const rule = { id: config.nextId, ...fields, mutedUntil: null, createdBy, createdAt: new Date().toISOString() };
+  config.nextId++;
+  config.rules.push(rule);
+  await saveAlertConfig(config);
+  return rule;
+}
+
+function findRule(config, id) {
+  const rule = config.rules.find(r => String(r.id) === String(id).replace(/^#/, ''));
+  if (!rule) throw new Error(`No alert rule #${String(id).replace(/^#/, '')}. Use list to see the rules.`);
+  return rule;
+}
+
+/**
+ * Remove a rule
+ * @param {string|number} id - e.g. 3 or "#3"
+ * @returns {Promise<Object>} The removed rule
+ */
+export async function removeAlertRule(id) {
+  const config = await loadAlertConfig();
+  const rule = findRule(config, id);
+  config.rules = config.rules.filter(r => r !== rule);
+  await saveAlertConfig(config);
+  ruleStates.delete(rule.id);
+  return rule;
+}
+
+/**
+ * Mute a rule for a while, or unmute it
+ * @param {string|number} id
+ * @param {string} [duration] - e.g. "2h" (default 1h), or "off" to unmute
+ * @returns {Promise<Object>} The updated rule
+ */
+export async function muteAlertRule(id, duration) {
+  const config = await loadAlertConfig();
+  const rule = findRule(config, id);
+  rule.mutedUntil = duration === 'off'
+    ? null
+    : new Date(Date.now() + (duration ? parseAlertDuration(duration) : DEFAULT_MUTE_SEC) * 1000).toISOString();
+  await saveAlertConfig(config);
+  return rule;
+}
+
+/**
+ * Whether a rule is muted
+ */
+export function isRuleMuted(rule, now = Date.now()) {
+  return !!rule.mutedUntil && Date.parse(rule.mutedUntil) > now;
+}
+
+/**
+ * Current values of a rule's targets in one poll
+ * @returns {Array<{key, label, value, matches}>|null} null for servers
+ *   that couldn't be polled (their GPU targets keep their state)
+ */
+function ruleTargets(rule, result) {
+  const server = result.server.name;
+  const metric = METRICS[rule.metric];
+  const compare = (value) => value !== null && value !== undefined && !Number.isNaN(value) &&
+    OPERATORS[rule.op](value, rule.threshold);
+
+  if (rule.metric === 'unreachable') {
+    return [{ key: `${server}|`, label: server, value: result.error, matches: !!result.error }];
+  }
+  if (result.error) return null;
+
+  if (rule.metric === 'gpus') {
+    const count = result.gpus.length;
+    const baseline = Math.max(gpuCounts.get(server) || 0, count);
+    gpuCounts.set(server, baseline);
+    return [{
+      key: `${server}|`,
+      label: server,
+      value: `${count} of ${baseline} GPUs`,
+      matches: rule.op ? compare(count) : count < baseline,
+    }];
+  }
+
+  return result.gpus
+    .filter(gpu => rule.gpu === null || gpu.index === rule.gpu)
+    .map((gpu) => {
+      const value = metric.value(gpu);
+      return {
+        key: `${server}|${gpu.index}`,
+        label: `${server} GPU ${gpu.index}`,
+        value: value === null || Number.isNaN(value) ? '?' : `${Math.round(value)}${metric.unit}`,
+        matches: compare(value),
+      };
+    });
+}
+
+/**
+ * Evaluate rules against a poll and update their state
+ * @param {Array} rules - From getAlertRules
+ * @param {Array} results - From getAllServersGpuStatusWithProcesses
+ * @param {number} [now] - Current time in ms
+ * @returns {Array<{rule, text}>} Messages to send, at most one alert and one recovery per rule
+ */
+export function evaluateAlertRules(rules, results, now = Date.now()) {
+  const messages = [];
+
+  for (const rule of rules) {
+    if (!ruleStates.has(rule.id)) ruleStates.set(rule.id, { lastNotifiedAt: 0, targets: new Map() });
+    const state = ruleStates.get(rule.id);
+    const seen = new Set();
+    const fired = [];
+    const resolved = [];
+
+    const matching = results.filter(r => !rule.server || r.server.name.toLowerCase() === rule.server.toLowerCase());
+    for (const result of matching) {
+      const targets = ruleTargets(rule, result);
+      if (!targets) {
+        for (const key of state.targets.keys()) {
+          if (key.startsWith(`${result.server.name}|`)) seen.add(key);
+        }
+        continue;
+      }
+
+      for (const target of targets) {
+        seen.add(target.key);
+        const current = state.targets.get(target.key);
+        if (!target.matches) {
+          if (current?.notified) resolved.push({ ...target, duration: now - current.since });
+          state.targets.delete(target.key);
+          continue;
+        }
+
+        const entry = current || { since: now, firing: false, notified: false };
+        entry.value = target.value;
+        entry.label = target.label;
+        if (now - entry.since >= rule.forSec * 1000) entry.firing = true;
+        state.targets.set(target.key, entry);
+      }
+    }
+    // Servers that were removed
+    for (const key of state.targets.keys()) {
+      if (!seen.has(key)) state.targets.delete(key);
+    }
+
+    const muted = isRuleMuted(rule, now);
+    const pending = [...state.targets.values()].filter(t => t.firing && !t.notified);
+    if (pending.length > 0 && !muted && now - state.lastNotifiedAt >= rule.cooldownSec * 1000) {
+      for (const target of pending) {
+        target.notified = true;
+        fired.push(target);
+      }
+      state.lastNotifiedAt = now;
+    }
+
+    if (fired.length > 0) {
+      const list = fired.map(t => (rule.metric === 'unreachable' ? `${t.label} (${t.value})` : `${t.label} at ${t.value}`));
+      messages.push({ rule, text: `🚨 Alert #${rule.id} (${describeRule(rule)}): ${list.join(', ')}` });
+    }
+    if (resolved.length > 0 && !muted) {
+      const list = resolved.map(t => `${t.label} after ${formatDuration(Math.round(t.duration / 1000))}`);
+      messages.push({ rule, text: `✅ Resolved #${rule.id} (${describeRule(rule)}): ${list.join(', ')}` });
+    }
+  }
+
+  // Rules that were removed
+  const ids = new Set(rules.map(r => r.id));
+  for (const id of ruleStates.keys()) {
+    if (!ids.has(id)) ruleStates.delete(id);
+  }
+  return messages;
+}
+
+/**
+ * Targets of a rule that are firing now
+ * @param {number} id
+ * @returns {string[]} e.g. ["grandrapids GPU 2"]
+ */
+export function getFiringTargets(id) {
+  return [...(ruleStates.get(id)?.targets.values() || [])].filter(t => t.firing).map(t => t.label);
+}
+
+async function checkAlertRules() {
+  const rules = await getAlertRules();
+  if (rules.length === 0) return;
+
+  const results = await getAllServersGpuStatusWithProcesses({ fresh: true });
+  for (const { rule, text } of evaluateAlertRules(rules, results)) {
+    const send = senders.get(rule.platform);
+    if (!send) {
+      console.error(`Alert #${rule.id}: ${rule.platform} is not connected, dropping: ${text}`);
+      continue;
+    }
+    try {
+      await send(rule.channel, text);
+    } catch (error) {
+      console.error(`Failed to send ${rule.platform} alert #${rule.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Register a platform's sender for rule alerts and start background checks
+ * @param {string} platform - e.g. "slack"; rules added there have this platform
+ * @param {Function} send - async (channel, text) => void
+ */
+export function registerAlertRuleSender(platform, send) {
+  senders.set(platform, send);
+
+  if (!checkTimer && CHECK_INTERVAL_SEC > 0) {
+    const check = () => checkAlertRules().catch(error => console.error('Alert rule check failed:', error));
+    checkTimer = setInterval(check, CHECK_INTERVAL_SEC * 1000);
+    checkTimer.unref();
+    check();
+  }
+}
+
+/**
+ * Stop background checks and drop all senders (call on shutdown)
+ */
+export function stopAlertRules() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+  senders.clear();
+}
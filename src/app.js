@@ -11,9 +11,48 @@ import {
   killUserProcesses,
   cancelAllOccupations,
   getOccupations,
+  parseGpuIds,
+  findGpuDevice,
 } from './gpu.js';
-import { formatMultiServerMessage, formatGpuMessage, formatErrorMessage } from './format.js';
+import { parseBestGpuCount, pickBestFreeGpus, findBestFreeGpus, getServerTopology } from './topology.js';
+import {
+  formatMultiServerMessage,
+  formatGpuMessage,
+  formatGpuDetailMessage,
+  formatProcessListMessage,
+  formatTopologyMessage,
+  formatUsageReportMessage,
+  formatChartMessage,
+  formatIdleMessage,
+  formatDiagnosticsMessage,
+  formatAlertRulesMessage,
+  formatWatchesMessage,
+  formatErrorMessage,
+} from './format.js';
 import { addServer, removeServer, editServer, getServers } from './config.js';
+import { closeAllConnections } from './ssh.js';
+import { POLL_SETTING_FLAGS, parsePollSetting } from './polling.js';
+import { validateRemotePath } from './remote-command.js';
+import { registerAlertSender, stopHealthAlerts } from './notify.js';
+import { registerRoute, startHttpServer, stopHttpServer } from './http-server.js';
+import { AGENT_REPORT_PATH, handleAgentReport } from './ingest.js';
+import { METRICS_PATH, handleMetricsRequest, startMetricsPolling, stopMetricsPolling } from './metrics.js';
+import { startHistorySampling, stopHistorySampling } from './sampler.js';
+import { parseReportRange, getUsageReport } from './usage.js';
+import { addUtilizationTrends, getChartData, parseChartHours, renderChartSvg, renderPng } from './charts.js';
+import { findIdleHogs, parseUserMap, registerIdleNotifier, stopIdleReminders } from './idle.js';
+import { collectDiagnostics } from './diagnostics.js';
+import {
+  parseAlertRule,
+  describeRule,
+  addAlertRule,
+  getAlertRules,
+  removeAlertRule,
+  muteAlertRule,
+  registerAlertRuleSender,
+  stopAlertRules,
+} from './alerts.js';
+import { parseWatch, describeWatch, addWatch, getWatches, removeWatch, registerWatchSender, stopWatches } from './watches.js';
 
 const { App } = bolt;
 
@@ -34,7 +73,10 @@ const autoOccupyMonitors = new Map();
 app.command('/gpu', async ({ command, ack, respond }) => {
   await ack();
 
-  const args = command.text.trim().split(/\s+/);
+  // "refresh" anywhere bypasses the status cache: /gpu refresh, /gpu procs <server> refresh
+  const words = command.text.trim().split(/\s+/);
+  const fresh = words.some(w => ['refresh', '--fresh'].includes(w.toLowerCase()));
+  const args = words.filter(w => !['refresh', '--fresh'].includes(w.toLowerCase()));
   const subcommand = args[0]?.toLowerCase();
 
   try {
@@ -47,12 +89,40 @@ app.command('/gpu', async ({ command, ack, respond }) => {
         await handleStopMonitoring(command.channel_id, respond);
         break;
 
+      case 'detail':
+        await handleGpuDetail(args.slice(1), respond, { fresh });
+        break;
+
+      case 'procs':
+        await handleGpuProcs(args.slice(1), respond, { fresh });
+        break;
+
+      case 'topo':
+        await handleGpuTopo(args.slice(1), respond, { fresh });
+        break;
+
+      case 'report':
+        await handleGpuReport(args.slice(1), respond);
+        break;
+
+      case 'chart':
+        await handleGpuChart(args.slice(1), respond, command.channel_id);
+        break;
+
+      case 'idle':
+        await handleGpuIdle(args.slice(1), respond);
+        break;
+
+      case 'diag':
+        await handleGpuDiag(args.slice(1), respond, { fresh });
+        break;
+
       case 'help':
         await respond(getHelpMessage());
         break;
 
       default:
-        await handleGpuStatus(respond);
+        await handleGpuStatus(respond, { fresh });
         break;
     }
   } catch (error) {
@@ -121,13 +191,14 @@ app.command('/occupy', async ({ command, ack, respond }) => {
     // Parse: <server> <gpu_ids> <memory_gb> <python_path>
     // e.g., /occupy grandrapids 0,1,2 40 /home/user/miniconda3/bin/python
     const serverName = args[0];
-    const gpuIds = args[1].split(',').map(id => parseInt(id.trim()));
+    const bestCount = parseBestGpuCount(args[1]);
+    let gpuIds = bestCount ? null : parseGpuIds(args[1]);
     const memoryGB = parseFloat(args[2]);
     const pythonPath = args[3];
 
     // Validate inputs
-    if (gpuIds.some(isNaN)) {
-      await respond({ text: '❌ Invalid GPU IDs. Use comma-separated numbers (e.g., 0,1,2)' });
+    if (!bestCount && !gpuIds) {
+      await respond({ text: '❌ Invalid GPU IDs. Use comma-separated numbers (e.g., 0,1,2), `best:N` or a MIG device UUID' });
       return;
     }
 
@@ -147,10 +218,18 @@ app.command('/occupy', async ({ command, ack, respond }) => {
       return;
     }
 
+    // best:N - pick the best-connected free GPUs
+    let linkNote = '';
+    if (bestCount) {
+      const selection = await pickBestFreeGpus(server, bestCount, memoryGB);
+      gpuIds = selection.gpuIds;
+      linkNote = selection.weakestLink ? ` (weakest link: ${selection.weakestLink})` : '';
+    }
+
     const result = await startGpuOccupation(server, pythonPath, gpuIds, memoryGB);
 
     await respond({
-      text: `✅ GPU occupation started on *${serverName}*\n• GPUs: ${gpuIds.join(', ')}\n• Memory: ${memoryGB}GB each\n• PID: ${result.pid}\n\nUse \`/cancel ${serverName} <username>\` to stop.`,
+      text: `✅ GPU occupation started on *${serverName}*\n• GPUs: ${gpuIds.join(', ')}${linkNote}\n• Memory: ${memoryGB}GB each\n• PID: ${result.pid}\n\nUse \`/cancel ${serverName} <username>\` to stop.`,
     });
   } catch (error) {
     console.error('Error in /occupy:', error);
@@ -195,6 +274,124 @@ app.command('/monitor', async ({ command, ack, respond }) => {
   }
 });
 
+// /alert command handler - threshold alert rules (see alerts.js)
+app.command('/alert', async ({ command, ack, respond }) => {
+  await ack();
+
+  const args = command.text.trim().split(/\s+/).filter(Boolean);
+  const subcommand = args[0]?.toLowerCase();
+
+  try {
+    switch (subcommand) {
+      case 'add': {
+        const rule = await addAlertRule(
+          { platform: 'slack', channel: command.channel_id, ...parseAlertRule(args.slice(1)) },
+          command.user_id
+        );
+        await respond({ text: `✅ Added alert #${rule.id}: \`${describeRule(rule)}\`, posting to <#${rule.channel}>` });
+        break;
+      }
+
+      case 'list':
+      case 'ls':
+        await respond(formatAlertRulesMessage(await getAlertRules()));
+        break;
+
+      case 'remove':
+      case 'rm': {
+        if (!args[1]) {
+          await respond({ text: '⚠️ Usage: `/alert remove <id>`' });
+          return;
+        }
+        const rule = await removeAlertRule(args[1]);
+        await respond({ text: `🗑️ Removed alert #${rule.id}: \`${describeRule(rule)}\`` });
+        break;
+      }
+
+      case 'mute':
+      case 'unmute': {
+        if (!args[1]) {
+          await respond({ text: '⚠️ Usage: `/alert mute <id> [duration|off]`' });
+          return;
+        }
+        const rule = await muteAlertRule(args[1], subcommand === 'unmute' ? 'off' : args[2]);
+        await respond({
+          text: rule.mutedUntil
+            ? `🔕 Muted alert #${rule.id} until ${new Date(rule.mutedUntil).toLocaleString()}`
+            : `🔔 Unmuted alert #${rule.id}`,
+        });
+        break;
+      }
+
+      case 'help':
+      case '':
+      case undefined:
+        await respond(getAlertHelpMessage());
+        break;
+
+      default:
+        await respond({ text: `Unknown subcommand: \`${subcommand}\`. Use \`/alert help\` for usage.` });
+        break;
+    }
+  } catch (error) {
+    console.error('Error in /alert:', error);
+    await respond({ text: `❌ Error: ${error.message}` });
+  }
+});
+
+// /watch command handler - DM when free GPUs turn up (see watches.js)
+app.command('/watch', async ({ command, ack, respond }) => {
+  await ack();
+
+  const args = command.text.trim().split(/\s+/).filter(Boolean);
+  const subcommand = args[0]?.toLowerCase();
+  const owner = { platform: 'slack', userId: command.user_id };
+
+  try {
+    switch (subcommand) {
+      case 'add': {
+        const watch = await addWatch(parseWatch(args.slice(1)), owner);
+        await respond({
+          text: `✅ Added watch #${watch.id}: \`${describeWatch(watch)}\`. ` +
+            `I'll DM you ${watch.recurring ? 'each time they are' : 'once they are'} available.`,
+        });
+        break;
+      }
+
+      case 'list':
+      case 'ls': {
+        const watches = (await getWatches()).filter(w => w.platform === 'slack' && w.userId === command.user_id);
+        await respond(formatWatchesMessage(watches));
+        break;
+      }
+
+      case 'remove':
+      case 'rm': {
+        if (!args[1]) {
+          await respond({ text: '⚠️ Usage: `/watch remove <id>`' });
+          return;
+        }
+        const watch = await removeWatch(args[1], owner);
+        await respond({ text: `🗑️ Removed watch #${watch.id}: \`${describeWatch(watch)}\`` });
+        break;
+      }
+
+      case 'help':
+      case '':
+      case undefined:
+        await respond(getWatchHelpMessage());
+        break;
+
+      default:
+        await respond({ text: `Unknown subcommand: \`${subcommand}\`. Use \`/watch help\` for usage.` });
+        break;
+    }
+  } catch (error) {
+    console.error('Error in /watch:', error);
+    await respond({ text: `❌ Error: ${error.message}` });
+  }
+});
+
 // /cancel command handler - kill occupation processes
 app.command('/cancel', async ({ command, ack, respond }) => {
   await ack();
@@ -282,7 +479,7 @@ app.event('message', async ({ event, say }) => {
       if (servers.length === 0) {
         await say({ text: '⚠️ No servers configured. Use `/config add` to add servers.' });
       } else {
-        const results = await getAllServersGpuStatusWithProcesses();
+        const results = await addUtilizationTrends(await getAllServersGpuStatusWithProcesses());
         await say(formatMultiServerMessage(results));
       }
     } catch (error) {
@@ -356,14 +553,16 @@ async function handleMonitorStart(args, respond, channelId) {
   }
 
   const serverName = args[0];
-  const gpuIds = args[1].split(',').map(id => parseInt(id.trim()));
+  const bestCount = parseBestGpuCount(args[1]);
+  const gpuIds = bestCount ? null : parseGpuIds(args[1]);
+  const gpuLabel = bestCount ? `best ${bestCount}` : gpuIds?.join(', ');
   const memoryGB = parseFloat(args[2]);
   const pythonPath = args[3];
   const frequencyMin = parseInt(args[4]);
   const minFreeGB = parseFloat(args[5]) || memoryGB + 2; // Default: need memory + 2GB buffer
 
   // Validate
-  if (gpuIds.some(isNaN) || isNaN(memoryGB) || isNaN(frequencyMin)) {
+  if ((!bestCount && !gpuIds) || isNaN(memoryGB) || isNaN(frequencyMin)) {
     await respond({ text: '❌ Invalid arguments. Check numbers and try again.' });
     return;
   }
@@ -373,6 +572,14 @@ async function handleMonitorStart(args, respond, channelId) {
     return;
   }
 
+  // Checked now so a bad path fails here instead of on every check
+  try {
+    validateRemotePath(pythonPath, 'Python path');
+  } catch (error) {
+    await respond({ text: `❌ ${error.message}` });
+    return;
+  }
+
   const servers = await getServers();
   const server = servers.find(s => s.name.toLowerCase() === serverName.toLowerCase());
 
@@ -386,12 +593,23 @@ async function handleMonitorStart(args, respond, channelId) {
 
   const intervalId = setInterval(async () => {
     try {
-      const { gpus } = await getServerGpuStatus(serverName);
+      const { gpus, processes } = await getServerGpuStatus(serverName);
+
+      // best:N - look for a well-connected set of free GPUs on each check
+      let targetIds = gpuIds;
+      if (bestCount) {
+        const selection = await findBestFreeGpus(server, gpus, processes, bestCount, minFreeGB);
+        if (!selection) {
+          console.log(`Monitor ${monitorId}: fewer than ${bestCount} free GPUs with ${minFreeGB}GB`);
+          return;
+        }
+        targetIds = selection.gpuIds;
+      }
 
       // Check if target GPUs have enough free memory
       let allAvailable = true;
-      for (const gpuId of gpuIds) {
-        const gpu = gpus.find(g => g.index === gpuId);
+      for (const gpuId of targetIds) {
+        const gpu = findGpuDevice(gpus, gpuId);
         if (!gpu) {
           console.log(`Monitor ${monitorId}: GPU ${gpuId} not found`);
           allAvailable = false;
@@ -410,13 +628,13 @@ async function handleMonitorStart(args, respond, channelId) {
         console.log(`Monitor ${monitorId}: GPUs available, starting occupation`);
 
         try {
-          const result = await startGpuOccupation(server, pythonPath, gpuIds, memoryGB);
+          const result = await startGpuOccupation(server, pythonPath, targetIds, memoryGB);
 
           // Notify user
           await app.client.chat.postMessage({
             token: process.env.SLACK_BOT_TOKEN,
             channel: channelId,
-            text: `🎉 *Auto-occupy triggered!*\n\nServer: *${serverName}*\nGPUs: ${gpuIds.join(', ')}\nMemory: ${memoryGB}GB each\nPID: ${result.pid}\n\nMonitor has been stopped.`,
+            text: `🎉 *Auto-occupy triggered!*\n\nServer: *${serverName}*\nGPUs: ${targetIds.join(', ')}\nMemory: ${memoryGB}GB each\nPID: ${result.pid}\n\nMonitor has been stopped.`,
           });
 
           // Stop this monitor (one-shot)
@@ -439,6 +657,8 @@ async function handleMonitorStart(args, respond, channelId) {
     intervalId,
     serverName,
     gpuIds,
+    bestCount,
+    gpuLabel,
     memoryGB,
     pythonPath,
     frequencyMin,
@@ -448,7 +668,7 @@ async function handleMonitorStart(args, respond, channelId) {
   });
 
   await respond({
-    text: `✅ Auto-occupy monitor started!\n\n• *ID:* ${monitorId}\n• *Server:* ${serverName}\n• *GPUs:* ${gpuIds.join(', ')}\n• *Memory:* ${memoryGB}GB each\n• *Check every:* ${frequencyMin} min\n• *Min free required:* ${minFreeGB}GB\n\nWill auto-occupy when GPUs are available (one-time). Use \`/monitor stop ${monitorId}\` to cancel.`,
+    text: `✅ Auto-occupy monitor started!\n\n• *ID:* ${monitorId}\n• *Server:* ${serverName}\n• *GPUs:* ${gpuLabel}\n• *Memory:* ${memoryGB}GB each\n• *Check every:* ${frequencyMin} min\n• *Min free required:* ${minFreeGB}GB\n\nWill auto-occupy when GPUs are available (one-time). Use \`/monitor stop ${monitorId}\` to cancel.`,
   });
 }
 
@@ -490,7 +710,7 @@ async function handleMonitorList(respond) {
   }
 
   const list = Array.from(autoOccupyMonitors.entries())
-    .map(([id, m]) => `• *${id}*\n  Server: ${m.serverName} | GPUs: ${m.gpuIds.join(',')} | Every ${m.frequencyMin}min`)
+    .map(([id, m]) => `• *${id}*\n  Server: ${m.serverName} | GPUs: ${m.gpuLabel} | Every ${m.frequencyMin}min`)
     .join('\n\n');
 
   await respond({
@@ -499,7 +719,7 @@ async function handleMonitorList(respond) {
 }
 
 // Handle showing current GPU status (multi-server)
-async function handleGpuStatus(respond) {
+async function handleGpuStatus(respond, { fresh = false } = {}) {
   const servers = await getServers();
 
   if (servers.length === 0) {
@@ -518,11 +738,135 @@ async function handleGpuStatus(respond) {
   }
 
   // Query all servers with process info
-  const results = await getAllServersGpuStatusWithProcesses();
+  const results = await addUtilizationTrends(await getAllServersGpuStatusWithProcesses({ fresh }));
   const message = formatMultiServerMessage(results);
   await respond(message);
 }
 
+// Handle /gpu detail <server> [gpu] [refresh]
+async function handleGpuDetail(args, respond, { fresh = false } = {}) {
+  if (args.length < 1) {
+    await respond({ text: '⚠️ Usage: `/gpu detail <server> [gpu_index]`' });
+    return;
+  }
+
+  const { server, gpus } = await getServerGpuStatus(args[0], { fresh });
+  let selected = gpus;
+
+  if (args[1] !== undefined) {
+    const gpuIndex = parseInt(args[1]);
+    selected = gpus.filter(g => g.index === gpuIndex);
+    if (selected.length === 0) {
+      await respond({ text: `❌ GPU ${args[1]} not found on ${server.name}.` });
+      return;
+    }
+  }
+
+  await respond(formatGpuDetailMessage(server.name, selected));
+}
+
+// Handle /gpu procs <server> [refresh]
+async function handleGpuProcs(args, respond, { fresh = false } = {}) {
+  if (args.length < 1) {
+    await respond({ text: '⚠️ Usage: `/gpu procs <server>`' });
+    return;
+  }
+
+  const { server, processes } = await getServerGpuStatus(args[0], { fresh });
+  await respond(formatProcessListMessage(server.name, processes));
+}
+
+// Handle /gpu topo <server>
+async function handleGpuTopo(args, respond, { fresh = false } = {}) {
+  if (args.length < 1) {
+    await respond({ text: '⚠️ Usage: `/gpu topo <server>`' });
+    return;
+  }
+
+  const server = (await getServers()).find(s => s.name.toLowerCase() === args[0].toLowerCase());
+  if (!server) {
+    await respond({ text: `❌ Server not found: ${args[0]}` });
+    return;
+  }
+
+  const topology = await getServerTopology(server, { refresh: fresh });
+  if (!topology) {
+    await respond({ text: `⚠️ Topology is only available for servers using the nvidia collector.` });
+    return;
+  }
+  await respond(formatTopologyMessage(server.name, topology));
+}
+
+// /gpu report [week|month|YYYY-MM|<from> <to>] [server] - GPU-hours per user from the history
+async function handleGpuReport(args, respond) {
+  const servers = await getServers();
+  const server = servers.find(s => args.some(a => a.toLowerCase() === s.name.toLowerCase()));
+  const range = parseReportRange(args.filter(a => a.toLowerCase() !== server?.name.toLowerCase()));
+
+  const report = await getUsageReport({ ...range, server: server?.name });
+  await respond(formatUsageReportMessage(report));
+}
+
+// /gpu chart <server> [hours] - utilization and memory sparklines, plus a chart image when it can be rendered
+async function handleGpuChart(args, respond, channelId) {
+  if (args.length < 1) {
+    await respond({ text: '⚠️ Usage: `/gpu chart <server> [hours]`' });
+    return;
+  }
+
+  const server = (await getServers()).find(s => s.name.toLowerCase() === args[0].toLowerCase());
+  if (!server) {
+    await respond({ text: `❌ Server not found: ${args[0]}` });
+    return;
+  }
+
+  const chart = await getChartData(server.name, parseChartHours(args[1]));
+  await respond(formatChartMessage(chart));
+  if (chart.gpus.length === 0) return;
+
+  const png = await renderPng(renderChartSvg(chart));
+  if (!png) return;
+  try {
+    await app.client.files.uploadV2({
+      channel_id: channelId,
+      file: png,
+      filename: `${server.name}-gpu-${chart.hours}h.png`,
+      title: `GPU History - ${server.name} (last ${chart.hours}h)`,
+    });
+  } catch (error) {
+    console.error('Failed to upload GPU chart:', error);
+    await respond({
+      text: `⚠️ Couldn't upload the chart image (${error.data?.error || error.message}). The bot needs the \`files:write\` scope and must be a member of this channel.`,
+    });
+  }
+}
+
+// /gpu idle [server] - GPUs whose memory has been held at ~0% utilization, with owner and duration
+async function handleGpuIdle(args, respond) {
+  let server;
+  if (args[0]) {
+    server = (await getServers()).find(s => s.name.toLowerCase() === args[0].toLowerCase());
+    if (!server) {
+      await respond({ text: `❌ Server not found: ${args[0]}` });
+      return;
+    }
+  }
+  await respond(formatIdleMessage(await findIdleHogs({ server: server?.name })));
+}
+
+// /gpu diag [server] [refresh] - unreachable servers, unattributed GPU memory and hardware warnings
+async function handleGpuDiag(args, respond, { fresh = false } = {}) {
+  let results = await getAllServersGpuStatusWithProcesses({ fresh });
+  if (args[0]) {
+    results = results.filter(r => r.server.name.toLowerCase() === args[0].toLowerCase());
+    if (results.length === 0) {
+      await respond({ text: `❌ Server not found: ${args[0]}` });
+      return;
+    }
+  }
+  await respond(formatDiagnosticsMessage(collectDiagnostics(results), results.length));
+}
+
 // Handle starting scheduled monitoring
 async function handleStartMonitoring(channelId, respond, intervalArg) {
   if (scheduledChannels.has(channelId)) {
@@ -556,7 +900,7 @@ async function handleStartMonitoring(channelId, respond, intervalArg) {
         const gpuInfo = parseGpuInfo(gpuData);
         message = formatGpuMessage(gpuInfo, 'Local');
       } else {
-        const results = await getAllServersGpuStatusWithProcesses();
+        const results = await addUtilizationTrends(await getAllServersGpuStatusWithProcesses());
         message = formatMultiServerMessage(results);
       }
 
@@ -600,10 +944,10 @@ async function handleStopMonitoring(channelId, respond) {
 
 // Handle /config add
 async function handleConfigAdd(args, respond) {
-  // Parse: name host [port] [--key path]
+  // Parse: name host [port] [--key path] [--collector nvidia|rocm|dcgm] [--transport ssh|agent]
   if (args.length < 2) {
     await respond({
-      text: '⚠️ Usage: `/config add <name> <user@host> [port] [--key /path/to/key]`',
+      text: '⚠️ Usage: `/config add <name> <user@host> [port] [--key /path/to/key] [--collector nvidia|rocm|dcgm] [--transport ssh|agent]`',
     });
     return;
   }
@@ -612,21 +956,29 @@ async function handleConfigAdd(args, respond) {
   const host = args[1];
   let port = 22;
   let identityFile = null;
+  let collector = null;
+  let transport = null;
 
   // Parse optional arguments
   for (let i = 2; i < args.length; i++) {
     if (args[i] === '--key' || args[i] === '-i') {
       identityFile = args[i + 1];
       i++;
+    } else if (args[i] === '--collector') {
+      collector = args[i + 1];
+      i++;
+    } else if (args[i] === '--transport') {
+      transport = args[i + 1];
+      i++;
     } else if (/^\d+$/.test(args[i])) {
       port = parseInt(args[i]);
     }
   }
 
-  const server = await addServer({ name, host, port, identityFile });
+  const server = await addServer({ name, host, port, identityFile, collector, transport });
 
   await respond({
-    text: `✅ Server added successfully!\n• *Name:* ${server.name}\n• *Host:* ${server.host}\n• *Port:* ${server.port}${server.identityFile ? `\n• *Key:* ${server.identityFile}` : ''}`,
+    text: `✅ Server added successfully!\n• *Name:* ${server.name}\n• *Host:* ${server.host}\n• *Port:* ${server.port}\n• *Collector:* ${server.collector}\n• *Transport:* ${server.transport}${server.identityFile ? `\n• *Key:* ${server.identityFile}` : ''}`,
   });
 }
 
@@ -649,10 +1001,11 @@ async function handleConfigRemove(args, respond) {
 
 // Handle /config edit
 async function handleConfigEdit(args, respond) {
-  // Parse: name [--host newhost] [--port newport] [--key newkey] [--name newname]
+  // Parse: name [--host newhost] [--port newport] [--key newkey] [--name newname] [--collector c] [--transport t] [--disks /,/home] [--tags a,b]
+  //        [--timeout s] [--retries n] [--retry-delay s] [--concurrency n]
   if (args.length < 2) {
     await respond({
-      text: '⚠️ Usage: `/config edit <name> [--host user@host] [--port port] [--key /path/to/key] [--name newname]`',
+      text: '⚠️ Usage: `/config edit <name> [--host user@host] [--port port] [--key /path/to/key] [--name newname] [--collector nvidia|rocm|dcgm] [--transport ssh|agent] [--disks /,/home] [--tags a,b] [--timeout s] [--retries n] [--retry-delay s] [--concurrency n]`',
     });
     return;
   }
@@ -675,12 +1028,29 @@ async function handleConfigEdit(args, respond) {
       case '--name':
         updates.name = args[++i];
         break;
+      case '--collector':
+        updates.collector = args[++i];
+        break;
+      case '--transport':
+        updates.transport = args[++i];
+        break;
+      case '--disks':
+        updates.diskMounts = (args[++i] || '').split(',').filter(Boolean);
+        break;
+      case '--tags':
+        updates.tags = (args[++i] || '').split(',').filter(Boolean);
+        break;
+      default:
+        if (POLL_SETTING_FLAGS[args[i]]) {
+          updates[POLL_SETTING_FLAGS[args[i]]] = parsePollSetting(args[++i]);
+        }
+        break;
     }
   }
 
   if (Object.keys(updates).length === 0) {
     await respond({
-      text: '⚠️ No updates provided. Use `--host`, `--port`, `--key`, or `--name` to specify changes.',
+      text: '⚠️ No updates provided. Use `--host`, `--port`, `--key`, `--name`, `--collector`, `--transport`, `--disks`, `--tags`, `--timeout`, `--retries`, `--retry-delay` or `--concurrency` to specify changes.',
     });
     return;
   }
@@ -706,7 +1076,7 @@ async function handleConfigList(respond) {
   const serverList = servers
     .map(
       (s, i) =>
-        `${i + 1}. *${s.name}*\n   Host: \`${s.host}\` | Port: \`${s.port}\`${s.identityFile ? ` | Key: \`${s.identityFile}\`` : ''}`
+        `${i + 1}. *${s.name}*\n   Host: \`${s.host}\` | Port: \`${s.port}\`${s.identityFile ? ` | Key: \`${s.identityFile}\`` : ''}${s.collector && s.collector !== 'nvidia' ? ` | Collector: \`${s.collector}\`` : ''}${s.transport === 'agent' ? ' | Transport: `agent`' : ''}${s.tags?.length > 0 ? ` | Tags: \`${s.tags.join(',')}\`` : ''}`
     )
     .join('\n\n');
 
@@ -752,9 +1122,16 @@ function getHelpMessage() {
         text: {
           type: 'mrkdwn',
           text:
-            '`/gpu` - Show GPU status from all configured servers\n' +
+            '`/gpu [refresh]` - Show GPU status from all configured servers (`refresh` skips the cache)\n' +
             '`/gpu start [minutes]` - Start periodic monitoring (default: 5 min)\n' +
             '`/gpu stop` - Stop periodic monitoring\n' +
+            '`/gpu detail <server> [gpu] [refresh]` - Clocks, fan, throttling, ECC and PCIe per GPU\n' +
+            '`/gpu procs <server> [refresh]` - All GPU processes with command line, runtime, CPU and container\n' +
+            '`/gpu topo <server> [refresh]` - GPU interconnect (NVLink / PCIe) matrix\n' +
+            '`/gpu report [week|month|YYYY-MM|<from> <to>] [server]` - GPU-hours and GB-hours per user\n' +
+            '`/gpu chart <server> [hours]` - Utilization and memory history with a chart (default: 6 hours)\n' +
+            '`/gpu idle [server]` - GPUs whose memory is held at ~0% utilization, with owner and how long\n' +
+            '`/gpu diag [server] [refresh]` - Unreachable servers, unattributed GPU memory (👻) and hardware warnings\n' +
             '`/gpu help` - Show this help message\n\n' +
             '*Server Configuration*\n' +
             '`/config list` - List configured servers\n' +
@@ -787,10 +1164,12 @@ function getConfigHelpMessage() {
           type: 'mrkdwn',
           text:
             '*List servers:*\n`/config list`\n\n' +
-            '*Add a server:*\n`/config add <name> <user@host> [port] [--key /path/to/key]`\n' +
-            'Example: `/config add server1 root@192.168.1.100 22 --key ~/.ssh/id_rsa`\n\n' +
+            '*Add a server:*\n`/config add <name> <user@host> [port] [--key /path/to/key] [--collector nvidia|rocm|dcgm] [--transport ssh|agent]`\n' +
+            'Example: `/config add server1 root@192.168.1.100 22 --key ~/.ssh/id_rsa`\n' +
+            'Use `--collector rocm` for AMD GPUs (rocm-smi), and `--transport agent` for servers that push reports with gpu-agent.\n' +
+            'For a node running dcgm-exporter, give its metrics URL as the host: `/config add node1 http://node1:9400/metrics`\n\n' +
             '*Remove a server:*\n`/config remove <name>`\n\n' +
-            '*Edit a server:*\n`/config edit <name> [--host user@host] [--port port] [--key path] [--name newname]`\n' +
+            '*Edit a server:*\n`/config edit <name> [--host user@host] [--port port] [--key path] [--name newname] [--collector c] [--transport t] [--disks /,/home] [--tags a,b] [--timeout s] [--retries n] [--retry-delay s] [--concurrency n]`\n' +
             'Example: `/config edit server1 --port 2222`',
         },
       },
@@ -807,7 +1186,7 @@ function getOccupyHelpMessage() {
       '*Usage:*\n`/occupy <server> <gpu_ids> <memory_gb> <python_path>`\n\n' +
       '*Arguments:*\n' +
       '• `server` - Server name from `/config list`\n' +
-      '• `gpu_ids` - Comma-separated GPU IDs (e.g., 0,1,2)\n' +
+      '• `gpu_ids` - Comma-separated GPU IDs (e.g., 0,1,2), `best:N` for the N best-connected free GPUs, or a single MIG device UUID\n' +
       '• `memory_gb` - Memory to allocate per GPU in GB\n' +
       '• `python_path` - Full path to Python with PyTorch\n\n' +
       '*Example:*\n`/occupy grandrapids 0,1,2 40 /home/user/miniconda3/bin/python`\n\n' +
@@ -815,6 +1194,58 @@ function getOccupyHelpMessage() {
   };
 }
 
+// Help message for /alert
+function getAlertHelpMessage() {
+  return {
+    text:
+      '*Alert Rules Command*\n\n' +
+      'Get a message in this channel when a condition holds, and another when it clears.\n\n' +
+      '*Commands:*\n' +
+      '`/alert add <metric> [<op> <value>] [for <duration>] [server <name>] [gpu <index>] [cooldown <duration>] [channel #name]`\n' +
+      '`/alert list` - Rules, their channels and what is firing\n' +
+      '`/alert mute <id> [duration]` - Silence a rule (default: 1h); `/alert unmute <id>`\n' +
+      '`/alert remove <id>` - Delete a rule\n\n' +
+      '*Metrics:*\n' +
+      '• `temp` - GPU temperature in °C\n' +
+      '• `util` - GPU utilization in %\n' +
+      '• `mem` - GPU memory used in %\n' +
+      '• `power` - Power draw in % of the power limit\n' +
+      '• `unreachable` - Server can\'t be polled\n' +
+      '• `gpus` - GPU count; without a threshold, fires when a server has fewer GPUs than it had before\n\n' +
+      '*Examples:*\n' +
+      '`/alert add temp > 85 for 5m`\n' +
+      '`/alert add mem > 95 server grandrapids`\n' +
+      '`/alert add power >= 98 for 10m`\n' +
+      '`/alert add unreachable for 2m`\n' +
+      '`/alert add gpus` - a GPU fell off the bus\n\n' +
+      'Each firing is announced once; after an alert, a rule waits out its cooldown (default: 30m) before alerting again.',
+  };
+}
+
+// Help message for /watch
+function getWatchHelpMessage() {
+  return {
+    text:
+      '*GPU Watch Command*\n\n' +
+      'Get a DM when free GPUs turn up, without occupying them (to grab them automatically, use `/monitor`).\n\n' +
+      '*Commands:*\n' +
+      '`/watch add [count] [min free GB] [model] [server <name>] [tag <tag>] [repeat]`\n' +
+      '`/watch list` - Your watches\n' +
+      '`/watch remove <id>` - Delete a watch\n\n' +
+      '*Arguments:*\n' +
+      '• `count` - GPUs needed on one server (default: 1)\n' +
+      '• `min free GB` - Free memory per GPU, e.g. `40GB`\n' +
+      '• `model` - Part of the GPU name, e.g. `A6000` or `H100`\n' +
+      '• `server` / `tag` - Only this server, or servers with this tag (`/config edit <name> --tags a,b`)\n' +
+      '• `repeat` - DM every time a server frees up, instead of once\n\n' +
+      '*Examples:*\n' +
+      '`/watch add 2 A6000 40GB`\n' +
+      '`/watch add 4 H100 tag train repeat`\n' +
+      '`/watch add server grandrapids`\n\n' +
+      'A GPU counts as free when it runs no processes and holds no memory that no process accounts for.',
+  };
+}
+
 // Help message for /monitor
 function getMonitorHelpMessage() {
   return {
@@ -827,7 +1258,7 @@ function getMonitorHelpMessage() {
       '`/monitor list` - Show active monitors\n\n' +
       '*Arguments:*\n' +
       '• `server` - Server name\n' +
-      '• `gpu_ids` - GPUs to occupy (e.g., 0,1)\n' +
+      '• `gpu_ids` - GPUs to occupy (e.g., 0,1), `best:N` or a MIG device UUID\n' +
       '• `mem_gb` - Memory per GPU\n' +
       '• `python_path` - Python with PyTorch\n' +
       '• `freq_min` - Check frequency in minutes\n' +
@@ -854,7 +1285,10 @@ function getMainHelpMessage() {
             '*📊 Status Commands*\n' +
             '`/gpu` - Check GPU status across all servers\n' +
             '`/gpu start [min]` - Start periodic monitoring\n' +
-            '`/gpu stop` - Stop periodic monitoring',
+            '`/gpu stop` - Stop periodic monitoring\n' +
+            '`/gpu detail <server> [gpu]` - Detailed GPU telemetry\n' +
+            '`/gpu procs <server>` - GPU processes with command and runtime\n' +
+            '`/gpu topo <server>` - NVLink / PCIe topology',
         },
       },
       {
@@ -878,6 +1312,27 @@ function getMainHelpMessage() {
             '`/monitor list` - List active monitors',
         },
       },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text:
+            '*🚨 Alerts*\n' +
+            '`/alert add temp > 85 for 5m` - Alert this channel when a rule holds\n' +
+            '`/alert list` - List rules and what is firing\n' +
+            '`/alert mute <id> [duration]` / `/alert remove <id>` - Silence or delete a rule',
+        },
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text:
+            '*🔔 Watches*\n' +
+            '`/watch add 2 A6000 40GB` - DM me when free GPUs turn up\n' +
+            '`/watch list` / `/watch remove <id>` - Your watches',
+        },
+      },
       {
         type: 'section',
         text: {
@@ -900,11 +1355,60 @@ function getMainHelpMessage() {
   };
 }
 
+// Close pooled SSH connections and the HTTP server before exiting
+async function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down...`);
+  stopMetricsPolling();
+  stopHistorySampling();
+  stopHealthAlerts();
+  stopIdleReminders();
+  stopAlertRules();
+  stopWatches();
+  await Promise.all([closeAllConnections(), stopHttpServer()]);
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // Start both bots
 (async () => {
+  // gpu-agent reports and Prometheus metrics (both need HTTP_PORT)
+  registerRoute('POST', AGENT_REPORT_PATH, handleAgentReport);
+  registerRoute('GET', METRICS_PATH, handleMetricsRequest);
+  try {
+    if (await startHttpServer()) {
+      startMetricsPolling();
+    }
+  } catch (error) {
+    console.error('Failed to start HTTP server:', error);
+  }
+
+  // GPU history (HISTORY_INTERVAL)
+  startHistorySampling();
+
   await app.start();
   console.log('⚡️ Slack GPU Monitor bot is running!');
 
+  // Server up/down alerts
+  if (process.env.SLACK_ALERT_CHANNEL) {
+    registerAlertSender('slack', text => app.client.chat.postMessage({ channel: process.env.SLACK_ALERT_CHANNEL, text }));
+  }
+  // Threshold alert rules, each posting to the channel it was added in
+  registerAlertRuleSender('slack', (channel, text) => app.client.chat.postMessage({ channel, text }));
+  // Free-GPU watches, sent by DM to whoever added them
+  registerWatchSender('slack', (userId, text) => app.client.chat.postMessage({ channel: userId, text }));
+  if (process.env.SLACK_IDLE_CHANNEL || process.env.SLACK_USER_MAP) {
+    const channel = process.env.SLACK_IDLE_CHANNEL;
+    registerIdleNotifier('slack', {
+      post: channel ? text => app.client.chat.postMessage({ channel, text }) : undefined,
+      // Posting to a member ID opens a DM with them
+      dm: (userId, text) => app.client.chat.postMessage({ channel: userId, text }),
+      users: parseUserMap(process.env.SLACK_USER_MAP),
+      mention: id => `<@${id}>`,
+    });
+  }
+
   try {
     await startDiscord();
   } catch (error) {
@@ -0,0 +1,87 @@
+/**
+ * Shared status cache with stale-while-revalidate.
+ *
+ * Slack, Discord, the CLI and the monitors all ask for the same server
+ * snapshots; this keeps one poll per server per TTL between them:
+ *   - younger than the TTL: served from the cache
+ *   - up to STALE seconds past the TTL: served stale, refreshed in the background
+ *   - older: the caller waits for a new fetch
+ * Concurrent fetches of the same key share one request. `fresh` skips the
+ * cache (but still joins a fetch that is already running). Errors are cached
+ * for the TTL so a dead server isn't hammered, but never served stale.
+ *
+ * Environment:
+ *   STATUS_CACHE_TTL=15     Seconds a snapshot is fresh (0 disables caching)
+ *   STATUS_CACHE_STALE=60   Seconds past the TTL a snapshot may be served stale
+ */
+const DEFAULT_TTL_SEC = parseFloat(process.env.STATUS_CACHE_TTL ?? '15');
+const DEFAULT_STALE_SEC = parseFloat(process.env.STATUS_CACHE_STALE ?? '60');
+
+/**
+ * Create a keyed stale-while-revalidate cache
+ * @param {{ttlMs?: number, staleMs?: number}} [options] - Defaults from STATUS_CACHE_TTL / STATUS_CACHE_STALE
+ * @returns {{get: Function, invalidate: Function, clear: Function}}
+ */
+export function createCache({ ttlMs = DEFAULT_TTL_SEC * 1000, staleMs = DEFAULT_STALE_SEC * 1000 } = {}) {
+  // key -> { value, error, fetchedAt }
+  const entries = new Map();
+  // key -> Promise of the entry being fetched
+  const inflight = new Map();
+
+  const unwrap = (entry) => {
+    if (entry.error) throw entry.error;
+    return entry.value;
+  };
+
+  function refresh(key, load) {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const promise = Promise.resolve().then(load).then(
+      value => ({ value, error: null, fetchedAt: Date.now() }),
+      error => ({ value: undefined, error, fetchedAt: Date.now() }),
+    ).then((entry) => {
+      // Dropped by invalidate() while running: the result may predate the change
+      if (inflight.get(key) === promise) {
+        inflight.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    });
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  return {
+    /**
+     * Get a value, fetching it with `load` when needed
+     * @param {string} key
+     * @param {Function} load - async () => value
+     * @param {{fresh?: boolean}} [options] - fresh: don't serve a cached value
+     */
+    async get(key, load, { fresh = false } = {}) {
+      const entry = entries.get(key);
+      const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+      if (!fresh && ttlMs > 0 && entry) {
+        if (age < ttlMs) return unwrap(entry);
+        if (age < ttlMs + staleMs && !entry.error) {
+          refresh(key, load);
+          return entry.value;
+        }
+      }
+
+      return unwrap(await refresh(key, load));
+    },
+
+    invalidate(key) {
+      entries.delete(key);
+      inflight.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+      inflight.clear();
+    },
+  };
+}
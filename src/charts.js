@@ -0,0 +1,264 @@
+import { getGpuHistory } from './gpu.js';
+import { createCache } from './cache.js';
+
+/**
+ * Utilization trends from the GPU history (see history.js).
+ *
+ * Status views get a Unicode sparkline of each GPU's utilization over the
+ * last SPARKLINE_HOURS, so a GPU that just went idle can be told from one
+ * that has been idle all afternoon. `/gpu chart` shows utilization and
+ * memory sparklines for one server and, when the optional @resvg/resvg-js
+ * package is installed, a PNG chart rendered from an SVG.
+ *
+ * Environment:
+ *   SPARKLINE_HOURS=6     Hours of history in status view sparklines (0 hides them)
+ */
+const SPARKLINE_HOURS = parseFloat(process.env.SPARKLINE_HOURS ?? '6');
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const STATUS_POINTS = 12;
+const CHART_POINTS = 48;
+const MAX_CHART_HOURS = 7 * 24;
+
+// Status views read the history at most every 30s between them
+const trendCache = createCache({ ttlMs: 30000, staleMs: 60000 });
+
+/**
+ * Render values as a sparkline, one character per value; missing values are blank
+ * @param {Array<number|null>} values
+ * @param {{max?: number}} [options] - Value drawn as a full block (default 100)
+ * @returns {string}
+ */
+export function sparkline(values, { max = 100 } = {}) {
+  return values.map((v) => {
+    if (v === null || v === undefined) return ' ';
+    const level = Math.round((Math.min(Math.max(v, 0), max) / max) * (SPARK_CHARS.length - 1));
+    return SPARK_CHARS[level];
+  }).join('');
+}
+
+/**
+ * Average history points into `count` buckets per server and GPU
+ * @param {Array} points - From getGpuHistory
+ * @returns {Map<string, Map<number, {name, util: Array, memory: Array}>>} server -> GPU index -> series (percent, null where empty)
+ */
+function bucketHistory(points, { from, step, count }) {
+  // server -> index -> { name, sums: {util, memory}, counts }
+  const servers = new Map();
+  for (const p of points) {
+    const bucket = Math.floor((p.t - from) / step);
+    if (bucket < 0 || bucket >= count) continue;
+
+    if (!servers.has(p.server)) servers.set(p.server, new Map());
+    const gpus = servers.get(p.server);
+    if (!gpus.has(p.gpu)) {
+      gpus.set(p.gpu, { name: p.name, util: new Array(count).fill(0), memory: new Array(count).fill(0), counts: new Array(count).fill(0) });
+    }
+    const series = gpus.get(p.gpu);
+    if (p.gpuUtilization === null || !(p.memoryTotal > 0)) continue;
+    series.name = p.name || series.name;
+    series.util[bucket] += p.gpuUtilization;
+    series.memory[bucket] += (p.memoryUsed / p.memoryTotal) * 100;
+    series.counts[bucket]++;
+  }
+
+  for (const gpus of servers.values()) {
+    for (const series of gpus.values()) {
+      const { counts } = series;
+      series.util = series.util.map((sum, i) => (counts[i] > 0 ? sum / counts[i] : null));
+      series.memory = series.memory.map((sum, i) => (counts[i] > 0 ? sum / counts[i] : null));
+      delete series.counts;
+    }
+  }
+  return servers;
+}
+
+/**
+ * Read the last `hours` of history into `count` buckets
+ */
+async function readTrends({ server, hours, count }) {
+  const to = Math.floor(Date.now() / 1000);
+  const step = Math.max(1, Math.ceil((hours * 3600) / count));
+  const from = to - step * count;
+  const points = await getGpuHistory({ server, from, to });
+  return { from, to, step, servers: bucketHistory(points, { from, step, count }) };
+}
+
+/**
+ * Attach a utilization sparkline to each GPU of status results
+ * @param {Array} results - From getAllServersGpuStatusWithProcesses; each gets
+ *   `trends`: Map(GPU index -> sparkline) for GPUs with recorded history
+ * @param {{hours?: number}} [options] - Default SPARKLINE_HOURS
+ * @returns {Promise<Array>} The same results
+ */
+export async function addUtilizationTrends(results, { hours = SPARKLINE_HOURS } = {}) {
+  if (!(hours > 0)) return results;
+  try {
+    const { servers } = await trendCache.get(String(hours), () => readTrends({ hours, count: STATUS_POINTS }));
+    for (const result of results) {
+      const gpus = servers.get(result.server.name);
+      if (!gpus) continue;
+      result.trends = new Map([...gpus]
+        .filter(([, series]) => series.util.some(v => v !== null))
+        .map(([index, series]) => [index, sparkline(series.util)]));
+    }
+  } catch (error) {
+    // Trends are an extra; the status view works without them
+    console.error('Failed to read GPU history for sparklines:', error.message);
+  }
+  return results;
+}
+
+/**
+ * Parse the hours argument of /gpu chart
+ * @param {string} [arg]
+ * @returns {number} Default 6
+ */
+export function parseChartHours(arg) {
+  if (arg === undefined || arg === null || arg === '') return 6;
+  const hours = parseFloat(arg);
+  if (!(hours > 0) || hours > MAX_CHART_HOURS) {
+    throw new Error(`Invalid number of hours "${arg}". Use a number from 1 to ${MAX_CHART_HOURS}.`);
+  }
+  return hours;
+}
+
+/**
+ * Utilization and memory series for one server's GPUs
+ * @param {string} serverName
+ * @param {number} hours
+ * @returns {Promise<{server, hours, from, to, step, gpus: Array<{index, name, util, memory}>}>}
+ *   util and memory are percentages per bucket (null where nothing was recorded)
+ */
+export async function getChartData(serverName, hours) {
+  const { from, to, step, servers } = await readTrends({ server: serverName, hours, count: CHART_POINTS });
+  const gpus = [...(servers.values().next().value || new Map())]
+    .map(([index, series]) => ({ index, ...series }))
+    .sort((a, b) => a.index - b.index);
+  return { server: serverName, hours, from, to, step, gpus };
+}
+
+/**
+ * Mean of the recorded values of a series
+ * @returns {number|null}
+ */
+export function seriesAverage(values) {
+  const recorded = values.filter(v => v !== null);
+  return recorded.length > 0 ? recorded.reduce((a, b) => a + b, 0) / recorded.length : null;
+}
+
+/**
+ * Latest recorded value of a series
+ * @returns {number|null}
+ */
+export function seriesLatest(values) {
+  for (let i = values.length - 1; i >= 0; i--) {
+    if (values[i] !== null) return values[i];
+  }
+  return null;
+}
+
+/**
+ * Two text lines per GPU: utilization and memory sparklines with latest and average values
+ * @param {Object} chart - From getChartData
+ * @returns {string[]} e.g. ["GPU 0  util ▁▂▅▇█  97%  avg 64%", "       mem  ▃▃▅▆▆  86%  avg 71%"]
+ */
+export function formatChartLines(chart) {
+  const pct = v => (v === null ? '-' : `${Math.round(v)}%`).padStart(4);
+  const width = Math.max(...chart.gpus.map(g => String(g.index).length));
+  const row = (label, values) => `${label} ${sparkline(values)} ${pct(seriesLatest(values))}  avg ${pct(seriesAverage(values)).trim()}`;
+  return chart.gpus.flatMap(g => [
+    row(`GPU ${String(g.index).padEnd(width)}  util`, g.util),
+    row(`${' '.repeat(width + 4)}  mem `, g.memory),
+  ]);
+}
+
+const LINE_COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7'];
+
+function escapeXml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a chart of utilization and memory per GPU as SVG
+ * @param {Object} chart - From getChartData
+ * @returns {string}
+ */
+export function renderChartSvg(chart) {
+  const width = 900;
+  const panelHeight = 180;
+  const left = 50;
+  const right = 130;
+  const top = 70;
+  const gap = 50;
+  const plotWidth = width - left - right;
+  const height = top + 2 * panelHeight + gap + 40;
+  const count = chart.gpus[0]?.util.length || CHART_POINTS;
+  const x = i => left + ((i + 0.5) / count) * plotWidth;
+  const time = t => new Date(t * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif" font-size="12">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<text x="${left}" y="22" font-size="16" font-weight="bold">${escapeXml(chart.server)} - last ${chart.hours}h</text>`,
+  ];
+
+  const panels = [['Utilization %', 'util'], ['Memory %', 'memory']];
+  panels.forEach(([title, key], p) => {
+    const y0 = top + p * (panelHeight + gap);
+    const y = v => y0 + panelHeight - (v / 100) * panelHeight;
+    parts.push(`<text x="${left}" y="${y0 - 8}" font-weight="bold">${title}</text>`);
+    for (const v of [0, 50, 100]) {
+      parts.push(`<line x1="${left}" x2="${left + plotWidth}" y1="${y(v)}" y2="${y(v)}" stroke="#dddddd"/>`);
+      parts.push(`<text x="${left - 6}" y="${y(v) + 4}" text-anchor="end" fill="#666666">${v}</text>`);
+    }
+
+    chart.gpus.forEach((gpu, g) => {
+      // Break the line where nothing was recorded
+      let path = '';
+      let drawing = false;
+      gpu[key].forEach((v, i) => {
+        if (v === null) {
+          drawing = false;
+          return;
+        }
+        path += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)} `;
+        drawing = true;
+      });
+      if (path) {
+        parts.push(`<path d="${path.trim()}" fill="none" stroke="${LINE_COLORS[g % LINE_COLORS.length]}" stroke-width="2"/>`);
+      }
+    });
+  });
+
+  // Time axis under the bottom panel
+  const axisY = top + 2 * panelHeight + gap + 16;
+  for (const [i, anchor] of [[0, 'start'], [count / 2, 'middle'], [count, 'end']]) {
+    const t = chart.from + i * chart.step;
+    parts.push(`<text x="${left + (i / count) * plotWidth}" y="${axisY}" text-anchor="${anchor}" fill="#666666">${time(t)}</text>`);
+  }
+
+  // Legend
+  chart.gpus.forEach((gpu, g) => {
+    const ly = top + 10 + g * 18;
+    parts.push(`<rect x="${width - right + 15}" y="${ly - 9}" width="12" height="12" fill="${LINE_COLORS[g % LINE_COLORS.length]}"/>`);
+    parts.push(`<text x="${width - right + 32}" y="${ly + 1}">GPU ${escapeXml(gpu.index)}</text>`);
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Render SVG to PNG with @resvg/resvg-js
+ * @param {string} svg
+ * @returns {Promise<Buffer|null>} null if @resvg/resvg-js isn't installed
+ */
+export async function renderPng(svg) {
+  let Resvg;
+  try {
+    ({ Resvg } = await import('@resvg/resvg-js'));
+  } catch {
+    return null;
+  }
+  return new Resvg(svg, { font: { loadSystemFonts: true, defaultFontFamily: 'sans-serif' } }).render().asPng();
+}
@@ -1,4 +1,20 @@
-import { getGpuStatusIndicator, getTopUserForGpu, getUserProcesses } from './gpu.js';
+import {
+  getGpuStatusIndicator,
+  getShortGpuName,
+  getTopUserForGpu,
+  getUserProcesses,
+  getGpuWarnings,
+  getThrottleReasonLabels,
+  getAllProcesses,
+  formatDuration,
+  formatHealthSummary,
+} from './gpu.js';
+import { formatHostSummary, getHostWarnings } from './host.js';
+import { formatTopologyMatrix, getNvlinkGroups, LINK_DESCRIPTIONS } from './topology.js';
+import { formatUsageSummary, formatUsageTable } from './usage.js';
+import { formatChartLines } from './charts.js';
+import { formatIdleCriteria, formatIdleDuration } from './idle.js';
+import { formatDiagnosticLabel } from './diagnostics.js';
 
 // ANSI color helpers
 const c = {
@@ -9,6 +25,7 @@ const c = {
   green: '\x1b[32m',
   yellow: '\x1b[33m',
   blue: '\x1b[34m',
+  magenta: '\x1b[35m',
   cyan: '\x1b[36m',
   white: '\x1b[37m',
   gray: '\x1b[90m',
@@ -33,7 +50,7 @@ function progressBar(percent, length = 20) {
 
 /**
  * Format multi-server GPU status for terminal output
- * @param {Array} serverResults - Array of { server, gpus, processes, error }
+ * @param {Array} serverResults - Array of { server, gpus, processes, error, trends? } (trends: see charts.js)
  * @param {string|null} username - Username to highlight processes for
  */
 export function formatCliStatus(serverResults, username = null) {
@@ -48,14 +65,23 @@ export function formatCliStatus(serverResults, username = null) {
   lines.push('');
 
   for (const result of serverResults) {
+    const healthSummary = formatHealthSummary(result.health);
     if (result.error) {
       lines.push(`${c.red}■${c.reset} ${c.bold}${result.server.name}${c.reset} ${c.dim}(${result.server.host})${c.reset}`);
       lines.push(`  ${c.red}✗ ${result.error}${c.reset}`);
+      if (healthSummary) lines.push(`  ${c.dim}health:${c.reset} ${healthSummary}`);
       lines.push('');
       continue;
     }
 
     lines.push(`${c.green}■${c.reset} ${c.bold}${result.server.name}${c.reset} ${c.dim}(${result.server.host})${c.reset}`);
+    if (healthSummary) lines.push(`  ${c.dim}health:${c.reset} ${healthSummary}`);
+    if (result.host) {
+      lines.push(`  ${c.dim}host:${c.reset} ${formatHostSummary(result.host)}`);
+      for (const warning of getHostWarnings(result.host)) {
+        lines.push(`  ${c.yellow}⚠ ${warning}${c.reset}`);
+      }
+    }
 
     const processes = result.processes || new Map();
 
@@ -63,7 +89,7 @@ export function formatCliStatus(serverResults, username = null) {
       const memPercent = (gpu.memoryUsed / gpu.memoryTotal) * 100;
       const memGB = (gpu.memoryUsed / 1024).toFixed(1);
       const memTotalGB = (gpu.memoryTotal / 1024).toFixed(1);
-      const shortName = gpu.name.replace(/NVIDIA\s*(RTX\s*)?/i, '').replace(/\s+NVL.*$/i, '').trim();
+      const shortName = getShortGpuName(gpu.name);
 
       // Top user info
       const topUser = getTopUserForGpu(processes, gpu.index);
@@ -78,9 +104,23 @@ export function formatCliStatus(serverResults, username = null) {
         `  ${c.dim}mem:${c.reset} ${memGB}/${memTotalGB}GB` +
         `  ${c.dim}temp:${c.reset} ${gpu.temperature}°C` +
         `  ${c.dim}pwr:${c.reset} ${gpu.powerDraw.toFixed(0)}/${gpu.powerLimit.toFixed(0)}W` +
-        topUserStr
+        topUserStr +
+        (gpu.unattributedMemoryMB > 0 ? `  ${c.magenta}👻 ${(gpu.unattributedMemoryMB / 1024).toFixed(1)}GB unattributed${c.reset}` : '') +
+        (getGpuWarnings(gpu).length > 0 ? `  ${c.yellow}⚠${c.reset}` : '')
       );
-      lines.push(`       ${progressBar(gpu.gpuUtilization)} gpu  ${progressBar(memPercent)} mem`);
+      const trend = result.trends?.get(gpu.index);
+      lines.push(`       ${progressBar(gpu.gpuUtilization)} gpu  ${progressBar(memPercent)} mem` +
+        (trend ? `  ${c.dim}trend:${c.reset} ${trend}` : ''));
+
+      for (const mig of gpu.migDevices || []) {
+        const migUser = getTopUserForGpu(processes, mig.id);
+        const migTotal = mig.memoryTotal !== null ? `${(mig.memoryTotal / 1024).toFixed(1)}GB` : '?';
+        lines.push(
+          `       ${c.dim}↳ MIG ${mig.id}${c.reset} ${mig.profile}` +
+          `  ${c.dim}mem:${c.reset} ${(mig.memoryUsed / 1024).toFixed(1)}/${migTotal}` +
+          (migUser ? `  ${c.dim}top:${c.reset} ${c.yellow}${migUser.user}${c.reset}` : '')
+        );
+      }
     }
 
     // Show user's processes if username is configured
@@ -100,6 +140,53 @@ export function formatCliStatus(serverResults, username = null) {
   return lines.join('\n');
 }
 
+/**
+ * Format a possibly-missing value with a unit
+ */
+function orNA(value, unit = '') {
+  return value === null || value === undefined || Number.isNaN(value) ? 'N/A' : `${value}${unit}`;
+}
+
+/**
+ * Format detailed per-GPU telemetry for one server
+ * @param {Object} server - Server configuration
+ * @param {Array} gpus - GPU info objects
+ */
+export function formatCliGpuDetail(server, gpus) {
+  const lines = [];
+  lines.push(`${c.bold}${c.cyan}GPU Details${c.reset}  ${c.bold}${server.name}${c.reset} ${c.dim}(${server.host})${c.reset}`);
+  lines.push('');
+
+  for (const gpu of gpus) {
+    const { clocks, ecc, pcie } = gpu;
+    const throttle = getThrottleReasonLabels(gpu, { includeBenign: true });
+    const persistence = gpu.persistenceMode === null || gpu.persistenceMode === undefined
+      ? 'N/A'
+      : gpu.persistenceMode ? 'on' : 'off';
+
+    lines.push(`${colorByUtil(gpu.gpuUtilization)}■${c.reset} GPU ${gpu.index}: ${c.bold}${gpu.name}${c.reset}  ${gpu.gpuUtilization}%`);
+    lines.push(`  ${c.dim}temp:${c.reset} ${orNA(gpu.temperature, '°C')}  ${c.dim}fan:${c.reset} ${orNA(gpu.fanSpeed, '%')}  ${c.dim}pwr:${c.reset} ${orNA(gpu.powerDraw, 'W')}/${orNA(gpu.powerLimit, 'W')}  ${c.dim}persistence:${c.reset} ${persistence}`);
+    lines.push(`  ${c.dim}clocks:${c.reset} sm ${orNA(clocks?.sm)}/${orNA(clocks?.maxSm)} MHz  mem ${orNA(clocks?.memory)}/${orNA(clocks?.maxMemory)} MHz`);
+    lines.push(`  ${c.dim}throttle:${c.reset} ${throttle.length > 0 ? throttle.join(', ') : 'none'}`);
+    lines.push(
+      `  ${c.dim}ecc:${c.reset} ` +
+      (ecc
+        ? `corrected ${orNA(ecc.volatileCorrected)}/${orNA(ecc.aggregateCorrected)}  uncorrected ${orNA(ecc.volatileUncorrected)}/${orNA(ecc.aggregateUncorrected)} ${c.dim}(volatile/aggregate)${c.reset}`
+        : 'N/A')
+    );
+    lines.push(`  ${c.dim}pcie:${c.reset} ${pcie ? `Gen${orNA(pcie.gen)} x${orNA(pcie.width)} ${c.dim}(max Gen${orNA(pcie.genMax)} x${orNA(pcie.widthMax)})${c.reset}` : 'N/A'}`);
+    for (const mig of gpu.migDevices || []) {
+      lines.push(`  ${c.dim}mig ${mig.id}:${c.reset} ${mig.profile}  ${mig.uuid}`);
+    }
+    for (const warning of getGpuWarnings(gpu)) {
+      lines.push(`  ${c.yellow}⚠ ${warning}${c.reset}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Format server list for terminal
  */
@@ -115,12 +202,71 @@ export function formatCliServerList(servers) {
       `  ${c.dim}host:${c.reset} ${s.host}` +
       `  ${c.dim}port:${c.reset} ${s.port}` +
       (s.identityFile ? `  ${c.dim}key:${c.reset} ${s.identityFile}` : '') +
-      (s.proxyJump ? `  ${c.dim}jump:${c.reset} ${s.proxyJump}` : '')
+      (s.proxyJump ? `  ${c.dim}jump:${c.reset} ${s.proxyJump}` : '') +
+      (s.collector && s.collector !== 'nvidia' ? `  ${c.dim}collector:${c.reset} ${s.collector}` : '') +
+      (s.transport === 'agent' ? `  ${c.dim}transport:${c.reset} agent` : '') +
+      (s.diskMounts?.length > 0 ? `  ${c.dim}disks:${c.reset} ${s.diskMounts.join(',')}` : '') +
+      (s.tags?.length > 0 ? `  ${c.dim}tags:${c.reset} ${s.tags.join(',')}` : '') +
+      (s.timeout != null ? `  ${c.dim}timeout:${c.reset} ${s.timeout}s` : '') +
+      (s.retries != null ? `  ${c.dim}retries:${c.reset} ${s.retries}` : '') +
+      (s.retryDelay != null ? `  ${c.dim}retry delay:${c.reset} ${s.retryDelay}s` : '') +
+      (s.concurrency != null ? `  ${c.dim}concurrency:${c.reset} ${s.concurrency}` : '')
     );
   }
   return lines.join('\n');
 }
 
+/**
+ * Format an import plan (see importers.js planImport) as a diff against servers.json
+ * @param {Array} plan
+ * @param {{source: string, dryRun: boolean, errors: Map}} options - errors: name -> message for entries that failed to apply
+ */
+export function formatCliImportPlan(plan, { source, dryRun, errors = new Map() }) {
+  if (plan.length === 0) return `${c.dim}No servers found in ${source}.${c.reset}`;
+
+  const describe = (e) => `${e.host}:${e.port}` +
+    (e.identityFile ? `  ${c.dim}key:${c.reset} ${e.identityFile}` : '') +
+    (e.proxyJump ? `  ${c.dim}jump:${c.reset} ${e.proxyJump}` : '');
+  const width = Math.max(...plan.map(p => p.entry.name.length));
+
+  const lines = [`${c.bold}Import from ${source}${c.reset}${dryRun ? ` ${c.yellow}(dry run)${c.reset}` : ''}`, ''];
+  for (const { action, entry, changes } of plan) {
+    const name = entry.name.padEnd(width);
+    if (action === 'add') {
+      lines.push(`  ${c.green}+ ${name}${c.reset}  ${describe(entry)}`);
+    } else if (action === 'update') {
+      const diff = Object.entries(changes).map(([field, [before, after]]) =>
+        `${field}: ${c.red}${before ?? 'none'}${c.reset} -> ${c.green}${after ?? 'none'}${c.reset}`);
+      lines.push(`  ${c.yellow}~ ${name}${c.reset}  ${diff.join(', ')}`);
+    } else {
+      lines.push(`  ${c.dim}= ${name}  unchanged${c.reset}`);
+    }
+    if (errors.has(entry.name)) lines.push(`    ${c.red}${errors.get(entry.name)}${c.reset}`);
+  }
+
+  const count = (action) => plan.filter(p => p.action === action && !errors.has(p.entry.name)).length;
+  lines.push('');
+  lines.push(`${dryRun ? 'Would add' : 'Added'} ${count('add')}, ${dryRun ? 'update' : 'updated'} ${count('update')}, ` +
+    `${count('unchanged')} unchanged${errors.size > 0 ? `, ${c.red}${errors.size} failed${c.reset}` : ''}.` +
+    (dryRun ? ` ${c.dim}Nothing was changed.${c.reset}` : ''));
+  return lines.join('\n');
+}
+
+/**
+ * Format connectivity test results
+ * @param {Array<{name: string, gpuCount?: number, error?: string}>} results
+ */
+export function formatCliConnectivity(results) {
+  const width = Math.max(...results.map(r => r.name.length));
+  const lines = [`${c.bold}Connectivity${c.reset}`];
+  for (const r of results) {
+    lines.push(r.error
+      ? `  ${c.red}✗${c.reset} ${r.name.padEnd(width)}  ${r.error}`
+      : `  ${c.green}✓${c.reset} ${r.name.padEnd(width)}  ${r.gpuCount} GPU(s)`);
+  }
+  return lines.join('\n');
+}
+
 /**
  * Format user's processes across all servers
  */
@@ -140,8 +286,8 @@ export function formatCliMyProcesses(serverResults, username) {
     totalProcs += userProcs.length;
     lines.push(`${c.bold}${result.server.name}${c.reset}`);
     for (const p of userProcs) {
-      const gpu = result.gpus.find(g => g.index === p.gpuIndex);
-      const gpuName = gpu ? gpu.name.replace(/NVIDIA\s*(RTX\s*)?/i, '').replace(/\s+NVL.*$/i, '').trim() : '';
+      const gpu = result.gpus.find(g => g.index === p.gpuIndex || (g.migDevices || []).some(m => m.id === p.gpuIndex));
+      const gpuName = gpu ? getShortGpuName(gpu.name) : '';
       lines.push(
         `  GPU ${p.gpuIndex} ${c.dim}(${gpuName})${c.reset}` +
         `  PID ${c.bold}${p.pid}${c.reset}` +
@@ -160,6 +306,153 @@ export function formatCliMyProcesses(serverResults, username) {
   return lines.join('\n');
 }
 
+/**
+ * Format every user's GPU processes, with command line, runtime, CPU and container
+ * @param {Array} serverResults - Array of { server, processes, error }
+ */
+export function formatCliProcessList(serverResults) {
+  const lines = [];
+  lines.push(`${c.bold}${c.cyan}GPU Processes${c.reset}  ${c.dim}${new Date().toLocaleString()}${c.reset}`);
+  lines.push('');
+
+  for (const result of serverResults) {
+    if (result.error) {
+      lines.push(`${c.red}■${c.reset} ${c.bold}${result.server.name}${c.reset}  ${c.red}✗ ${result.error}${c.reset}`);
+      lines.push('');
+      continue;
+    }
+
+    const procs = getAllProcesses(result.processes || new Map());
+    lines.push(`${c.green}■${c.reset} ${c.bold}${result.server.name}${c.reset} ${c.dim}(${procs.length} process(es))${c.reset}`);
+
+    for (const p of procs) {
+      lines.push(
+        `  GPU ${String(p.gpuIndex).padEnd(4)}` +
+        `PID ${c.bold}${String(p.pid).padEnd(8)}${c.reset}` +
+        `${c.yellow}${p.user.padEnd(12)}${c.reset}` +
+        `${(p.memoryMB / 1024).toFixed(1).padStart(6)}GB` +
+        `  ${c.dim}up${c.reset} ${formatDuration(p.elapsedSec).padEnd(7)}` +
+        `  ${c.dim}cpu${c.reset} ${p.cpuPercent !== null ? `${p.cpuPercent}%` : '?'}` +
+        (p.container ? `  ${c.blue}[${p.container}]${c.reset}` : '')
+      );
+      lines.push(`    ${c.dim}${p.command || '?'}${c.reset}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a server's GPU interconnect matrix, NVLink links highlighted
+ * @param {Object} server - Server configuration
+ * @param {Object} topology - Parsed topology from topology.js
+ */
+export function formatCliTopology(server, topology) {
+  const lines = [];
+  lines.push(`${c.bold}${c.cyan}GPU Topology${c.reset}  ${c.bold}${server.name}${c.reset} ${c.dim}(${server.host})${c.reset}`);
+  lines.push('');
+  for (const row of formatTopologyMatrix(topology).split('\n')) {
+    lines.push('  ' + row.replace(/\bNV\d+\b/g, m => `${c.green}${m}${c.reset}`).replace(/\bSYS\b/g, m => `${c.yellow}${m}${c.reset}`));
+  }
+  lines.push('');
+
+  const groups = getNvlinkGroups(topology);
+  lines.push(`${c.bold}NVLink groups:${c.reset} ${groups.length > 0 ? groups.map(g => `[${g.join(',')}]`).join(' ') : 'none'}`);
+  lines.push('');
+  for (const [key, desc] of Object.entries(LINK_DESCRIPTIONS)) {
+    lines.push(`  ${c.dim}${key.padEnd(5)}${desc}${c.reset}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a GPU usage report (see usage.js) for terminal
+ * @param {Object} report - From getUsageReport
+ */
+export function formatCliUsageReport(report) {
+  const lines = [`${c.bold}${c.cyan}GPU Usage${c.reset}  ${c.bold}${report.label}${c.reset}`, `${c.dim}${formatUsageSummary(report)}${c.reset}`, ''];
+  if (report.rows.length === 0) {
+    lines.push(`${c.dim}No GPU usage recorded in this range. Usage comes from the bot's GPU history (HISTORY_INTERVAL).${c.reset}`);
+    return lines.join('\n');
+  }
+
+  // Bold the header row of each table
+  const tables = formatUsageTable(report).split('\n\n').map(table => {
+    const [header, ...rows] = table.split('\n');
+    return [`${c.bold}${header}${c.reset}`, ...rows].map(line => `  ${line}`).join('\n');
+  });
+  lines.push(tables.join('\n\n'));
+  lines.push('');
+  lines.push(`${c.dim}GPU-hours split each GPU between its users by memory. --csv or --json for the per-server, per-model rows.${c.reset}`);
+  return lines.join('\n');
+}
+
+/**
+ * Format a server's utilization and memory history (see charts.js) as sparklines
+ * @param {Object} chart - From getChartData
+ */
+export function formatCliChart(chart) {
+  const lines = [`${c.bold}${c.cyan}GPU History${c.reset}  ${c.bold}${chart.server}${c.reset} ${c.dim}last ${chart.hours}h, one bar per ${formatDuration(chart.step)}${c.reset}`, ''];
+  if (chart.gpus.length === 0) {
+    lines.push(`${c.dim}No GPU history recorded for ${chart.server} in the last ${chart.hours}h. The bot records it every HISTORY_INTERVAL seconds.${c.reset}`);
+    return lines.join('\n');
+  }
+  lines.push(...formatChartLines(chart).map(line => `  ${line}`));
+  return lines.join('\n');
+}
+
+/**
+ * Format idle hogs (see idle.js) for terminal
+ * @param {{hogs: Array, sampled: boolean}} idle - From findIdleHogs
+ */
+export function formatCliIdle({ hogs, sampled }) {
+  const lines = [`${c.bold}${c.cyan}Idle GPUs${c.reset}  ${c.dim}${formatIdleCriteria()}${c.reset}`, ''];
+  if (!sampled) {
+    lines.push(`${c.dim}No GPU history recorded yet, so idle time is unknown. The bot records it every HISTORY_INTERVAL seconds.${c.reset}`);
+    return lines.join('\n');
+  }
+  if (hogs.length === 0) {
+    lines.push(`${c.green}No GPUs are being held idle.${c.reset}`);
+    return lines.join('\n');
+  }
+
+  for (const hog of hogs) {
+    lines.push(
+      `  ${c.bold}${hog.server}${c.reset} GPU ${hog.gpu}  ${c.yellow}${hog.user}${c.reset}` +
+      `  ${(hog.memoryMB / 1024).toFixed(1)}GB  ${c.dim}at${c.reset} ${hog.utilization}%` +
+      `  ${c.dim}for${c.reset} ${c.red}${formatIdleDuration(hog)}${c.reset}`
+    );
+    for (const p of hog.processes) {
+      lines.push(`    ${c.dim}PID ${p.pid}  ${(p.memoryMB / 1024).toFixed(1)}GB  ${(p.command || '?').slice(0, 100)}${c.reset}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format diagnostics (see diagnostics.js) for terminal
+ * @param {Array} issues - From collectDiagnostics
+ * @param {number} serverCount - Servers checked
+ */
+export function formatCliDiagnostics(issues, serverCount) {
+  const lines = [`${c.bold}${c.cyan}GPU Diagnostics${c.reset}`, ''];
+  if (issues.length === 0) {
+    lines.push(`${c.green}No problems found on ${serverCount} server(s).${c.reset}`);
+    return lines.join('\n');
+  }
+
+  const colors = { unreachable: c.red, unattributed: c.magenta, gpu: c.yellow, host: c.yellow };
+  for (const issue of issues) {
+    lines.push(`  ${colors[issue.kind]}${formatDiagnosticLabel(issue)}${c.reset}  ${issue.message}`);
+  }
+  if (issues.some(issue => issue.kind === 'unattributed')) {
+    lines.push('', `${c.dim}👻 = GPU memory in use with no process listed. Look for it with: sudo fuser -v /dev/nvidia*  or  docker stats${c.reset}`);
+  }
+  return lines.join('\n');
+}
+
 /**
  * Format help for CLI
  */
@@ -168,16 +461,32 @@ export function formatCliHelp() {
 
 ${c.bold}Usage:${c.reset}
   gpu-cli status [server]         Show GPU status (with top user per GPU)
+  gpu-cli detail <server> [gpu]   Show clocks, fan, throttling, ECC and PCIe per GPU
   gpu-cli my-processes            Show all your GPU processes
+  gpu-cli ps --all [server]       Show every user's GPU processes with command, runtime and container
+  gpu-cli topo <server>           Show the NVLink / PCIe topology matrix
+  gpu-cli report [week|month|YYYY-MM|<from> <to>] [--server name] [--csv|--json]
+                    GPU-hours and GB-hours per user, server and GPU model (from the bot's history)
+  gpu-cli chart <server> [hours] [--png file | --svg file]
+                    Utilization and memory sparklines for the last hours (default 6), optionally as an image
+  gpu-cli idle [server]           GPUs whose memory is held at ~0% utilization, with owner and duration
+  gpu-cli diag [server] [--fresh] Unreachable servers, unattributed GPU memory and hardware warnings
   gpu-cli config list             List configured servers
-  gpu-cli config add <name> <user@host> [port] [--key path] [--jump host]
+  gpu-cli config add <name> <user@host> [port] [--key path] [--jump host] [--collector nvidia|rocm|dcgm] [--transport ssh|agent]
+                    [--fingerprint SHA256:...] [--yes]   (shows the host key and pins it)
+  gpu-cli config trust <name> [--fingerprint SHA256:...]  Re-pin a server's host key (e.g. after a reinstall)
+  gpu-cli config import --ssh-config [file] | --inventory <file> [--group g] [--match pattern] [--dry-run] [--no-test]
+                    Add or update servers from ~/.ssh/config or an Ansible inventory, then test them
   gpu-cli config remove <name>    Remove a server
-  gpu-cli config edit <name> [--host h] [--port p] [--key k] [--name n]
+  gpu-cli config edit <name> [--host h] [--port p] [--key k] [--name n] [--collector c] [--transport t] [--disks /,/home]
+                    [--timeout s] [--retries n] [--retry-delay s] [--concurrency n]   ("default" resets)
   gpu-cli set-user <username>     Set your username for process filtering
-  gpu-cli occupy <server> <gpus> <mem_gb> <python_path>
+  gpu-cli occupy <server> <gpus> <mem_gb> <python_path>   (gpus: 0,1 or best:N)
   gpu-cli cancel [server username]
   gpu-cli help                    Show this help
 
+  Status commands accept --fresh to skip the shared status cache.
+
 ${c.bold}Examples:${c.reset}
   gpu-cli status                  # All servers
   gpu-cli status chatdse          # Specific server
@@ -1,34 +1,63 @@
 #!/usr/bin/env node
 import 'dotenv/config';
+import fs from 'fs/promises';
+import readline from 'readline';
 import {
   getAllServersGpuStatusWithProcesses,
   getLocalGpuStatus,
   getLocalGpuProcesses,
+  getLocalGpuSnapshot,
   parseGpuInfo,
   startGpuOccupation,
   cancelAllOccupations,
   killUserProcesses,
   getOccupations,
   getServerGpuStatus,
-  getRemoteGpuProcesses,
+  getRemoteGpuStatus,
+  parseGpuIds,
 } from './gpu.js';
+import { parseBestGpuCount, pickBestFreeGpus, getServerTopology } from './topology.js';
 import {
   addServer,
   removeServer,
   editServer,
   getServers,
   getServer,
+  validateServer,
   getUsername,
   setUsername,
 } from './config.js';
 import {
   formatCliStatus,
+  formatCliGpuDetail,
   formatCliServerList,
   formatCliMyProcesses,
+  formatCliProcessList,
+  formatCliTopology,
   formatCliHelp,
+  formatCliImportPlan,
+  formatCliConnectivity,
+  formatCliUsageReport,
+  formatCliChart,
+  formatCliIdle,
+  formatCliDiagnostics,
 } from './cli-format.js';
+import { closeAllConnections } from './ssh.js';
+import { POLL_SETTING_FLAGS, parsePollSetting } from './polling.js';
+import { fetchHostKeys, trustHostKeys, forgetHostKeys, matchHostKeys } from './host-keys.js';
+import { getTransportMode } from './transport.js';
+import { getCollector, isMetricsUrl } from './collectors.js';
+import { readSshConfig, readInventory, planImport, globToRegExp } from './importers.js';
+import { parseReportRange, getUsageReport, formatUsageCsv } from './usage.js';
+import { addUtilizationTrends, getChartData, parseChartHours, renderChartSvg, renderPng } from './charts.js';
+import { findIdleHogs } from './idle.js';
+import { collectDiagnostics } from './diagnostics.js';
 
-const args = process.argv.slice(2);
+// --fresh skips the status cache. Each CLI run starts with an empty cache,
+// so it only matters within one run; it is accepted everywhere for parity
+// with the bots' refresh option.
+const fresh = process.argv.includes('--fresh');
+const args = process.argv.slice(2).filter(a => a !== '--fresh');
 const command = args[0]?.toLowerCase();
 const subcommand = args[1]?.toLowerCase();
 
@@ -38,10 +67,34 @@ async function main() {
       case 'status':
         await cmdStatus();
         break;
+      case 'detail':
+        await cmdDetail();
+        break;
+      case 'topo':
+        await cmdTopo();
+        break;
+      case 'report':
+        await cmdReport();
+        break;
+      case 'chart':
+        await cmdChart();
+        break;
+      case 'idle':
+        await cmdIdle();
+        break;
+      case 'diag':
+        await cmdDiag();
+        break;
       case 'my-processes':
-      case 'ps':
         await cmdMyProcesses();
         break;
+      case 'ps':
+        if (args.includes('--all')) {
+          await cmdAllProcesses();
+        } else {
+          await cmdMyProcesses();
+        }
+        break;
       case 'config':
         await cmdConfig();
         break;
@@ -66,7 +119,9 @@ async function main() {
     }
   } catch (err) {
     console.error(`\x1b[31mError: ${err.message}\x1b[0m`);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    await closeAllConnections();
   }
 }
 
@@ -87,23 +142,135 @@ async function cmdStatus() {
 
   if (serverName) {
     // Single server
-    const server = await getServer(serverName);
-    if (!server) {
-      throw new Error(`Server not found: ${serverName}`);
-    }
-    const [{ gpus }, processes] = await Promise.all([
-      getServerGpuStatus(serverName),
-      getRemoteGpuProcesses(server),
-    ]);
-    const results = [{ server, gpus, processes, error: null }];
+    const { server, gpus, processes, host } = await getServerGpuStatus(serverName, { fresh });
+    const results = await addUtilizationTrends([{ server, gpus, processes, host, error: null }]);
     console.log(formatCliStatus(results, username));
   } else {
     // All servers
-    const results = await getAllServersGpuStatusWithProcesses();
+    const results = await addUtilizationTrends(await getAllServersGpuStatusWithProcesses({ fresh }));
     console.log(formatCliStatus(results, username));
   }
 }
 
+async function cmdDetail() {
+  const serverName = args[1];
+  if (!serverName) {
+    console.error("Usage: gpu-cli detail <server> [gpu_index]");
+    process.exit(1);
+  }
+
+  const { server, gpus } = await getServerGpuStatus(serverName, { fresh });
+  const selected = args[2] !== undefined ? gpus.filter(g => g.index === parseInt(args[2])) : gpus;
+  if (selected.length === 0) {
+    throw new Error(`GPU ${args[2]} not found on ${server.name}`);
+  }
+  console.log(formatCliGpuDetail(server, selected));
+}
+
+async function cmdTopo() {
+  const serverName = args[1];
+  if (!serverName) {
+    console.error("Usage: gpu-cli topo <server> [--refresh]");
+    process.exit(1);
+  }
+
+  const servers = await getServers();
+  const server = servers.find(s => s.name.toLowerCase() === serverName.toLowerCase());
+  if (!server) throw new Error(`Server not found: ${serverName}`);
+
+  const topology = await getServerTopology(server, { refresh: fresh || args.includes('--refresh') });
+  if (!topology) throw new Error('Topology is only available for servers using the nvidia collector.');
+  console.log(formatCliTopology(server, topology));
+}
+
+async function cmdReport() {
+  const rangeArgs = [];
+  let serverName;
+  let output = 'table';
+  for (let i = 1; i < args.length; i++) {
+    switch (args[i]) {
+      case '--server': serverName = args[++i]; break;
+      case '--csv': output = 'csv'; break;
+      case '--json': output = 'json'; break;
+      default:
+        if (args[i].startsWith('-')) throw new Error(`Unknown option: ${args[i]}`);
+        rangeArgs.push(args[i]);
+    }
+  }
+
+  const range = parseReportRange(rangeArgs);
+  const server = serverName ? await getServer(serverName) : null;
+  if (serverName && !server) throw new Error(`Server not found: ${serverName}`);
+
+  const report = await getUsageReport({ ...range, server: server?.name });
+  if (output === 'csv') {
+    process.stdout.write(formatUsageCsv(report));
+  } else if (output === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(formatCliUsageReport(report));
+  }
+}
+
+async function cmdChart() {
+  const positional = [];
+  let pngFile;
+  let svgFile;
+  for (let i = 1; i < args.length; i++) {
+    switch (args[i]) {
+      case '--png': pngFile = args[++i]; break;
+      case '--svg': svgFile = args[++i]; break;
+      default:
+        if (args[i].startsWith('-')) throw new Error(`Unknown option: ${args[i]}`);
+        positional.push(args[i]);
+    }
+  }
+  if (!positional[0]) {
+    console.error('Usage: gpu-cli chart <server> [hours] [--png file | --svg file]');
+    process.exit(1);
+  }
+
+  const server = await getServer(positional[0]);
+  if (!server) throw new Error(`Server not found: ${positional[0]}`);
+
+  const chart = await getChartData(server.name, parseChartHours(positional[1]));
+  console.log(formatCliChart(chart));
+  if (!pngFile && !svgFile) return;
+  if (chart.gpus.length === 0) throw new Error('Nothing to draw: no history in this range.');
+
+  const svg = renderChartSvg(chart);
+  if (svgFile) {
+    await fs.writeFile(svgFile, svg);
+    console.log(`\nWrote ${svgFile}`);
+  }
+  if (pngFile) {
+    const png = await renderPng(svg);
+    if (!png) throw new Error('PNG charts need the optional @resvg/resvg-js package (npm install @resvg/resvg-js), or use --svg.');
+    await fs.writeFile(pngFile, png);
+    console.log(`\nWrote ${pngFile}`);
+  }
+}
+
+async function cmdIdle() {
+  let server;
+  if (args[1]) {
+    server = await getServer(args[1]);
+    if (!server) throw new Error(`Server not found: ${args[1]}`);
+  }
+  console.log(formatCliIdle(await findIdleHogs({ server: server?.name })));
+}
+
+async function cmdDiag() {
+  let results = await getAllServersGpuStatusWithProcesses({ fresh });
+  if (args[1]) {
+    results = results.filter(r => r.server.name.toLowerCase() === args[1].toLowerCase());
+    if (results.length === 0) throw new Error(`Server not found: ${args[1]}`);
+  }
+  const issues = collectDiagnostics(results);
+  console.log(formatCliDiagnostics(issues, results.length));
+  if (issues.length > 0) process.exitCode = 1;
+}
+
 async function cmdMyProcesses() {
   const username = await getUsername();
   if (!username) {
@@ -123,10 +290,30 @@ async function cmdMyProcesses() {
     return;
   }
 
-  const results = await getAllServersGpuStatusWithProcesses();
+  const results = await getAllServersGpuStatusWithProcesses({ fresh });
   console.log(formatCliMyProcesses(results, username));
 }
 
+async function cmdAllProcesses() {
+  // gpu-cli ps --all [server]
+  const serverName = args.slice(1).find(a => a !== '--all');
+  const servers = await getServers();
+
+  if (servers.length === 0) {
+    const { processes } = await getLocalGpuSnapshot();
+    console.log(formatCliProcessList([{ server: { name: 'Local', host: 'localhost' }, processes, error: null }]));
+    return;
+  }
+
+  if (serverName) {
+    const { server, processes } = await getServerGpuStatus(serverName, { fresh });
+    console.log(formatCliProcessList([{ server, processes, error: null }]));
+  } else {
+    const results = await getAllServersGpuStatusWithProcesses({ fresh });
+    console.log(formatCliProcessList(results));
+  }
+}
+
 async function cmdConfig() {
   switch (subcommand) {
     case 'list':
@@ -140,19 +327,122 @@ async function cmdConfig() {
       const name = args[2];
       const host = args[3];
       if (!name || !host) {
-        console.error("Usage: gpu-cli config add <name> <user@host> [port] [--key path] [--jump host]");
+        console.error("Usage: gpu-cli config add <name> <user@host> [port] [--key path] [--jump host] [--collector nvidia|rocm|dcgm] [--transport ssh|agent] [--fingerprint SHA256:...] [--yes]");
         process.exit(1);
       }
       let port = 22;
       let identityFile = null;
       let proxyJump = null;
+      let collector = null;
+      let transport = null;
+      let fingerprint = null;
       for (let i = 4; i < args.length; i++) {
         if (args[i] === '--key' || args[i] === '-i') { identityFile = args[++i]; }
         else if (args[i] === '--jump' || args[i] === '-J') { proxyJump = args[++i]; }
+        else if (args[i] === '--collector') { collector = args[++i]; }
+        else if (args[i] === '--transport') { transport = args[++i]; }
+        else if (args[i] === '--fingerprint') { fingerprint = args[++i]; }
         else if (/^\d+$/.test(args[i])) { port = parseInt(args[i]); }
       }
-      const server = await addServer({ name, host, port, identityFile, proxyJump });
-      console.log(`Added server: ${server.name} (${server.host}:${server.port})`);
+
+      // Trust on first use: show the server's key and pin it
+      const candidate = { name, host, port, identityFile, proxyJump };
+      let hostKeys = [];
+      if (usesHostKey(candidate, collector)) {
+        try {
+          hostKeys = await confirmHostKeys(candidate, await fetchHostKeys(candidate), fingerprint);
+          fingerprint = hostKeys[0].fingerprint;
+        } catch (error) {
+          if (error.hostKeyChanged || error.declined) throw error;
+          console.warn(`Warning: ${error.message}`);
+        }
+      }
+
+      const server = await addServer({ name, host, port, identityFile, proxyJump, collector, transport, hostKeyFingerprint: fingerprint });
+      if (hostKeys.length > 0) await trustHostKeys(server, hostKeys);
+      console.log(`Added server: ${server.name} (${server.collector === 'dcgm' ? server.host : `${server.host}:${server.port}`})`);
+      if (hostKeys.length === 0 && usesHostKey(server, server.collector)) {
+        console.log(fingerprint
+          ? `Pinned ${fingerprint}; it is checked on the first connection.`
+          : `No host key pinned. Run 'gpu-cli config trust ${server.name}' once it is reachable.`);
+      }
+      break;
+    }
+    case 'trust': {
+      const nameOrId = args[2];
+      if (!nameOrId) {
+        console.error("Usage: gpu-cli config trust <name> [--fingerprint SHA256:...] [--yes]");
+        process.exit(1);
+      }
+      const server = await getServer(nameOrId);
+      if (!server) throw new Error(`Server "${nameOrId}" not found.`);
+      if (!usesHostKey(server, server.collector)) {
+        throw new Error(`${server.name} is not reached over SSH, so it has no host key.`);
+      }
+      const flagIndex = args.indexOf('--fingerprint');
+      const fingerprint = flagIndex !== -1 ? args[flagIndex + 1] : null;
+
+      const hostKeys = await confirmHostKeys(server, await fetchHostKeys(server), fingerprint);
+      await editServer(server.id, { hostKeyFingerprint: hostKeys[0].fingerprint });
+      await trustHostKeys(server, hostKeys);
+      if (server.hostKeyFingerprint && server.hostKeyFingerprint !== hostKeys[0].fingerprint) {
+        console.log(`Replaced pinned key ${server.hostKeyFingerprint}`);
+      }
+      console.log(`Trusted host key for ${server.name}: ${hostKeys[0].fingerprint}`);
+      break;
+    }
+    case 'import': {
+      // --ssh-config takes an optional file; a following --flag isn't one
+      const option = (flag) => {
+        const i = args.indexOf(flag);
+        if (i === -1) return undefined;
+        return args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : null;
+      };
+      const sshConfig = option('--ssh-config');
+      const inventory = option('--inventory');
+      if (sshConfig === undefined && !inventory) {
+        console.error("Usage: gpu-cli config import --ssh-config [file] | --inventory <file> [--group g] [--match pattern] [--dry-run] [--no-test]");
+        process.exit(1);
+      }
+      const match = option('--match');
+      const dryRun = args.includes('--dry-run');
+
+      const source = inventory || sshConfig || '~/.ssh/config';
+      let entries = inventory
+        ? await readInventory(inventory, { group: option('--group') || undefined })
+        : await readSshConfig(sshConfig || undefined);
+      if (match) entries = entries.filter(entry => globToRegExp(match).test(entry.name));
+
+      const plan = planImport(await getServers(), entries);
+      const errors = new Map();
+      for (const { action, entry, server, changes } of plan) {
+        try {
+          validateServer({ ...server, ...entry });
+          if (dryRun) continue;
+          if (action === 'add') await addServer(entry);
+          if (action === 'update') {
+            await editServer(server.id, Object.fromEntries(Object.entries(changes).map(([field, [, after]]) => [field, after])));
+          }
+        } catch (error) {
+          errors.set(entry.name, error.message);
+        }
+      }
+      console.log(formatCliImportPlan(plan, { source, dryRun, errors }));
+
+      if (!args.includes('--no-test') && plan.length > 0) {
+        const imported = plan.filter(p => !errors.has(p.entry.name));
+        const configured = await getServers();
+        const targets = imported.map(({ entry, server }) => dryRun
+          ? { ...server, ...entry }
+          : configured.find(s => s.name.toLowerCase() === entry.name.toLowerCase()));
+        console.log('');
+        console.log(formatCliConnectivity(await testConnectivity(targets)));
+        // A dry run leaves nothing behind, including host keys accepted while testing
+        if (dryRun) {
+          await Promise.all(imported.filter(p => p.action === 'add').map(p => forgetHostKeys(p.entry)));
+        }
+      }
+      if (errors.size > 0) process.exitCode = 1;
       break;
     }
     case 'remove':
@@ -163,13 +453,14 @@ async function cmdConfig() {
         process.exit(1);
       }
       const removed = await removeServer(nameOrId);
+      await forgetHostKeys(removed);
       console.log(`Removed server: ${removed.name}`);
       break;
     }
     case 'edit': {
       const nameOrId = args[2];
       if (!nameOrId) {
-        console.error("Usage: gpu-cli config edit <name> [--host h] [--port p] [--key k] [--name n]");
+        console.error("Usage: gpu-cli config edit <name> [--host h] [--port p] [--key k] [--name n] [--collector c] [--transport t] [--disks /,/home] [--tags a,b] [--timeout s] [--retries n] [--retry-delay s] [--concurrency n]");
         process.exit(1);
       }
       const updates = {};
@@ -180,14 +471,23 @@ async function cmdConfig() {
           case '--key': case '-i': updates.identityFile = args[++i]; break;
           case '--name': updates.name = args[++i]; break;
           case '--jump': case '-J': updates.proxyJump = args[++i]; break;
+          case '--collector': updates.collector = args[++i]; break;
+          case '--transport': updates.transport = args[++i]; break;
+          case '--disks': updates.diskMounts = (args[++i] || '').split(',').filter(Boolean); break;
+          case '--tags': updates.tags = (args[++i] || '').split(',').filter(Boolean); break;
+          default:
+            if (POLL_SETTING_FLAGS[args[i]]) updates[POLL_SETTING_FLAGS[args[i]]] = parsePollSetting(args[++i]);
         }
       }
       if (Object.keys(updates).length === 0) {
-        console.error("No updates provided. Use --host, --port, --key, --name, --jump.");
+        console.error("No updates provided. Use --host, --port, --key, --name, --jump, --collector, --transport, --disks, --tags, --timeout, --retries, --retry-delay, --concurrency.");
         process.exit(1);
       }
       const server = await editServer(nameOrId, updates);
       console.log(`Updated server: ${server.name}`);
+      if (server.hostKeyFingerprint && (updates.host || updates.port || updates.proxyJump !== undefined)) {
+        console.log(`If ${server.name} now points at a different machine, run 'gpu-cli config trust ${server.name}' to pin its host key.`);
+      }
       break;
     }
     default:
@@ -196,6 +496,69 @@ async function cmdConfig() {
   }
 }
 
+/**
+ * Poll each server's GPU collector once
+ * @returns {Promise<Array<{name: string, gpuCount?: number, error?: string}>>}
+ */
+async function testConnectivity(servers) {
+  return Promise.all(servers.map(async (server) => {
+    try {
+      const gpus = getCollector(server).parseGpus(await getRemoteGpuStatus(server));
+      return { name: server.name, gpuCount: gpus.length };
+    } catch (error) {
+      return { name: server.name, error: error.message };
+    }
+  }));
+}
+
+/**
+ * Whether a server is reached over SSH (and so has a host key to check)
+ * in the current transport mode
+ */
+function usesHostKey(server, collector) {
+  return ['ssh', 'record'].includes(getTransportMode()) &&
+    Boolean(server.host) && collector !== 'dcgm' && !isMetricsUrl(server.host);
+}
+
+/**
+ * Ask a yes/no question on the terminal
+ */
+function confirm(prompt) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(`${prompt} (y/n): `, (answer) => {
+      rl.close();
+      resolve(answer.trim().toLowerCase() === 'y');
+    });
+  });
+}
+
+/**
+ * Confirm fetched host keys: against --fingerprint if given, otherwise by
+ * showing the fingerprint and asking (--yes accepts without asking)
+ * @returns {Promise<Array>} The keys to trust; the first is pinned
+ * @throws if the fingerprint doesn't match or the user declines
+ */
+async function confirmHostKeys(server, keys, fingerprint) {
+  if (fingerprint) return matchHostKeys(server, keys, fingerprint);
+
+  for (const key of keys) {
+    console.log(`${server.name} (${server.host}) ${key.type} key fingerprint is ${key.fingerprint}`);
+  }
+  if (args.includes('--yes')) return keys;
+  if (!process.stdin.isTTY) {
+    throw Object.assign(
+      new Error('Cannot confirm the host key without a terminal. Check the fingerprint and pass --fingerprint SHA256:... (or --yes).'),
+      { declined: true }
+    );
+  }
+  console.log('Compare it with the server\'s own key (ssh-keygen -lf /etc/ssh/ssh_host_ed25519_key.pub on the server).');
+  if (!(await confirm('Trust this host key?'))) {
+    throw Object.assign(new Error('Host key not trusted.'), { declined: true });
+  }
+  return keys;
+}
+
 async function cmdSetUser() {
   const username = args[1];
   if (!username) {
@@ -224,10 +587,11 @@ async function cmdOccupy() {
     process.exit(1);
   }
 
-  const gpuIds = gpuIdsStr.split(',').map(id => parseInt(id.trim()));
+  const bestCount = parseBestGpuCount(gpuIdsStr);
+  let gpuIds = bestCount ? null : parseGpuIds(gpuIdsStr);
   const memoryGB = parseFloat(memGBStr);
 
-  if (gpuIds.some(isNaN) || isNaN(memoryGB) || memoryGB <= 0) {
+  if ((!bestCount && !gpuIds) || isNaN(memoryGB) || memoryGB <= 0) {
     console.error("Invalid GPU IDs or memory amount.");
     process.exit(1);
   }
@@ -236,6 +600,12 @@ async function cmdOccupy() {
   const server = servers.find(s => s.name.toLowerCase() === serverName.toLowerCase());
   if (!server) throw new Error(`Server not found: ${serverName}`);
 
+  if (bestCount) {
+    const selection = await pickBestFreeGpus(server, bestCount, memoryGB);
+    gpuIds = selection.gpuIds;
+    console.log(`Selected GPUs ${gpuIds.join(',')}${selection.weakestLink ? ` (weakest link: ${selection.weakestLink})` : ''}`);
+  }
+
   console.log(`Starting GPU occupation on ${serverName}...`);
   const result = await startGpuOccupation(server, pythonPath, gpuIds, memoryGB);
   console.log(`GPU occupation started. GPUs: ${gpuIds.join(',')} | Memory: ${memoryGB}GB each | PID: ${result.pid}`);
@@ -0,0 +1,718 @@
+/**
+ * GPU collector backends.
+ *
+ * A collector knows which command to run on a server and how to turn its
+ * output into the GPU objects the formatters consume:
+ *   { index, name, temperature, gpuUtilization, memoryUtilization,
+ *     memoryUsed, memoryTotal, powerDraw, powerLimit,
+ *     clocks, fanSpeed, throttleReasons, ecc, pcie, persistenceMode,
+ *     migDevices, unattributedMemoryMB }
+ * and into a process map (GPU index -> [{ pid, user, memoryMB, command,
+ * startTime, elapsedSec, cpuPercent, container, cgroup }]).
+ * MIG slices are listed in their parent's `migDevices` and keyed in the
+ * process map by their "<gpu>:<device>" id (e.g. "0:1").
+ *
+ * Each collector also has a snapshot command that gathers GPU metrics,
+ * compute processes and their ps / cgroup / container details in one
+ * sectioned payload, so a full status refresh costs a single remote call:
+ *   ---GPUS---
+ *   <collector output>
+ *   ---PS---
+ *   <ps output>
+ * Only the GPUS section is required. nvidia-smi's extended telemetry
+ * (clocks, throttle reasons, ECC, PCIe) is queried in a separate TELEMETRY
+ * section, so a driver that rejects one of those fields only loses the
+ * telemetry, which is then null.
+ *
+ * Servers pick a collector with the `collector` field in servers.json
+ * (defaults to "nvidia").
+ *
+ * The dcgm collector is the exception: its server's `host` is the URL of
+ * an NVIDIA dcgm-exporter, which the transport fetches over HTTP instead
+ * of running commands, so no SSH access is needed.
+ *
+ * Snapshots cross-check each GPU's used memory against its processes:
+ * `unattributedMemoryMB` is memory no listed process accounts for, such as
+ * processes in another PID namespace or contexts left behind by dead ones.
+ * Differences under UNATTRIBUTED_MEMORY_MB (default 1024) are driver
+ * overhead and count as 0; the dcgm collector sees no processes and leaves
+ * it null.
+ */
+
+/**
+ * Clock throttle reasons, in query order. nvidia-smi calls them
+ * clocks_event_reasons.* since driver 535 and clocks_throttle_reasons.* before.
+ */
+export const THROTTLE_REASONS = [
+  'gpu_idle',
+  'applications_clocks_setting',
+  'sw_power_cap',
+  'hw_slowdown',
+  'hw_thermal_slowdown',
+  'hw_power_brake_slowdown',
+  'sw_thermal_slowdown',
+  'sync_boost',
+];
+
+const UNATTRIBUTED_MEMORY_MIN_MB = parseFloat(process.env.UNATTRIBUTED_MEMORY_MB ?? '1024');
+
+// Basic fields, supported by every driver (see parseGpuInfo)
+const NVIDIA_QUERY_FIELDS = [
+  'index', 'name', 'temperature.gpu', 'utilization.gpu', 'utilization.memory',
+  'memory.used', 'memory.total', 'power.draw', 'power.limit',
+];
+
+const NVIDIA_SMI_CMD =
+  `nvidia-smi --query-gpu=${NVIDIA_QUERY_FIELDS.join(',')} --format=csv,noheader,nounits`;
+
+// Extended telemetry, after the GPU index (see parseGpuTelemetry)
+const nvidiaTelemetryCmd = reasonPrefix => `nvidia-smi --query-gpu=${[
+  'index',
+  'clocks.sm', 'clocks.mem', 'clocks.max.sm', 'clocks.max.mem', 'fan.speed',
+  ...THROTTLE_REASONS.map(r => `${reasonPrefix}.${r}`),
+  'ecc.errors.corrected.volatile.total', 'ecc.errors.uncorrected.volatile.total',
+  'ecc.errors.corrected.aggregate.total', 'ecc.errors.uncorrected.aggregate.total',
+  'pcie.link.gen.current', 'pcie.link.gen.max', 'pcie.link.width.current', 'pcie.link.width.max',
+  'persistence_mode',
+].join(',')} --format=csv,noheader,nounits`;
+
+// Newer drivers first, then the deprecated names; nothing if both are rejected
+const NVIDIA_TELEMETRY_CMD =
+  `${nvidiaTelemetryCmd('clocks_event_reasons')} 2>/dev/null || ${nvidiaTelemetryCmd('clocks_throttle_reasons')} 2>/dev/null || true`;
+
+const ROCM_SMI_CMD =
+  'rocm-smi --showid --showproductname --showtemp --showuse --showmemuse --showmeminfo vram --showpower --showmaxpower --showfan --showclocks --json';
+
+/**
+ * Process detail sections, given a command that prints the GPU PIDs
+ * comma-separated. Only those PIDs are inspected, so the payload stays small
+ * on busy hosts. PIDS is set in the PS section and reused by the later ones.
+ *   PS:         <pid> <user> <elapsed seconds> <%cpu> <command line>
+ *   CGROUPS:    <pid> <cgroup path> (the container's line when there is one)
+ *   CONTAINERS: <full container id> <name> from docker and podman
+ */
+function processDetailSections(pidListCmd) {
+  return [
+    ['PS', `PIDS=$(${pidListCmd}); [ -n "$PIDS" ] && ps -o pid=,user:32=,etimes=,pcpu=,args= -p "$PIDS" 2>/dev/null || true`],
+    ['CGROUPS', 'for p in $(echo "$PIDS" | tr "," " "); do echo "$p $(grep -m1 -E "docker|libpod|containerd|kubepods" /proc/$p/cgroup 2>/dev/null || head -n1 /proc/$p/cgroup 2>/dev/null)"; done'],
+    ['CONTAINERS', `{ docker ps --no-trunc --format '{{.ID}} {{.Names}}'; podman ps --no-trunc --format '{{.ID}} {{.Names}}'; } 2>/dev/null || true`],
+  ];
+}
+
+/**
+ * Build a shell script that prints each command's output under a
+ * ---NAME--- marker line. The GPU section is required: if it fails the
+ * script exits with its status so SSH errors are reported as before.
+ * @param {Array<[string, string]>} sections - [name, command] pairs
+ */
+export function buildSectionedCmd(sections) {
+  return sections
+    .map(([name, cmd]) => `echo "---${name}---"; ${cmd}${name === 'GPUS' ? ' || exit $?' : ''}`)
+    .join('; ');
+}
+
+/**
+ * Split a sectioned payload into { NAME: text } by its ---NAME--- markers
+ */
+export function parseSections(rawOutput) {
+  const sections = {};
+  let current = null;
+
+  for (const line of rawOutput.split('\n')) {
+    const marker = line.trim().match(/^---([A-Z_]+)---$/);
+    if (marker) {
+      current = marker[1];
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  }
+
+  for (const name of Object.keys(sections)) {
+    sections[name] = sections[name].join('\n').trim();
+  }
+  return sections;
+}
+
+const NVIDIA_SNAPSHOT_CMD = buildSectionedCmd([
+  ['GPUS', NVIDIA_SMI_CMD],
+  ['TELEMETRY', NVIDIA_TELEMETRY_CMD],
+  ['UUIDS', 'nvidia-smi --query-gpu=index,uuid --format=csv,noheader'],
+  ['APPS', 'nvidia-smi --query-compute-apps=gpu_uuid,pid,used_gpu_memory --format=csv,noheader,nounits 2>/dev/null || true'],
+  ['MIG', 'nvidia-smi -L 2>/dev/null || true'],
+  ...processDetailSections('nvidia-smi --query-compute-apps=pid --format=csv,noheader 2>/dev/null | tr -d " " | paste -sd, -'),
+]);
+
+const ROCM_SNAPSHOT_CMD = buildSectionedCmd([
+  ['GPUS', ROCM_SMI_CMD],
+  ['PIDS', 'rocm-smi --showpids --json 2>/dev/null || echo "{}"'],
+  ['PIDGPUS', 'rocm-smi --showpidgpus --json 2>/dev/null || echo "{}"'],
+  ...processDetailSections(`rocm-smi --showpids --json 2>/dev/null | grep -oE '"PID[0-9]+"' | tr -dc '0-9\\n' | paste -sd, -`),
+]);
+
+/**
+ * Parse an optional nvidia-smi value; "[N/A]", "[Not Supported]" etc. become null
+ */
+function parseOptionalNumber(value) {
+  const num = parseFloat(value);
+  return Number.isNaN(num) ? null : num;
+}
+
+/**
+ * Telemetry fields that a collector could not report
+ */
+function emptyTelemetry() {
+  return {
+    clocks: { sm: null, memory: null, maxSm: null, maxMemory: null },
+    fanSpeed: null,
+    throttleReasons: null,
+    ecc: null,
+    pcie: null,
+    persistenceMode: null,
+  };
+}
+
+/**
+ * Parse the extended telemetry columns of an nvidia-smi row
+ * @param {string[]} fields - Columns after the 9 basic fields, or after the index in TELEMETRY rows
+ */
+function parseNvidiaTelemetry(fields) {
+  if (fields.length === 0) return emptyTelemetry();
+
+  const [smClock, memClock, maxSmClock, maxMemClock, fanSpeed, ...rest] = fields;
+  const reasonValues = rest.slice(0, THROTTLE_REASONS.length);
+  const [
+    eccCorrectedVolatile,
+    eccUncorrectedVolatile,
+    eccCorrectedAggregate,
+    eccUncorrectedAggregate,
+    pcieGen,
+    pcieGenMax,
+    pcieWidth,
+    pcieWidthMax,
+    persistenceMode,
+  ] = rest.slice(THROTTLE_REASONS.length);
+
+  const ecc = {
+    volatileCorrected: parseOptionalNumber(eccCorrectedVolatile),
+    volatileUncorrected: parseOptionalNumber(eccUncorrectedVolatile),
+    aggregateCorrected: parseOptionalNumber(eccCorrectedAggregate),
+    aggregateUncorrected: parseOptionalNumber(eccUncorrectedAggregate),
+  };
+
+  return {
+    clocks: {
+      sm: parseOptionalNumber(smClock),
+      memory: parseOptionalNumber(memClock),
+      maxSm: parseOptionalNumber(maxSmClock),
+      maxMemory: parseOptionalNumber(maxMemClock),
+    },
+    fanSpeed: parseOptionalNumber(fanSpeed),
+    // Only reasons reported as "Active"
+    throttleReasons: THROTTLE_REASONS.filter((_, i) => reasonValues[i] === 'Active'),
+    // Consumer cards report ECC as [N/A]
+    ecc: Object.values(ecc).every(v => v === null) ? null : ecc,
+    pcie: {
+      gen: parseOptionalNumber(pcieGen),
+      genMax: parseOptionalNumber(pcieGenMax),
+      width: parseOptionalNumber(pcieWidth),
+      widthMax: parseOptionalNumber(pcieWidthMax),
+    },
+    persistenceMode: persistenceMode === 'Enabled' ? true : persistenceMode === 'Disabled' ? false : null,
+  };
+}
+
+/**
+ * Parse the TELEMETRY section: one row per GPU, its index followed by the
+ * extended telemetry columns. Anything else (such as nvidia-smi's "is not a
+ * valid field to query" message) is skipped.
+ * @returns {Map<number, Object>} GPU index -> telemetry fields
+ */
+export function parseGpuTelemetry(csvOutput) {
+  const telemetry = new Map();
+  for (const line of csvOutput.split('\n')) {
+    const [index, ...fields] = line.split(',').map(s => s.trim());
+    if (!/^\d+$/.test(index) || fields.length === 0) continue;
+    telemetry.set(parseInt(index), parseNvidiaTelemetry(fields));
+  }
+  return telemetry;
+}
+
+/**
+ * Parse nvidia-smi CSV output into structured data.
+ * Rows may carry the extended telemetry columns after the 9 basic ones;
+ * without them the telemetry fields are null.
+ */
+export function parseGpuInfo(csvOutput) {
+  const lines = csvOutput.split('\n').filter((line) => line.trim());
+
+  return lines.map((line) => {
+    const [
+      index,
+      name,
+      temperature,
+      gpuUtil,
+      memUtil,
+      memUsed,
+      memTotal,
+      powerDraw,
+      powerLimit,
+      ...telemetry
+    ] = line.split(',').map((s) => s.trim());
+
+    return {
+      index: parseInt(index),
+      name,
+      temperature: parseInt(temperature),
+      gpuUtilization: parseInt(gpuUtil),
+      memoryUtilization: parseInt(memUtil),
+      memoryUsed: parseInt(memUsed),
+      memoryTotal: parseInt(memTotal),
+      powerDraw: parseFloat(powerDraw),
+      powerLimit: parseFloat(powerLimit),
+      ...parseNvidiaTelemetry(telemetry),
+    };
+  });
+}
+
+/**
+ * Get the container id from a cgroup path, e.g.
+ * "0::/system.slice/docker-<id>.scope", "12:memory:/docker/<id>",
+ * "0::/machine.slice/libpod-<id>.scope" or a kubepods "cri-containerd-<id>.scope"
+ */
+function containerIdFromCgroup(cgroup) {
+  const match = cgroup.match(/(?:docker|libpod|containerd)[-/]([0-9a-f]{64})/) ||
+    cgroup.match(/\/([0-9a-f]{64})(?:\.scope)?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse the PS, CGROUPS and CONTAINERS sections into a PID -> details map
+ * @returns {Map<string, {user, command, startTime, elapsedSec, cpuPercent, container, cgroup}>}
+ */
+function parseProcessDetails(sections) {
+  const containerNames = new Map();
+  for (const line of (sections.CONTAINERS || '').split('\n').filter(l => l.trim())) {
+    const [id, name] = line.trim().split(/\s+/);
+    if (id && name) containerNames.set(id, name);
+  }
+
+  const cgroups = new Map();
+  for (const line of (sections.CGROUPS || '').split('\n').filter(l => l.trim())) {
+    const [pid, entry] = line.trim().split(/\s+/);
+    if (entry) {
+      // "<hierarchy>:<controllers>:<path>" - keep the path
+      cgroups.set(pid, entry.split(':').slice(2).join(':') || entry);
+    }
+  }
+
+  const now = Date.now();
+  const details = new Map();
+  for (const line of (sections.PS || '').split('\n').filter(l => l.trim())) {
+    const match = line.match(/^\s*(\d+)\s+(\S+)(?:\s+(\d+)\s+([\d.]+)\s+(.*))?$/);
+    if (!match) continue;
+
+    const [, pid, user, elapsed, cpu, command] = match;
+    const cgroup = cgroups.get(pid) || null;
+    const containerId = cgroup ? containerIdFromCgroup(cgroup) : null;
+    const elapsedSec = elapsed !== undefined ? parseInt(elapsed) : null;
+
+    details.set(pid, {
+      user,
+      command: command?.trim() || null,
+      startTime: elapsedSec !== null ? now - elapsedSec * 1000 : null,
+      elapsedSec,
+      cpuPercent: cpu !== undefined ? parseFloat(cpu) : null,
+      container: containerId ? containerNames.get(containerId) || containerId.slice(0, 12) : null,
+      cgroup,
+    });
+  }
+  return details;
+}
+
+/**
+ * Build a process entry, filling in ps details when the PID was found
+ */
+function buildProcess(pid, memoryMB, details) {
+  const info = details.get(pid);
+  return {
+    pid,
+    user: info?.user || 'unknown',
+    memoryMB,
+    command: info?.command ?? null,
+    startTime: info?.startTime ?? null,
+    elapsedSec: info?.elapsedSec ?? null,
+    cpuPercent: info?.cpuPercent ?? null,
+    container: info?.container ?? null,
+    cgroup: info?.cgroup ?? null,
+  };
+}
+
+/**
+ * Parse MIG slices from `nvidia-smi -L` output:
+ *   GPU 0: NVIDIA A100-SXM4-40GB (UUID: GPU-5d5b...)
+ *     MIG 1g.5gb      Device  0: (UUID: MIG-c6d4...)
+ * @returns {Map<number, Array<{id, parentIndex, deviceIndex, profile, uuid, memoryTotal, memoryUsed}>>}
+ *   Parent GPU index -> slices. memoryTotal (MiB) comes from the profile name;
+ *   memoryUsed is filled in from the slice's processes.
+ */
+export function parseMigDevices(listOutput) {
+  const migDevices = new Map();
+  let parentIndex = null;
+
+  for (const line of listOutput.split('\n')) {
+    const gpuMatch = line.match(/^GPU (\d+):/);
+    if (gpuMatch) {
+      parentIndex = parseInt(gpuMatch[1]);
+      continue;
+    }
+
+    const migMatch = line.match(/^\s+MIG\s+(\S+)\s+Device\s+(\d+):\s+\(UUID:\s*([^)\s]+)\)/);
+    if (!migMatch || parentIndex === null) continue;
+
+    const [, profile, deviceIndex, uuid] = migMatch;
+    const memGB = profile.match(/\.(\d+)gb/i);
+    if (!migDevices.has(parentIndex)) {
+      migDevices.set(parentIndex, []);
+    }
+    migDevices.get(parentIndex).push({
+      id: `${parentIndex}:${deviceIndex}`,
+      parentIndex,
+      deviceIndex: parseInt(deviceIndex),
+      profile,
+      uuid,
+      memoryTotal: memGB ? parseInt(memGB[1]) * 1024 : null,
+      memoryUsed: 0,
+    });
+  }
+
+  return migDevices;
+}
+
+/**
+ * Parse GPU process info from the UUIDS, APPS and process detail sections
+ * Returns Map<gpuIndex | migId, [{pid, user, memoryMB, command, ...}]>
+ * @param {Object} sections - Parsed snapshot sections
+ * @param {Map} [migDevices] - Result of parseMigDevices, to attribute
+ *   processes reported against a MIG UUID to that slice
+ */
+export function parseProcessInfo(sections, migDevices = new Map()) {
+  // Parse GPU index -> UUID mapping
+  const uuidToIndex = new Map();
+  for (const line of (sections.UUIDS || '').split('\n').filter(l => l.trim())) {
+    const [index, uuid] = line.split(',').map(s => s.trim());
+    uuidToIndex.set(uuid, parseInt(index));
+  }
+  for (const slices of migDevices.values()) {
+    for (const mig of slices) {
+      uuidToIndex.set(mig.uuid, mig.id);
+    }
+  }
+
+  const details = parseProcessDetails(sections);
+
+  // Parse compute apps: gpu_uuid, pid, used_memory
+  const gpuProcesses = new Map();
+  for (const line of (sections.APPS || '').split('\n').filter(l => l.trim())) {
+    const [gpuUuid, pid, usedMem] = line.split(',').map(s => s.trim());
+    const gpuIndex = uuidToIndex.get(gpuUuid);
+    if (gpuIndex === undefined) continue;
+
+    if (!gpuProcesses.has(gpuIndex)) {
+      gpuProcesses.set(gpuIndex, []);
+    }
+    gpuProcesses.get(gpuIndex).push(buildProcess(pid, parseInt(usedMem) || 0, details));
+  }
+
+  return gpuProcesses;
+}
+
+/**
+ * Set each GPU's `unattributedMemoryMB`: used memory beyond what the
+ * processes on the GPU and its MIG slices hold
+ * @param {Array} gpus - GPU objects with migDevices
+ * @param {Map} processes - From the same snapshot (see parseProcessInfo)
+ * @returns {Array} The GPUs, with unattributedMemoryMB (0 when within UNATTRIBUTED_MEMORY_MB)
+ */
+export function addUnattributedMemory(gpus, processes) {
+  return gpus.map((gpu) => {
+    const keys = [gpu.index, ...(gpu.migDevices || []).map(mig => mig.id)];
+    const attributedMB = keys.flatMap(key => processes.get(key) || []).reduce((sum, p) => sum + p.memoryMB, 0);
+    const unattributedMB = (gpu.memoryUsed || 0) - attributedMB;
+    return { ...gpu, unattributedMemoryMB: unattributedMB >= UNATTRIBUTED_MEMORY_MIN_MB ? unattributedMB : 0 };
+  });
+}
+
+/**
+ * Find a value in a rocm-smi card object by matching its key.
+ * rocm-smi key names vary between ROCm releases (e.g. "Card series" vs
+ * "Card Series"), so keys are matched case-insensitively by pattern.
+ */
+function findRocmValue(card, ...patterns) {
+  for (const pattern of patterns) {
+    const key = Object.keys(card).find(k => pattern.test(k));
+    if (key !== undefined) return card[key];
+  }
+  return undefined;
+}
+
+/**
+ * Parse a JSON document printed by rocm-smi, tolerating warnings that
+ * some versions print before the JSON body
+ */
+function parseRocmJson(output) {
+  const start = output.indexOf('{');
+  if (start === -1) return {};
+  try {
+    return JSON.parse(output.slice(start));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Parse `rocm-smi --json` output into the same GPU objects as parseGpuInfo
+ */
+export function parseRocmGpuInfo(jsonOutput) {
+  const data = parseRocmJson(jsonOutput);
+
+  return Object.entries(data)
+    .filter(([key]) => /^card\d+$/i.test(key))
+    .map(([key, card]) => {
+      const bytesToMiB = (value) => Math.round(parseInt(value) / (1024 * 1024));
+      const memoryUsed = bytesToMiB(findRocmValue(card, /^VRAM Total Used Memory/i));
+      const memoryTotal = bytesToMiB(findRocmValue(card, /^VRAM Total Memory/i));
+
+      return {
+        index: parseInt(key.replace(/^card/i, '')),
+        name: findRocmValue(card, /^Card series$/i, /^Device Name$/i, /^Card model$/i) || 'AMD GPU',
+        temperature: Math.round(parseFloat(findRocmValue(card, /Temperature.*edge/i, /Temperature.*junction/i))),
+        gpuUtilization: parseInt(findRocmValue(card, /^GPU use/i)),
+        memoryUtilization: parseInt(findRocmValue(card, /^GPU memory use/i, /^GPU Memory Allocated/i)),
+        memoryUsed,
+        memoryTotal,
+        powerDraw: parseFloat(findRocmValue(card, /^(Average|Current Socket) Graphics Package Power/i, /^Average.*Power/i)),
+        powerLimit: parseFloat(findRocmValue(card, /^Max Graphics Package Power/i)),
+        ...emptyTelemetry(),
+        // Clocks are reported as e.g. "(1700Mhz)"
+        clocks: {
+          sm: parseOptionalNumber(String(findRocmValue(card, /^sclk clock speed/i) ?? '').replace(/[^\d.]/g, '')),
+          memory: parseOptionalNumber(String(findRocmValue(card, /^mclk clock speed/i) ?? '').replace(/[^\d.]/g, '')),
+          maxSm: null,
+          maxMemory: null,
+        },
+        fanSpeed: parseOptionalNumber(findRocmValue(card, /^Fan speed \(%\)/i)),
+      };
+    })
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Parse the rocm-smi --showpids / --showpidgpus and process detail sections
+ * into a process map. rocm-smi reports VRAM per process, not per GPU, so a
+ * process spread over several GPUs has its memory split evenly between them.
+ */
+export function parseRocmProcessInfo(sections) {
+  const pids = parseRocmJson(sections.PIDS || '').system || {};
+  const pidGpus = parseRocmJson(sections.PIDGPUS || '').system || {};
+  const details = parseProcessDetails(sections);
+
+  const gpuProcesses = new Map();
+  for (const [key, value] of Object.entries(pids)) {
+    const pid = key.replace(/\D/g, '');
+    if (!pid) continue;
+
+    // "<name>, <num gpus>, <vram bytes>, <sdma>, <cu occupancy>"
+    const fields = String(value).split(',').map(s => s.trim());
+    const vramMB = Math.round((parseInt(fields[2]) || 0) / (1024 * 1024));
+
+    const gpuEntry = Object.entries(pidGpus).find(([k]) => k.replace(/\D/g, '') === pid);
+    const gpuIndices = gpuEntry ? (String(gpuEntry[1]).match(/\d+/g) || []).map(Number) : [];
+    if (gpuIndices.length === 0) continue;
+
+    for (const gpuIndex of gpuIndices) {
+      if (!gpuProcesses.has(gpuIndex)) {
+        gpuProcesses.set(gpuIndex, []);
+      }
+      gpuProcesses.get(gpuIndex).push(buildProcess(pid, Math.round(vramMB / gpuIndices.length), details));
+    }
+  }
+
+  return gpuProcesses;
+}
+
+// NVML clock throttle reason bits, as exported in DCGM_FI_DEV_CLOCK_THROTTLE_REASONS
+const THROTTLE_REASON_BITS = {
+  gpu_idle: 0x1,
+  applications_clocks_setting: 0x2,
+  sw_power_cap: 0x4,
+  hw_slowdown: 0x8,
+  sync_boost: 0x10,
+  sw_thermal_slowdown: 0x20,
+  hw_thermal_slowdown: 0x40,
+  hw_power_brake_slowdown: 0x80,
+};
+
+/**
+ * Parse Prometheus text exposition into samples
+ * @returns {Array<{name: string, labels: Object, value: number}>}
+ */
+function parsePrometheusText(text) {
+  const samples = [];
+  for (const line of text.split('\n')) {
+    // name{label="value",...} 12.5 [timestamp]
+    const match = line.match(/^([a-zA-Z_:][\w:]*)(?:\{(.*)\})?\s+(\S+)/);
+    if (!match) continue;
+
+    const labels = {};
+    for (const [, key, value] of (match[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+      labels[key] = value.replace(/\\n/g, '\n').replace(/\\(.)/g, '$1');
+    }
+    samples.push({ name: match[1], labels, value: parseFloat(match[3]) });
+  }
+  return samples;
+}
+
+/**
+ * Parse dcgm-exporter metrics into GPU objects. Fields dcgm-exporter isn't
+ * configured to export are null. MIG instance series (GPU_I_ID label) are
+ * skipped, and process details aren't available from DCGM.
+ * @param {string} text - Body of the exporter's /metrics
+ */
+export function parseDcgmMetrics(text) {
+  // gpu index -> { name, fields: { DCGM_FI_...: value } }
+  const devices = new Map();
+  for (const sample of parsePrometheusText(text)) {
+    if (!sample.name.startsWith('DCGM_FI_') || sample.labels.gpu === undefined || sample.labels.GPU_I_ID) continue;
+    const index = parseInt(sample.labels.gpu);
+    if (!devices.has(index)) {
+      devices.set(index, { name: sample.labels.modelName || 'NVIDIA GPU', fields: {} });
+    }
+    devices.get(index).fields[sample.name] = sample.value;
+  }
+
+  return [...devices.entries()].sort(([a], [b]) => a - b).map(([index, { name, fields }]) => {
+    const field = (key) => parseOptionalNumber(fields[`DCGM_FI_DEV_${key}`]);
+    const memoryUsed = field('FB_USED');
+    const memoryTotal = field('FB_TOTAL') ??
+      (memoryUsed !== null && field('FB_FREE') !== null ? memoryUsed + field('FB_FREE') + (field('FB_RESERVED') ?? 0) : null);
+    const throttleMask = field('CLOCK_THROTTLE_REASONS');
+    const ecc = {
+      volatileCorrected: field('ECC_SBE_VOL_TOTAL'),
+      volatileUncorrected: field('ECC_DBE_VOL_TOTAL'),
+      aggregateCorrected: field('ECC_SBE_AGG_TOTAL'),
+      aggregateUncorrected: field('ECC_DBE_AGG_TOTAL'),
+    };
+
+    // Basic fields are NaN when missing, like unparseable nvidia-smi values
+    return {
+      ...emptyTelemetry(),
+      index,
+      name,
+      temperature: field('GPU_TEMP') ?? NaN,
+      gpuUtilization: field('GPU_UTIL') ?? NaN,
+      memoryUtilization: field('MEM_COPY_UTIL') ?? NaN,
+      memoryUsed: memoryUsed ?? 0,
+      memoryTotal: memoryTotal ?? 0,
+      powerDraw: field('POWER_USAGE') ?? NaN,
+      powerLimit: field('POWER_MGMT_LIMIT') ?? field('ENFORCED_POWER_LIMIT') ?? NaN,
+      clocks: { sm: field('SM_CLOCK'), memory: field('MEM_CLOCK'), maxSm: null, maxMemory: null },
+      fanSpeed: field('FAN_SPEED'),
+      throttleReasons: throttleMask === null ? null : THROTTLE_REASONS.filter(r => throttleMask & THROTTLE_REASON_BITS[r]),
+      ecc: Object.values(ecc).every(v => v === null) ? null : ecc,
+      pcie: field('PCIE_LINK_GEN') === null && field('PCIE_LINK_WIDTH') === null ? null : {
+        gen: field('PCIE_LINK_GEN'),
+        genMax: field('PCIE_MAX_LINK_GEN'),
+        width: field('PCIE_LINK_WIDTH'),
+        widthMax: field('PCIE_MAX_LINK_WIDTH'),
+      },
+    };
+  });
+}
+
+/**
+ * Check that a dcgm server's host is an exporter URL
+ * @param {string} host
+ */
+export function isMetricsUrl(host) {
+  return /^https?:\/\/\S+$/.test(host || '');
+}
+
+const COLLECTORS = {
+  nvidia: {
+    name: 'nvidia',
+    binary: 'nvidia-smi',
+    statusCmd: NVIDIA_SMI_CMD,
+    snapshotCmd: NVIDIA_SNAPSHOT_CMD,
+    parseGpus: parseGpuInfo,
+    parseSnapshot(rawOutput) {
+      const sections = parseSections(rawOutput);
+      const migDevices = parseMigDevices(sections.MIG || '');
+      const processes = parseProcessInfo(sections, migDevices);
+
+      // nvidia-smi has no per-slice memory query; use the slice's processes
+      for (const slices of migDevices.values()) {
+        for (const mig of slices) {
+          mig.memoryUsed = (processes.get(mig.id) || []).reduce((sum, p) => sum + p.memoryMB, 0);
+        }
+      }
+
+      const telemetry = parseGpuTelemetry(sections.TELEMETRY || '');
+      const gpus = parseGpuInfo(sections.GPUS || '').map(gpu => ({
+        ...gpu,
+        ...telemetry.get(gpu.index),
+        migDevices: migDevices.get(gpu.index) || [],
+      }));
+      return { gpus: addUnattributedMemory(gpus, processes), processes };
+    },
+  },
+  rocm: {
+    name: 'rocm',
+    binary: 'rocm-smi',
+    statusCmd: ROCM_SMI_CMD,
+    snapshotCmd: ROCM_SNAPSHOT_CMD,
+    parseGpus: parseRocmGpuInfo,
+    parseSnapshot(rawOutput) {
+      const sections = parseSections(rawOutput);
+      const processes = parseRocmProcessInfo(sections);
+      return {
+        gpus: addUnattributedMemory(parseRocmGpuInfo(sections.GPUS || '').map(gpu => ({ ...gpu, migDevices: [] })), processes),
+        processes,
+      };
+    },
+  },
+  dcgm: {
+    name: 'dcgm',
+    binary: 'dcgm-exporter',
+    // Not shell commands: the transport fetches the server's exporter URL
+    statusCmd: 'dcgm-exporter',
+    snapshotCmd: 'dcgm-exporter',
+    parseGpus: parseDcgmMetrics,
+    parseSnapshot(rawOutput) {
+      return {
+        gpus: parseDcgmMetrics(rawOutput).map(gpu => ({ ...gpu, migDevices: [], unattributedMemoryMB: null })),
+        processes: new Map(),
+      };
+    },
+  },
+};
+
+export const DEFAULT_COLLECTOR = 'nvidia';
+
+/**
+ * Names of all available collectors
+ */
+export const COLLECTOR_NAMES = Object.keys(COLLECTORS);
+
+/**
+ * Get the collector for a server (or the default collector)
+ * @param {Object} [server] - Server configuration
+ */
+export function getCollector(server) {
+  const name = server?.collector || DEFAULT_COLLECTOR;
+  const collector = COLLECTORS[name];
+  if (!collector) {
+    throw new Error(`Unknown GPU collector "${name}". Available: ${COLLECTOR_NAMES.join(', ')}`);
+  }
+  return collector;
+}
@@ -1,6 +1,12 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { COLLECTOR_NAMES, DEFAULT_COLLECTOR, isMetricsUrl } from './collectors.js';
+import { validateDiskMounts } from './host.js';
+import { validateSshDestination } from './remote-command.js';
+import { getTransportMode, SERVER_TRANSPORTS } from './transport.js';
+import { POLL_SETTINGS } from './polling.js';
+import { getFakeServers } from './fake-cluster.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const CONFIG_FILE = path.join(__dirname, '..', 'servers.json');
@@ -41,13 +47,17 @@ export async function saveConfig(config) {
  * Add a new server
  * @param {Object} server - Server configuration
  * @param {string} server.name - Display name for the server
- * @param {string} server.host - SSH host (user@hostname or just hostname)
+ * @param {string} server.host - SSH host (user@hostname or just hostname), or a
+ *   dcgm-exporter metrics URL (http://node:9400/metrics), which selects the dcgm collector
  * @param {number} [server.port=22] - SSH port
  * @param {string} [server.identityFile] - Path to SSH private key
  * @param {string} [server.proxyJump] - Proxy jump host (e.g., user@bastion.example.com)
+ * @param {string} [server.collector=nvidia] - GPU collector backend (nvidia, rocm)
+ * @param {string} [server.transport=ssh] - "agent" to use reports pushed by gpu-agent instead of polling
  */
 export async function addServer(server) {
   const config = await loadConfig();
+  const collector = validateServer(server);
 
   // Check if server with same name exists
   const existingIndex = config.servers.findIndex(
@@ -65,6 +75,9 @@ export async function addServer(server) {
     port: server.port || 22,
     identityFile: server.identityFile || null,
     proxyJump: server.proxyJump || null,
+    collector,
+    transport: server.transport || 'ssh',
+    hostKeyFingerprint: server.hostKeyFingerprint || null,
     createdAt: new Date().toISOString(),
   };
 
@@ -74,6 +87,21 @@ export async function addServer(server) {
   return newServer;
 }
 
+/**
+ * Throw if a server definition would be rejected by addServer
+ * @param {Object} server - Same fields as addServer
+ * @returns {string} The collector the server would use
+ */
+export function validateServer(server) {
+  const collector = server.collector || (isMetricsUrl(server.host) ? 'dcgm' : DEFAULT_COLLECTOR);
+  validateCollector(collector);
+  validateTransport(server.transport);
+  validateHost(server.host, collector);
+  validateHostKeyFingerprint(server.hostKeyFingerprint);
+  if (server.proxyJump) validateSshDestination(server.proxyJump, { jump: true });
+  return collector;
+}
+
 /**
  * Remove a server by name or id
  */
@@ -98,6 +126,11 @@ export async function removeServer(nameOrId) {
 
 /**
  * Edit an existing server
+ * `updates.diskMounts` sets the mount points for host disk metrics;
+ * an empty list goes back to the default (HOST_DISK_MOUNTS or / and /home).
+ * `updates.tags` sets the server's tags (e.g. for /watch); an empty list removes them.
+ * `updates.timeout`, `retries`, `retryDelay` and `concurrency` override the
+ * polling defaults (see polling.js); null goes back to the default.
  */
 export async function editServer(nameOrId, updates) {
   const config = await loadConfig();
@@ -120,8 +153,44 @@ export async function editServer(nameOrId, updates) {
     config.servers[index].identityFile = updates.identityFile || null;
   }
   if (updates.proxyJump !== undefined) {
+    if (updates.proxyJump) validateSshDestination(updates.proxyJump, { jump: true });
     config.servers[index].proxyJump = updates.proxyJump || null;
   }
+  // A metrics URL as the new host switches the server to the dcgm collector
+  const collector = updates.collector || (isMetricsUrl(updates.host) ? 'dcgm' : null);
+  if (collector) {
+    validateCollector(collector);
+    config.servers[index].collector = collector;
+  }
+  if (updates.host || collector) {
+    validateHost(config.servers[index].host, config.servers[index].collector);
+  }
+  if (updates.transport) {
+    validateTransport(updates.transport);
+    config.servers[index].transport = updates.transport;
+  }
+  if (updates.hostKeyFingerprint !== undefined) {
+    validateHostKeyFingerprint(updates.hostKeyFingerprint);
+    config.servers[index].hostKeyFingerprint = updates.hostKeyFingerprint || null;
+  }
+  if (updates.diskMounts !== undefined) {
+    validateDiskMounts(updates.diskMounts);
+    config.servers[index].diskMounts = updates.diskMounts.length > 0 ? updates.diskMounts : null;
+  }
+  if (updates.tags !== undefined) {
+    validateTags(updates.tags);
+    config.servers[index].tags = updates.tags.length > 0 ? updates.tags : null;
+  }
+
+  for (const key of Object.keys(POLL_SETTINGS)) {
+    if (updates[key] === undefined) continue;
+    validatePollSetting(key, updates[key]);
+    if (updates[key] === null) {
+      delete config.servers[index][key];
+    } else {
+      config.servers[index][key] = updates[key];
+    }
+  }
 
   config.servers[index].updatedAt = new Date().toISOString();
   await saveConfig(config);
@@ -131,9 +200,14 @@ export async function editServer(nameOrId, updates) {
 
 /**
  * Get all servers
+ * With the fake transport and no servers configured, the fake cluster's
+ * servers are used so the front-ends work out of the box
  */
 export async function getServers() {
   const config = await loadConfig();
+  if (config.servers.length === 0 && getTransportMode() === 'fake') {
+    return getFakeServers();
+  }
   return config.servers;
 }
 
@@ -141,8 +215,8 @@ export async function getServers() {
  * Get a single server by name or id
  */
 export async function getServer(nameOrId) {
-  const config = await loadConfig();
-  return config.servers.find(
+  const servers = await getServers();
+  return servers.find(
     (s) =>
       s.id === nameOrId ||
       s.name.toLowerCase() === nameOrId.toLowerCase()
@@ -167,6 +241,67 @@ export async function setUsername(username) {
   return config.username;
 }
 
+/**
+ * Throw if a collector name is not one of the available backends
+ */
+function validateCollector(collector) {
+  if (collector && !COLLECTOR_NAMES.includes(collector)) {
+    throw new Error(`Unknown collector "${collector}". Available: ${COLLECTOR_NAMES.join(', ')}`);
+  }
+}
+
+/**
+ * Throw if a dcgm server's host is not a metrics URL, or an SSH server's is
+ */
+function validateHost(host, collector) {
+  if (collector === 'dcgm' && !isMetricsUrl(host)) {
+    throw new Error(`The dcgm collector needs a metrics URL as host, e.g. http://${(host || 'node').replace(/^.*@/, '')}:9400/metrics`);
+  }
+  if (collector !== 'dcgm' && isMetricsUrl(host)) {
+    throw new Error(`"${host}" is a URL; use --collector dcgm for dcgm-exporter servers`);
+  }
+  if (collector !== 'dcgm' && host) validateSshDestination(host);
+}
+
+/**
+ * Throw if a server transport is not ssh or agent
+ */
+function validateTransport(transport) {
+  if (transport && !SERVER_TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown transport "${transport}". Available: ${SERVER_TRANSPORTS.join(', ')}`);
+  }
+}
+
+/**
+ * Throw if a host key fingerprint is not in ssh-keygen's SHA256 format
+ */
+function validateHostKeyFingerprint(fingerprint) {
+  if (fingerprint && !/^SHA256:[A-Za-z0-9+/]{43}$/.test(fingerprint)) {
+    throw new Error(`"${fingerprint}" is not a host key fingerprint. Expected SHA256:... as shown by ssh-keygen -lf`);
+  }
+}
+
+/**
+ * Throw if a server tag has anything but letters, digits, "-", "_" and "."
+ */
+function validateTags(tags) {
+  const invalid = tags.filter(t => !/^[\w.-]+$/.test(t));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid tag(s): ${invalid.join(', ')}. Use letters, digits, "-", "_" and "."`);
+  }
+}
+
+/**
+ * Throw if a polling setting is out of range (null resets it)
+ */
+function validatePollSetting(key, value) {
+  const { min, max, unit, integer } = POLL_SETTINGS[key];
+  const valid = (integer ? Number.isInteger(value) : Number.isFinite(value)) && value >= min && value <= max;
+  if (value !== null && !valid) {
+    throw new Error(`${key} must be ${integer ? 'a whole number ' : ''}between ${min} and ${max}${unit}`);
+  }
+}
+
 /**
  * Generate a simple unique ID
  */
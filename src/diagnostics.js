@@ -0,0 +1,65 @@
+import { getGpuWarnings } from './gpu.js';
+import { getHostWarnings } from './host.js';
+
+/**
+ * Diagnostics: everything in a status poll that needs a human to look at it.
+ *
+ * Collects, per server, unreachable servers, GPUs with unattributed memory
+ * (used memory no listed process accounts for, see collectors.js), GPU
+ * hardware warnings (throttling, ECC, PCIe) and host warnings (load, RAM,
+ * disk), so `/gpu diag` can show them in one place.
+ */
+
+// Display order, most urgent first
+const KINDS = ['unreachable', 'unattributed', 'gpu', 'host'];
+
+/**
+ * Collect diagnostics from status results
+ * @param {Array} results - From getAllServersGpuStatusWithProcesses
+ * @returns {Array<{server: string, gpu: number|null, kind: string, message: string}>}
+ *   kind is one of "unreachable", "unattributed", "gpu" or "host"
+ */
+export function collectDiagnostics(results) {
+  const issues = [];
+  for (const result of results) {
+    const server = result.server.name;
+    if (result.error) {
+      issues.push({ server, gpu: null, kind: 'unreachable', message: result.error });
+      continue;
+    }
+
+    for (const gpu of result.gpus) {
+      if (gpu.unattributedMemoryMB > 0) {
+        issues.push({
+          server,
+          gpu: gpu.index,
+          kind: 'unattributed',
+          message: `${(gpu.unattributedMemoryMB / 1024).toFixed(1)}GB of ${(gpu.memoryUsed / 1024).toFixed(1)}GB used ` +
+            'is held by no listed process (a process in another container or PID namespace, or a leaked context)',
+        });
+      }
+      for (const warning of getGpuWarnings(gpu)) {
+        issues.push({ server, gpu: gpu.index, kind: 'gpu', message: warning });
+      }
+    }
+    for (const warning of getHostWarnings(result.host)) {
+      issues.push({ server, gpu: null, kind: 'host', message: warning });
+    }
+  }
+
+  return issues.sort((a, b) =>
+    KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) ||
+    a.server.localeCompare(b.server) ||
+    (a.gpu ?? -1) - (b.gpu ?? -1)
+  );
+}
+
+/**
+ * Label of a diagnostic for display, e.g. "👻 grandrapids GPU 2"
+ * @param {Object} issue - From collectDiagnostics
+ * @returns {string}
+ */
+export function formatDiagnosticLabel(issue) {
+  const emoji = { unreachable: '🔴', unattributed: '👻', gpu: '⚠️', host: '🖥️' }[issue.kind];
+  return `${emoji} ${issue.server}${issue.gpu !== null ? ` GPU ${issue.gpu}` : ''}`;
+}
@@ -1,5 +1,22 @@
 import { EmbedBuilder } from 'discord.js';
-import { getGpuStatusIndicator, getTopUserForGpu } from './gpu.js';
+import {
+  getGpuStatusIndicator,
+  getShortGpuName,
+  getTopUserForGpu,
+  getGpuWarnings,
+  getThrottleReasonLabels,
+  getAllProcesses,
+  formatDuration,
+  formatHealthSummary,
+} from './gpu.js';
+import { formatHostSummary, getHostWarnings } from './host.js';
+import { formatTopologyMatrix, getNvlinkGroups, LINK_DESCRIPTIONS } from './topology.js';
+import { formatUsageSummary, formatUsageTable } from './usage.js';
+import { formatChartLines } from './charts.js';
+import { formatIdleCriteria, formatIdleDuration } from './idle.js';
+import { formatDiagnosticLabel } from './diagnostics.js';
+import { describeRule, isRuleMuted, getFiringTargets } from './alerts.js';
+import { describeWatch } from './watches.js';
 
 /**
  * Create a text-based progress bar
@@ -58,18 +75,20 @@ export function formatGpuEmbed(gpuInfoArray, serverName = null) {
 
 /**
  * Format multi-server GPU status into Discord embeds (one per server)
- * @param {Array} serverResults - Array of { server, gpus, error } objects
+ * @param {Array} serverResults - Array of { server, gpus, error, trends? } objects (trends: see charts.js)
  * @returns {EmbedBuilder[]}
  */
 export function formatMultiServerEmbeds(serverResults) {
   const embeds = [];
 
   for (const result of serverResults.slice(0, 10)) { // max 10 embeds per message
+    const healthSummary = formatHealthSummary(result.health);
     if (result.error) {
       embeds.push(
         new EmbedBuilder()
           .setTitle(`\uD83D\uDD34 ${result.server.name}`)
-          .setDescription(`\u274C ${result.error}`)
+          .setDescription(`\u274C ${result.error}` +
+            (healthSummary ? `\n\uD83E\uDE7A ${healthSummary}` : ''))
           .setColor(0xFF0000)
           .setTimestamp()
       );
@@ -81,16 +100,34 @@ export function formatMultiServerEmbeds(serverResults) {
       const status = getGpuStatusIndicator(gpu);
       const memGB = (gpu.memoryUsed / 1024).toFixed(1);
       const memTotalGB = (gpu.memoryTotal / 1024).toFixed(1);
-      const shortName = gpu.name.replace(/NVIDIA\s*(RTX\s*)?/i, '').replace(/\s+NVL.*$/i, '').trim();
+      const shortName = getShortGpuName(gpu.name);
       const topUser = getTopUserForGpu(processes, gpu.index);
       const topUserStr = topUser ? ` | 👤 ${topUser.user}` : '';
-      return `${status.emoji} **${gpu.index}:** ${shortName} | ${gpu.gpuUtilization}% | ${memGB}/${memTotalGB}GB${topUserStr}`;
+      const unattributedStr = gpu.unattributedMemoryMB > 0 ? ` | \uD83D\uDC7B ${(gpu.unattributedMemoryMB / 1024).toFixed(1)}GB` : '';
+      const warningStr = getGpuWarnings(gpu).length > 0 ? ' | \u26A0\uFE0F' : '';
+      const trend = result.trends?.get(gpu.index);
+      const trendStr = trend ? ` \`${trend}\`` : '';
+      const line = `${status.emoji} **${gpu.index}:** ${shortName} | ${gpu.gpuUtilization}%${trendStr} | ${memGB}/${memTotalGB}GB${topUserStr}${unattributedStr}${warningStr}`;
+      const migLines = (gpu.migDevices || []).map(mig => {
+        const migUser = getTopUserForGpu(processes, mig.id);
+        const migTotal = mig.memoryTotal !== null ? `${(mig.memoryTotal / 1024).toFixed(1)}GB` : '?';
+        return `\u2003\u21B3 ${mig.id} ${mig.profile} | ${(mig.memoryUsed / 1024).toFixed(1)}/${migTotal}${migUser ? ` | 👤 ${migUser.user}` : ''}`;
+      });
+      return [line, ...migLines].join('\n');
     });
 
+    const hostLines = [];
+    if (healthSummary) hostLines.push(`\uD83E\uDE7A ${healthSummary}`);
+    if (result.host) {
+      const hostWarnings = getHostWarnings(result.host);
+      hostLines.push(`\uD83D\uDDA5\uFE0F ${formatHostSummary(result.host)}`);
+      if (hostWarnings.length > 0) hostLines.push(`\u26A0\uFE0F ${hostWarnings.join(' | ')}`);
+    }
+
     embeds.push(
       new EmbedBuilder()
         .setTitle(`\uD83D\uDFE2 ${result.server.name}`)
-        .setDescription(gpuLines.join('\n').slice(0, 4096))
+        .setDescription([...hostLines, ...gpuLines].join('\n').slice(0, 4096))
         .setColor(getEmbedColor(result.gpus))
         .setTimestamp()
     );
@@ -99,6 +136,242 @@ export function formatMultiServerEmbeds(serverResults) {
   return embeds;
 }
 
+/**
+ * Format a possibly-missing value with a unit
+ */
+function orNA(value, unit = '') {
+  return value === null || value === undefined || Number.isNaN(value) ? 'N/A' : `${value}${unit}`;
+}
+
+/**
+ * Format detailed per-GPU telemetry for a server as a Discord embed
+ * @param {string} serverName
+ * @param {Array} gpuInfoArray - Array of GPU info objects
+ * @returns {EmbedBuilder}
+ */
+export function formatGpuDetailEmbed(serverName, gpuInfoArray) {
+  const embed = new EmbedBuilder()
+    .setTitle(`\uD83D\uDD0D GPU Details - ${serverName}`)
+    .setColor(getEmbedColor(gpuInfoArray))
+    .setTimestamp();
+
+  for (const gpu of gpuInfoArray.slice(0, 25)) { // max 25 fields
+    const status = getGpuStatusIndicator(gpu);
+    const warnings = getGpuWarnings(gpu);
+    const throttle = getThrottleReasonLabels(gpu, { includeBenign: true });
+    const { clocks, ecc, pcie } = gpu;
+    const persistence = gpu.persistenceMode === null || gpu.persistenceMode === undefined
+      ? 'N/A'
+      : gpu.persistenceMode ? 'on' : 'off';
+
+    embed.addFields({
+      name: `${status.emoji} GPU ${gpu.index}: ${gpu.name}`,
+      value: [
+        `\uD83C\uDF21\uFE0F ${orNA(gpu.temperature, '\u00B0C')} | fan ${orNA(gpu.fanSpeed, '%')} | \uD83D\uDD0C ${orNA(gpu.powerDraw, 'W')}/${orNA(gpu.powerLimit, 'W')}`,
+        `**Clocks:** SM ${orNA(clocks?.sm)}/${orNA(clocks?.maxSm)} MHz | Mem ${orNA(clocks?.memory)}/${orNA(clocks?.maxMemory)} MHz`,
+        `**Throttle:** ${throttle.length > 0 ? throttle.join(', ') : 'None'}`,
+        `**ECC uncorr.:** ${ecc ? `${orNA(ecc.volatileUncorrected)} volatile / ${orNA(ecc.aggregateUncorrected)} aggregate` : 'N/A'}`,
+        `**PCIe:** ${pcie ? `Gen${orNA(pcie.gen)} x${orNA(pcie.width)} (max Gen${orNA(pcie.genMax)} x${orNA(pcie.widthMax)})` : 'N/A'} | **Persistence:** ${persistence}`,
+        ...(gpu.migDevices || []).map(mig => `**MIG ${mig.id}** ${mig.profile} \`${mig.uuid}\``),
+        ...warnings.map(w => `\u26A0\uFE0F ${w}`),
+      ].join('\n').slice(0, 1024),
+      inline: false,
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Format every GPU process on a server with its command line, runtime,
+ * CPU usage and container
+ * @param {string} serverName
+ * @param {Map} processes - GPU index (or MIG id) -> process list
+ * @returns {EmbedBuilder}
+ */
+export function formatProcessListEmbed(serverName, processes) {
+  const procs = getAllProcesses(processes);
+  const embed = new EmbedBuilder()
+    .setTitle(`\uD83D\uDCCB GPU Processes - ${serverName}`)
+    .setColor(0x5865F2)
+    .setFooter({ text: `${procs.length} process(es)` })
+    .setTimestamp();
+
+  if (procs.length === 0) {
+    return embed.setDescription('No GPU processes running.');
+  }
+
+  for (const p of procs.slice(0, 25)) { // max 25 fields
+    const command = (p.command || '?').slice(0, 200).replace(/`/g, "'");
+    embed.addFields({
+      name: `GPU ${p.gpuIndex} | PID ${p.pid} | ${p.user} | ${(p.memoryMB / 1024).toFixed(1)}GB`,
+      value: [
+        `\u23F1\uFE0F ${formatDuration(p.elapsedSec)}` +
+          (p.cpuPercent !== null ? ` | CPU ${p.cpuPercent}%` : '') +
+          (p.container ? ` | \uD83D\uDC33 ${p.container}` : ''),
+        `\`${command}\``,
+      ].join('\n'),
+      inline: false,
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Format a server's GPU interconnect matrix with its NVLink groups
+ * @param {string} serverName
+ * @param {Object} topology - Parsed topology from topology.js
+ * @returns {EmbedBuilder}
+ */
+export function formatTopologyEmbed(serverName, topology) {
+  const groups = getNvlinkGroups(topology);
+  return new EmbedBuilder()
+    .setTitle(`\uD83D\uDD17 GPU Topology - ${serverName}`)
+    .setColor(0x5865F2)
+    .setDescription(`\`\`\`\n${formatTopologyMatrix(topology)}\n\`\`\``.slice(0, 4096))
+    .addFields(
+      {
+        name: 'NVLink groups',
+        value: groups.length > 0 ? groups.map(g => `[${g.join(', ')}]`).join(' ') : 'none',
+        inline: false,
+      },
+      {
+        name: 'Legend',
+        value: Object.entries(LINK_DESCRIPTIONS).map(([k, v]) => `\`${k}\` ${v}`).join('\n'),
+        inline: false,
+      },
+    )
+    .setFooter({ text: 'Use best:N as gpu_ids in /occupy or /monitor start for the N best-connected free GPUs' })
+    .setTimestamp();
+}
+
+/**
+ * Format a GPU usage report (see usage.js) as a Discord embed
+ * @param {Object} report - From getUsageReport
+ * @returns {EmbedBuilder}
+ */
+export function formatUsageReportEmbed(report) {
+  const table = formatUsageTable(report, { maxUsers: 25 }).replace(/`/g, "'");
+  return new EmbedBuilder()
+    .setTitle(`\uD83D\uDCC8 GPU Usage - ${report.label}`)
+    .setColor(0x5865F2)
+    .setDescription(report.rows.length > 0
+      ? `\`\`\`\n${table.slice(0, 4080)}\n\`\`\``
+      : 'No GPU usage recorded in this range. Usage comes from the GPU history (HISTORY_INTERVAL).')
+    .setFooter({ text: `${formatUsageSummary(report)}. GPU-hours split each GPU between its users by memory.` })
+    .setTimestamp();
+}
+
+/**
+ * Format a server's utilization and memory history (see charts.js) as a Discord embed
+ * @param {Object} chart - From getChartData
+ * @param {string} [imageName] - Name of an attached chart image to show
+ * @returns {EmbedBuilder}
+ */
+export function formatChartEmbed(chart, imageName = null) {
+  const embed = new EmbedBuilder()
+    .setTitle(`\uD83D\uDCCA GPU History - ${chart.server} (last ${chart.hours}h)`)
+    .setColor(0x5865F2)
+    .setDescription(chart.gpus.length > 0
+      ? `\`\`\`\n${formatChartLines(chart).join('\n')}\n\`\`\``.slice(0, 4096)
+      : `No GPU history recorded for ${chart.server} in the last ${chart.hours}h. History is collected every HISTORY_INTERVAL seconds while the bot runs.`)
+    .setFooter({ text: `One bar per ${formatDuration(chart.step)}` })
+    .setTimestamp();
+  if (imageName) embed.setImage(`attachment://${imageName}`);
+  return embed;
+}
+
+/**
+ * Format idle hogs (see idle.js) as a Discord embed
+ * @param {{hogs: Array, sampled: boolean}} idle - From findIdleHogs
+ * @returns {EmbedBuilder}
+ */
+export function formatIdleEmbed({ hogs, sampled }) {
+  const lines = hogs.map(hog => {
+    const command = (hog.processes[0]?.command || '').slice(0, 80).replace(/`/g, "'");
+    return `\uD83D\uDCA4 **${hog.server}** GPU ${hog.gpu} | 👤 ${hog.user} | ${(hog.memoryMB / 1024).toFixed(1)}GB` +
+      ` | ${hog.utilization}% for **${formatIdleDuration(hog)}** | PID ${hog.processes.map(p => p.pid).join(', ')}` +
+      (command ? `\n\`${command}\`` : '');
+  });
+
+  let description;
+  if (!sampled) description = 'No GPU history recorded yet, so idle time is unknown. History is collected every HISTORY_INTERVAL seconds while the bot runs.';
+  else if (hogs.length === 0) description = '\u2705 No GPUs are being held idle.';
+  else description = lines.join('\n').slice(0, 4096);
+
+  return new EmbedBuilder()
+    .setTitle('\uD83D\uDCA4 Idle GPUs')
+    .setColor(hogs.length > 0 ? 0xFFFF00 : 0x00FF00)
+    .setDescription(description)
+    .setFooter({ text: `Listed: ${formatIdleCriteria()}` })
+    .setTimestamp();
+}
+
+/**
+ * Format diagnostics (see diagnostics.js) as a Discord embed
+ * @param {Array} issues - From collectDiagnostics
+ * @param {number} serverCount - Servers checked
+ * @returns {EmbedBuilder}
+ */
+export function formatDiagnosticsEmbed(issues, serverCount) {
+  const description = issues.length === 0
+    ? `\u2705 No problems found on ${serverCount} server(s).`
+    : issues.map(issue => `**${formatDiagnosticLabel(issue)}**: ${issue.message}`).join('\n').slice(0, 4096);
+
+  const embed = new EmbedBuilder()
+    .setTitle('\uD83E\uDE7A GPU Diagnostics')
+    .setColor(issues.length > 0 ? 0xFFFF00 : 0x00FF00)
+    .setDescription(description)
+    .setTimestamp();
+  if (issues.some(issue => issue.kind === 'unattributed')) {
+    embed.setFooter({ text: '\uD83D\uDC7B = GPU memory in use with no process listed. Look for it with: sudo fuser -v /dev/nvidia* or docker stats' });
+  }
+  return embed;
+}
+
+/**
+ * Format alert rules (see alerts.js) as a Discord embed
+ * @param {Array} rules - From getAlertRules
+ * @returns {EmbedBuilder}
+ */
+export function formatAlertRulesEmbed(rules) {
+  const lines = rules.map((rule) => {
+    const firing = getFiringTargets(rule.id);
+    const mutedUntil = Math.floor(Date.parse(rule.mutedUntil) / 1000);
+    return `**#${rule.id}** \`${describeRule(rule)}\` \u2192 ` +
+      (rule.platform === 'discord' ? `<#${rule.channel}>` : `${rule.platform} channel ${rule.channel}`) +
+      ` | cooldown ${formatDuration(rule.cooldownSec)}` +
+      (isRuleMuted(rule) ? ` | \uD83D\uDD15 muted until <t:${mutedUntil}:t>` : '') +
+      (firing.length > 0 ? `\n\u2003\uD83D\uDEA8 firing: ${firing.join(', ')}` : '');
+  });
+
+  return new EmbedBuilder()
+    .setTitle('\uD83D\uDEA8 Alert Rules')
+    .setColor(0x5865F2)
+    .setDescription(rules.length > 0
+      ? lines.join('\n').slice(0, 4096)
+      : 'No alert rules. Add one with `/alert add metric:temp op:> value:85 for:5m`.')
+    .setTimestamp();
+}
+
+/**
+ * Format a user's free-GPU watches (see watches.js) as a Discord embed
+ * @param {Array} watches - The user's watches, from getWatches
+ * @returns {EmbedBuilder}
+ */
+export function formatWatchesEmbed(watches) {
+  const lines = watches.map(w => `**#${w.id}** \`${describeWatch(w)}\` | ${w.recurring ? '\uD83D\uDD01 every time' : 'once'}`);
+
+  return new EmbedBuilder()
+    .setTitle('\uD83D\uDD14 Your GPU Watches')
+    .setColor(0x5865F2)
+    .setDescription(watches.length > 0
+      ? lines.join('\n').slice(0, 4096)
+      : 'No watches. Add one with `/watch add count:2 model:A6000 min_free_gb:40` to get a DM when GPUs free up.')
+    .setTimestamp();
+}
+
 /**
  * Format an error message as a Discord embed
  * @param {string} errorMessage
@@ -124,9 +397,16 @@ export function formatHelpEmbed() {
       {
         name: '\uD83D\uDCCA Status Commands',
         value: [
-          '`/gpu` - Check GPU status across all servers',
+          '`/gpu [fresh:True]` - Check GPU status across all servers (`fresh` skips the cache)',
           '`/gpu action:start` - Start periodic monitoring',
           '`/gpu action:stop` - Stop periodic monitoring',
+          '`/gpu action:detail server:<name>` - Clocks, throttling, ECC, PCIe per GPU',
+          '`/gpu action:procs server:<name>` - All GPU processes with command, runtime and container',
+          '`/gpu action:topo server:<name>` - NVLink / PCIe topology',
+          '`/gpu action:report [range:week|month|YYYY-MM|YYYY-MM-DD YYYY-MM-DD]` - GPU-hours per user',
+          '`/gpu action:chart server:<name> [hours:6]` - Utilization and memory history with a chart',
+          '`/gpu action:idle` - GPUs held idle: memory in use at ~0% utilization, with owner and duration',
+          '`/gpu action:diag [server:<name>]` - Unreachable servers, unattributed GPU memory and hardware warnings',
         ].join('\n'),
         inline: false,
       },
@@ -147,6 +427,23 @@ export function formatHelpEmbed() {
         ].join('\n'),
         inline: false,
       },
+      {
+        name: '\uD83D\uDEA8 Alerts',
+        value: [
+          '`/alert add` - Alert this channel when a rule holds, e.g. temp > 85 for 5m',
+          '`/alert list` - List rules and what is firing',
+          '`/alert mute` / `/alert remove` - Silence or delete a rule',
+        ].join('\n'),
+        inline: false,
+      },
+      {
+        name: '\uD83D\uDD14 Watches',
+        value: [
+          '`/watch add` - DM me when free GPUs turn up, e.g. 2 A6000 with 40GB',
+          '`/watch list` / `/watch remove` - Your watches',
+        ].join('\n'),
+        inline: false,
+      },
       {
         name: '\u2699\uFE0F Server Config',
         value: [
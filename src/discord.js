@@ -1,4 +1,4 @@
-import { Client, GatewayIntentBits, Events } from 'discord.js';
+import { Client, GatewayIntentBits, Events, AttachmentBuilder } from 'discord.js';
 import {
   getAllServersGpuStatus,
   getAllServersGpuStatusWithProcesses,
@@ -9,14 +9,42 @@ import {
   killUserProcesses,
   cancelAllOccupations,
   getOccupations,
+  parseGpuIds,
+  findGpuDevice,
 } from './gpu.js';
+import { parseBestGpuCount, pickBestFreeGpus, findBestFreeGpus, getServerTopology } from './topology.js';
 import {
   formatMultiServerEmbeds,
   formatGpuEmbed,
+  formatGpuDetailEmbed,
+  formatProcessListEmbed,
+  formatTopologyEmbed,
+  formatUsageReportEmbed,
+  formatChartEmbed,
+  formatIdleEmbed,
+  formatDiagnosticsEmbed,
+  formatAlertRulesEmbed,
+  formatWatchesEmbed,
   formatErrorEmbed,
   formatHelpEmbed,
 } from './discord-format.js';
 import { addServer, removeServer, editServer, getServers } from './config.js';
+import { registerAlertSender } from './notify.js';
+import { validateRemotePath } from './remote-command.js';
+import { parseReportRange, getUsageReport } from './usage.js';
+import { addUtilizationTrends, getChartData, parseChartHours, renderChartSvg, renderPng } from './charts.js';
+import { findIdleHogs, parseUserMap, registerIdleNotifier } from './idle.js';
+import { collectDiagnostics } from './diagnostics.js';
+import {
+  parseAlertRule,
+  describeRule,
+  getAlertRules,
+  addAlertRule,
+  removeAlertRule,
+  muteAlertRule,
+  registerAlertRuleSender,
+} from './alerts.js';
+import { parseWatch, describeWatch, addWatch, getWatches, removeWatch, registerWatchSender } from './watches.js';
 
 // Per-platform in-memory state (separate from Slack)
 const scheduledChannels = new Map();
@@ -34,6 +62,42 @@ export async function startDiscord() {
 
   client.once(Events.ClientReady, (c) => {
     console.log(`Discord bot logged in as ${c.user.tag}`);
+
+    // Server up/down alerts
+    if (process.env.DISCORD_ALERT_CHANNEL) {
+      registerAlertSender('discord', async (text) => {
+        const channel = await client.channels.fetch(process.env.DISCORD_ALERT_CHANNEL);
+        await channel.send(text);
+      });
+    }
+
+    // Threshold alert rules, each posting to the channel it names
+    registerAlertRuleSender('discord', async (channelId, text) => {
+      const channel = await client.channels.fetch(channelId);
+      await channel.send(text);
+    });
+
+    // Free-GPU watches, sent by DM to whoever added them
+    registerWatchSender('discord', async (userId, text) => {
+      const user = await client.users.fetch(userId);
+      await user.send(text);
+    });
+
+    // Idle GPU reminders
+    if (process.env.DISCORD_IDLE_CHANNEL || process.env.DISCORD_USER_MAP) {
+      registerIdleNotifier('discord', {
+        post: process.env.DISCORD_IDLE_CHANNEL ? async (text) => {
+          const channel = await client.channels.fetch(process.env.DISCORD_IDLE_CHANNEL);
+          await channel.send(text);
+        } : undefined,
+        dm: async (userId, text) => {
+          const user = await client.users.fetch(userId);
+          await user.send(text);
+        },
+        users: parseUserMap(process.env.DISCORD_USER_MAP),
+        mention: id => `<@${id}>`,
+      });
+    }
   });
 
   client.on(Events.InteractionCreate, handleInteraction);
@@ -53,6 +117,8 @@ async function handleInteraction(interaction) {
       case 'occupy':  await handleOccupy(interaction); break;
       case 'monitor': await handleMonitor(interaction); break;
       case 'cancel':  await handleCancel(interaction); break;
+      case 'alert':   await handleAlert(interaction); break;
+      case 'watch':   await handleWatch(interaction); break;
       case 'gpuhelp': await handleGpuHelp(interaction); break;
     }
   } catch (error) {
@@ -66,9 +132,10 @@ async function handleInteraction(interaction) {
   }
 }
 
-// /gpu [action] [interval]
+// /gpu [action] [interval] [server] [gpu] [range]
 async function handleGpu(interaction) {
   const action = interaction.options.getString('action') || 'status';
+  const fresh = interaction.options.getBoolean('fresh') || false;
 
   switch (action) {
     case 'status': {
@@ -89,7 +156,7 @@ async function handleGpu(interaction) {
         return;
       }
 
-      const results = await getAllServersGpuStatusWithProcesses();
+      const results = await addUtilizationTrends(await getAllServersGpuStatusWithProcesses({ fresh }));
       const embeds = formatMultiServerEmbeds(results);
       await interaction.editReply({ embeds });
       break;
@@ -126,7 +193,7 @@ async function handleGpu(interaction) {
           return;
         }
       } else {
-        const results = await getAllServersGpuStatusWithProcesses();
+        const results = await addUtilizationTrends(await getAllServersGpuStatusWithProcesses());
         embeds = formatMultiServerEmbeds(results);
       }
 
@@ -144,7 +211,7 @@ async function handleGpu(interaction) {
             const gpuInfo = parseGpuInfo(gpuData);
             msg = { embeds: [formatGpuEmbed(gpuInfo, 'Local')] };
           } else {
-            const results = await getAllServersGpuStatusWithProcesses();
+            const results = await addUtilizationTrends(await getAllServersGpuStatusWithProcesses());
             msg = { embeds: formatMultiServerEmbeds(results) };
           }
 
@@ -181,6 +248,133 @@ async function handleGpu(interaction) {
       break;
     }
 
+    case 'detail': {
+      const serverName = interaction.options.getString('server');
+      const gpuIndex = interaction.options.getInteger('gpu');
+
+      if (!serverName) {
+        await interaction.reply({ content: 'Provide a server: `/gpu action:detail server:<name>`', ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply();
+      const { server, gpus } = await getServerGpuStatus(serverName, { fresh });
+      const selected = gpuIndex === null ? gpus : gpus.filter(g => g.index === gpuIndex);
+
+      if (selected.length === 0) {
+        await interaction.editReply({ content: `GPU ${gpuIndex} not found on ${server.name}.` });
+        return;
+      }
+
+      await interaction.editReply({ embeds: [formatGpuDetailEmbed(server.name, selected)] });
+      break;
+    }
+
+    case 'procs': {
+      const serverName = interaction.options.getString('server');
+
+      if (!serverName) {
+        await interaction.reply({ content: 'Provide a server: `/gpu action:procs server:<name>`', ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply();
+      const { server, processes } = await getServerGpuStatus(serverName, { fresh });
+      await interaction.editReply({ embeds: [formatProcessListEmbed(server.name, processes)] });
+      break;
+    }
+
+    case 'topo': {
+      const serverName = interaction.options.getString('server');
+      const server = serverName && (await getServers()).find(s => s.name.toLowerCase() === serverName.toLowerCase());
+
+      if (!server) {
+        await interaction.reply({ content: 'Provide a configured server: `/gpu action:topo server:<name>`', ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply();
+      const topology = await getServerTopology(server, { refresh: fresh });
+      if (!topology) {
+        await interaction.editReply({ content: 'Topology is only available for servers using the nvidia collector.' });
+        return;
+      }
+      await interaction.editReply({ embeds: [formatTopologyEmbed(server.name, topology)] });
+      break;
+    }
+
+    case 'report': {
+      let range;
+      try {
+        range = parseReportRange((interaction.options.getString('range') || '').split(/\s+/).filter(Boolean));
+      } catch (error) {
+        await interaction.reply({ content: error.message, ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply();
+      const report = await getUsageReport({ ...range, server: interaction.options.getString('server') || undefined });
+      await interaction.editReply({ embeds: [formatUsageReportEmbed(report)] });
+      break;
+    }
+
+    case 'chart': {
+      const serverName = interaction.options.getString('server');
+      const server = serverName && (await getServers()).find(s => s.name.toLowerCase() === serverName.toLowerCase());
+
+      if (!server) {
+        await interaction.reply({ content: 'Provide a configured server: `/gpu action:chart server:<name> [hours:6]`', ephemeral: true });
+        return;
+      }
+
+      let hours;
+      try {
+        hours = parseChartHours(interaction.options.getInteger('hours') ?? undefined);
+      } catch (error) {
+        await interaction.reply({ content: error.message, ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply();
+      const chart = await getChartData(server.name, hours);
+      const png = chart.gpus.length > 0 ? await renderPng(renderChartSvg(chart)) : null;
+      const imageName = `${server.name.replace(/[^\w.-]/g, '_')}-gpu.png`;
+      await interaction.editReply({
+        embeds: [formatChartEmbed(chart, png ? imageName : null)],
+        files: png ? [new AttachmentBuilder(png, { name: imageName })] : [],
+      });
+      break;
+    }
+
+    case 'idle': {
+      const serverName = interaction.options.getString('server');
+      const server = serverName && (await getServers()).find(s => s.name.toLowerCase() === serverName.toLowerCase());
+      if (serverName && !server) {
+        await interaction.reply({ content: `Server not found: ${serverName}`, ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply();
+      const idle = await findIdleHogs({ server: server?.name });
+      await interaction.editReply({ embeds: [formatIdleEmbed(idle)] });
+      break;
+    }
+
+    case 'diag': {
+      const serverName = interaction.options.getString('server');
+      await interaction.deferReply();
+      let results = await getAllServersGpuStatusWithProcesses({ fresh });
+      if (serverName) {
+        results = results.filter(r => r.server.name.toLowerCase() === serverName.toLowerCase());
+        if (results.length === 0) {
+          await interaction.editReply({ content: `Server not found: ${serverName}. Use \`/config list\` to see available servers.` });
+          return;
+        }
+      }
+      await interaction.editReply({ embeds: [formatDiagnosticsEmbed(collectDiagnostics(results), results.length)] });
+      break;
+    }
+
     case 'help': {
       await interaction.reply({ embeds: [formatHelpEmbed()], ephemeral: true });
       break;
@@ -198,10 +392,12 @@ async function handleConfig(interaction) {
       const host = interaction.options.getString('host');
       const port = interaction.options.getInteger('port') || 22;
       const identityFile = interaction.options.getString('key') || null;
+      const collector = interaction.options.getString('collector') || null;
+      const transport = interaction.options.getString('transport') || null;
 
-      const server = await addServer({ name, host, port, identityFile });
+      const server = await addServer({ name, host, port, identityFile, collector, transport });
       await interaction.reply({
-        content: `Server added!\n**Name:** ${server.name}\n**Host:** ${server.host}\n**Port:** ${server.port}${server.identityFile ? `\n**Key:** ${server.identityFile}` : ''}`,
+        content: `Server added!\n**Name:** ${server.name}\n**Host:** ${server.host}\n**Port:** ${server.port}\n**Collector:** ${server.collector}\n**Transport:** ${server.transport}${server.identityFile ? `\n**Key:** ${server.identityFile}` : ''}`,
         ephemeral: true,
       });
       break;
@@ -224,15 +420,29 @@ async function handleConfig(interaction) {
       const port = interaction.options.getInteger('port');
       const key = interaction.options.getString('key');
       const newname = interaction.options.getString('newname');
+      const collector = interaction.options.getString('collector');
+      const transport = interaction.options.getString('transport');
+      const disks = interaction.options.getString('disks');
+      const tags = interaction.options.getString('tags');
+      const timeout = interaction.options.getInteger('timeout');
+      const retries = interaction.options.getInteger('retries');
+      const concurrency = interaction.options.getInteger('concurrency');
 
       if (host) updates.host = host;
       if (port) updates.port = port;
       if (key) updates.identityFile = key;
       if (newname) updates.name = newname;
+      if (collector) updates.collector = collector;
+      if (transport) updates.transport = transport;
+      if (disks !== null) updates.diskMounts = disks.split(',').map(d => d.trim()).filter(Boolean);
+      if (tags !== null) updates.tags = tags.split(',').map(t => t.trim()).filter(Boolean);
+      if (timeout !== null) updates.timeout = timeout;
+      if (retries !== null) updates.retries = retries;
+      if (concurrency !== null) updates.concurrency = concurrency;
 
       if (Object.keys(updates).length === 0) {
         await interaction.reply({
-          content: 'No updates provided. Use `host`, `port`, `key`, or `newname` options.',
+          content: 'No updates provided. Use `host`, `port`, `key`, `newname`, `collector`, `transport`, `disks`, `tags`, `timeout`, `retries` or `concurrency` options.',
           ephemeral: true,
         });
         return;
@@ -258,7 +468,7 @@ async function handleConfig(interaction) {
       }
 
       const list = servers
-        .map((s, i) => `${i + 1}. **${s.name}** - \`${s.host}\` (port ${s.port})${s.identityFile ? ` | key: \`${s.identityFile}\`` : ''}`)
+        .map((s, i) => `${i + 1}. **${s.name}** - \`${s.host}\` (port ${s.port})${s.identityFile ? ` | key: \`${s.identityFile}\`` : ''}${s.collector && s.collector !== 'nvidia' ? ` | collector: \`${s.collector}\`` : ''}${s.transport === 'agent' ? ' | transport: `agent`' : ''}${s.tags?.length > 0 ? ` | tags: \`${s.tags.join(',')}\`` : ''}`)
         .join('\n');
 
       await interaction.reply({
@@ -277,10 +487,11 @@ async function handleOccupy(interaction) {
   const memoryGB = interaction.options.getNumber('memory_gb');
   const pythonPath = interaction.options.getString('python_path');
 
-  const gpuIds = gpuIdsStr.split(',').map(id => parseInt(id.trim()));
+  const bestCount = parseBestGpuCount(gpuIdsStr);
+  let gpuIds = bestCount ? null : parseGpuIds(gpuIdsStr);
 
-  if (gpuIds.some(isNaN)) {
-    await interaction.reply({ content: 'Invalid GPU IDs. Use comma-separated numbers (e.g., 0,1,2)', ephemeral: true });
+  if (!bestCount && !gpuIds) {
+    await interaction.reply({ content: 'Invalid GPU IDs. Use comma-separated numbers (e.g., 0,1,2), `best:N` or a MIG device UUID', ephemeral: true });
     return;
   }
 
@@ -299,10 +510,18 @@ async function handleOccupy(interaction) {
     return;
   }
 
+  // best:N - pick the best-connected free GPUs
+  let linkNote = '';
+  if (bestCount) {
+    const selection = await pickBestFreeGpus(server, bestCount, memoryGB);
+    gpuIds = selection.gpuIds;
+    linkNote = selection.weakestLink ? ` (weakest link: ${selection.weakestLink})` : '';
+  }
+
   const result = await startGpuOccupation(server, pythonPath, gpuIds, memoryGB);
 
   await interaction.editReply({
-    content: `GPU occupation started on **${serverName}**\n\u2022 GPUs: ${gpuIds.join(', ')}\n\u2022 Memory: ${memoryGB}GB each\n\u2022 PID: ${result.pid}\n\nUse \`/cancel server:${serverName} username:<your_user>\` to stop.`,
+    content: `GPU occupation started on **${serverName}**\n\u2022 GPUs: ${gpuIds.join(', ')}${linkNote}\n\u2022 Memory: ${memoryGB}GB each\n\u2022 PID: ${result.pid}\n\nUse \`/cancel server:${serverName} username:<your_user>\` to stop.`,
   });
 }
 
@@ -319,13 +538,23 @@ async function handleMonitor(interaction) {
       const frequencyMin = interaction.options.getInteger('frequency_min');
       const minFreeGB = interaction.options.getNumber('min_free_gb') || memoryGB + 2;
 
-      const gpuIds = gpuIdsStr.split(',').map(id => parseInt(id.trim()));
+      const bestCount = parseBestGpuCount(gpuIdsStr);
+      const gpuIds = bestCount ? null : parseGpuIds(gpuIdsStr);
+      const gpuLabel = bestCount ? `best ${bestCount}` : gpuIds?.join(', ');
 
-      if (gpuIds.some(isNaN)) {
+      if (!bestCount && !gpuIds) {
         await interaction.reply({ content: 'Invalid GPU IDs.', ephemeral: true });
         return;
       }
 
+      // Checked now so a bad path fails here instead of on every check
+      try {
+        validateRemotePath(pythonPath, 'Python path');
+      } catch (error) {
+        await interaction.reply({ content: error.message, ephemeral: true });
+        return;
+      }
+
       const servers = await getServers();
       const server = servers.find(s => s.name.toLowerCase() === serverName.toLowerCase());
 
@@ -340,11 +569,19 @@ async function handleMonitor(interaction) {
 
       const intervalId = setInterval(async () => {
         try {
-          const { gpus } = await getServerGpuStatus(serverName);
+          const { gpus, processes } = await getServerGpuStatus(serverName);
+
+          // best:N - look for a well-connected set of free GPUs on each check
+          let targetIds = gpuIds;
+          if (bestCount) {
+            const selection = await findBestFreeGpus(server, gpus, processes, bestCount, minFreeGB);
+            if (!selection) return;
+            targetIds = selection.gpuIds;
+          }
 
           let allAvailable = true;
-          for (const gpuId of gpuIds) {
-            const gpu = gpus.find(g => g.index === gpuId);
+          for (const gpuId of targetIds) {
+            const gpu = findGpuDevice(gpus, gpuId);
             if (!gpu) { allAvailable = false; break; }
             const freeGB = (gpu.memoryTotal - gpu.memoryUsed) / 1024;
             if (freeGB < minFreeGB) { allAvailable = false; break; }
@@ -352,10 +589,10 @@ async function handleMonitor(interaction) {
 
           if (allAvailable) {
             try {
-              const result = await startGpuOccupation(server, pythonPath, gpuIds, memoryGB);
+              const result = await startGpuOccupation(server, pythonPath, targetIds, memoryGB);
               const channel = await client.channels.fetch(channelId);
               await channel.send({
-                content: `**Auto-occupy triggered!**\n\nServer: **${serverName}**\nGPUs: ${gpuIds.join(', ')}\nMemory: ${memoryGB}GB each\nPID: ${result.pid}\n\nMonitor has been stopped.`,
+                content: `**Auto-occupy triggered!**\n\nServer: **${serverName}**\nGPUs: ${targetIds.join(', ')}\nMemory: ${memoryGB}GB each\nPID: ${result.pid}\n\nMonitor has been stopped.`,
               });
             } catch (occupyError) {
               const channel = await client.channels.fetch(channelId);
@@ -376,6 +613,8 @@ async function handleMonitor(interaction) {
         intervalId,
         serverName,
         gpuIds,
+        bestCount,
+        gpuLabel,
         memoryGB,
         pythonPath,
         frequencyMin,
@@ -385,7 +624,7 @@ async function handleMonitor(interaction) {
       });
 
       await interaction.reply({
-        content: `Auto-occupy monitor started!\n\n\u2022 **ID:** ${monitorId}\n\u2022 **Server:** ${serverName}\n\u2022 **GPUs:** ${gpuIds.join(', ')}\n\u2022 **Memory:** ${memoryGB}GB each\n\u2022 **Check every:** ${frequencyMin} min\n\u2022 **Min free required:** ${minFreeGB}GB\n\nWill auto-occupy when GPUs are available (one-time). Use \`/monitor stop monitor_id:${monitorId}\` to cancel.`,
+        content: `Auto-occupy monitor started!\n\n\u2022 **ID:** ${monitorId}\n\u2022 **Server:** ${serverName}\n\u2022 **GPUs:** ${gpuLabel}\n\u2022 **Memory:** ${memoryGB}GB each\n\u2022 **Check every:** ${frequencyMin} min\n\u2022 **Min free required:** ${minFreeGB}GB\n\nWill auto-occupy when GPUs are available (one-time). Use \`/monitor stop monitor_id:${monitorId}\` to cancel.`,
       });
       break;
     }
@@ -425,7 +664,7 @@ async function handleMonitor(interaction) {
       }
 
       const list = Array.from(autoOccupyMonitors.entries())
-        .map(([id, m]) => `\u2022 **${id}**\n  Server: ${m.serverName} | GPUs: ${m.gpuIds.join(',')} | Every ${m.frequencyMin}min`)
+        .map(([id, m]) => `\u2022 **${id}**\n  Server: ${m.serverName} | GPUs: ${m.gpuLabel} | Every ${m.frequencyMin}min`)
         .join('\n\n');
 
       await interaction.reply({
@@ -483,6 +722,99 @@ async function handleCancel(interaction) {
   }
 }
 
+// /alert add|list|remove|mute
+async function handleAlert(interaction) {
+  const sub = interaction.options.getSubcommand();
+
+  switch (sub) {
+    case 'add': {
+      // Build the same words as Slack's /alert add and parse them alike
+      const args = [interaction.options.getString('metric')];
+      const op = interaction.options.getString('op');
+      const value = interaction.options.getNumber('value');
+      if (op || value !== null) args.push(op || '>', String(value ?? ''));
+      for (const option of ['for', 'server', 'cooldown']) {
+        const optionValue = interaction.options.getString(option);
+        if (optionValue) args.push(option, optionValue);
+      }
+      const gpu = interaction.options.getInteger('gpu');
+      if (gpu !== null) args.push('gpu', String(gpu));
+
+      const channel = interaction.options.getChannel('channel')?.id || interaction.channelId;
+      const rule = await addAlertRule({ ...parseAlertRule(args), platform: 'discord', channel }, interaction.user.id);
+      await interaction.reply({
+        content: `Added alert **#${rule.id}**: \`${describeRule(rule)}\`, posting to <#${rule.channel}>`,
+        ephemeral: true,
+      });
+      break;
+    }
+
+    case 'list': {
+      await interaction.reply({ embeds: [formatAlertRulesEmbed(await getAlertRules())], ephemeral: true });
+      break;
+    }
+
+    case 'remove': {
+      const rule = await removeAlertRule(interaction.options.getInteger('id'));
+      await interaction.reply({ content: `Removed alert **#${rule.id}**: \`${describeRule(rule)}\``, ephemeral: true });
+      break;
+    }
+
+    case 'mute': {
+      const rule = await muteAlertRule(interaction.options.getInteger('id'), interaction.options.getString('duration') || undefined);
+      await interaction.reply({
+        content: rule.mutedUntil
+          ? `\uD83D\uDD15 Muted alert **#${rule.id}** until <t:${Math.floor(Date.parse(rule.mutedUntil) / 1000)}:t>`
+          : `\uD83D\uDD14 Unmuted alert **#${rule.id}**`,
+        ephemeral: true,
+      });
+      break;
+    }
+  }
+}
+
+// /watch add|list|remove
+async function handleWatch(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const owner = { platform: 'discord', userId: interaction.user.id };
+
+  switch (sub) {
+    case 'add': {
+      // Build the same words as Slack's /watch add and parse them alike
+      const args = [String(interaction.options.getInteger('count') ?? 1)];
+      const minFreeGB = interaction.options.getNumber('min_free_gb');
+      if (minFreeGB !== null) args.push(`${minFreeGB}GB`);
+      const model = interaction.options.getString('model');
+      if (model) args.push(model);
+      for (const option of ['server', 'tag']) {
+        const value = interaction.options.getString(option);
+        if (value) args.push(option, value);
+      }
+      if (interaction.options.getBoolean('repeat')) args.push('repeat');
+
+      const watch = await addWatch(parseWatch(args), owner);
+      await interaction.reply({
+        content: `Added watch **#${watch.id}**: \`${describeWatch(watch)}\`. ` +
+          `I'll DM you ${watch.recurring ? 'each time they are' : 'once they are'} available.`,
+        ephemeral: true,
+      });
+      break;
+    }
+
+    case 'list': {
+      const watches = (await getWatches()).filter(w => w.platform === 'discord' && w.userId === interaction.user.id);
+      await interaction.reply({ embeds: [formatWatchesEmbed(watches)], ephemeral: true });
+      break;
+    }
+
+    case 'remove': {
+      const watch = await removeWatch(interaction.options.getInteger('id'), owner);
+      await interaction.reply({ content: `Removed watch **#${watch.id}**: \`${describeWatch(watch)}\``, ephemeral: true });
+      break;
+    }
+  }
+}
+
 // /gpuhelp
 async function handleGpuHelp(interaction) {
   await interaction.reply({ embeds: [formatHelpEmbed()], ephemeral: true });
@@ -0,0 +1,228 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getCollector, THROTTLE_REASONS } from './collectors.js';
+
+/**
+ * Fake GPU cluster for running the bot and CLI without real servers.
+ *
+ * GPU_MONITOR_FAKE_CLUSTER points at a JSON file describing the servers
+ * (or is "1" for tests/fixtures/fake-cluster.json):
+ *   { "servers": [{
+ *       "name": "fake-a100", "gpuModel": "NVIDIA A100-SXM4-80GB",
+ *       "gpuCount": 4, "memoryTotal": 81920, "powerLimit": 400,
+ *       "topology": [["X", "NV12"], ["NV12", "X"]],
+ *       "hostMetrics": { "cpuCount": 64, "load": 12.5, "memTotalMB": 515000, "memAvailableMB": 300000 },
+ *       "steps": [
+ *         { "gpus": [{ "util": 95, "memoryUsed": 70000 }],
+ *           "processes": [{ "gpu": 0, "pid": 4242, "user": "alice", "memoryMB": 70000,
+ *                           "command": "python train.py", "elapsedSec": 3600 }] },
+ *         { "error": "Connection timed out" }
+ *       ] }] }
+ *
+ * Each status refresh of a server moves it to its next step and stays on
+ * the last one, so a scenario can script GPUs filling up, freeing or a
+ * server dropping off. A server with no steps uses top-level "gpus" and
+ * "processes" (or is idle). "transport" and "agentSecret" are passed
+ * through to the server entry, to exercise the gpu-agent ingest path.
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CLUSTER_FILE = path.join(__dirname, '..', 'tests', 'fixtures', 'fake-cluster.json');
+
+let cluster = null;
+let clusterFile = null;
+// server name -> index of the step served next
+const stepIndex = new Map();
+let nextPid = 90000;
+
+/**
+ * Load the fake cluster definition named by GPU_MONITOR_FAKE_CLUSTER
+ */
+export function loadFakeCluster() {
+  const setting = process.env.GPU_MONITOR_FAKE_CLUSTER;
+  const file = !setting || setting === '1' || setting === 'true' ? DEFAULT_CLUSTER_FILE : path.resolve(setting);
+
+  if (!cluster || clusterFile !== file) {
+    try {
+      cluster = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not load fake cluster from ${file}: ${error.message}`);
+    }
+    clusterFile = file;
+    stepIndex.clear();
+  }
+  return cluster;
+}
+
+/**
+ * Start every fake server from its first step again
+ */
+export function resetFakeCluster() {
+  stepIndex.clear();
+}
+
+/**
+ * Servers of the fake cluster in servers.json form
+ * @returns {Array<Object>}
+ */
+export function getFakeServers() {
+  return loadFakeCluster().servers.map(def => ({
+    id: `fake-${def.name}`,
+    name: def.name,
+    host: `fake@${def.name}`,
+    port: 22,
+    identityFile: null,
+    proxyJump: null,
+    collector: 'nvidia',
+    transport: def.transport || 'ssh',
+    agentSecret: def.agentSecret || null,
+    tags: def.tags || null,
+  }));
+}
+
+/**
+ * Get the current step of a fake server, optionally moving to the next one
+ */
+function getStep(def, advance) {
+  const steps = def.steps?.length > 0 ? def.steps : [{ gpus: def.gpus || [], processes: def.processes || [] }];
+  const index = Math.min(stepIndex.get(def.name) || 0, steps.length - 1);
+  if (advance) stepIndex.set(def.name, index + 1);
+  return steps[index];
+}
+
+/**
+ * Render nvidia-smi --query-gpu CSV rows of the basic fields for a step
+ */
+function renderGpus(def, step) {
+  const memoryTotal = def.memoryTotal || 81920;
+  const powerLimit = def.powerLimit || 400;
+
+  return Array.from({ length: def.gpuCount || 1 }, (_, i) => {
+    const gpu = step.gpus?.[i] || {};
+    const util = gpu.util ?? 0;
+    return [
+      i, def.gpuModel || 'NVIDIA A100-SXM4-80GB',
+      gpu.temperature ?? 30 + Math.round(util / 2), util, Math.round(util * 0.6),
+      gpu.memoryUsed ?? 0, memoryTotal, (gpu.powerDraw ?? 60 + util * 3).toFixed(2), powerLimit.toFixed(2),
+    ].join(', ');
+  }).join('\n');
+}
+
+/**
+ * Render the TELEMETRY section's CSV rows (index and extended telemetry) for a step
+ */
+function renderTelemetry(def, step) {
+  return Array.from({ length: def.gpuCount || 1 }, (_, i) => {
+    const gpu = step.gpus?.[i] || {};
+    const throttle = THROTTLE_REASONS.map(r => ((gpu.throttle || []).includes(r) ? 'Active' : 'Not Active'));
+    return [
+      i, (gpu.util ?? 0) > 0 ? 1410 : 210, 1593, 1410, 1593, '[N/A]',
+      ...throttle,
+      0, gpu.eccUncorrected ?? 0, 0, gpu.eccUncorrected ?? 0,
+      4, 4, gpu.pcieWidth ?? 16, 16,
+      'Enabled',
+    ].join(', ');
+  }).join('\n');
+}
+
+function gpuUuid(def, index) {
+  return `GPU-fake-${def.name}-${index}`;
+}
+
+/**
+ * Render the sectioned snapshot payload (GPU, process and host sections)
+ */
+function renderSnapshot(def, step) {
+  const gpuCount = def.gpuCount || 1;
+  const processes = step.processes || [];
+  const host = { cpuCount: 32, load: 1.5, memTotalMB: 257000, memAvailableMB: 200000, ...def.hostMetrics, ...step.hostMetrics };
+  const containerId = (name) => Buffer.from(name).toString('hex').padEnd(64, '0').slice(0, 64);
+
+  const sections = {
+    GPUS: renderGpus(def, step),
+    TELEMETRY: renderTelemetry(def, step),
+    UUIDS: Array.from({ length: gpuCount }, (_, i) => `${i}, ${gpuUuid(def, i)}`).join('\n'),
+    APPS: processes.map(p => `${gpuUuid(def, p.gpu)}, ${p.pid}, ${p.memoryMB}`).join('\n'),
+    MIG: '',
+    PS: processes.map(p =>
+      `${p.pid} ${p.user} ${p.elapsedSec ?? 600} ${p.cpuPercent ?? 100.0} ${p.command || 'python train.py'}`
+    ).join('\n'),
+    CGROUPS: processes.map(p =>
+      `${p.pid} ${p.container ? `0::/system.slice/docker-${containerId(p.container)}.scope` : '0::/user.slice'}`
+    ).join('\n'),
+    CONTAINERS: [...new Set(processes.filter(p => p.container).map(p => p.container))]
+      .map(name => `${containerId(name)} ${name}`).join('\n'),
+    NPROC: String(host.cpuCount),
+    LOADAVG: `${host.load} ${host.load} ${host.load} 1/500 12345`,
+    MEMINFO: `MemTotal: ${host.memTotalMB * 1024} kB\nMemAvailable: ${host.memAvailableMB * 1024} kB`,
+    DISK: [
+      'Filesystem 1024-blocks Used Available Capacity Mounted on',
+      '/dev/sda1 1000000000 400000000 600000000 40% /',
+    ].join('\n'),
+  };
+
+  return Object.entries(sections).map(([name, text]) => `---${name}---\n${text}`).join('\n') + '\n';
+}
+
+/**
+ * Render `nvidia-smi topo -m` from the server's topology matrix
+ * (every pair on the host bridge if none is given)
+ */
+function renderTopology(def) {
+  const count = def.gpuCount || 1;
+  const matrix = def.topology ||
+    Array.from({ length: count }, (_, i) => Array.from({ length: count }, (_, j) => (i === j ? 'X' : 'PHB')));
+
+  const header = '\t' + matrix.map((_, i) => `GPU${i}`).join('\t') + '\tCPU Affinity\tNUMA Affinity';
+  const rows = matrix.map((row, i) => `GPU${i}\t${row.join('\t')}\t0-${(def.hostMetrics?.cpuCount || 32) - 1}\t0`);
+  return [header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Answer a remote command as the fake server would
+ * @param {Object} server - Server configuration (matched by name)
+ * @param {string} command - Remote shell command
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+export async function runFakeCommand(server, command) {
+  const def = loadFakeCluster().servers.find(s => s.name === server.name);
+  if (!def) {
+    throw new Error(`ssh: Could not resolve hostname ${server.host}: Name or service not known`);
+  }
+
+  const collector = getCollector(server);
+  const isSnapshot = command.startsWith(collector.snapshotCmd);
+  const isStatus = command === collector.statusCmd;
+
+  if (isSnapshot || isStatus) {
+    const step = getStep(def, true);
+    if (step.error) {
+      throw Object.assign(new Error(`ssh: connect to host ${server.host} port 22: ${step.error}`), {
+        killed: /timed out/i.test(step.error),
+      });
+    }
+    return { stdout: isSnapshot ? renderSnapshot(def, step) : renderGpus(def, step) + '\n', stderr: '' };
+  }
+
+  if (command === 'nvidia-smi topo -m') {
+    return { stdout: renderTopology(def), stderr: '' };
+  }
+  // The occupation script also imports torch, so check nohup first
+  if (command.includes('nohup')) {
+    return { stdout: `${nextPid++}\n`, stderr: '' };
+  }
+  if (command.includes('import torch')) {
+    return { stdout: 'cuda: True\n', stderr: '' };
+  }
+
+  const echo = command.match(/^echo "([^"]*)"$/);
+  if (echo) {
+    return { stdout: `${echo[1]}\n`, stderr: '' };
+  }
+  if (command.startsWith('which python')) {
+    return { stdout: '/usr/bin/python3\n', stderr: '' };
+  }
+
+  // kill / pkill / anything else succeeds quietly
+  return { stdout: '', stderr: '' };
+}
@@ -1,4 +1,21 @@
-import { getGpuStatusIndicator, getTopUserForGpu } from './gpu.js';
+import {
+  getGpuStatusIndicator,
+  getShortGpuName,
+  getTopUserForGpu,
+  getGpuWarnings,
+  getThrottleReasonLabels,
+  getAllProcesses,
+  formatDuration,
+  formatHealthSummary,
+} from './gpu.js';
+import { formatHostSummary, getHostWarnings } from './host.js';
+import { formatTopologyMatrix, getNvlinkGroups, LINK_DESCRIPTIONS } from './topology.js';
+import { formatUsageSummary, formatUsageTable } from './usage.js';
+import { formatChartLines } from './charts.js';
+import { formatIdleCriteria, formatIdleDuration } from './idle.js';
+import { formatDiagnosticLabel } from './diagnostics.js';
+import { describeRule, isRuleMuted, getFiringTargets } from './alerts.js';
+import { describeWatch } from './watches.js';
 
 /**
  * Format GPU info into a Slack Block Kit message
@@ -98,7 +115,7 @@ export function formatGpuMessage(gpuInfoArray, serverName = null) {
 /**
  * Format multi-server GPU status into a Slack Block Kit message
  * Uses a compact format to stay under Slack's 50 block limit
- * @param {Array} serverResults - Array of { server, gpus, error } objects
+ * @param {Array} serverResults - Array of { server, gpus, error, trends? } objects (trends: see charts.js)
  */
 export function formatMultiServerMessage(serverResults) {
   const timestamp = new Date().toLocaleString();
@@ -131,6 +148,7 @@ export function formatMultiServerMessage(serverResults) {
   for (const result of serverResults) {
     // Server header
     const serverStatus = result.error ? '🔴' : '🟢';
+    const healthSummary = formatHealthSummary(result.health);
 
     if (result.error) {
       // Show server with error in a single block
@@ -138,25 +156,37 @@ export function formatMultiServerMessage(serverResults) {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `${serverStatus} *${result.server.name}* (\`${result.server.host}\`)\n❌ ${result.error}`,
+          text: `${serverStatus} *${result.server.name}* (\`${result.server.host}\`)\n❌ ${result.error}` +
+            (healthSummary ? `\n🩺 ${healthSummary}` : ''),
         },
       });
     } else {
       // Combine all GPUs for this server into a single text block
       // This drastically reduces the number of blocks used
       // Slack section text limit is 3000 chars, so we may need to split
-      const serverHeader = `${serverStatus} *${result.server.name}*`;
+      let serverHeader = `${serverStatus} *${result.server.name}*`;
+      if (healthSummary) serverHeader += `\n🩺 ${healthSummary}`;
+      if (result.host) {
+        const hostWarnings = getHostWarnings(result.host);
+        serverHeader += `\n🖥️ ${formatHostSummary(result.host)}` +
+          (hostWarnings.length > 0 ? `\n⚠️ ${hostWarnings.join(' | ')}` : '');
+      }
       const processes = result.processes || new Map();
       const gpuLines = result.gpus.map((gpu) => {
         const status = getGpuStatusIndicator(gpu);
         const memoryPercent = ((gpu.memoryUsed / gpu.memoryTotal) * 100).toFixed(0);
         const memGB = (gpu.memoryUsed / 1024).toFixed(1);
         const memTotalGB = (gpu.memoryTotal / 1024).toFixed(1);
-        // Extract short GPU name (e.g., "NVIDIA RTX A6000" -> "A6000", "NVIDIA H100 NVL" -> "H100")
-        const shortName = gpu.name.replace(/NVIDIA\s*(RTX\s*)?/i, '').replace(/\s+NVL.*$/i, '').trim();
+        const shortName = getShortGpuName(gpu.name);
         const topUser = getTopUserForGpu(processes, gpu.index);
         const topUserStr = topUser ? ` | 👤 ${topUser.user}` : '';
-        return `${status.emoji} ${gpu.index}: ${shortName} | ${gpu.gpuUtilization}% | ${memGB}/${memTotalGB}GB${topUserStr}`;
+        const unattributedStr = gpu.unattributedMemoryMB > 0 ? ` | 👻 ${(gpu.unattributedMemoryMB / 1024).toFixed(1)}GB` : '';
+        const warningStr = getGpuWarnings(gpu).length > 0 ? ' | ⚠️' : '';
+        const trend = result.trends?.get(gpu.index);
+        const trendStr = trend ? ` \`${trend}\`` : '';
+        const line = `${status.emoji} ${gpu.index}: ${shortName} | ${gpu.gpuUtilization}%${trendStr} | ${memGB}/${memTotalGB}GB${topUserStr}${unattributedStr}${warningStr}`;
+        const migLines = (gpu.migDevices || []).map(mig => formatMigLine(mig, processes));
+        return [line, ...migLines].join('\n');
       });
 
       // Check if we need to split into multiple blocks (3000 char limit)
@@ -215,6 +245,455 @@ export function formatMultiServerMessage(serverResults) {
   };
 }
 
+/**
+ * Format a possibly-missing value with a unit
+ */
+function orNA(value, unit = '') {
+  return value === null || value === undefined || Number.isNaN(value) ? 'N/A' : `${value}${unit}`;
+}
+
+/**
+ * Format a MIG slice as an indented sub-line of its parent GPU
+ */
+function formatMigLine(mig, processes) {
+  const topUser = getTopUserForGpu(processes, mig.id);
+  const memTotal = mig.memoryTotal !== null ? `${(mig.memoryTotal / 1024).toFixed(1)}GB` : '?';
+  return `      ↳ ${mig.id} ${mig.profile} | ${(mig.memoryUsed / 1024).toFixed(1)}/${memTotal}${topUser ? ` | 👤 ${topUser.user}` : ''}`;
+}
+
+/**
+ * Format detailed telemetry (clocks, fan, throttling, ECC, PCIe) for each GPU
+ * of a server into a Slack Block Kit message
+ * @param {string} serverName - Server name for the header
+ * @param {Array} gpuInfoArray - Array of GPU info objects
+ */
+export function formatGpuDetailMessage(serverName, gpuInfoArray) {
+  const timestamp = new Date().toLocaleString();
+
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `🔍 GPU Details - ${serverName}`,
+        emoji: true,
+      },
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `${gpuInfoArray.length} GPU(s) | Updated: ${timestamp}`,
+        },
+      ],
+    },
+    {
+      type: 'divider',
+    },
+  ];
+
+  for (const gpu of gpuInfoArray) {
+    const status = getGpuStatusIndicator(gpu);
+    const warnings = getGpuWarnings(gpu);
+    const throttle = getThrottleReasonLabels(gpu, { includeBenign: true });
+    const { clocks, ecc, pcie } = gpu;
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text:
+          `*GPU ${gpu.index}: ${gpu.name}*\n` +
+          `${status.emoji} ${status.status} | ${gpu.gpuUtilization}% util` +
+          (warnings.length > 0 ? `\n⚠️ ${warnings.join('\n⚠️ ')}` : ''),
+      },
+    });
+
+    blocks.push({
+      type: 'section',
+      fields: [
+        {
+          type: 'mrkdwn',
+          text: `*🌡️ Temp / Fan*\n${orNA(gpu.temperature, '°C')} / ${orNA(gpu.fanSpeed, '%')}`,
+        },
+        {
+          type: 'mrkdwn',
+          text: `*🔌 Power*\n${orNA(gpu.powerDraw, ' W')} / ${orNA(gpu.powerLimit, ' W')}`,
+        },
+        {
+          type: 'mrkdwn',
+          text: `*⏱️ SM Clock*\n${orNA(clocks?.sm, ' MHz')} / ${orNA(clocks?.maxSm, ' MHz')}`,
+        },
+        {
+          type: 'mrkdwn',
+          text: `*⏱️ Mem Clock*\n${orNA(clocks?.memory, ' MHz')} / ${orNA(clocks?.maxMemory, ' MHz')}`,
+        },
+        {
+          type: 'mrkdwn',
+          text: `*🚦 Throttle*\n${throttle.length > 0 ? throttle.join(', ') : 'None'}`,
+        },
+        {
+          type: 'mrkdwn',
+          text: `*🧮 ECC (uncorr.)*\n${ecc ? `${orNA(ecc.volatileUncorrected)} volatile / ${orNA(ecc.aggregateUncorrected)} aggregate` : 'N/A'}`,
+        },
+        {
+          type: 'mrkdwn',
+          text: `*🔗 PCIe*\n${pcie ? `Gen${orNA(pcie.gen)} x${orNA(pcie.width)} (max Gen${orNA(pcie.genMax)} x${orNA(pcie.widthMax)})` : 'N/A'}`,
+        },
+        {
+          type: 'mrkdwn',
+          text: `*📌 Persistence*\n${gpu.persistenceMode === null || gpu.persistenceMode === undefined ? 'N/A' : gpu.persistenceMode ? 'Enabled' : 'Disabled'}`,
+        },
+      ],
+    });
+
+    if (gpu.migDevices && gpu.migDevices.length > 0) {
+      blocks.push({
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: gpu.migDevices.map(mig => `*MIG ${mig.id}* ${mig.profile} \`${mig.uuid}\``).join('\n'),
+          },
+        ],
+      });
+    }
+
+    blocks.push({
+      type: 'divider',
+    });
+  }
+
+  // Remove the last divider
+  blocks.pop();
+
+  // Stay under Slack's 50 block limit
+  const MAX_BLOCKS = 50;
+  return {
+    text: `GPU Details - ${serverName}`,
+    blocks: blocks.slice(0, MAX_BLOCKS),
+  };
+}
+
+/**
+ * Format every GPU process on a server with its command line, runtime,
+ * CPU usage and container, to tell abandoned sessions from real jobs
+ * @param {string} serverName - Server name for the header
+ * @param {Map} processes - GPU index (or MIG id) -> process list
+ */
+export function formatProcessListMessage(serverName, processes) {
+  const procs = getAllProcesses(processes);
+
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `📋 GPU Processes - ${serverName}`,
+        emoji: true,
+      },
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `${procs.length} process(es) | Updated: ${new Date().toLocaleString()}`,
+        },
+      ],
+    },
+  ];
+
+  if (procs.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: 'No GPU processes running.' },
+    });
+  }
+
+  const lines = procs.map(p => {
+    // Slack mrkdwn needs &, < and > escaped; backticks would end the code span
+    const command = (p.command || '?').slice(0, 120)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/`/g, "'");
+    return `*GPU ${p.gpuIndex}* | PID ${p.pid} | 👤 ${p.user} | ${(p.memoryMB / 1024).toFixed(1)}GB` +
+      ` | ⏱️ ${formatDuration(p.elapsedSec)}` +
+      (p.cpuPercent !== null ? ` | CPU ${p.cpuPercent}%` : '') +
+      (p.container ? ` | 🐳 ${p.container}` : '') +
+      `\n\`${command}\``;
+  });
+
+  // Same 3000 char section limit as the status view
+  let currentText = '';
+  for (const line of lines) {
+    if (currentText && (currentText + '\n' + line).length > 2900) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: currentText } });
+      currentText = line;
+    } else {
+      currentText = currentText ? currentText + '\n' + line : line;
+    }
+  }
+  if (currentText) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: currentText } });
+  }
+
+  const MAX_BLOCKS = 50;
+  return {
+    text: `GPU Processes - ${serverName}`,
+    blocks: blocks.slice(0, MAX_BLOCKS),
+  };
+}
+
+/**
+ * Format a server's GPU interconnect matrix with its NVLink groups
+ * @param {string} serverName - Server name for the header
+ * @param {Object} topology - Parsed topology from topology.js
+ */
+export function formatTopologyMessage(serverName, topology) {
+  const groups = getNvlinkGroups(topology);
+  const legend = Object.entries(LINK_DESCRIPTIONS).map(([k, v]) => `\`${k}\` ${v}`).join('\n');
+
+  return {
+    text: `GPU Topology - ${serverName}`,
+    blocks: [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: `🔗 GPU Topology - ${serverName}`,
+          emoji: true,
+        },
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `\`\`\`${formatTopologyMatrix(topology)}\`\`\``.slice(0, 2990),
+        },
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*NVLink groups:* ${groups.length > 0 ? groups.map(g => `[${g.join(', ')}]`).join(' ') : 'none'}\n` +
+            'Use `best:N` as the GPU list in `/occupy` or `/monitor start` to get the N best-connected free GPUs.',
+        },
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: legend }],
+      },
+    ],
+  };
+}
+
+/**
+ * Format a GPU usage report (see usage.js) as a table per user, server and model
+ * @param {Object} report - From getUsageReport
+ */
+export function formatUsageReportMessage(report) {
+  const title = `📈 GPU Usage - ${report.label}`;
+  // Slack mrkdwn needs &, < and > escaped, even in code blocks
+  const table = formatUsageTable(report, { maxUsers: 25 })
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/`/g, "'");
+
+  return {
+    text: title,
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: title, emoji: true },
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: formatUsageSummary(report) }],
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: report.rows.length > 0
+            ? `\`\`\`${table.slice(0, 2980)}\`\`\``
+            : 'No GPU usage recorded in this range. Usage comes from the GPU history (`HISTORY_INTERVAL`).',
+        },
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: 'GPU-hours split each GPU between its users by memory. Use `gpu-cli report --csv` for a spreadsheet.',
+        }],
+      },
+    ],
+  };
+}
+
+/**
+ * Format a server's utilization and memory history (see charts.js) as sparklines
+ * @param {Object} chart - From getChartData
+ */
+export function formatChartMessage(chart) {
+  const title = `📊 GPU History - ${chart.server} (last ${chart.hours}h)`;
+  const range = `${new Date(chart.from * 1000).toLocaleString()} to ${new Date(chart.to * 1000).toLocaleString()}`;
+
+  return {
+    text: title,
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: title, emoji: true },
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: chart.gpus.length > 0
+            ? `\`\`\`${formatChartLines(chart).join('\n')}\`\`\``.slice(0, 2990)
+            : `No GPU history recorded for ${chart.server} in the last ${chart.hours}h. History is collected every \`HISTORY_INTERVAL\` seconds while the bot runs.`,
+        },
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `${range} | one bar per ${formatDuration(chart.step)}` }],
+      },
+    ],
+  };
+}
+
+/**
+ * Format idle hogs (see idle.js): GPUs where memory is held at low utilization
+ * @param {{hogs: Array, sampled: boolean}} idle - From findIdleHogs
+ */
+export function formatIdleMessage({ hogs, sampled }) {
+  const lines = hogs.map(hog => {
+    const command = (hog.processes[0]?.command || '').slice(0, 80)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/`/g, "'");
+    return `💤 *${hog.server}* GPU ${hog.gpu} | 👤 ${hog.user} | ${(hog.memoryMB / 1024).toFixed(1)}GB` +
+      ` | ${hog.utilization}% for *${formatIdleDuration(hog)}* | PID ${hog.processes.map(p => p.pid).join(', ')}` +
+      (command ? `\n\`${command}\`` : '');
+  });
+
+  let summary;
+  if (!sampled) summary = 'No GPU history recorded yet, so idle time is unknown. History is collected every `HISTORY_INTERVAL` seconds while the bot runs.';
+  else if (hogs.length === 0) summary = '✅ No GPUs are being held idle.';
+  else summary = lines.join('\n').slice(0, 2990);
+
+  return {
+    text: `Idle GPUs - ${hogs.length} found`,
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: '💤 Idle GPUs', emoji: true },
+      },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: summary },
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `Listed: ${formatIdleCriteria()}` }],
+      },
+    ],
+  };
+}
+
+/**
+ * Format diagnostics (see diagnostics.js) into a Slack message
+ * @param {Array} issues - From collectDiagnostics
+ * @param {number} serverCount - Servers checked
+ */
+export function formatDiagnosticsMessage(issues, serverCount) {
+  const lines = issues.map(issue => `${formatDiagnosticLabel(issue)}: ${issue.message}`);
+  const summary = issues.length === 0
+    ? `✅ No problems found on ${serverCount} server(s).`
+    : lines.join('\n').slice(0, 2990);
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: '🩺 GPU Diagnostics', emoji: true },
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: summary },
+    },
+  ];
+  if (issues.some(issue => issue.kind === 'unattributed')) {
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: '👻 = GPU memory in use with no process listed, so the GPU looks free but isn\'t. ' +
+          'Look for it on the host with `sudo fuser -v /dev/nvidia*` or `docker stats`.',
+      }],
+    });
+  }
+
+  return { text: `GPU Diagnostics - ${issues.length} issue(s)`, blocks };
+}
+
+/**
+ * Format alert rules (see alerts.js) into a Slack message
+ * @param {Array} rules - From getAlertRules
+ */
+export function formatAlertRulesMessage(rules) {
+  const time = iso => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const lines = rules.map((rule) => {
+    const firing = getFiringTargets(rule.id);
+    return `*#${rule.id}* \`${describeRule(rule)}\` → ` +
+      (rule.platform === 'slack' ? `<#${rule.channel}>` : `${rule.platform} channel ${rule.channel}`) +
+      ` | cooldown ${formatDuration(rule.cooldownSec)}` +
+      (isRuleMuted(rule) ? ` | 🔕 muted until ${time(rule.mutedUntil)}` : '') +
+      (firing.length > 0 ? `\n      🚨 firing: ${firing.join(', ')}` : '');
+  });
+
+  return {
+    text: `Alert rules - ${rules.length}`,
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: '🚨 Alert Rules', emoji: true },
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: rules.length > 0
+            ? lines.join('\n').slice(0, 2990)
+            : 'No alert rules. Add one with `/alert add temp > 85 for 5m`.',
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Format a user's free-GPU watches (see watches.js) into a Slack message
+ * @param {Array} watches - The user's watches, from getWatches
+ */
+export function formatWatchesMessage(watches) {
+  const lines = watches.map(w => `*#${w.id}* \`${describeWatch(w)}\` | ${w.recurring ? '🔁 every time' : 'once'}`);
+
+  return {
+    text: `Your GPU watches - ${watches.length}`,
+    blocks: [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: '🔔 Your GPU Watches', emoji: true },
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: watches.length > 0
+            ? lines.join('\n').slice(0, 2990)
+            : 'No watches. Add one with `/watch add 2 A6000 40GB` to get a DM when GPUs free up.',
+        },
+      },
+    ],
+  };
+}
+
 /**
  * Create a text-based progress bar
  */
@@ -4,91 +4,135 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getServers } from './config.js';
+import { getCollector, parseGpuInfo, buildSectionedCmd, parseSections } from './collectors.js';
+import { hostSections, parseHostInfo } from './host.js';
+import { runRemoteCommand } from './transport.js';
+import { createCache } from './cache.js';
+import { classifyRemoteError, getPollPolicy, withRetries } from './polling.js';
+import { checkCircuit, recordSuccess, recordFailure, getServerHealth } from './health.js';
+import { buildCommand, shellQuote, validateGpuIds, validatePid, validateRemotePath, validateUsername } from './remote-command.js';
+import { readHistory, downsampleRecords } from './history.js';
+
+export { parseGpuInfo };
 
 const execAsync = promisify(exec);
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OCCUPATIONS_FILE = path.join(__dirname, '..', 'occupations.json');
 
-const NVIDIA_SMI_CMD =
-  'nvidia-smi --query-gpu=index,name,temperature.gpu,utilization.gpu,utilization.memory,memory.used,memory.total,power.draw,power.limit --format=csv,noheader,nounits';
-
-const GPU_PROCESS_CMD = [
-  'nvidia-smi --query-gpu=index,uuid --format=csv,noheader',
-  'echo "---SEP---"',
-  'nvidia-smi --query-compute-apps=gpu_uuid,pid,used_gpu_memory --format=csv,noheader,nounits 2>/dev/null || true',
-  'echo "---SEP---"',
-  'ps -eo pid=,user= 2>/dev/null || true',
-].join('; ');
+// Snapshots shared by every front-end and monitor (see cache.js)
+const statusCache = createCache();
 
 /**
- * Execute nvidia-smi locally and return raw output
+ * Execute the default GPU collector (nvidia-smi) locally and return raw output
  */
 export async function getLocalGpuStatus() {
+  const collector = getCollector();
   try {
-    const { stdout } = await execAsync(NVIDIA_SMI_CMD);
+    const { stdout } = await execAsync(collector.statusCmd);
     return stdout.trim();
   } catch (error) {
     if (error.message.includes('not found') || error.message.includes('command not found')) {
-      throw new Error('nvidia-smi not found. Make sure NVIDIA drivers are installed.');
+      throw new Error(`${collector.binary} not found. Make sure the GPU drivers are installed.`);
     }
     if (error.message.includes('NVIDIA-SMI has failed')) {
-      throw new Error('nvidia-smi failed. No NVIDIA GPU detected or driver issue.');
+      throw new Error(`${collector.binary} failed. No GPU detected or driver issue.`);
     }
     throw error;
   }
 }
 
 /**
- * Execute nvidia-smi on a remote server via SSH
+ * Run a read-only status command with the server's timeout, retrying
+ * transient failures, and record the outcome in the server's health.
+ * Servers that are down are skipped while their circuit is open.
+ * @returns {Promise<{stdout: string, attempts: number}>}
+ * @throws readable error (see describeRemoteError) with `attempts`, `kind` and `retryable`
+ */
+async function runStatusCommand(server, collector, command) {
+  checkCircuit(server);
+  const { timeoutMs, retries, retryDelayMs } = getPollPolicy(server);
+
+  try {
+    const { value, attempts } = await withRetries(
+      () => runRemoteCommand(server, command, { timeout: timeoutMs }),
+      { retries, retryDelayMs, isRetryable: error => classifyRemoteError(error, collector).retryable }
+    );
+    recordSuccess(server);
+    return { stdout: value.stdout, attempts };
+  } catch (error) {
+    const described = describeRemoteError(server, collector, error);
+    described.attempts = error.attempts;
+    if (error.attempts > 1) described.message += ` (after ${error.attempts} attempts)`;
+    recordFailure(server, described);
+    throw described;
+  }
+}
+
+/**
+ * Execute the server's GPU collector (nvidia-smi by default) via SSH
+ * and return its raw output
  * @param {Object} server - Server configuration
  */
 export async function getRemoteGpuStatus(server) {
-  const sshOptions = [
-    '-o', 'ConnectTimeout=10',
-    '-o', 'StrictHostKeyChecking=no',
-    '-o', 'BatchMode=yes',
-  ];
-
-  if (server.port && server.port !== 22) {
-    sshOptions.push('-p', server.port.toString());
-  }
+  const collector = getCollector(server);
+  const { stdout } = await runStatusCommand(server, collector, collector.statusCmd);
+  return stdout.trim();
+}
 
-  if (server.identityFile) {
-    sshOptions.push('-i', server.identityFile);
-  }
+/**
+ * Build the full snapshot script: the collector's sections plus host metrics
+ * @param {Object} [server] - Server configuration (local if omitted)
+ */
+export function buildSnapshotCmd(server) {
+  return `${getCollector(server).snapshotCmd}; ${buildSectionedCmd(hostSections(server))}`;
+}
 
-  if (server.proxyJump) {
-    sshOptions.push('-J', server.proxyJump);
-  }
+/**
+ * Parse snapshot output into { gpus, processes, host }
+ */
+function parseSnapshotOutput(collector, stdout) {
+  return {
+    ...collector.parseSnapshot(stdout),
+    host: parseHostInfo(parseSections(stdout)),
+  };
+}
 
-  const sshCmd = `ssh ${sshOptions.join(' ')} ${server.host} "${NVIDIA_SMI_CMD}"`;
+/**
+ * Run the server's combined snapshot script via SSH and parse it.
+ * GPU metrics, processes and host metrics come from the same round-trip,
+ * so they always describe the same moment.
+ * @param {Object} server - Server configuration
+ * @returns {Promise<{gpus: Array, processes: Map, host: Object|null, attempts: number}>}
+ */
+export async function getRemoteGpuSnapshot(server) {
+  const collector = getCollector(server);
+  const { stdout, attempts } = await runStatusCommand(server, collector, buildSnapshotCmd(server));
+  return { ...parseSnapshotOutput(collector, stdout), attempts };
+}
 
-  try {
-    const { stdout } = await execAsync(sshCmd, { timeout: 30000 });
-    return stdout.trim();
-  } catch (error) {
-    if (error.message.includes('Permission denied')) {
-      throw new Error(`SSH authentication failed for ${server.name}. Check your SSH key.`);
-    }
-    if (error.message.includes('Connection refused')) {
-      throw new Error(`Connection refused to ${server.name}. Check if SSH is running.`);
-    }
-    if (error.message.includes('Connection timed out') || error.killed) {
-      throw new Error(`Connection timed out to ${server.name}.`);
-    }
-    if (error.message.includes('Could not resolve hostname')) {
-      throw new Error(`Could not resolve hostname for ${server.name}.`);
-    }
-    if (error.message.includes('nvidia-smi') || error.message.includes('not found')) {
-      throw new Error(`nvidia-smi not found on ${server.name}.`);
-    }
-    throw new Error(`Failed to connect to ${server.name}: ${error.message}`);
-  }
+/**
+ * Turn an SSH/collector failure into a readable error, tagged with its
+ * `kind` and whether it was `retryable` (see classifyRemoteError)
+ */
+function describeRemoteError(server, collector, error) {
+  const { kind, retryable } = classifyRemoteError(error, collector);
+  const messages = {
+    hostkey: `Host key for ${server.name} has changed. This could be a spoofed server, or it was reinstalled. ` +
+      `If you expected the change, run: gpu-cli config trust ${server.name}`,
+    untrusted: `No trusted host key for ${server.name}. Run: gpu-cli config trust ${server.name}`,
+    auth: `SSH authentication failed for ${server.name}. Check your SSH key.`,
+    refused: `Connection refused to ${server.name}. Check if SSH is running.`,
+    timeout: `Connection timed out to ${server.name}.`,
+    dns: `Could not resolve hostname for ${server.name}.`,
+    collector: `${collector.binary} not found on ${server.name}.`,
+  };
+  const message = messages[kind] || `Failed to connect to ${server.name}: ${error.message}`;
+  return Object.assign(new Error(message), { kind, retryable });
 }
 
 /**
  * Get GPU status from all configured servers
- * Returns an array of { server, gpus, error } objects
+ * Returns an array of { server, gpus, error, attempts } objects
  */
 export async function getAllServersGpuStatus() {
   const servers = await getServers();
@@ -97,11 +141,11 @@ export async function getAllServersGpuStatus() {
   // Query all servers in parallel
   const promises = servers.map(async (server) => {
     try {
-      const csvOutput = await getRemoteGpuStatus(server);
-      const gpus = parseGpuInfo(csvOutput);
-      return { server, gpus, error: null };
+      const collector = getCollector(server);
+      const { stdout, attempts } = await runStatusCommand(server, collector, collector.statusCmd);
+      return { server, gpus: collector.parseGpus(stdout.trim()), error: null, attempts };
     } catch (error) {
-      return { server, gpus: [], error: error.message };
+      return { server, gpus: [], error: error.message, attempts: error.attempts ?? 1 };
     }
   });
 
@@ -129,36 +173,17 @@ export async function getGpuStatus() {
 }
 
 /**
- * Parse nvidia-smi CSV output into structured data
- */
-export function parseGpuInfo(csvOutput) {
-  const lines = csvOutput.split('\n').filter((line) => line.trim());
-
-  return lines.map((line) => {
-    const [
-      index,
-      name,
-      temperature,
-      gpuUtil,
-      memUtil,
-      memUsed,
-      memTotal,
-      powerDraw,
-      powerLimit,
-    ] = line.split(',').map((s) => s.trim());
-
-    return {
-      index: parseInt(index),
-      name,
-      temperature: parseInt(temperature),
-      gpuUtilization: parseInt(gpuUtil),
-      memoryUtilization: parseInt(memUtil),
-      memoryUsed: parseInt(memUsed),
-      memoryTotal: parseInt(memTotal),
-      powerDraw: parseFloat(powerDraw),
-      powerLimit: parseFloat(powerLimit),
-    };
-  });
+ * Shorten a GPU model name for compact views
+ * e.g. "NVIDIA RTX A6000" -> "A6000", "NVIDIA H100 NVL" -> "H100",
+ * "AMD INSTINCT MI250 (MCM) OAM AC MBA" -> "MI250"
+ */
+export function getShortGpuName(name) {
+  return name
+    .replace(/NVIDIA\s*(RTX\s*)?/i, '')
+    .replace(/AMD\s*(INSTINCT\s*)?/i, '')
+    .replace(/\s+NVL.*$/i, '')
+    .replace(/\s*\(.*$/, '')
+    .trim();
 }
 
 /**
@@ -172,35 +197,109 @@ export function getGpuStatusIndicator(gpuInfo) {
   return { emoji: '⚪', status: 'Idle' };
 }
 
+const THROTTLE_REASON_LABELS = {
+  gpu_idle: 'Idle',
+  applications_clocks_setting: 'App clocks',
+  sw_power_cap: 'Power cap',
+  hw_slowdown: 'HW slowdown',
+  hw_thermal_slowdown: 'HW thermal',
+  hw_power_brake_slowdown: 'Power brake',
+  sw_thermal_slowdown: 'SW thermal',
+  sync_boost: 'Sync boost',
+};
+
+// Reasons that are expected and don't indicate a slowed-down job
+const BENIGN_THROTTLE_REASONS = ['gpu_idle', 'applications_clocks_setting', 'sync_boost'];
+
 /**
- * Execute a command on a remote server via SSH
- * @param {Object} server - Server configuration
- * @param {string} command - Command to execute
- * @param {number} timeout - Timeout in ms (default 60s)
+ * Get readable labels for a GPU's active throttle reasons
+ * @param {Object} gpuInfo
+ * @param {Object} [options]
+ * @param {boolean} [options.includeBenign=false] - Include idle / app clocks / sync boost
+ * @returns {string[]}
  */
-export async function executeRemoteCommand(server, command, timeout = 60000) {
-  const sshOptions = [
-    '-o', 'ConnectTimeout=10',
-    '-o', 'StrictHostKeyChecking=no',
-    '-o', 'BatchMode=yes',
-  ];
-
-  if (server.port && server.port !== 22) {
-    sshOptions.push('-p', server.port.toString());
+export function getThrottleReasonLabels(gpuInfo, { includeBenign = false } = {}) {
+  return (gpuInfo.throttleReasons || [])
+    .filter(r => includeBenign || !BENIGN_THROTTLE_REASONS.includes(r))
+    .map(r => THROTTLE_REASON_LABELS[r] || r);
+}
+
+/**
+ * Get warnings for conditions that slow jobs down or indicate failing hardware:
+ * thermal/power throttling, uncorrected ECC errors and a degraded PCIe link
+ * @param {Object} gpuInfo
+ * @returns {string[]}
+ */
+export function getGpuWarnings(gpuInfo) {
+  const warnings = [];
+
+  const throttle = getThrottleReasonLabels(gpuInfo);
+  if (throttle.length > 0) {
+    warnings.push(`Throttled: ${throttle.join(', ')}`);
+  }
+
+  const ecc = gpuInfo.ecc;
+  if (ecc && (ecc.volatileUncorrected > 0 || ecc.aggregateUncorrected > 0)) {
+    warnings.push(`ECC uncorrected errors: ${ecc.volatileUncorrected ?? 0} volatile / ${ecc.aggregateUncorrected ?? 0} aggregate`);
   }
 
-  if (server.identityFile) {
-    sshOptions.push('-i', server.identityFile);
+  const pcie = gpuInfo.pcie;
+  if (pcie && pcie.width !== null && pcie.widthMax !== null && pcie.width < pcie.widthMax) {
+    warnings.push(`PCIe link x${pcie.width} (max x${pcie.widthMax})`);
+  } else if (pcie && pcie.gen !== null && pcie.genMax !== null && pcie.gen < pcie.genMax && gpuInfo.gpuUtilization > 0) {
+    // Idle GPUs drop to a lower PCIe gen to save power, so only flag busy ones
+    warnings.push(`PCIe Gen${pcie.gen} under load (max Gen${pcie.genMax})`);
   }
 
-  if (server.proxyJump) {
-    sshOptions.push('-J', server.proxyJump);
+  return warnings;
+}
+
+/**
+ * Parse a comma-separated GPU list. Each entry is a GPU index or a MIG
+ * device UUID (as shown in `/gpu detail` or `nvidia-smi -L`).
+ * @param {string} str - e.g. "0,1" or "MIG-c6d4f1ef-..."
+ * @returns {Array<number|string>|null} null if any entry is invalid
+ */
+export function parseGpuIds(str) {
+  const ids = [];
+  for (const part of str.split(',').map(s => s.trim())) {
+    if (/^\d+$/.test(part)) {
+      ids.push(parseInt(part));
+    } else if (/^MIG-[\w\-/]+$/.test(part)) {
+      ids.push(part);
+    } else {
+      return null;
+    }
   }
+  return ids.length > 0 ? ids : null;
+}
 
-  const sshCmd = `ssh ${sshOptions.join(' ')} ${server.host} "${command.replace(/"/g, '\\"')}"`;
+/**
+ * Find the device a GPU id refers to: a GPU by index, or a MIG slice by UUID
+ * @param {Array} gpus - Parsed GPU list (from a snapshot)
+ * @param {number|string} gpuId
+ * @returns {Object|undefined} GPU or MIG slice with memoryTotal / memoryUsed
+ */
+export function findGpuDevice(gpus, gpuId) {
+  if (typeof gpuId === 'number') {
+    return gpus.find(g => g.index === gpuId);
+  }
+  for (const gpu of gpus) {
+    const mig = (gpu.migDevices || []).find(m => m.uuid === gpuId);
+    if (mig) return mig;
+  }
+  return undefined;
+}
 
+/**
+ * Execute a command on a remote server via SSH
+ * @param {Object} server - Server configuration
+ * @param {string} command - Shell command; quote any values in it with buildCommand (see remote-command.js)
+ * @param {number} timeout - Timeout in ms (default 60s)
+ */
+export async function executeRemoteCommand(server, command, timeout = 60000) {
   try {
-    const { stdout, stderr } = await execAsync(sshCmd, { timeout });
+    const { stdout, stderr } = await runRemoteCommand(server, command, { timeout });
     return { stdout: stdout.trim(), stderr: stderr.trim(), success: true };
   } catch (error) {
     return { stdout: '', stderr: error.message, success: false, error };
@@ -211,12 +310,26 @@ export async function executeRemoteCommand(server, command, timeout = 60000) {
  * Start GPU occupation on a remote server
  * @param {Object} server - Server configuration
  * @param {string} pythonPath - Path to Python executable
- * @param {number[]} gpuIds - GPU IDs to occupy
+ * @param {Array<number|string>} gpuIds - GPU indices, or a single MIG device UUID
  * @param {number} memoryGB - Memory per GPU in GB
  */
 export async function startGpuOccupation(server, pythonPath, gpuIds, memoryGB) {
+  validateGpuIds(gpuIds);
+  const python = validateRemotePath(pythonPath, 'Python path');
+  if (!(Number.isFinite(memoryGB) && memoryGB > 0)) {
+    throw new Error(`Invalid memory size "${memoryGB}". Use a number of GB, e.g. 40`);
+  }
+
+  // CUDA only exposes one MIG instance per process, selected via CUDA_VISIBLE_DEVICES
+  const migIds = gpuIds.filter(id => typeof id === 'string');
+  if (migIds.length > 0 && gpuIds.length > 1) {
+    throw new Error('A MIG device must be occupied on its own - start one occupation per MIG UUID');
+  }
+  const envArgs = migIds.length > 0 ? ['env', `CUDA_VISIBLE_DEVICES=${migIds[0]}`] : [];
+  const deviceIds = migIds.length > 0 ? [0] : gpuIds;
+
   // First, check if python and torch are available
-  const checkCmd = `${pythonPath} -c "import torch; print('cuda:', torch.cuda.is_available())"`;
+  const checkCmd = buildCommand([...envArgs, python, '-c', "import torch; print('cuda:', torch.cuda.is_available())"]);
   const checkResult = await executeRemoteCommand(server, checkCmd, 30000);
 
   if (!checkResult.success) {
@@ -246,7 +359,7 @@ def handler(sig, frame):
 signal.signal(signal.SIGTERM, handler)
 signal.signal(signal.SIGINT, handler)
 
-gpus = [${gpuIds.join(',')}]
+gpus = [${deviceIds.join(',')}]
 mem_gb = ${memoryGB}
 tensors = []
 
@@ -268,10 +381,10 @@ while True:
 
   // Write script and run in background with nohup
   const scriptPath = `/tmp/nano_vllm_server_${Date.now()}.py`;
-  const writeAndRun = `cat > ${scriptPath} << 'OCCUPY_EOF'
+  const writeAndRun = `cat > ${shellQuote(scriptPath)} << 'OCCUPY_EOF'
 ${occupyScript}
 OCCUPY_EOF
-nohup ${pythonPath} ${scriptPath} > /tmp/nano_vllm.log 2>&1 &
+${buildCommand([...envArgs, 'nohup', python, scriptPath])} > /tmp/nano_vllm.log 2>&1 &
 echo $!`;
 
   const result = await executeRemoteCommand(server, writeAndRun, 30000);
@@ -284,6 +397,7 @@ echo $!`;
 
   // Record this occupation for tracking
   await recordOccupation(server.name, pid, gpuIds, memoryGB, scriptPath);
+  invalidateGpuStatus(server);
 
   return { pid, gpuIds, memoryGB };
 }
@@ -334,8 +448,9 @@ export async function getOccupations() {
  * Kill a specific occupation by PID on a server
  */
 async function killOccupationByPid(server, pid) {
-  const killCmd = `kill ${pid} 2>/dev/null && echo killed || echo not_found`;
+  const killCmd = `${buildCommand(['kill', validatePid(pid)])} 2>/dev/null && echo killed || echo not_found`;
   const result = await executeRemoteCommand(server, killCmd, 15000);
+  invalidateGpuStatus(server);
   return result.stdout.includes('killed');
 }
 
@@ -412,8 +527,9 @@ export async function cancelServerOccupations(serverName) {
  * @param {string} username - Username whose processes to kill
  */
 export async function killUserProcesses(server, username) {
-  const killCmd = `pkill -u ${username} -f "nano_vllm_server" 2>/dev/null; echo "done"`;
+  const killCmd = `${buildCommand(['pkill', '-u', validateUsername(username), '-f', 'nano_vllm_server'])} 2>/dev/null; echo "done"`;
   const result = await executeRemoteCommand(server, killCmd, 15000);
+  invalidateGpuStatus(server);
 
   // Also remove tracked occupations for this server
   const occupations = await loadOccupations();
@@ -424,64 +540,46 @@ export async function killUserProcesses(server, username) {
 }
 
 /**
- * Get GPU status for a specific server by name
- * @param {string} serverName - Name of the server
+ * Get a server's snapshot through the shared status cache
+ * @param {Object} server - Server configuration
+ * @param {{fresh?: boolean}} [options] - fresh: bypass the cache
+ * @returns {Promise<{gpus: Array, processes: Map, host: Object|null}>}
  */
-export async function getServerGpuStatus(serverName) {
-  const servers = await getServers();
-  const server = servers.find(s => s.name.toLowerCase() === serverName.toLowerCase());
-
-  if (!server) {
-    throw new Error(`Server not found: ${serverName}`);
-  }
-
-  const csvOutput = await getRemoteGpuStatus(server);
-  const gpus = parseGpuInfo(csvOutput);
-  return { server, gpus };
+export function getCachedGpuSnapshot(server, { fresh = false } = {}) {
+  return statusCache.get(server.id || server.name, () => getRemoteGpuSnapshot(server), { fresh });
 }
 
 /**
- * Parse GPU process info from combined nvidia-smi + ps output
- * Returns { gpuProcesses: Map<gpuIndex, [{pid, user, memoryMB}]> }
+ * Drop a server's cached snapshot, e.g. after starting or killing jobs on it
+ * @param {Object} server - Server configuration
  */
-function parseProcessInfo(rawOutput) {
-  const sections = rawOutput.split('---SEP---').map(s => s.trim());
-  if (sections.length < 3) return new Map();
-
-  // Parse GPU index -> UUID mapping
-  const uuidToIndex = new Map();
-  for (const line of sections[0].split('\n').filter(l => l.trim())) {
-    const [index, uuid] = line.split(',').map(s => s.trim());
-    uuidToIndex.set(uuid, parseInt(index));
-  }
+export function invalidateGpuStatus(server) {
+  statusCache.invalidate(server.id || server.name);
+}
 
-  // Parse PID -> user mapping
-  const pidToUser = new Map();
-  for (const line of sections[2].split('\n').filter(l => l.trim())) {
-    const parts = line.trim().split(/\s+/);
-    if (parts.length >= 2) {
-      pidToUser.set(parts[0], parts[1]);
-    }
-  }
+/**
+ * Drop every cached snapshot
+ */
+export function clearGpuStatusCache() {
+  statusCache.clear();
+}
 
-  // Parse compute apps: gpu_uuid, pid, used_memory
-  const gpuProcesses = new Map();
-  for (const line of sections[1].split('\n').filter(l => l.trim())) {
-    const [gpuUuid, pid, usedMem] = line.split(',').map(s => s.trim());
-    const gpuIndex = uuidToIndex.get(gpuUuid);
-    if (gpuIndex === undefined) continue;
+/**
+ * Get GPU status (with processes and host metrics) for a specific server by name
+ * @param {string} serverName - Name of the server
+ * @param {{fresh?: boolean}} [options] - fresh: bypass the status cache
+ * @returns {Promise<{server, gpus, processes, host, attempts, health}>}
+ */
+export async function getServerGpuStatus(serverName, options = {}) {
+  const servers = await getServers();
+  const server = servers.find(s => s.name.toLowerCase() === serverName.toLowerCase());
 
-    if (!gpuProcesses.has(gpuIndex)) {
-      gpuProcesses.set(gpuIndex, []);
-    }
-    gpuProcesses.get(gpuIndex).push({
-      pid,
-      user: pidToUser.get(pid) || 'unknown',
-      memoryMB: parseInt(usedMem) || 0,
-    });
+  if (!server) {
+    throw new Error(`Server not found: ${serverName}`);
   }
 
-  return gpuProcesses;
+  const { gpus, processes, host, attempts } = await getCachedGpuSnapshot(server, options);
+  return { server, gpus, processes, host, attempts, health: getServerHealth(server) };
 }
 
 /**
@@ -490,9 +588,22 @@ function parseProcessInfo(rawOutput) {
  * @returns {Map<number, Array<{pid, user, memoryMB}>>} GPU index -> processes
  */
 export async function getRemoteGpuProcesses(server) {
-  const result = await executeRemoteCommand(server, GPU_PROCESS_CMD, 30000);
-  if (!result.success) return new Map();
-  return parseProcessInfo(result.stdout);
+  try {
+    const { processes } = await getRemoteGpuSnapshot(server);
+    return processes;
+  } catch {
+    return new Map();
+  }
+}
+
+/**
+ * Run the snapshot script locally
+ * @returns {Promise<{gpus: Array, processes: Map, host: Object|null}>}
+ */
+export async function getLocalGpuSnapshot() {
+  const collector = getCollector();
+  const { stdout } = await execAsync(buildSnapshotCmd(), { shell: true, timeout: 30000 });
+  return parseSnapshotOutput(collector, stdout);
 }
 
 /**
@@ -501,30 +612,31 @@ export async function getRemoteGpuProcesses(server) {
  */
 export async function getLocalGpuProcesses() {
   try {
-    const { stdout } = await execAsync(GPU_PROCESS_CMD, { shell: true, timeout: 30000 });
-    return parseProcessInfo(stdout);
+    const { processes } = await getLocalGpuSnapshot();
+    return processes;
   } catch {
     return new Map();
   }
 }
 
 /**
- * Get GPU status with process info from all servers
- * Returns array of { server, gpus, processes, error }
+ * Get GPU status with process info and host metrics from all servers
+ * (one SSH round-trip per server, shared through the status cache)
+ * Returns array of { server, gpus, processes, host, error, attempts, health }
+ * @param {{fresh?: boolean}} [options] - fresh: bypass the status cache
  */
-export async function getAllServersGpuStatusWithProcesses() {
+export async function getAllServersGpuStatusWithProcesses(options = {}) {
   const servers = await getServers();
 
   const promises = servers.map(async (server) => {
     try {
-      const [csvOutput, processes] = await Promise.all([
-        getRemoteGpuStatus(server),
-        getRemoteGpuProcesses(server),
-      ]);
-      const gpus = parseGpuInfo(csvOutput);
-      return { server, gpus, processes, error: null };
+      const { gpus, processes, host, attempts } = await getCachedGpuSnapshot(server, options);
+      return { server, gpus, processes, host, error: null, attempts, health: getServerHealth(server) };
     } catch (error) {
-      return { server, gpus: [], processes: new Map(), error: error.message };
+      return {
+        server, gpus: [], processes: new Map(), host: null,
+        error: error.message, attempts: error.attempts ?? 1, health: getServerHealth(server),
+      };
     }
   });
 
@@ -560,6 +672,57 @@ export function getTopUserForGpu(processes, gpuIndex) {
   return topUser ? { user: topUser, memoryMB: topMem } : null;
 }
 
+/**
+ * Flatten a process map into one list, ordered by GPU then memory
+ * @param {Map} processes - GPU index (or MIG id) -> process list
+ * @returns {Array<{gpuIndex, pid, user, memoryMB, command, startTime, elapsedSec, cpuPercent, container, cgroup}>}
+ */
+export function getAllProcesses(processes) {
+  const result = [];
+  for (const [gpuIndex, procs] of processes) {
+    for (const p of procs) {
+      result.push({ gpuIndex, ...p });
+    }
+  }
+  return result.sort((a, b) =>
+    String(a.gpuIndex).localeCompare(String(b.gpuIndex), undefined, { numeric: true }) ||
+    b.memoryMB - a.memoryMB
+  );
+}
+
+/**
+ * Format a duration in seconds as e.g. "3d 4h", "2h 15m", "5m", "40s"
+ */
+export function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '?';
+  const d = Math.floor(seconds / 86400);
+  const h = Math.floor((seconds % 86400) / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  if (d > 0) return `${d}d ${h}h`;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m`;
+  return `${seconds}s`;
+}
+
+/**
+ * One-line health summary for status views, e.g.
+ * "down for 35m (since 14:02) | 96.1% uptime" or "up for 2h 10m | 99.2% uptime"
+ * @param {Object} health - From getServerHealth
+ * @returns {string|null} null while the server has never been down
+ */
+export function formatHealthSummary(health) {
+  if (!health || health.state === 'unknown') return null;
+  if (health.state === 'up' && !(health.uptime < 1)) return null;
+
+  const forSec = Math.round((Date.now() - health.since) / 1000);
+  const uptime = health.uptime !== null ? ` | ${(Math.floor(health.uptime * 1000) / 10).toFixed(1)}% uptime` : '';
+  if (health.state === 'down') {
+    const since = new Date(health.since).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `down for ${formatDuration(forSec)} (since ${since})${uptime}`;
+  }
+  return `up for ${formatDuration(forSec)}${uptime}`;
+}
+
 /**
  * Get all processes for a specific user from process map
  * @param {Map} processes - GPU index -> process list
@@ -577,3 +740,62 @@ export function getUserProcesses(processes, username) {
   }
   return result;
 }
+
+/**
+ * GPU samples from the history store (see history.js and sampler.js)
+ * @param {Object} [options]
+ * @param {string} [options.server] - Only this server
+ * @param {number} [options.gpu] - Only this GPU index
+ * @param {number} [options.from] - Unix seconds (default: 24 hours ago)
+ * @param {number} [options.to] - Unix seconds (default: now)
+ * @param {number} [options.step] - Average into buckets of this many seconds
+ * @returns {Promise<Array<{t, server, gpu, name, gpuUtilization, memoryUsed, memoryTotal, temperature, powerDraw}>>}
+ */
+export async function getGpuHistory({ server, gpu, from, to, step } = {}) {
+  let records = await readHistory({ server, from, to });
+  if (step > 0) records = downsampleRecords(records, step);
+
+  const points = [];
+  for (const record of records) {
+    for (const [index, gpuUtilization, memoryUsed, memoryTotal, temperature, powerDraw, name = null] of record.gpus) {
+      if (gpu !== undefined && index !== gpu) continue;
+      points.push({ t: record.t, server: record.server, gpu: index, name, gpuUtilization, memoryUsed, memoryTotal, temperature, powerDraw });
+    }
+  }
+  return points;
+}
+
+/**
+ * Per-user GPU memory from the history store, summed over each server's GPUs
+ * @param {Object} [options]
+ * @param {string} [options.user] - Only this user
+ * @param {string} [options.server] - Only this server
+ * @param {number} [options.gpu] - Only this GPU index (including its MIG slices)
+ * @param {number} [options.from] - Unix seconds (default: 24 hours ago)
+ * @param {number} [options.to] - Unix seconds (default: now)
+ * @param {number} [options.step] - Average into buckets of this many seconds
+ * @returns {Promise<Array<{t, server, user, memoryMB, gpus: Array}>>}
+ */
+export async function getUserHistory({ user, server, gpu, from, to, step } = {}) {
+  let records = await readHistory({ server, from, to });
+  if (step > 0) records = downsampleRecords(records, step);
+
+  const points = [];
+  for (const record of records) {
+    // user -> { memoryMB, gpus }
+    const byUser = new Map();
+    for (const [gpuKey, name, memoryMB] of record.users) {
+      if (user && name !== user) continue;
+      // MIG slices are keyed "<gpu>:<slice>"
+      if (gpu !== undefined && String(gpuKey).split(':')[0] !== String(gpu)) continue;
+      const entry = byUser.get(name) || { memoryMB: 0, gpus: [] };
+      entry.memoryMB += memoryMB;
+      entry.gpus.push(gpuKey);
+      byUser.set(name, entry);
+    }
+    for (const [name, { memoryMB, gpus }] of byUser) {
+      points.push({ t: record.t, server: record.server, user: name, memoryMB, gpus });
+    }
+  }
+  return points;
+}
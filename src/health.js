@@ -0,0 +1,176 @@
+/**
+ * Server health: reachability over time and a circuit breaker.
+ *
+ * Every status poll records a success or failure here. After
+ * HEALTH_FAILURE_THRESHOLD failed polls in a row a server is marked down
+ * and its circuit opens: polls fail straight away for HEALTH_COOLDOWN
+ * seconds instead of waiting on timeouts. The next poll after the cooldown
+ * probes the server again; while it stays down the cooldown doubles, up to
+ * HEALTH_MAX_COOLDOWN. The first successful poll marks it up.
+ *
+ * Up/down transitions are passed to listeners registered with
+ * onHealthChange (see notify.js). History is kept in memory and starts
+ * when the bot does.
+ *
+ * Environment:
+ *   HEALTH_FAILURE_THRESHOLD=2   Failed polls in a row before a server is down
+ *   HEALTH_COOLDOWN=60           Seconds a down server is skipped (0 disables the breaker)
+ *   HEALTH_MAX_COOLDOWN=600      Longest cooldown, in seconds
+ */
+const FAILURE_THRESHOLD = parseInt(process.env.HEALTH_FAILURE_THRESHOLD) || 2;
+const COOLDOWN_MS = parseFloat(process.env.HEALTH_COOLDOWN ?? '60') * 1000;
+const MAX_COOLDOWN_MS = (parseFloat(process.env.HEALTH_MAX_COOLDOWN) || 600) * 1000;
+
+// server id -> { state, since, failures, failingSince, lastError, lastCheck, upMs, downMs, openUntil, cooldownMs }
+const healthByServer = new Map();
+const listeners = new Set();
+
+function healthKey(server) {
+  return server.id || server.name;
+}
+
+function getEntry(server) {
+  let entry = healthByServer.get(healthKey(server));
+  if (!entry) {
+    entry = {
+      state: 'unknown', since: null, failures: 0, failingSince: null, lastError: null,
+      lastCheck: null, upMs: 0, downMs: 0, openUntil: null, cooldownMs: COOLDOWN_MS,
+    };
+    healthByServer.set(healthKey(server), entry);
+  }
+  return entry;
+}
+
+/**
+ * Credit the time since the last check to the state the server was in
+ */
+function accumulate(entry, now) {
+  if (entry.lastCheck !== null) {
+    if (entry.state === 'up') entry.upMs += now - entry.lastCheck;
+    if (entry.state === 'down') entry.downMs += now - entry.lastCheck;
+  }
+  entry.lastCheck = now;
+}
+
+function emit(change) {
+  for (const listener of listeners) {
+    Promise.resolve()
+      .then(() => listener(change))
+      .catch(error => console.error('Health listener failed:', error));
+  }
+}
+
+/**
+ * Throw if the server's circuit is open (it is down and cooling off)
+ * @param {Object} server - Server configuration
+ * @throws {Error} with kind "circuit" and attempts 0
+ */
+export function checkCircuit(server) {
+  const entry = healthByServer.get(healthKey(server));
+  if (!entry?.openUntil || Date.now() >= entry.openUntil) return;
+
+  const retryIn = Math.ceil((entry.openUntil - Date.now()) / 1000);
+  throw Object.assign(
+    new Error(`${server.name} is down, skipping it for ${retryIn}s. Last error: ${entry.lastError}`),
+    { kind: 'circuit', retryable: false, attempts: 0 }
+  );
+}
+
+/**
+ * Record a successful poll
+ * @param {Object} server - Server configuration
+ */
+export function recordSuccess(server) {
+  const now = Date.now();
+  const entry = getEntry(server);
+  accumulate(entry, now);
+
+  const previous = entry.state;
+  const downSince = entry.since;
+  entry.failures = 0;
+  entry.failingSince = null;
+  entry.openUntil = null;
+  entry.cooldownMs = COOLDOWN_MS;
+
+  if (previous !== 'up') {
+    entry.state = 'up';
+    entry.since = now;
+    if (previous === 'down') {
+      emit({ server, state: 'up', previous, since: now, downtimeMs: now - downSince, error: entry.lastError });
+    }
+  }
+}
+
+/**
+ * Record a failed poll, marking the server down and opening its circuit
+ * once the failure threshold is reached
+ * @param {Object} server - Server configuration
+ * @param {Error} error - The readable poll error
+ */
+export function recordFailure(server, error) {
+  const now = Date.now();
+  const entry = getEntry(server);
+  accumulate(entry, now);
+
+  entry.failures++;
+  entry.failingSince ??= now;
+  entry.lastError = error.message;
+  if (entry.failures < FAILURE_THRESHOLD) return;
+
+  if (COOLDOWN_MS > 0) {
+    entry.openUntil = now + entry.cooldownMs;
+    entry.cooldownMs = Math.min(entry.cooldownMs * 2, MAX_COOLDOWN_MS);
+  }
+
+  if (entry.state !== 'down') {
+    const previous = entry.state;
+    entry.state = 'down';
+    entry.since = entry.failingSince;
+    emit({ server, state: 'down', previous, since: entry.since, downtimeMs: 0, error: entry.lastError });
+  }
+}
+
+/**
+ * Get a server's health
+ * @param {Object} server - Server configuration
+ * @returns {{state: string, since: number|null, uptime: number|null, lastError: string|null, failures: number, retryAt: number|null}}
+ *   state is up, down or unknown (not polled yet); uptime is the fraction
+ *   of tracked time the server was up (null before the second poll)
+ */
+export function getServerHealth(server) {
+  const entry = healthByServer.get(healthKey(server));
+  if (!entry) {
+    return { state: 'unknown', since: null, uptime: null, lastError: null, failures: 0, retryAt: null };
+  }
+
+  // Include the time since the last check
+  const elapsed = entry.lastCheck !== null ? Date.now() - entry.lastCheck : 0;
+  const upMs = entry.upMs + (entry.state === 'up' ? elapsed : 0);
+  const downMs = entry.downMs + (entry.state === 'down' ? elapsed : 0);
+
+  return {
+    state: entry.state,
+    since: entry.since,
+    uptime: upMs + downMs > 0 ? upMs / (upMs + downMs) : null,
+    lastError: entry.lastError,
+    failures: entry.failures,
+    retryAt: entry.openUntil,
+  };
+}
+
+/**
+ * Call a listener with { server, state, previous, since, downtimeMs, error }
+ * whenever a server goes down or comes back up
+ * @returns {Function} Unsubscribe
+ */
+export function onHealthChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Forget all health history
+ */
+export function resetHealth() {
+  healthByServer.clear();
+}
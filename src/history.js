@@ -0,0 +1,246 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import readline from 'readline';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * GPU history store: append-only JSONL, one file per UTC day.
+ *
+ * Each line is one poll of one server:
+ *   { "t": 1760000000, "server": "grandrapids",
+ *     "gpus": [[index, utilPercent, memUsedMB, memTotalMB, tempC, powerW, model], ...],
+ *     "users": [[gpu, user, memMB], ...] }
+ * (arrays rather than objects keep a year of per-minute samples small).
+ *
+ * Days older than HISTORY_DOWNSAMPLE_AFTER are rewritten with one averaged
+ * sample per HISTORY_DOWNSAMPLE_INTERVAL ("2026-10-01.300s.jsonl"), and days
+ * older than HISTORY_RETENTION are deleted; see compactHistory().
+ *
+ * Environment:
+ *   HISTORY_DIR=./history              Where the files are kept
+ *   HISTORY_RETENTION=30               Days to keep (0 keeps everything)
+ *   HISTORY_DOWNSAMPLE_AFTER=2         Days of full-resolution samples (0 never downsamples)
+ *   HISTORY_DOWNSAMPLE_INTERVAL=300    Seconds per sample after that
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RETENTION_DAYS = parseFloat(process.env.HISTORY_RETENTION ?? '30');
+const DOWNSAMPLE_AFTER_DAYS = parseFloat(process.env.HISTORY_DOWNSAMPLE_AFTER ?? '2');
+const DOWNSAMPLE_INTERVAL_SEC = parseInt(process.env.HISTORY_DOWNSAMPLE_INTERVAL) || 300;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:\.(\d+)s)?\.jsonl$/;
+
+// Read when used, so tests can point it at a temporary directory
+function getHistoryDir() {
+  return process.env.HISTORY_DIR || path.join(__dirname, '..', 'history');
+}
+
+function dayOf(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Turn a poll result into a history record
+ * @param {{server, gpus, processes}} result - From getAllServersGpuStatusWithProcesses
+ * @param {number} [t] - Unix seconds (defaults to now)
+ * @returns {Object}
+ */
+export function toHistoryRecord({ server, gpus, processes }, t = Math.floor(Date.now() / 1000)) {
+  const users = [];
+  for (const [gpu, procs] of processes || []) {
+    // One entry per user per GPU
+    const byUser = new Map();
+    for (const proc of procs) {
+      if (!proc.user) continue;
+      byUser.set(proc.user, (byUser.get(proc.user) || 0) + (proc.memoryMB || 0));
+    }
+    for (const [user, memMB] of byUser) users.push([gpu, user, memMB]);
+  }
+
+  return {
+    t,
+    server: server.name,
+    gpus: gpus.map(g => [
+      ...[g.index, g.gpuUtilization, g.memoryUsed, g.memoryTotal, g.temperature, g.powerDraw].map(v => (Number.isFinite(v) ? v : null)),
+      g.name || null,
+    ]),
+    users,
+  };
+}
+
+/**
+ * Append records to today's file
+ * @param {Array<Object>} records - From toHistoryRecord
+ */
+export async function appendHistory(records) {
+  if (records.length === 0) return;
+  const dir = getHistoryDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  // Group by day in case a batch straddles midnight
+  const byDay = new Map();
+  for (const record of records) {
+    const day = dayOf(record.t * 1000);
+    byDay.set(day, (byDay.get(day) || '') + JSON.stringify(record) + '\n');
+  }
+  await Promise.all([...byDay].map(([day, text]) => fs.appendFile(path.join(dir, `${day}.jsonl`), text)));
+}
+
+/**
+ * History files by day: day -> { raw?: file, downsampled?: file }
+ */
+async function listHistoryFiles() {
+  const dir = getHistoryDir();
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+
+  const days = new Map();
+  for (const name of names) {
+    const match = name.match(FILE_PATTERN);
+    if (!match) continue;
+    const entry = days.get(match[1]) || {};
+    entry[match[2] ? 'downsampled' : 'raw'] = path.join(dir, name);
+    days.set(match[1], entry);
+  }
+  return days;
+}
+
+async function* readRecords(file) {
+  const lines = readline.createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {
+      // A line cut short by a crash; skip it
+    }
+  }
+}
+
+/**
+ * Read stored records in a time range
+ * @param {Object} [options]
+ * @param {string} [options.server] - Only this server (case-insensitive)
+ * @param {number} [options.from] - Unix seconds (default: 24 hours ago)
+ * @param {number} [options.to] - Unix seconds (default: now)
+ * @returns {Promise<Array<Object>>} Records in time order
+ */
+export async function readHistory({ server, from, to } = {}) {
+  to ??= Math.floor(Date.now() / 1000);
+  from ??= to - DAY_MS / 1000;
+  const firstDay = dayOf(from * 1000);
+  const lastDay = dayOf(to * 1000);
+  const serverName = server?.toLowerCase();
+
+  const records = [];
+  const days = [...(await listHistoryFiles())].filter(([day]) => day >= firstDay && day <= lastDay).sort();
+  for (const [, files] of days) {
+    for (const file of [files.downsampled, files.raw].filter(Boolean)) {
+      for await (const record of readRecords(file)) {
+        if (record.t < from || record.t > to) continue;
+        if (serverName && record.server.toLowerCase() !== serverName) continue;
+        records.push(record);
+      }
+    }
+  }
+  return records.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Average records into one per server per `stepSec` bucket. GPU values are
+ * averaged over the samples that had that GPU (text values such as the model
+ * keep the latest); user memory is averaged over
+ * all of the server's samples in the bucket, so a job that ran for half of
+ * it counts half.
+ * @param {Array<Object>} records
+ * @param {number} stepSec
+ * @returns {Array<Object>} Records stamped with the start of their bucket
+ */
+export function downsampleRecords(records, stepSec) {
+  // server|bucket -> { t, server, samples, gpus: Map(index -> {sums, counts}), users: Map(gpu|user -> sum) }
+  const buckets = new Map();
+
+  for (const record of records) {
+    const t = Math.floor(record.t / stepSec) * stepSec;
+    const key = `${record.server}|${t}`;
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { t, server: record.server, samples: 0, gpus: new Map(), users: new Map() };
+      buckets.set(key, bucket);
+    }
+    bucket.samples++;
+
+    for (const [index, ...values] of record.gpus) {
+      let gpu = bucket.gpus.get(index);
+      if (!gpu) {
+        gpu = { sums: values.map(() => 0), counts: values.map(() => 0) };
+        bucket.gpus.set(index, gpu);
+      }
+      values.forEach((v, i) => {
+        if (v === null || v === undefined) return;
+        if (typeof v === 'string') {
+          gpu.sums[i] = v;
+          return;
+        }
+        gpu.sums[i] += v;
+        gpu.counts[i]++;
+      });
+    }
+    for (const [gpu, user, memMB] of record.users) {
+      const userKey = JSON.stringify([gpu, user]);
+      bucket.users.set(userKey, (bucket.users.get(userKey) || 0) + memMB);
+    }
+  }
+
+  const round = v => Math.round(v * 10) / 10;
+  return [...buckets.values()]
+    .sort((a, b) => a.t - b.t)
+    .map(bucket => ({
+      t: bucket.t,
+      server: bucket.server,
+      gpus: [...bucket.gpus].map(([index, { sums, counts }]) =>
+        [index, ...sums.map((sum, i) => (typeof sum === 'string' ? sum : counts[i] > 0 ? round(sum / counts[i]) : null))]),
+      users: [...bucket.users].map(([key, sum]) => [...JSON.parse(key), round(sum / bucket.samples)]),
+    }));
+}
+
+/**
+ * Apply retention and downsampling to the stored files
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{deleted: string[], downsampled: string[]}>} Days affected
+ */
+export async function compactHistory(now = Date.now()) {
+  const deleted = [];
+  const downsampled = [];
+  const today = dayOf(now);
+
+  for (const [day, files] of await listHistoryFiles()) {
+    const ageDays = (Date.parse(`${today}T00:00:00Z`) - Date.parse(`${day}T00:00:00Z`)) / DAY_MS;
+
+    if (RETENTION_DAYS > 0 && ageDays >= RETENTION_DAYS) {
+      await Promise.all(Object.values(files).map(file => fs.rm(file, { force: true })));
+      deleted.push(day);
+      continue;
+    }
+
+    if (files.raw && DOWNSAMPLE_AFTER_DAYS > 0 && ageDays >= DOWNSAMPLE_AFTER_DAYS) {
+      const records = [];
+      for (const file of [files.downsampled, files.raw].filter(Boolean)) {
+        for await (const record of readRecords(file)) records.push(record);
+      }
+      const target = path.join(getHistoryDir(), `${day}.${DOWNSAMPLE_INTERVAL_SEC}s.jsonl`);
+      const text = downsampleRecords(records, DOWNSAMPLE_INTERVAL_SEC).map(r => JSON.stringify(r) + '\n').join('');
+      // Write the new file completely before removing the old ones
+      await fs.writeFile(`${target}.tmp`, text);
+      await fs.rename(`${target}.tmp`, target);
+      await Promise.all([files.raw, files.downsampled].filter(f => f && f !== target).map(f => fs.rm(f, { force: true })));
+      downsampled.push(day);
+    }
+  }
+  return { deleted, downsampled };
+}
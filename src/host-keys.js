@@ -0,0 +1,217 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * SSH host key verification.
+ *
+ * The bot keeps its own known_hosts file and stores each server's key under
+ * the alias "gpu-monitor-<server id>", so two servers that share an address
+ * behind different jump hosts can't be confused. Servers whose fingerprint
+ * is pinned in servers.json ("hostKeyFingerprint") are checked strictly:
+ * their known_hosts entry must match the pin, and a missing entry is
+ * re-fetched and compared before it is trusted. Servers without a pin
+ * follow SSH_HOST_KEY_CHECKING.
+ *
+ * `gpu-cli config add`, `gpu-cli config trust` and setup-server.js fetch a
+ * server's key, show its fingerprint for confirmation and pin it.
+ *
+ * Environment:
+ *   SSH_KNOWN_HOSTS=./known_hosts         The bot's known_hosts file
+ *   SSH_HOST_KEY_CHECKING=accept-new      For unpinned servers: accept-new (trust
+ *                                         on first connection), yes (trusted keys only)
+ *                                         or no (don't check; not recommended)
+ *
+ * Jump hosts are checked by the jump ssh process against ~/.ssh/known_hosts.
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const KNOWN_HOSTS_FILE = process.env.SSH_KNOWN_HOSTS || path.join(__dirname, '..', 'known_hosts');
+const HOST_KEY_CHECKING = process.env.SSH_HOST_KEY_CHECKING || 'accept-new';
+const HOST_KEY_CHECKING_VALUES = ['accept-new', 'yes', 'no'];
+const SCAN_TIMEOUT_MS = 20000;
+
+// server ids whose pinned key was verified against known_hosts this run
+const verifiedPins = new Set();
+
+/**
+ * The known_hosts name a server's key is stored under
+ */
+export function getHostKeyAlias(server) {
+  return `gpu-monitor-${server.id || server.name}`;
+}
+
+/**
+ * SSH options that make ssh check the server's key against the bot's known_hosts
+ * @param {Object} server - Server configuration
+ * @returns {string[]}
+ */
+export function buildHostKeyArgs(server) {
+  if (!HOST_KEY_CHECKING_VALUES.includes(HOST_KEY_CHECKING)) {
+    throw new Error(`Unknown SSH_HOST_KEY_CHECKING "${HOST_KEY_CHECKING}". Use ${HOST_KEY_CHECKING_VALUES.join(', ')}`);
+  }
+  return [
+    '-o', `UserKnownHostsFile=${KNOWN_HOSTS_FILE}`,
+    '-o', `HostKeyAlias=${getHostKeyAlias(server)}`,
+    '-o', `StrictHostKeyChecking=${server.hostKeyFingerprint ? 'yes' : HOST_KEY_CHECKING}`,
+  ];
+}
+
+/**
+ * SHA256 fingerprint of a base64 public key, as printed by ssh-keygen -l
+ * @param {string} key - Base64 key blob from a known_hosts line
+ * @returns {string} e.g. "SHA256:nThbg6kXUpJWGl7E1IGOCspRomTxdCARLviKw6E5SY8"
+ */
+export function getKeyFingerprint(key) {
+  const digest = crypto.createHash('sha256').update(Buffer.from(key, 'base64')).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+/**
+ * Parse known_hosts text into entries
+ * @returns {Array<{host: string, type: string, key: string, fingerprint: string}>}
+ */
+export function parseKnownHosts(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(/\s+/))
+    .filter(fields => fields.length >= 3)
+    .map(([host, type, key]) => ({ host, type, key, fingerprint: getKeyFingerprint(key) }));
+}
+
+async function readKnownHosts() {
+  try {
+    return await fs.readFile(KNOWN_HOSTS_FILE, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  }
+}
+
+/**
+ * Keys the bot trusts for a server
+ * @returns {Promise<Array<{host, type, key, fingerprint}>>}
+ */
+export async function getTrustedHostKeys(server) {
+  const alias = getHostKeyAlias(server);
+  return parseKnownHosts(await readKnownHosts()).filter(entry => entry.host === alias);
+}
+
+/**
+ * Fetch the host key a server presents, without trusting it.
+ * Connects the way the bot does (port, key, jump host) with a throwaway
+ * known_hosts file; the key is recorded before authentication, so this
+ * works even if the bot's SSH key isn't installed yet.
+ * @param {Object} server - Server configuration
+ * @returns {Promise<Array<{host, type, key, fingerprint}>>}
+ */
+export async function fetchHostKeys(server) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gpu-monitor-hostkey-'));
+  const file = path.join(dir, 'known_hosts');
+  const args = [
+    '-o', 'ConnectTimeout=10',
+    '-o', 'BatchMode=yes',
+    '-o', `UserKnownHostsFile=${file}`,
+    '-o', 'GlobalKnownHostsFile=/dev/null',
+    '-o', `HostKeyAlias=${getHostKeyAlias(server)}`,
+    '-o', 'StrictHostKeyChecking=accept-new',
+    '-o', 'HashKnownHosts=no',
+  ];
+  if (server.port && server.port !== 22) args.push('-p', server.port.toString());
+  if (server.identityFile) args.push('-i', server.identityFile);
+  if (server.proxyJump) args.push('-J', server.proxyJump);
+  args.push(server.host, 'exit');
+
+  let stderr = '';
+  try {
+    await execFileAsync('ssh', args, { timeout: SCAN_TIMEOUT_MS });
+  } catch (error) {
+    // Expected when the bot's key isn't authorized yet
+    stderr = error.stderr || error.message;
+  }
+
+  try {
+    const keys = parseKnownHosts(await fs.readFile(file, 'utf-8').catch(() => ''));
+    if (keys.length === 0) {
+      throw new Error(`Could not get a host key from ${server.name}: ${stderr.trim().split('\n').pop() || 'no key received'}`);
+    }
+    return keys;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Trust keys for a server, replacing any it had before
+ * @param {Object} server - Server configuration (needs its id)
+ * @param {Array<{type: string, key: string}>} keys
+ */
+export async function trustHostKeys(server, keys) {
+  const alias = getHostKeyAlias(server);
+  const kept = (await readKnownHosts()).split('\n')
+    .filter(line => line.trim() && line.trim().split(/\s+/)[0] !== alias);
+  const added = keys.map(({ type, key }) => `${alias} ${type} ${key}`);
+
+  await fs.writeFile(KNOWN_HOSTS_FILE, [...kept, ...added].join('\n') + '\n', { mode: 0o600 });
+  verifiedPins.delete(server.id || server.name);
+}
+
+/**
+ * Remove a server's keys from the bot's known_hosts
+ * @param {Object} server - Server configuration
+ */
+export async function forgetHostKeys(server) {
+  if ((await getTrustedHostKeys(server)).length > 0) await trustHostKeys(server, []);
+}
+
+/**
+ * Keep the fetched keys that match an expected fingerprint
+ * @param {Object} server - Server configuration
+ * @param {Array<{fingerprint: string}>} keys - From fetchHostKeys
+ * @param {string} fingerprint - e.g. "SHA256:..."
+ * @throws if none match
+ */
+export function matchHostKeys(server, keys, fingerprint) {
+  const matching = keys.filter(k => k.fingerprint === fingerprint);
+  if (matching.length === 0) {
+    throw hostKeyChangedError(server, ` (expected ${fingerprint}, server has ${keys.map(k => k.fingerprint).join(', ')})`);
+  }
+  return matching;
+}
+
+/**
+ * Error for a server whose key doesn't match what the bot trusts
+ */
+export function hostKeyChangedError(server, detail = '') {
+  return Object.assign(
+    new Error(`Host key verification failed for ${server.name}: the host key has changed${detail}`),
+    { hostKeyChanged: true }
+  );
+}
+
+/**
+ * Make sure a pinned server's known_hosts entry matches its pin. A missing
+ * entry (e.g. the bot moved to a new machine) is fetched and trusted if it
+ * matches. Unpinned servers are left to SSH_HOST_KEY_CHECKING.
+ * @param {Object} server - Server configuration
+ * @throws if the key doesn't match the pinned fingerprint
+ */
+export async function verifyPinnedHostKey(server) {
+  const pin = server.hostKeyFingerprint;
+  const id = server.id || server.name;
+  if (!pin || verifiedPins.has(id)) return;
+
+  const keys = await getTrustedHostKeys(server);
+  if (keys.length === 0) {
+    await trustHostKeys(server, matchHostKeys(server, await fetchHostKeys(server), pin));
+  } else {
+    matchHostKeys(server, keys, pin);
+  }
+  verifiedPins.add(id);
+}
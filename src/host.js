@@ -0,0 +1,153 @@
+import { buildCommand } from './remote-command.js';
+
+/**
+ * Host-level metrics collected alongside the GPU snapshot.
+ *
+ * A GPU that looks free is no use if the box is out of RAM or its disk is
+ * full, so each snapshot also reports CPU count, load average, available
+ * memory and free space on a few mount points:
+ *   { cpuCount, loadAvg: [1m, 5m, 15m], memTotalMB, memAvailableMB,
+ *     disks: [{ mount, totalGB, freeGB, usePercent }] }
+ *
+ * Mount points come from the server's `diskMounts` field in servers.json,
+ * then HOST_DISK_MOUNTS (comma-separated), then "/" and "/home".
+ */
+const DEFAULT_DISK_MOUNTS = ['/', '/home'];
+
+// Plain absolute paths only, so a typo can't turn into a different df argument
+const MOUNT_PATTERN = /^\/[\w.\-/]*$/;
+
+/**
+ * Throw if any mount point is not a plain absolute path
+ * @param {string[]} mounts
+ */
+export function validateDiskMounts(mounts) {
+  const invalid = mounts.filter(m => !MOUNT_PATTERN.test(m));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid mount point(s): ${invalid.join(', ')}. Use absolute paths like /home`);
+  }
+}
+
+/**
+ * Get the mount points to report free space for
+ * @param {Object} [server] - Server configuration
+ * @returns {string[]}
+ */
+export function getDiskMounts(server) {
+  if (server?.diskMounts?.length > 0) return server.diskMounts;
+  const fromEnv = (process.env.HOST_DISK_MOUNTS || '').split(',').map(s => s.trim()).filter(Boolean);
+  return fromEnv.length > 0 ? fromEnv : DEFAULT_DISK_MOUNTS;
+}
+
+/**
+ * Snapshot sections for host metrics, in the collectors' [name, command] form
+ * @param {Object} [server] - Server configuration
+ * @returns {Array<[string, string]>}
+ */
+export function hostSections(server) {
+  const mounts = getDiskMounts(server).filter(m => MOUNT_PATTERN.test(m));
+  return [
+    ['NPROC', 'nproc 2>/dev/null || true'],
+    ['LOADAVG', 'cat /proc/loadavg 2>/dev/null || true'],
+    ['MEMINFO', 'grep -E "^(MemTotal|MemAvailable):" /proc/meminfo 2>/dev/null || true'],
+    // df skips mounts that don't exist but still prints the others
+    ['DISK', `${buildCommand(['df', '-Pk', ...mounts])} 2>/dev/null || true`],
+  ];
+}
+
+/**
+ * Parse the NPROC, LOADAVG, MEMINFO and DISK sections
+ * @param {Object} sections - Parsed snapshot sections
+ * @returns {Object|null} Host info, or null if the sections are missing
+ */
+export function parseHostInfo(sections) {
+  if (sections.NPROC === undefined && sections.LOADAVG === undefined) {
+    return null;
+  }
+
+  const cpuCount = parseInt(sections.NPROC) || null;
+
+  // "0.52 0.58 0.59 1/467 12345"
+  const loadParts = (sections.LOADAVG || '').split(/\s+/).slice(0, 3).map(parseFloat);
+  const loadAvg = loadParts.length === 3 && !loadParts.some(isNaN) ? loadParts : null;
+
+  const meminfo = {};
+  for (const line of (sections.MEMINFO || '').split('\n')) {
+    const match = line.match(/^(\w+):\s+(\d+)\s*kB/);
+    if (match) meminfo[match[1]] = Math.round(parseInt(match[2]) / 1024);
+  }
+
+  // "Filesystem 1024-blocks Used Available Capacity Mounted on"
+  const disks = [];
+  for (const line of (sections.DISK || '').split('\n').slice(1)) {
+    const parts = line.trim().split(/\s+/);
+    if (parts.length < 6) continue;
+    const mount = parts.slice(5).join(' ');
+    if (disks.some(d => d.mount === mount)) continue;
+    disks.push({
+      mount,
+      totalGB: parseInt(parts[1]) / (1024 * 1024),
+      freeGB: parseInt(parts[3]) / (1024 * 1024),
+      usePercent: parseInt(parts[4]),
+    });
+  }
+
+  return {
+    cpuCount,
+    loadAvg,
+    memTotalMB: meminfo.MemTotal ?? null,
+    memAvailableMB: meminfo.MemAvailable ?? null,
+    disks,
+  };
+}
+
+/**
+ * Format a size in GB compactly, switching to TB above 1000GB
+ */
+function formatSize(gb) {
+  return gb >= 1000 ? `${(gb / 1024).toFixed(1)}TB` : `${gb.toFixed(0)}GB`;
+}
+
+/**
+ * Get warnings for a host that can't take another job:
+ * load above CPU count, under 10% RAM available, or a disk over 95% full
+ * @param {Object} host - Host info from parseHostInfo
+ * @returns {string[]}
+ */
+export function getHostWarnings(host) {
+  if (!host) return [];
+  const warnings = [];
+
+  if (host.loadAvg && host.cpuCount && host.loadAvg[0] > host.cpuCount) {
+    warnings.push(`Load ${host.loadAvg[0].toFixed(1)} exceeds ${host.cpuCount} CPUs`);
+  }
+  if (host.memTotalMB && host.memAvailableMB !== null && host.memAvailableMB / host.memTotalMB < 0.1) {
+    warnings.push(`Low RAM: ${(host.memAvailableMB / 1024).toFixed(1)}GB available`);
+  }
+  for (const disk of host.disks) {
+    if (disk.usePercent >= 95) {
+      warnings.push(`Disk ${disk.mount} ${disk.usePercent}% full`);
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Compact one-line host summary, e.g.
+ * "64 CPU | load 12.3 | RAM 180/256GB free | / 45GB free | /home 1.2TB free"
+ * @param {Object} host - Host info from parseHostInfo
+ * @returns {string}
+ */
+export function formatHostSummary(host) {
+  const parts = [];
+  if (host.cpuCount) parts.push(`${host.cpuCount} CPU`);
+  if (host.loadAvg) parts.push(`load ${host.loadAvg[0].toFixed(1)}`);
+  if (host.memTotalMB && host.memAvailableMB !== null) {
+    parts.push(`RAM ${formatSize(host.memAvailableMB / 1024)}/${formatSize(host.memTotalMB / 1024)} free`);
+  }
+  for (const disk of host.disks) {
+    parts.push(`${disk.mount} ${formatSize(disk.freeGB)} free`);
+  }
+  return parts.join(' | ');
+}
@@ -0,0 +1,117 @@
+import http from 'http';
+
+/**
+ * Small HTTP server on the bot host for endpoints other processes call
+ * (e.g. gpu-agent reports). Features register routes; the server only
+ * listens when HTTP_PORT is set.
+ *
+ * Handlers receive { method, url, headers, body } with the raw body as a
+ * string and return { status, body, headers }. A string body is sent as
+ * text, anything else as JSON.
+ *
+ * Environment:
+ *   HTTP_PORT=8787       Port to listen on (unset: no HTTP server)
+ *   HTTP_HOST=0.0.0.0    Interface to bind
+ */
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// "METHOD /path" -> handler
+const routes = new Map();
+let httpServer = null;
+
+/**
+ * Register a handler for an exact method and path
+ * @param {string} method - e.g. "POST"
+ * @param {string} pathname - e.g. "/agent/report"
+ * @param {Function} handler - async (request) => { status, body, headers }
+ */
+export function registerRoute(method, pathname, handler) {
+  routes.set(`${method.toUpperCase()} ${pathname}`, handler);
+}
+
+/**
+ * Route a request to its handler
+ * @param {{method: string, url: string, headers: Object, body: string}} request
+ * @returns {Promise<{status: number, body: any, headers?: Object}>}
+ */
+export async function dispatchRequest(request) {
+  const pathname = new URL(request.url, 'http://localhost').pathname;
+  const handler = routes.get(`${request.method.toUpperCase()} ${pathname}`);
+
+  if (!handler) {
+    const pathKnown = [...routes.keys()].some(key => key.endsWith(` ${pathname}`));
+    return pathKnown ? { status: 405, body: 'Method not allowed' } : { status: 404, body: 'Not found' };
+  }
+
+  try {
+    return await handler(request);
+  } catch (error) {
+    console.error(`HTTP ${request.method} ${pathname} failed:`, error);
+    return { status: 500, body: 'Internal server error' };
+  }
+}
+
+/**
+ * Read a request body, rejecting bodies over MAX_BODY_BYTES
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Payload too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start listening on HTTP_PORT
+ * @param {number} [port] - Overrides HTTP_PORT
+ * @returns {Promise<http.Server|null>} null if no port is configured
+ */
+export async function startHttpServer(port = parseInt(process.env.HTTP_PORT)) {
+  if (!port || httpServer) return httpServer;
+
+  httpServer = http.createServer(async (req, res) => {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch {
+      res.writeHead(413, { 'Content-Type': 'text/plain' }).end('Payload too large');
+      return;
+    }
+
+    const result = await dispatchRequest({ method: req.method, url: req.url, headers: req.headers, body });
+    const isText = typeof result.body === 'string';
+    res.writeHead(result.status || 200, {
+      'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json',
+      ...result.headers,
+    });
+    res.end(isText ? result.body : JSON.stringify(result.body ?? {}));
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, process.env.HTTP_HOST || '0.0.0.0', resolve);
+  });
+  console.log(`HTTP server listening on port ${port}`);
+  return httpServer;
+}
+
+/**
+ * Stop the HTTP server (call on shutdown)
+ */
+export async function stopHttpServer() {
+  if (!httpServer) return;
+  const server = httpServer;
+  httpServer = null;
+  await new Promise(resolve => server.close(() => resolve()));
+}
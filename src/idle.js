@@ -0,0 +1,250 @@
+import { getAllServersGpuStatusWithProcesses, formatDuration } from './gpu.js';
+import { readHistory } from './history.js';
+
+/**
+ * Idle-hog detection: GPUs where a user's processes hold memory while the
+ * GPU's utilization stays below IDLE_UTIL_THRESHOLD.
+ *
+ * The GPU history (history.js) says how long each user has been holding an
+ * idle GPU; the live process map confirms the GPU is still idle and gives
+ * the processes to show. A user counts as a hog once the streak reaches
+ * IDLE_MINUTES. MIG slices are judged by their parent GPU's utilization.
+ *
+ * Reminders: each chat platform registers a notifier; every
+ * IDLE_CHECK_INTERVAL seconds new hogs get one reminder per idle streak,
+ * posted to the platform's idle channel and sent by DM to owners found in
+ * its user map ("unixname=chatUserId,...").
+ *
+ * Environment:
+ *   IDLE_UTIL_THRESHOLD=5        GPU utilization (%) below which a GPU is idle
+ *   IDLE_MIN_MEMORY_GB=1         Memory a user must hold to count
+ *   IDLE_MINUTES=60              How long before a user is listed and reminded
+ *   IDLE_CHECK_INTERVAL=900      Seconds between reminder checks (0 disables reminders)
+ *   SLACK_IDLE_CHANNEL=C0123     Slack channel for reminders
+ *   SLACK_USER_MAP=alice=U012AB  Unix user -> Slack member ID, for DMs
+ *   DISCORD_IDLE_CHANNEL=123     Discord channel for reminders
+ *   DISCORD_USER_MAP=alice=4567  Unix user -> Discord user ID, for DMs
+ */
+const UTIL_THRESHOLD = parseFloat(process.env.IDLE_UTIL_THRESHOLD ?? '5');
+const MIN_MEMORY_MB = parseFloat(process.env.IDLE_MIN_MEMORY_GB ?? '1') * 1024;
+const IDLE_MINUTES = parseFloat(process.env.IDLE_MINUTES ?? '60');
+const CHECK_INTERVAL_SEC = parseFloat(process.env.IDLE_CHECK_INTERVAL ?? '900');
+// How far back streaks are followed; longer ones are shown as "at least"
+const LOOKBACK_SEC = 3 * 24 * 3600;
+// A gap between samples longer than this ends a streak (the bot was down)
+const MAX_GAP_SEC = 15 * 60;
+
+// platform -> { post?: async (text), dm?: async (chatUserId, text), users: Map(unix user -> chat user id) }
+const notifiers = new Map();
+// server|gpu|user of streaks already reminded. Not keyed by since: a streak
+// longer than LOOKBACK_SEC starts at the window's edge, which moves every check
+const reminded = new Set();
+let checkTimer = null;
+
+/**
+ * Current idle settings
+ * @returns {{threshold: number, minMemoryMB: number, minIdleSec: number}}
+ */
+export function getIdleSettings() {
+  return { threshold: UTIL_THRESHOLD, minMemoryMB: MIN_MEMORY_MB, minIdleSec: IDLE_MINUTES * 60 };
+}
+
+/**
+ * Parse a user map like "alice=U012AB,bob=U034CD"
+ * @param {string} [str]
+ * @returns {Map<string, string>} Unix user -> chat user id
+ */
+export function parseUserMap(str) {
+  const map = new Map();
+  for (const entry of (str || '').split(',')) {
+    const [user, id] = entry.split('=').map(s => s?.trim());
+    if (user && id) map.set(user, id);
+  }
+  return map;
+}
+
+/**
+ * Find users whose memory has been held on an idle GPU up to each server's
+ * latest sample
+ * @param {Array<Object>} records - From readHistory, in time order
+ * @param {{threshold: number, minMemoryMB: number}} settings
+ * @returns {Array<{server, gpu, user, since, memoryMB, atLeast}>} gpu is the
+ *   GPU index or MIG slice id; atLeast is set when the streak starts with the records
+ */
+export function findIdleStreaks(records, { threshold, minMemoryMB }) {
+  // server -> records
+  const byServer = new Map();
+  for (const record of records) {
+    if (!byServer.has(record.server)) byServer.set(record.server, []);
+    byServer.get(record.server).push(record);
+  }
+
+  const streaks = [];
+  for (const [server, serverRecords] of byServer) {
+    // Walk back from the latest sample; gpu|user -> streak, dropped when broken
+    const open = new Map();
+    const latest = serverRecords[serverRecords.length - 1];
+    for (const [gpu, user, memoryMB] of latest.users) {
+      open.set(JSON.stringify([gpu, user]), { server, gpu, user, since: latest.t, memoryMB, atLeast: false });
+    }
+
+    for (let i = serverRecords.length - 1; i >= 0 && open.size > 0; i--) {
+      const record = serverRecords[i];
+      const util = new Map(record.gpus.map(([index, utilization]) => [String(index), utilization]));
+      const held = new Map(record.users.map(([gpu, user, memoryMB]) => [JSON.stringify([gpu, user]), memoryMB]));
+      const gapAfter = i + 1 < serverRecords.length ? serverRecords[i + 1].t - record.t : 0;
+
+      for (const [key, streak] of open) {
+        const parentUtil = util.get(String(streak.gpu).split(':')[0]);
+        const idle = gapAfter <= MAX_GAP_SEC && held.get(key) >= minMemoryMB &&
+          parentUtil !== null && parentUtil !== undefined && parentUtil < threshold;
+        if (!idle) {
+          open.delete(key);
+          if (streak.since < latest.t) streaks.push(streak);
+          continue;
+        }
+        streak.since = record.t;
+        if (i === 0) streak.atLeast = true;
+      }
+    }
+    for (const streak of open.values()) {
+      if (streak.since < latest.t) streaks.push(streak);
+    }
+  }
+  return streaks;
+}
+
+/**
+ * Find idle hogs: history streaks of at least `minIdleSec` on GPUs that are still idle now
+ * @param {Object} [settings] - Defaults from getIdleSettings()
+ * @param {string} [settings.server] - Only this server
+ * @returns {Promise<{hogs: Array<{server, gpu, user, since, idleSec, atLeast, memoryMB, utilization, processes}>, sampled: boolean}>}
+ *   sampled is false when there is no recent history to judge from
+ */
+export async function findIdleHogs(settings = {}) {
+  const { threshold, minMemoryMB, minIdleSec } = { ...getIdleSettings(), ...settings };
+  const now = Math.floor(Date.now() / 1000);
+  const records = await readHistory({ server: settings.server, from: now - LOOKBACK_SEC, to: now });
+  const streaks = findIdleStreaks(records, { threshold, minMemoryMB })
+    .filter(s => now - s.since >= minIdleSec);
+  if (streaks.length === 0) return { hogs: [], sampled: records.length > 0 };
+
+  // Confirm against the live process map
+  const results = new Map((await getAllServersGpuStatusWithProcesses()).map(r => [r.server.name, r]));
+  const hogs = [];
+  for (const streak of streaks) {
+    const result = results.get(streak.server);
+    if (!result || result.error) continue;
+    const parent = result.gpus.find(g => String(g.index) === String(streak.gpu).split(':')[0]);
+    const processes = (result.processes.get(streak.gpu) || []).filter(p => p.user === streak.user);
+    if (!parent || !(parent.gpuUtilization < threshold) || processes.length === 0) continue;
+
+    hogs.push({
+      ...streak,
+      idleSec: now - streak.since,
+      memoryMB: processes.reduce((sum, p) => sum + p.memoryMB, 0),
+      utilization: parent.gpuUtilization,
+      processes,
+    });
+  }
+  return { hogs: hogs.sort((a, b) => b.idleSec - a.idleSec), sampled: true };
+}
+
+/**
+ * Describe the idle settings, e.g. "≥1GB held at <5% utilization for ≥60m"
+ */
+export function formatIdleCriteria({ threshold, minMemoryMB, minIdleSec } = getIdleSettings()) {
+  return `≥${+(minMemoryMB / 1024).toFixed(1)}GB held at <${threshold}% utilization for ≥${formatDuration(minIdleSec)}`;
+}
+
+/**
+ * How long a hog has been idle, e.g. "26h 10m" or "3d 0h+"
+ */
+export function formatIdleDuration(hog) {
+  return `${formatDuration(hog.idleSec)}${hog.atLeast ? '+' : ''}`;
+}
+
+/**
+ * The reminder sent about one hog
+ * @param {Object} hog - From findIdleHogs
+ * @param {string} [mention] - How to address the owner (defaults to their username)
+ * @returns {string}
+ */
+export function formatIdleReminder(hog, mention = hog.user) {
+  const pids = hog.processes.map(p => p.pid).join(', ');
+  return `💤 ${mention}, your processes on ${hog.server} GPU ${hog.gpu} have held ${(hog.memoryMB / 1024).toFixed(1)}GB ` +
+    `at ${hog.utilization}% utilization for ${formatIdleDuration(hog)}. ` +
+    `If you're not using them, please free the GPU (PID ${pids}).`;
+}
+
+/**
+ * Pick the hogs whose idle streak has not been reminded yet, and forget
+ * streaks that ended so a new one is reminded again
+ * @param {Array} hogs - From findIdleHogs
+ * @returns {Array} The hogs to remind
+ */
+export function selectNewHogs(hogs) {
+  const current = new Set();
+  const fresh = [];
+
+  for (const hog of hogs) {
+    const key = `${hog.server}|${hog.gpu}|${hog.user}`;
+    current.add(key);
+    if (reminded.has(key)) continue;
+    reminded.add(key);
+    fresh.push(hog);
+  }
+
+  for (const key of reminded) {
+    if (!current.has(key)) reminded.delete(key);
+  }
+  return fresh;
+}
+
+async function checkIdleHogs() {
+  const { hogs } = await findIdleHogs();
+
+  for (const hog of selectNewHogs(hogs)) {
+    await Promise.all([...notifiers].map(async ([platform, { post, dm, users, mention }]) => {
+      const chatUser = users.get(hog.user);
+      try {
+        if (post) await post(formatIdleReminder(hog, chatUser ? mention(chatUser) : hog.user));
+        if (dm && chatUser) await dm(chatUser, formatIdleReminder(hog, 'Hi'));
+      } catch (error) {
+        console.error(`Failed to send ${platform} idle reminder:`, error.message);
+      }
+    }));
+  }
+}
+
+/**
+ * Register a platform's idle reminders and start background checks
+ * @param {string} platform - e.g. "slack"
+ * @param {Object} notifier
+ * @param {Function} [notifier.post] - async (text) => void, posts to the idle channel
+ * @param {Function} [notifier.dm] - async (chatUserId, text) => void
+ * @param {Map<string, string>} [notifier.users] - Unix user -> chat user id (see parseUserMap)
+ * @param {Function} [notifier.mention] - (chatUserId) => mention text for channel posts
+ */
+export function registerIdleNotifier(platform, { post, dm, users = new Map(), mention = id => id }) {
+  notifiers.set(platform, { post, dm, users, mention });
+
+  if (!checkTimer && CHECK_INTERVAL_SEC > 0) {
+    const check = () => checkIdleHogs().catch(error => console.error('Idle check failed:', error));
+    checkTimer = setInterval(check, CHECK_INTERVAL_SEC * 1000);
+    checkTimer.unref();
+    check();
+  }
+}
+
+/**
+ * Stop background checks and drop all notifiers (call on shutdown)
+ */
+export function stopIdleReminders() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+  notifiers.clear();
+  reminded.clear();
+}
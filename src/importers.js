@@ -0,0 +1,346 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Import servers from ~/.ssh/config and Ansible inventories.
+ *
+ * Each source is read into a list of { name, host, port, identityFile,
+ * proxyJump } entries, which planImport() compares with servers.json:
+ * new names are added, existing names (case-insensitive) get their SSH
+ * fields updated, and other fields (collector, transport, polling
+ * settings, pinned host keys) are left alone.
+ *
+ * ssh_config: concrete `Host` aliases become servers; settings from
+ * wildcard blocks (`Host *`, `Host gpu-*`) apply to them as ssh would, first
+ * value wins. `Match` blocks and `Include` are not followed.
+ *
+ * Inventories: INI (`[group]`, `[group:vars]`, `[group:children]`, host
+ * ranges like gpu[01:08]) and YAML (all/children/hosts/vars mappings).
+ * ansible_host, ansible_user, ansible_port, ansible_ssh_private_key_file
+ * and a ProxyJump in ansible_ssh_common_args are used.
+ */
+
+/**
+ * Turn a shell-style glob (*, ?) into an anchored, case-insensitive RegExp
+ */
+export function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function expandHome(file) {
+  return file?.startsWith('~/') ? path.join(os.homedir(), file.slice(2)) : file;
+}
+
+function unquote(value) {
+  return /^(["']).*\1$/.test(value) ? value.slice(1, -1) : value;
+}
+
+function buildEntry(name, { hostName, user, port, identityFile, proxyJump }) {
+  const host = hostName || name;
+  return {
+    name,
+    host: user ? `${user}@${host}` : host,
+    port: parseInt(port) || 22,
+    identityFile: identityFile ? expandHome(identityFile) : null,
+    proxyJump: proxyJump && proxyJump.toLowerCase() !== 'none' ? proxyJump : null,
+  };
+}
+
+// ssh_config keyword (lowercase) -> entry option
+const SSH_CONFIG_KEYS = {
+  hostname: 'hostName',
+  user: 'user',
+  port: 'port',
+  identityfile: 'identityFile',
+  proxyjump: 'proxyJump',
+};
+
+/**
+ * Parse ssh_config text into servers, one per concrete Host alias
+ * @param {string} text
+ * @returns {Array<{name, host, port, identityFile, proxyJump}>}
+ */
+export function parseSshConfig(text) {
+  // [{ patterns: string[], options: {} }] in file order; lines before any Host apply to all
+  const blocks = [{ patterns: ['*'], options: {} }];
+  let current = blocks[0];
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.+)$/);
+    if (!match) continue;
+    const keyword = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (keyword === 'host') {
+      current = { patterns: value.split(/\s+/).map(unquote), options: {} };
+      blocks.push(current);
+    } else if (keyword === 'match') {
+      // Conditions we can't evaluate: ignore the block
+      current = { patterns: [], options: {} };
+      blocks.push(current);
+    } else if (SSH_CONFIG_KEYS[keyword]) {
+      // Within a block the first value wins too
+      current.options[SSH_CONFIG_KEYS[keyword]] ??= unquote(value.split(/\s+/)[0]);
+    }
+  }
+
+  const matches = (alias, patterns) => {
+    const negated = patterns.filter(p => p.startsWith('!')).some(p => globToRegExp(p.slice(1)).test(alias));
+    return !negated && patterns.filter(p => !p.startsWith('!')).some(p => globToRegExp(p).test(alias));
+  };
+
+  const aliases = [...new Set(blocks.flatMap(b => b.patterns).filter(p => !/[*?!]/.test(p)))];
+  return aliases.map((alias) => {
+    const options = {};
+    for (const block of blocks) {
+      if (!matches(alias, block.patterns)) continue;
+      for (const [key, value] of Object.entries(block.options)) options[key] ??= value;
+    }
+    // %h in HostName is the alias (e.g. HostName %h.cluster.local)
+    options.hostName = options.hostName?.replace(/%h/g, alias).replace(/%%/g, '%');
+    return buildEntry(alias, options);
+  });
+}
+
+/**
+ * Read and parse an ssh_config file
+ * @param {string} [file] - Defaults to ~/.ssh/config
+ */
+export async function readSshConfig(file = path.join(os.homedir(), '.ssh', 'config')) {
+  return parseSshConfig(await fs.readFile(expandHome(file), 'utf-8'));
+}
+
+/**
+ * Expand Ansible host ranges: gpu[01:03] -> gpu01, gpu02, gpu03
+ */
+export function expandHostRange(pattern) {
+  const match = pattern.match(/^(.*)\[(\d+):(\d+)\](.*)$/);
+  if (!match) return [pattern];
+  const [, prefix, start, end, suffix] = match;
+  const width = start.startsWith('0') ? start.length : 0;
+  const hosts = [];
+  for (let i = parseInt(start, 10); i <= parseInt(end, 10); i++) {
+    hosts.push(...expandHostRange(`${prefix}${String(i).padStart(width, '0')}${suffix}`));
+  }
+  return hosts;
+}
+
+/**
+ * Split "key=value key2='quoted value'" into an object
+ */
+function parseInlineVars(text) {
+  const vars = {};
+  for (const [, key, value] of text.matchAll(/(\w+)=("[^"]*"|'[^']*'|\S+)/g)) {
+    vars[key] = unquote(value);
+  }
+  return vars;
+}
+
+function createInventory() {
+  // group -> { hosts: Set, children: Set, vars: {} }; host -> vars
+  return { groups: new Map(), hostVars: new Map() };
+}
+
+function getGroup(inventory, name) {
+  if (!inventory.groups.has(name)) {
+    inventory.groups.set(name, { hosts: new Set(), children: new Set(), vars: {} });
+  }
+  return inventory.groups.get(name);
+}
+
+function addHost(inventory, group, host, vars = {}) {
+  getGroup(inventory, group).hosts.add(host);
+  inventory.hostVars.set(host, { ...inventory.hostVars.get(host), ...vars });
+}
+
+/**
+ * Parse an INI inventory
+ */
+function parseIniInventory(text) {
+  const inventory = createInventory();
+  let section = { group: 'ungrouped', kind: 'hosts' };
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+
+    const header = line.match(/^\[([^\]:]+)(?::(\w+))?\]$/);
+    if (header) {
+      section = { group: header[1], kind: header[2] || 'hosts' };
+      getGroup(inventory, section.group);
+      continue;
+    }
+
+    if (section.kind === 'vars') {
+      Object.assign(getGroup(inventory, section.group).vars, parseInlineVars(line));
+    } else if (section.kind === 'children') {
+      getGroup(inventory, section.group).children.add(line.split(/\s+/)[0]);
+      getGroup(inventory, line.split(/\s+/)[0]);
+    } else {
+      const [pattern, ...rest] = line.split(/\s+/);
+      const vars = parseInlineVars(rest.join(' '));
+      for (const host of expandHostRange(pattern)) addHost(inventory, section.group, host, vars);
+    }
+  }
+  return inventory;
+}
+
+/**
+ * Parse the block-mapping subset of YAML that Ansible inventories use:
+ * nested "key:" / "key: value" lines, comments and quoted scalars
+ * @returns {Object} Nested objects; keys without a value are null
+ */
+export function parseYamlMapping(text) {
+  const lines = [];
+  text.split('\n').forEach((rawLine, i) => {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trimEnd();
+    if (!line.trim() || line.trim() === '---') return;
+
+    const match = line.trim().match(/^("[^"]*"|'[^']*'|[^\s"'-].*?):(?:\s+(.+))?$/);
+    if (!match) {
+      throw new Error(`Unsupported YAML on line ${i + 1}: "${line.trim()}". Only nested "key: value" mappings are supported.`);
+    }
+    const value = match[2] !== undefined ? unquote(match[2].trim()) : null;
+    lines.push({ indent: line.length - line.trimStart().length, key: unquote(match[1]), value, number: i + 1 });
+  });
+
+  // Parse the mapping whose keys start at `indent`, returning it and the next line
+  const parseBlock = (start, indent) => {
+    const node = {};
+    let i = start;
+    while (i < lines.length && lines[i].indent >= indent) {
+      const { key, value, number } = lines[i];
+      if (lines[i].indent > indent) throw new Error(`Unexpected indentation on line ${number}`);
+      i++;
+      if (value === null && i < lines.length && lines[i].indent > indent) {
+        [node[key], i] = parseBlock(i, lines[i].indent);
+      } else {
+        node[key] = value;
+      }
+    }
+    return [node, i];
+  };
+
+  return lines.length > 0 ? parseBlock(0, lines[0].indent)[0] : {};
+}
+
+/**
+ * Parse a YAML inventory
+ */
+function parseYamlInventory(text) {
+  const inventory = createInventory();
+
+  const addGroup = (name, def) => {
+    const group = getGroup(inventory, name);
+    for (const [host, vars] of Object.entries(def?.hosts || {})) {
+      for (const expanded of expandHostRange(host)) addHost(inventory, name, expanded, vars || {});
+    }
+    Object.assign(group.vars, def?.vars || {});
+    for (const [child, childDef] of Object.entries(def?.children || {})) {
+      group.children.add(child);
+      addGroup(child, childDef);
+    }
+  };
+
+  for (const [name, def] of Object.entries(parseYamlMapping(text))) addGroup(name, def);
+  return inventory;
+}
+
+/**
+ * Groups a group belongs to, farthest ancestor first
+ */
+function getAncestors(inventory, name, seen = new Set()) {
+  const parents = [...inventory.groups].filter(([, g]) => g.children.has(name)).map(([n]) => n);
+  const ancestors = [];
+  for (const parent of parents) {
+    if (seen.has(parent)) continue;
+    seen.add(parent);
+    ancestors.push(...getAncestors(inventory, parent, seen), parent);
+  }
+  return ancestors;
+}
+
+/**
+ * ProxyJump from ansible_ssh_common_args / ansible_ssh_extra_args
+ */
+function findProxyJump(args = '') {
+  const match = args.match(/(?:-J\s*|ProxyJump[=\s]+)([^\s'"]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse an Ansible inventory into servers
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.format] - "ini" or "yaml" (detected from the content if omitted)
+ * @param {string} [options.group] - Only hosts in this group (directly or through children)
+ * @returns {Array<{name, host, port, identityFile, proxyJump}>}
+ */
+export function parseInventory(text, { format, group } = {}) {
+  const isYaml = format ? format === 'yaml' : !/^\s*\[/m.test(text) && /^\s*\w[\w-]*:\s*$/m.test(text);
+  const inventory = isYaml ? parseYamlInventory(text) : parseIniInventory(text);
+
+  if (group && !inventory.groups.has(group)) {
+    throw new Error(`Group "${group}" not found in the inventory. Groups: ${[...inventory.groups.keys()].join(', ')}`);
+  }
+
+  const membersOf = (name, seen = new Set()) => {
+    if (seen.has(name)) return [];
+    seen.add(name);
+    const g = inventory.groups.get(name);
+    return [...g.hosts, ...[...g.children].flatMap(child => membersOf(child, seen))];
+  };
+  const hosts = group && group !== 'all' ? new Set(membersOf(group)) : new Set(inventory.hostVars.keys());
+
+  return [...hosts].map((host) => {
+    const direct = [...inventory.groups].filter(([, g]) => g.hosts.has(host)).map(([n]) => n);
+    const groups = ['all', ...new Set(direct.flatMap(name => [...getAncestors(inventory, name), name]))];
+    const vars = Object.assign({}, ...groups.map(name => inventory.groups.get(name)?.vars || {}), inventory.hostVars.get(host));
+
+    return buildEntry(host, {
+      hostName: vars.ansible_host || vars.ansible_ssh_host,
+      user: vars.ansible_user || vars.ansible_ssh_user,
+      port: vars.ansible_port || vars.ansible_ssh_port,
+      identityFile: vars.ansible_ssh_private_key_file || vars.ansible_private_key_file,
+      proxyJump: findProxyJump(`${vars.ansible_ssh_common_args || ''} ${vars.ansible_ssh_extra_args || ''}`),
+    });
+  });
+}
+
+/**
+ * Read and parse an inventory file (YAML if it ends in .yml / .yaml)
+ */
+export async function readInventory(file, { group } = {}) {
+  const text = await fs.readFile(expandHome(file), 'utf-8');
+  const format = /\.ya?ml$/i.test(file) ? 'yaml' : undefined;
+  return parseInventory(text, { format, group });
+}
+
+// Fields an import sets; everything else in servers.json is kept
+const IMPORTED_FIELDS = ['host', 'port', 'identityFile', 'proxyJump'];
+
+/**
+ * Compare imported servers with the configured ones
+ * @param {Array} existing - From getServers()
+ * @param {Array} imported - From parseSshConfig / parseInventory
+ * @returns {Array<{action: 'add'|'update'|'unchanged', entry: Object, server: Object|null, changes: Object}>}
+ *   changes maps each changed field to [old, new]
+ */
+export function planImport(existing, imported) {
+  return imported.map((entry) => {
+    const server = existing.find(s => s.name.toLowerCase() === entry.name.toLowerCase()) || null;
+    if (!server) return { action: 'add', entry, server: null, changes: {} };
+
+    const changes = {};
+    for (const field of IMPORTED_FIELDS) {
+      const before = server[field] ?? (field === 'port' ? 22 : null);
+      if (before !== entry[field]) changes[field] = [before, entry[field]];
+    }
+    return { action: Object.keys(changes).length > 0 ? 'update' : 'unchanged', entry, server, changes };
+  });
+}
@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import { getServers } from './config.js';
+
+/**
+ * Ingest endpoint for gpu-agent reports.
+ *
+ * Servers with `"transport": "agent"` in servers.json are not polled over
+ * SSH; a gpu-agent on each one POSTs its raw snapshot output here and the
+ * status commands use the latest report. A report is JSON:
+ *   { server, collector, collectedAt, snapshot, error }
+ *
+ * Each request is signed with HMAC-SHA256 over "<timestamp>.<body>" using
+ * the server's `agentSecret` (or AGENT_SECRET), sent as
+ *   X-GPU-Agent-Timestamp: <ms since epoch>
+ *   X-GPU-Agent-Signature: sha256=<hex>
+ * Reports more than 5 minutes off the bot's clock, or older than the last
+ * accepted one, are rejected so a captured request can't be replayed.
+ *
+ * AGENT_REPORT_MAX_AGE (seconds, default 120) is how long a report stays
+ * usable before the server is shown as unreachable.
+ */
+export const AGENT_REPORT_PATH = '/agent/report';
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_REPORT_AGE_MS = (parseInt(process.env.AGENT_REPORT_MAX_AGE) || 120) * 1000;
+
+// server id -> { report, timestamp, receivedAt }
+const reports = new Map();
+
+/**
+ * Sign a report body
+ * @param {string} body - Exact request body
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - ms since epoch, sent in X-GPU-Agent-Timestamp
+ * @returns {string} Hex HMAC-SHA256
+ */
+export function signReport(body, secret, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Get the shared secret for an agent server
+ */
+export function getAgentSecret(server) {
+  return server.agentSecret || process.env.AGENT_SECRET || null;
+}
+
+function verifySignature(body, secret, timestamp, signature) {
+  const expected = Buffer.from(signReport(body, secret, timestamp), 'hex');
+  const given = Buffer.from(String(signature || '').replace(/^sha256=/, ''), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function reportKey(server) {
+  return server.id || server.name;
+}
+
+/**
+ * HTTP handler for POST /agent/report
+ * @param {{headers: Object, body: string}} request
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+export async function handleAgentReport({ headers, body }) {
+  let report;
+  try {
+    report = JSON.parse(body);
+  } catch {
+    return { status: 400, body: { error: 'Body is not valid JSON' } };
+  }
+  if (!report || typeof report.server !== 'string' || typeof report.snapshot !== 'string') {
+    return { status: 400, body: { error: 'Report needs "server" and "snapshot"' } };
+  }
+
+  // Same answer for unknown servers and bad signatures, so the endpoint
+  // doesn't reveal which server names exist
+  const servers = await getServers();
+  const server = servers.find(s => s.transport === 'agent' && s.name.toLowerCase() === report.server.toLowerCase());
+  const secret = server && getAgentSecret(server);
+  const timestamp = parseInt(headers['x-gpu-agent-timestamp']);
+
+  if (!secret || !timestamp || !verifySignature(body, secret, timestamp, headers['x-gpu-agent-signature'])) {
+    return { status: 401, body: { error: 'Invalid signature or unknown server' } };
+  }
+  if (Math.abs(Date.now() - timestamp) > MAX_CLOCK_SKEW_MS) {
+    return { status: 401, body: { error: 'Timestamp too far from server time; check the clock' } };
+  }
+
+  const previous = reports.get(reportKey(server));
+  if (previous && timestamp <= previous.timestamp) {
+    return { status: 409, body: { error: 'Report is not newer than the last one' } };
+  }
+
+  reports.set(reportKey(server), { report, timestamp, receivedAt: Date.now() });
+  return { status: 200, body: { ok: true } };
+}
+
+/**
+ * Get the latest report pushed for a server
+ * @param {Object} server - Server configuration
+ * @returns {{report: Object, timestamp: number, receivedAt: number}}
+ * @throws if there is no report, it is too old, or the agent reported a failure
+ */
+export function getAgentReport(server) {
+  const entry = reports.get(reportKey(server));
+  if (!entry) {
+    throw new Error(`No report from gpu-agent on ${server.name} yet.`);
+  }
+
+  const ageSec = Math.round((Date.now() - entry.receivedAt) / 1000);
+  if (Date.now() - entry.receivedAt > MAX_REPORT_AGE_MS) {
+    throw new Error(`Last report from gpu-agent on ${server.name} is ${ageSec}s old.`);
+  }
+  if (entry.report.error) {
+    throw new Error(`gpu-agent on ${server.name}: ${entry.report.error}`);
+  }
+  return entry;
+}
+
+/**
+ * Forget all stored reports
+ */
+export function clearAgentReports() {
+  reports.clear();
+}
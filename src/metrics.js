@@ -0,0 +1,168 @@
+import { getServers } from './config.js';
+import { getRemoteGpuSnapshot, getTopUserForGpu } from './gpu.js';
+
+/**
+ * Prometheus exporter: GET /metrics on the bot's HTTP server (HTTP_PORT).
+ *
+ * Servers are polled on their own cadence (METRICS_INTERVAL seconds,
+ * default 60; 0 disables the exporter) and /metrics renders the latest
+ * results, so a scrape never waits on SSH and several Prometheus replicas
+ * don't multiply the load on the GPU servers.
+ */
+export const METRICS_PATH = '/metrics';
+
+const POLL_INTERVAL_SEC = parseInt(process.env.METRICS_INTERVAL ?? '60');
+const MIB = 1024 * 1024;
+
+// server name -> { server, gpus, processes, error, attempts, durationSec, timestamp }
+const latestResults = new Map();
+let pollTimer = null;
+
+/**
+ * Metric definitions: name -> [type, help]
+ */
+const METRICS = {
+  gpu_monitor_server_up: ['gauge', 'Whether the last poll of the server succeeded'],
+  gpu_monitor_scrape_duration_seconds: ['gauge', 'Time taken by the last poll of the server'],
+  gpu_monitor_last_scrape_timestamp_seconds: ['gauge', 'Unix time of the last poll of the server'],
+  gpu_monitor_scrape_attempts: ['gauge', 'Attempts the last poll of the server took (retries + 1)'],
+  gpu_monitor_gpu_utilization_percent: ['gauge', 'GPU utilization'],
+  gpu_monitor_gpu_memory_used_bytes: ['gauge', 'GPU memory used'],
+  gpu_monitor_gpu_memory_total_bytes: ['gauge', 'GPU memory total'],
+  gpu_monitor_gpu_temperature_celsius: ['gauge', 'GPU temperature'],
+  gpu_monitor_gpu_power_draw_watts: ['gauge', 'GPU power draw'],
+  gpu_monitor_gpu_power_limit_watts: ['gauge', 'GPU power limit'],
+  gpu_monitor_gpu_processes: ['gauge', 'Number of compute processes on the GPU'],
+  gpu_monitor_gpu_user_memory_used_bytes: ['gauge', 'GPU memory used by a user\'s processes'],
+  gpu_monitor_gpu_top_user: ['gauge', 'User with the most memory on the GPU (always 1)'],
+};
+
+/**
+ * Escape a Prometheus label value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Poll one server and store its result with timing
+ */
+async function pollServer(server) {
+  const start = Date.now();
+  let result;
+  try {
+    const { gpus, processes, attempts } = await getRemoteGpuSnapshot(server);
+    result = { server, gpus, processes, error: null, attempts };
+  } catch (error) {
+    result = { server, gpus: [], processes: new Map(), error: error.message, attempts: error.attempts };
+  }
+  result.durationSec = (Date.now() - start) / 1000;
+  result.timestamp = Date.now() / 1000;
+  latestResults.set(server.name, result);
+}
+
+/**
+ * Poll every configured server once, dropping servers that were removed
+ */
+export async function pollMetrics() {
+  const servers = await getServers();
+  const names = new Set(servers.map(s => s.name));
+  for (const name of latestResults.keys()) {
+    if (!names.has(name)) latestResults.delete(name);
+  }
+  await Promise.all(servers.map(pollServer));
+}
+
+/**
+ * Start polling servers every METRICS_INTERVAL seconds
+ * @returns {boolean} false if the exporter is disabled
+ */
+export function startMetricsPolling() {
+  if (!(POLL_INTERVAL_SEC > 0) || pollTimer) return !!pollTimer;
+
+  const poll = () => pollMetrics().catch(error => console.error('Metrics poll failed:', error));
+  poll();
+  pollTimer = setInterval(poll, POLL_INTERVAL_SEC * 1000);
+  pollTimer.unref();
+  return true;
+}
+
+export function stopMetricsPolling() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Render results in Prometheus text exposition format
+ * @param {Array<{server, gpus, processes, error, attempts, durationSec, timestamp}>} results
+ * @returns {string}
+ */
+export function formatPrometheusMetrics(results) {
+  // metric name -> lines
+  const samples = new Map(Object.keys(METRICS).map(name => [name, []]));
+  const add = (name, labels, value) => {
+    if (value === null || value === undefined || !Number.isFinite(value)) return;
+    samples.get(name).push(`${name}${formatLabels(labels)} ${value}`);
+  };
+
+  for (const result of results) {
+    const server = result.server.name;
+    add('gpu_monitor_server_up', { server }, result.error ? 0 : 1);
+    add('gpu_monitor_scrape_duration_seconds', { server }, result.durationSec);
+    add('gpu_monitor_last_scrape_timestamp_seconds', { server }, result.timestamp);
+    add('gpu_monitor_scrape_attempts', { server }, result.attempts);
+
+    for (const gpu of result.gpus) {
+      const labels = { server, gpu: gpu.index, name: gpu.name };
+      add('gpu_monitor_gpu_utilization_percent', labels, gpu.gpuUtilization);
+      add('gpu_monitor_gpu_memory_used_bytes', labels, gpu.memoryUsed * MIB);
+      add('gpu_monitor_gpu_memory_total_bytes', labels, gpu.memoryTotal * MIB);
+      add('gpu_monitor_gpu_temperature_celsius', labels, gpu.temperature);
+      add('gpu_monitor_gpu_power_draw_watts', labels, gpu.powerDraw);
+      add('gpu_monitor_gpu_power_limit_watts', labels, gpu.powerLimit);
+    }
+
+    // Keys are GPU indices, or "<gpu>:<slice>" for MIG slices
+    for (const [gpuKey, procs] of result.processes) {
+      add('gpu_monitor_gpu_processes', { server, gpu: gpuKey }, procs.length);
+
+      const userMemory = new Map();
+      for (const p of procs) {
+        userMemory.set(p.user, (userMemory.get(p.user) || 0) + p.memoryMB);
+      }
+      for (const [user, memoryMB] of userMemory) {
+        add('gpu_monitor_gpu_user_memory_used_bytes', { server, gpu: gpuKey, user }, memoryMB * MIB);
+      }
+
+      const top = getTopUserForGpu(result.processes, gpuKey);
+      if (top) add('gpu_monitor_gpu_top_user', { server, gpu: gpuKey, user: top.user }, 1);
+    }
+  }
+
+  const lines = [];
+  for (const [name, [type, help]] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples.get(name));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * HTTP handler for GET /metrics
+ */
+export async function handleMetricsRequest() {
+  if (!pollTimer) {
+    return { status: 404, body: 'Metrics are disabled (METRICS_INTERVAL=0)' };
+  }
+  return {
+    status: 200,
+    headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+    body: formatPrometheusMetrics([...latestResults.values()]),
+  };
+}
@@ -0,0 +1,80 @@
+import { getAllServersGpuStatusWithProcesses, formatDuration } from './gpu.js';
+import { onHealthChange } from './health.js';
+
+/**
+ * Server up/down alerts.
+ *
+ * Each chat platform registers a sender for its alert channel; when
+ * health.js reports a server going down or coming back, every sender posts
+ * the alert. While a sender is registered, all servers are checked every
+ * HEALTH_CHECK_INTERVAL seconds so outages are noticed without anyone
+ * running /gpu (the checks go through the status cache, so they share
+ * polls with the front-ends and monitors).
+ *
+ * Environment:
+ *   SLACK_ALERT_CHANNEL=C0123456     Slack channel ID for alerts
+ *   DISCORD_ALERT_CHANNEL=1234567    Discord channel ID for alerts
+ *   HEALTH_CHECK_INTERVAL=60         Seconds between background checks (0 disables them)
+ */
+const CHECK_INTERVAL_SEC = parseFloat(process.env.HEALTH_CHECK_INTERVAL ?? '60');
+
+// platform -> async (text) => void
+const senders = new Map();
+let checkTimer = null;
+let unsubscribe = null;
+
+/**
+ * Format a health change as a one-line alert
+ * @param {{server, state, since, downtimeMs, error}} change - From onHealthChange
+ * @returns {string}
+ */
+export function formatHealthAlert(change) {
+  const name = change.server.name;
+  if (change.state === 'down') {
+    const since = new Date(change.since).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `🔴 ${name} is down since ${since}: ${change.error}`;
+  }
+  return `🟢 ${name} is back up after ${formatDuration(Math.round(change.downtimeMs / 1000))} down.`;
+}
+
+async function sendAlert(change) {
+  const text = formatHealthAlert(change);
+  await Promise.all([...senders].map(async ([platform, send]) => {
+    try {
+      await send(text);
+    } catch (error) {
+      console.error(`Failed to send ${platform} health alert:`, error.message);
+    }
+  }));
+}
+
+/**
+ * Register a platform's alert sender and start background checks
+ * @param {string} platform - e.g. "slack"
+ * @param {Function} send - async (text) => void
+ */
+export function registerAlertSender(platform, send) {
+  senders.set(platform, send);
+  unsubscribe ??= onHealthChange(sendAlert);
+
+  if (!checkTimer && CHECK_INTERVAL_SEC > 0) {
+    const check = () => getAllServersGpuStatusWithProcesses()
+      .catch(error => console.error('Health check failed:', error));
+    checkTimer = setInterval(check, CHECK_INTERVAL_SEC * 1000);
+    checkTimer.unref();
+    check();
+  }
+}
+
+/**
+ * Stop background checks and drop all senders (call on shutdown)
+ */
+export function stopHealthAlerts() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+  unsubscribe?.();
+  unsubscribe = null;
+  senders.clear();
+}
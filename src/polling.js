@@ -0,0 +1,135 @@
+/**
+ * Timeouts, retries and concurrency limits for talking to servers.
+ *
+ * Status polls are read-only, so a failure that may be transient (timeout,
+ * refused connection, dropped SSH session) is retried with exponential
+ * backoff. Failures that won't fix themselves (bad key, unknown host,
+ * missing nvidia-smi) are reported straight away. Commands that change
+ * state (occupy, kill) are never retried.
+ *
+ * Environment (per-server values in servers.json override them):
+ *   STATUS_TIMEOUT=30        Seconds before a status poll is abandoned   ("timeout")
+ *   STATUS_RETRIES=1         Extra attempts after a transient failure    ("retries")
+ *   STATUS_RETRY_DELAY=2     Seconds before the first retry, doubled each time ("retryDelay")
+ *   REMOTE_CONCURRENCY=16    Remote commands running at once across all servers
+ *   SERVER_CONCURRENCY=4     Remote commands running at once per server ("concurrency")
+ */
+const DEFAULT_TIMEOUT_SEC = parseFloat(process.env.STATUS_TIMEOUT) || 30;
+const DEFAULT_RETRIES = Math.max(0, parseInt(process.env.STATUS_RETRIES ?? '1') || 0);
+const DEFAULT_RETRY_DELAY_SEC = Math.max(0, parseFloat(process.env.STATUS_RETRY_DELAY ?? '2') || 0);
+const DEFAULT_SERVER_CONCURRENCY = parseInt(process.env.SERVER_CONCURRENCY) || 4;
+export const REMOTE_CONCURRENCY = parseInt(process.env.REMOTE_CONCURRENCY) || 16;
+
+/**
+ * Per-server polling settings that can be set in servers.json, with their limits
+ */
+export const POLL_SETTINGS = {
+  timeout: { min: 1, max: 600, unit: ' seconds' },
+  retries: { min: 0, max: 10, unit: '', integer: true },
+  retryDelay: { min: 0, max: 300, unit: ' seconds' },
+  concurrency: { min: 1, max: 64, unit: '', integer: true },
+};
+
+// Command-line flags for POLL_SETTINGS in /config edit and gpu-cli config edit
+export const POLL_SETTING_FLAGS = {
+  '--timeout': 'timeout',
+  '--retries': 'retries',
+  '--retry-delay': 'retryDelay',
+  '--concurrency': 'concurrency',
+};
+
+/**
+ * Parse a polling setting from a command argument ("default" resets it)
+ * @returns {number|null}
+ */
+export function parsePollSetting(value) {
+  return value === 'default' ? null : Number(value);
+}
+
+/**
+ * Resolve a server's polling settings from its config and the environment
+ * @param {Object} [server] - Server configuration
+ * @returns {{timeoutMs: number, retries: number, retryDelayMs: number, concurrency: number}}
+ */
+export function getPollPolicy(server = {}) {
+  return {
+    timeoutMs: (server.timeout ?? DEFAULT_TIMEOUT_SEC) * 1000,
+    retries: server.retries ?? DEFAULT_RETRIES,
+    retryDelayMs: (server.retryDelay ?? DEFAULT_RETRY_DELAY_SEC) * 1000,
+    concurrency: server.concurrency ?? DEFAULT_SERVER_CONCURRENCY,
+  };
+}
+
+/**
+ * Classify a failed remote command by its message
+ * @param {Error} error - Error from the transport
+ * @param {{binary: string}} collector - The server's collector
+ * @returns {{kind: string, retryable: boolean}}
+ *   kind is one of hostkey, untrusted, auth, refused, timeout, dns, collector, agent, unknown
+ */
+export function classifyRemoteError(error, collector) {
+  const message = error.message || '';
+
+  if (error.hostKeyChanged || message.includes('REMOTE HOST IDENTIFICATION HAS CHANGED')) {
+    return { kind: 'hostkey', retryable: false };
+  }
+  if (message.includes('Host key verification failed')) return { kind: 'untrusted', retryable: false };
+
+  if (message.includes('Permission denied')) return { kind: 'auth', retryable: false };
+  if (message.includes('Connection refused')) return { kind: 'refused', retryable: true };
+  if (message.includes('Connection timed out') || error.killed) return { kind: 'timeout', retryable: true };
+  if (message.includes('Could not resolve hostname')) return { kind: 'dns', retryable: false };
+  if (message.includes('gpu-agent')) return { kind: 'agent', retryable: false };
+  if (message.includes(collector.binary) || message.includes('not found')) {
+    return { kind: 'collector', retryable: false };
+  }
+  return { kind: 'unknown', retryable: true };
+}
+
+/**
+ * Run an async function, retrying retryable failures with exponential backoff
+ * @param {Function} fn - async (attempt) => value
+ * @param {Object} options
+ * @param {number} options.retries - Extra attempts after the first
+ * @param {number} options.retryDelayMs - Delay before the first retry, doubled each time
+ * @param {Function} options.isRetryable - (error) => boolean
+ * @returns {Promise<{value: any, attempts: number}>} Rejects with the last error, with `attempts` set
+ */
+export async function withRetries(fn, { retries, retryDelayMs, isRetryable }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { value: await fn(attempt), attempts: attempt };
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+/**
+ * Create a limiter that runs at most `max` tasks at once, in arrival order
+ * @param {number} max
+ * @returns {Function} (task) => Promise of the task's result
+ */
+export function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve().then(task).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
@@ -0,0 +1,116 @@
+/**
+ * Building remote shell commands from untrusted input.
+ *
+ * Commands reach the server as one string that ssh hands to the remote
+ * user's shell, so every value that comes from chat, servers.json or
+ * occupations.json must be quoted for that shell. Build commands from argv
+ * arrays with buildCommand() and add shell syntax (redirects, `;`, `&`)
+ * around the result yourself; never put a value into a command string
+ * directly. Locally, ssh is always started with execFile (no shell).
+ *
+ * Values are also checked against strict patterns first, so a bad username
+ * or path gets a clear error instead of being quoted into a command that
+ * can't do what the user meant.
+ */
+const SAFE_ARG_PATTERN = /^[\w@%+:,./-]+$/;
+
+// POSIX-style login names; no leading "-" so they can't be read as options
+const USERNAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,31}$/;
+// Absolute paths, ~/ paths or bare command names, e.g. /opt/conda/bin/python, ~/venv/bin/python, python3
+const PATH_PATTERN = /^(\/|~\/)?[\w.+][\w.+/-]*$/;
+const MIG_UUID_PATTERN = /^MIG-[A-Za-z0-9/-]+$/;
+const PID_PATTERN = /^[1-9]\d{0,9}$/;
+// [user@]host[:port] as ssh takes it, including bracketed IPv6 addresses
+const SSH_DESTINATION_PATTERN = /^(\w[\w.-]*@)?(\w[\w.:%-]*|\[[\w.:%]+\])(:\d+)?$/;
+const MAX_GPU_INDEX = 255;
+
+/**
+ * Quote a value as one word for a POSIX shell
+ * @param {string|number} value
+ * @returns {string} The value unchanged if it has no special characters, otherwise single-quoted
+ */
+export function shellQuote(value) {
+  const str = String(value);
+  if (SAFE_ARG_PATTERN.test(str)) return str;
+  return `'${str.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Build a shell command that runs argv[0] with the remaining arguments exactly as given
+ * @param {Array<string|number>} argv
+ * @returns {string}
+ */
+export function buildCommand(argv) {
+  if (argv.length === 0) throw new Error('Empty command');
+  return argv.map(shellQuote).join(' ');
+}
+
+/**
+ * Throw unless `username` is a plain login name
+ * @returns {string} The username
+ */
+export function validateUsername(username) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw new Error(`Invalid username "${username}". Use letters, digits, "_", "." and "-" (up to 32 characters).`);
+  }
+  return username;
+}
+
+/**
+ * Throw unless `path` is an absolute path, a ~/ path or a bare command name
+ * @param {string} path
+ * @param {string} [label='path'] - What the path is, for the error message
+ * @returns {string} The path as the remote command should use it. ~/ paths
+ *   become relative paths, since remote commands start in the home directory
+ *   and a quoted ~ would not be expanded
+ */
+export function validateRemotePath(path, label = 'path') {
+  if (typeof path !== 'string' || !PATH_PATTERN.test(path) || path.includes('//')) {
+    throw new Error(`Invalid ${label} "${path}". Use an absolute path like /opt/conda/bin/python.`);
+  }
+  return path.startsWith('~/') ? path.slice(2) : path;
+}
+
+/**
+ * Throw unless every id is a GPU index or a MIG device UUID
+ * @param {Array<number|string>} gpuIds - As returned by parseGpuIds
+ * @returns {Array<number|string>} The ids
+ */
+export function validateGpuIds(gpuIds) {
+  const invalid = gpuIds.filter(id => typeof id === 'number'
+    ? !(Number.isInteger(id) && id >= 0 && id <= MAX_GPU_INDEX)
+    : !(typeof id === 'string' && MIG_UUID_PATTERN.test(id)));
+  if (gpuIds.length === 0 || invalid.length > 0) {
+    throw new Error(`Invalid GPU id(s): ${invalid.join(', ') || 'none given'}. Use indices like 0,1 or a MIG-... UUID.`);
+  }
+  return gpuIds;
+}
+
+/**
+ * Throw unless `pid` is a process id
+ * @param {string|number} pid
+ * @returns {string} The pid as a string
+ */
+export function validatePid(pid) {
+  const str = String(pid).trim();
+  if (!PID_PATTERN.test(str)) {
+    throw new Error(`Invalid process id "${pid}"`);
+  }
+  return str;
+}
+
+/**
+ * Throw unless `destination` is a plain ssh destination ([user@]host), or a
+ * comma-separated list of [user@]host[:port] hops when `jump` is set.
+ * Rejects anything ssh could parse as an option, such as "-oProxyCommand=...".
+ * @param {string} destination
+ * @param {{jump?: boolean}} [options]
+ * @returns {string} The destination
+ */
+export function validateSshDestination(destination, { jump = false } = {}) {
+  const hops = jump ? destination.split(',') : [destination];
+  if (!hops.every(hop => SSH_DESTINATION_PATTERN.test(hop))) {
+    throw new Error(`Invalid ${jump ? 'jump host' : 'SSH host'} "${destination}". Use user@host${jump ? '[:port]' : ''}.`);
+  }
+  return destination;
+}
@@ -0,0 +1,61 @@
+import { getAllServersGpuStatusWithProcesses } from './gpu.js';
+import { appendHistory, compactHistory, toHistoryRecord } from './history.js';
+
+/**
+ * Background collector for the history store.
+ *
+ * Every HISTORY_INTERVAL seconds all servers are polled fresh (a cached
+ * snapshot can be a poll old, which would stamp it with the wrong time;
+ * the fresh poll still refreshes the status cache for the front-ends)
+ * and each reachable server's GPUs and per-user memory are appended to
+ * history.js. Retention and downsampling run at startup and once a day.
+ *
+ * Environment:
+ *   HISTORY_INTERVAL=60    Seconds between samples (0 disables history collection)
+ */
+const SAMPLE_INTERVAL_SEC = parseFloat(process.env.HISTORY_INTERVAL ?? '60');
+
+let sampleTimer = null;
+let lastCompactedDay = null;
+
+/**
+ * Record one sample of every server
+ * @returns {Promise<number>} Number of servers recorded
+ */
+export async function recordSample() {
+  const results = await getAllServersGpuStatusWithProcesses({ fresh: true });
+  const t = Math.floor(Date.now() / 1000);
+  const records = results.filter(r => !r.error && r.gpus.length > 0).map(r => toHistoryRecord(r, t));
+  await appendHistory(records);
+
+  const today = new Date().toISOString().slice(0, 10);
+  if (today !== lastCompactedDay) {
+    lastCompactedDay = today;
+    const { deleted, downsampled } = await compactHistory();
+    if (deleted.length + downsampled.length > 0) {
+      console.log(`History: downsampled ${downsampled.length} day(s), deleted ${deleted.length} day(s)`);
+    }
+  }
+  return records.length;
+}
+
+/**
+ * Start sampling every HISTORY_INTERVAL seconds
+ * @returns {boolean} false if history collection is disabled
+ */
+export function startHistorySampling() {
+  if (!(SAMPLE_INTERVAL_SEC > 0) || sampleTimer) return !!sampleTimer;
+
+  const sample = () => recordSample().catch(error => console.error('History sample failed:', error));
+  sample();
+  sampleTimer = setInterval(sample, SAMPLE_INTERVAL_SEC * 1000);
+  sampleTimer.unref();
+  return true;
+}
+
+export function stopHistorySampling() {
+  if (sampleTimer) {
+    clearInterval(sampleTimer);
+    sampleTimer = null;
+  }
+}
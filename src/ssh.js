@@ -0,0 +1,220 @@
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildHostKeyArgs, verifyPinnedHostKey } from './host-keys.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * SSH connection manager.
+ *
+ * Keeps one OpenSSH ControlMaster socket per server so status, process and
+ * occupy calls reuse a single authenticated connection (including any
+ * proxyJump hop) instead of doing a full handshake each time.
+ *
+ * Environment:
+ *   SSH_MULTIPLEX=0        Disable connection reuse
+ *   SSH_IDLE_TIMEOUT=300   Seconds before an unused connection is closed
+ *   SSH_CONTROL_DIR=...    Directory for control sockets
+ */
+const MULTIPLEX_ENABLED = process.env.SSH_MULTIPLEX !== '0';
+const IDLE_TIMEOUT_MS = (parseInt(process.env.SSH_IDLE_TIMEOUT) || 300) * 1000;
+const CONTROL_DIR = process.env.SSH_CONTROL_DIR ||
+  path.join(os.tmpdir(), `gpu-monitor-ssh-${process.getuid ? process.getuid() : 'user'}`);
+const MASTER_TIMEOUT_MS = 20000;
+const SWEEP_INTERVAL_MS = 60000;
+
+// server key -> { server, ready: Promise<boolean>, lastUsed: number }
+const connections = new Map();
+let sweepTimer = null;
+
+/**
+ * Build the base SSH options for a server
+ * @param {Object} server - Server configuration
+ * @returns {string[]}
+ */
+export function buildSshArgs(server) {
+  const sshOptions = [
+    '-o', 'ConnectTimeout=10',
+    '-o', 'BatchMode=yes',
+    ...buildHostKeyArgs(server),
+  ];
+
+  if (server.port && server.port !== 22) {
+    sshOptions.push('-p', server.port.toString());
+  }
+
+  if (server.identityFile) {
+    sshOptions.push('-i', server.identityFile);
+  }
+
+  if (server.proxyJump) {
+    sshOptions.push('-J', server.proxyJump);
+  }
+
+  return sshOptions;
+}
+
+/**
+ * Control socket option shared by the master and every client call
+ */
+function controlArgs() {
+  return ['-o', `ControlPath=${path.join(CONTROL_DIR, '%C')}`];
+}
+
+function connectionKey(server) {
+  return server.id || server.name;
+}
+
+/**
+ * Start a background ControlMaster for a server.
+ * Resolves true once the master is accepting connections, false otherwise;
+ * callers fall back to a plain connection so the real error surfaces there.
+ */
+function startMaster(server) {
+  return new Promise((resolve) => {
+    const child = spawn('ssh', [
+      ...buildSshArgs(server),
+      ...controlArgs(),
+      '-o', 'ControlMaster=yes',
+      // Backstop in case this process dies without closing the master
+      '-o', `ControlPersist=${Math.ceil(IDLE_TIMEOUT_MS / 1000)}`,
+      '-N', '-f',
+      server.host,
+    ], { stdio: 'ignore' });
+
+    const timer = setTimeout(() => {
+      child.kill('SIGTERM');
+      resolve(false);
+    }, MASTER_TIMEOUT_MS);
+
+    // -f makes ssh fork into the background after authentication,
+    // so the foreground process exits as soon as the master is up
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      resolve(code === 0);
+    });
+    child.on('error', () => {
+      clearTimeout(timer);
+      resolve(false);
+    });
+  });
+}
+
+/**
+ * Check whether a live master already exists for a server
+ * (e.g. left behind by ControlPersist from a previous run)
+ */
+async function checkMaster(server) {
+  try {
+    await execFileAsync('ssh', [...buildSshArgs(server), ...controlArgs(), '-O', 'check', server.host], {
+      timeout: 5000,
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Make sure a ControlMaster is running for a server, sharing the
+ * in-flight setup between concurrent callers
+ * @param {Object} server - Server configuration
+ */
+async function ensureConnection(server) {
+  const key = connectionKey(server);
+  let conn = connections.get(key);
+
+  if (!conn) {
+    fs.mkdirSync(CONTROL_DIR, { recursive: true, mode: 0o700 });
+    const ready = (async () => (await checkMaster(server)) || startMaster(server))();
+    conn = { server, ready, lastUsed: Date.now() };
+    connections.set(key, conn);
+    startSweeper();
+  }
+
+  conn.lastUsed = Date.now();
+  const ok = await conn.ready;
+  if (!ok && connections.get(key) === conn) {
+    // Don't cache failures - the next call retries the master
+    connections.delete(key);
+  }
+  return ok;
+}
+
+/**
+ * Close the ControlMaster for a server
+ * @param {Object} server - Server configuration
+ */
+export async function closeConnection(server) {
+  const key = connectionKey(server);
+  connections.delete(key);
+  try {
+    await execFileAsync('ssh', [...buildSshArgs(server), ...controlArgs(), '-O', 'exit', server.host], {
+      timeout: 5000,
+    });
+  } catch { /* already gone */ }
+}
+
+/**
+ * Close every open connection (call on shutdown)
+ */
+export async function closeAllConnections() {
+  stopSweeper();
+  const servers = Array.from(connections.values()).map(c => c.server);
+  await Promise.all(servers.map(closeConnection));
+}
+
+/**
+ * Periodically close connections that have been idle too long
+ */
+function startSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const conn of connections.values()) {
+      if (now - conn.lastUsed > IDLE_TIMEOUT_MS) {
+        closeConnection(conn.server);
+      }
+    }
+    if (connections.size === 0) stopSweeper();
+  }, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+}
+
+function stopSweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+/**
+ * Run a command on a server over SSH, reusing its ControlMaster
+ * @param {Object} server - Server configuration
+ * @param {string} command - Remote shell command
+ * @param {Object} [options]
+ * @param {number} [options.timeout=60000] - Timeout in ms
+ * @returns {Promise<{stdout: string, stderr: string}>} Rejects like child_process.execFile
+ */
+export async function sshExec(server, command, { timeout = 60000 } = {}) {
+  await verifyPinnedHostKey(server);
+  const args = buildSshArgs(server);
+
+  if (MULTIPLEX_ENABLED) {
+    await ensureConnection(server);
+    // With ControlMaster=no, ssh falls back to a direct connection if the master is gone
+    args.push(...controlArgs(), '-o', 'ControlMaster=no');
+  }
+
+  args.push(server.host, command);
+  const result = await execFileAsync('ssh', args, { timeout, maxBuffer: 10 * 1024 * 1024 });
+
+  const conn = connections.get(connectionKey(server));
+  if (conn) conn.lastUsed = Date.now();
+
+  return result;
+}
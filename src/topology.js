@@ -0,0 +1,283 @@
+import { executeRemoteCommand, getRemoteGpuSnapshot } from './gpu.js';
+import { getCollector } from './collectors.js';
+
+/**
+ * GPU interconnect topology from `nvidia-smi topo -m`, and selection of
+ * the best-connected set of free GPUs for `best:N` GPU specs.
+ *
+ * Topology is cached per server because it only changes when hardware
+ * does. TOPOLOGY_CACHE_TTL sets the cache lifetime in seconds (default 3600).
+ */
+const CACHE_TTL_MS = (parseInt(process.env.TOPOLOGY_CACHE_TTL) || 3600) * 1000;
+
+// Brute-force search over candidate sets stays cheap up to this many GPUs
+const MAX_CANDIDATES = 16;
+
+// server key -> { topology, fetchedAt }
+const topologyCache = new Map();
+
+/**
+ * Connection types from `nvidia-smi topo -m`, best first
+ */
+export const LINK_DESCRIPTIONS = {
+  NV: 'NVLink (NV# = number of bonded links)',
+  PIX: 'At most one PCIe switch',
+  PXB: 'Multiple PCIe switches, no host bridge',
+  PHB: 'Through a PCIe host bridge (CPU)',
+  NODE: 'Across host bridges within a NUMA node',
+  SYS: 'Across NUMA nodes (SMP interconnect)',
+};
+
+/**
+ * Parse `nvidia-smi topo -m` output:
+ *         GPU0    GPU1    NIC0    CPU Affinity    NUMA Affinity   GPU NUMA ID
+ *   GPU0     X    NV12    SYS     0-31            0               N/A
+ *   GPU1  NV12       X    SYS     0-31            0               N/A
+ * @returns {{gpus: number[], links: string[][], cpuAffinity: string[], numaAffinity: string[]}}
+ *   links[i][j] is the connection between gpus[i] and gpus[j] ("X" on the diagonal)
+ */
+export function parseTopologyMatrix(output) {
+  // Some driver versions underline the header with ANSI escapes
+  const lines = output.replace(/\x1b\[[0-9;]*m/g, '').split('\n').filter(l => l.trim());
+
+  // The header is the first line; its leading tab may have been trimmed
+  const headerLine = lines[0];
+  if (!headerLine || !/^\s*GPU\d+/.test(headerLine)) {
+    throw new Error('Could not parse nvidia-smi topo -m output');
+  }
+
+  const headers = headerLine.trim().split(/\s+/);
+  const deviceColumns = headers.filter(h => /^(GPU|NIC|mlx)\w*\d+$/.test(h)).length;
+  const gpuColumns = headers.filter(h => /^GPU\d+$/.test(h)).length;
+
+  const gpus = [];
+  const links = [];
+  const cpuAffinity = [];
+  const numaAffinity = [];
+
+  for (const line of lines.slice(1)) {
+    const match = line.match(/^GPU(\d+)\s+(.*)$/);
+    if (!match) continue;
+
+    const cells = match[2].trim().split(/\s+/);
+    gpus.push(parseInt(match[1]));
+    links.push(cells.slice(0, gpuColumns));
+    cpuAffinity.push(cells[deviceColumns] || 'N/A');
+    numaAffinity.push(cells[deviceColumns + 1] || 'N/A');
+  }
+
+  return { gpus, links, cpuAffinity, numaAffinity };
+}
+
+/**
+ * Score a connection type; higher is better
+ */
+export function linkScore(link) {
+  const nv = link.match(/^NV(\d+)$/);
+  if (nv) return 100 + parseInt(nv[1]);
+  switch (link) {
+    case 'PIX': return 50;
+    case 'PXB': return 40;
+    case 'PHB': return 30;
+    case 'NODE': return 20;
+    case 'SYS':
+    case 'SOC': return 10;
+    default: return 0;
+  }
+}
+
+/**
+ * Get the connection between two GPUs, or null if unknown
+ */
+export function getLink(topology, gpuA, gpuB) {
+  const i = topology.gpus.indexOf(gpuA);
+  const j = topology.gpus.indexOf(gpuB);
+  if (i === -1 || j === -1) return null;
+  return topology.links[i][j] ?? null;
+}
+
+/**
+ * Group GPUs that are connected to each other via NVLink
+ * @returns {number[][]} Groups of GPU indices (single GPUs are left out)
+ */
+export function getNvlinkGroups(topology) {
+  const seen = new Set();
+  const groups = [];
+
+  for (const start of topology.gpus) {
+    if (seen.has(start)) continue;
+    const group = [];
+    const queue = [start];
+    seen.add(start);
+    while (queue.length > 0) {
+      const gpu = queue.shift();
+      group.push(gpu);
+      for (const other of topology.gpus) {
+        if (!seen.has(other) && /^NV\d+$/.test(getLink(topology, gpu, other) || '')) {
+          seen.add(other);
+          queue.push(other);
+        }
+      }
+    }
+    if (group.length > 1) groups.push(group.sort((a, b) => a - b));
+  }
+
+  return groups;
+}
+
+/**
+ * Call fn for every k-element subset of items, in lexicographic order
+ */
+function forEachCombination(items, k, fn, start = 0, current = []) {
+  if (current.length === k) {
+    fn(current);
+    return;
+  }
+  for (let i = start; i <= items.length - (k - current.length); i++) {
+    current.push(items[i]);
+    forEachCombination(items, k, fn, i + 1, current);
+    current.pop();
+  }
+}
+
+/**
+ * Pick the best-connected set of GPUs: the set whose weakest link is
+ * strongest, then the highest total link score, then the lowest indices
+ * @param {Object|null} topology - Parsed topology (null: pick lowest indices)
+ * @param {number[]} candidates - GPU indices to choose from
+ * @param {number} count - Number of GPUs wanted
+ * @returns {{gpuIds: number[], weakestLink: string|null}|null} null if not enough candidates
+ */
+export function selectBestGpus(topology, candidates, count) {
+  const sorted = [...candidates].sort((a, b) => a - b).slice(0, MAX_CANDIDATES);
+  if (count < 1 || sorted.length < count) return null;
+  if (!topology || count === 1) {
+    return { gpuIds: sorted.slice(0, count), weakestLink: null };
+  }
+
+  let best = null;
+  forEachCombination(sorted, count, (combo) => {
+    let minScore = Infinity;
+    let weakestLink = null;
+    let total = 0;
+    for (let i = 0; i < combo.length; i++) {
+      for (let j = i + 1; j < combo.length; j++) {
+        const link = getLink(topology, combo[i], combo[j]) || '?';
+        const score = linkScore(link);
+        total += score;
+        if (score < minScore) {
+          minScore = score;
+          weakestLink = link;
+        }
+      }
+    }
+    if (!best || minScore > best.minScore || (minScore === best.minScore && total > best.total)) {
+      best = { gpuIds: [...combo], weakestLink, minScore, total };
+    }
+  });
+
+  return { gpuIds: best.gpuIds, weakestLink: best.weakestLink };
+}
+
+/**
+ * Get a server's GPU topology, cached for TOPOLOGY_CACHE_TTL
+ * @param {Object} server - Server configuration
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Ignore the cache
+ * @returns {Promise<Object|null>} null for collectors without topology support
+ */
+export async function getServerTopology(server, { refresh = false } = {}) {
+  if (getCollector(server).name !== 'nvidia') return null;
+
+  const key = server.id || server.name;
+  const cached = topologyCache.get(key);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.topology;
+  }
+
+  const result = await executeRemoteCommand(server, 'nvidia-smi topo -m', 30000);
+  if (!result.success) {
+    throw new Error(`Failed to read GPU topology from ${server.name}: ${result.stderr}`);
+  }
+
+  const topology = parseTopologyMatrix(result.stdout);
+  topologyCache.set(key, { topology, fetchedAt: Date.now() });
+  return topology;
+}
+
+/**
+ * Parse a "best:N" GPU spec
+ * @param {string} str
+ * @returns {number|null} N, or null if str is not a best:N spec
+ */
+export function parseBestGpuCount(str) {
+  const match = str.trim().match(/^best:(\d+)$/i);
+  const count = match ? parseInt(match[1]) : 0;
+  return count > 0 ? count : null;
+}
+
+/**
+ * Whether a GPU is free: it runs no compute processes, holds no
+ * unattributed memory (processes nvidia-smi can't see), is not
+ * MIG-partitioned and has at least minFreeGB of memory available
+ * @param {Object} gpu - GPU from a snapshot
+ * @param {Map} processes - Process map from the same snapshot
+ * @param {number} minFreeGB
+ * @returns {boolean}
+ */
+export function isGpuFree(gpu, processes, minFreeGB) {
+  return !(gpu.migDevices?.length > 0) &&
+    !(processes.get(gpu.index)?.length > 0) && !(gpu.unattributedMemoryMB > 0) &&
+    (gpu.memoryTotal - gpu.memoryUsed) / 1024 >= minFreeGB;
+}
+
+/**
+ * Choose the best-connected N free GPUs (see isGpuFree) from a snapshot
+ * @param {Object} server - Server configuration
+ * @param {Array} gpus - GPUs from the server's snapshot
+ * @param {Map} processes - Process map from the same snapshot
+ * @param {number} count - Number of GPUs wanted
+ * @param {number} minFreeGB - Free memory required per GPU
+ * @returns {Promise<{gpuIds: number[], weakestLink: string|null}|null>} null if not enough free GPUs
+ */
+export async function findBestFreeGpus(server, gpus, processes, count, minFreeGB) {
+  const candidates = gpus.filter(g => isGpuFree(g, processes, minFreeGB)).map(g => g.index);
+
+  if (candidates.length < count) return null;
+
+  const topology = await getServerTopology(server);
+  return selectBestGpus(topology, candidates, count);
+}
+
+/**
+ * Resolve a best:N spec against the server's current state, for /occupy
+ * @param {Object} server - Server configuration
+ * @param {number} count - Number of GPUs wanted
+ * @param {number} minFreeGB - Free memory required per GPU
+ * @returns {Promise<{gpuIds: number[], weakestLink: string|null}>}
+ */
+export async function pickBestFreeGpus(server, count, minFreeGB) {
+  const { gpus, processes } = await getRemoteGpuSnapshot(server);
+  const selection = await findBestFreeGpus(server, gpus, processes, count, minFreeGB);
+  if (!selection) {
+    throw new Error(`Not enough free GPUs on ${server.name}: need ${count} idle GPU(s) with ${minFreeGB}GB free`);
+  }
+  return selection;
+}
+
+/**
+ * Format the topology matrix as fixed-width text
+ * @param {Object} topology - Parsed topology
+ * @returns {string}
+ */
+export function formatTopologyMatrix(topology) {
+  const header = ['', ...topology.gpus.map(g => `GPU${g}`), 'CPU Affinity', 'NUMA'];
+  const rows = topology.gpus.map((gpu, i) => [
+    `GPU${gpu}`, ...topology.links[i], topology.cpuAffinity[i], topology.numaAffinity[i],
+  ]);
+
+  const widths = header.map((h, col) => Math.max(h.length, ...rows.map(r => (r[col] || '').length)));
+  return [header, ...rows]
+    .map(row => row.map((cell, col) => (cell || '').padEnd(widths[col])).join('  ').trimEnd())
+    .join('\n');
+}
@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { sshExec } from './ssh.js';
+import { runFakeCommand } from './fake-cluster.js';
+import { getAgentReport } from './ingest.js';
+import { getCollector, parseSections } from './collectors.js';
+import { createLimiter, getPollPolicy, REMOTE_CONCURRENCY } from './polling.js';
+
+/**
+ * Remote command transport.
+ *
+ * Everything gpu.js runs on a server goes through runRemoteCommand, which
+ * picks a transport from the environment:
+ *   GPU_MONITOR_TRANSPORT=ssh      Run over SSH (default)
+ *   GPU_MONITOR_TRANSPORT=record   Run over SSH and save each result as a fixture
+ *   GPU_MONITOR_TRANSPORT=replay   Answer from fixtures only, never connect
+ *   GPU_MONITOR_TRANSPORT=fake     Answer from a fake cluster (see fake-cluster.js)
+ *   GPU_MONITOR_FIXTURES=dir       Fixture directory (default: tests/fixtures/recorded)
+ *   GPU_MONITOR_FAKE_CLUSTER=file  Fake cluster definition; setting it implies fake mode
+ *
+ * Fixtures are stored per server as <dir>/<server>/<hash of command>.json.
+ *
+ * Independently of the mode, a server with `"transport": "agent"` answers
+ * its snapshot and status commands from the latest gpu-agent report (see
+ * ingest.js); other commands (occupy, kill) still go over SSH. A server
+ * with the dcgm collector answers them by fetching its exporter URL and
+ * can't run other commands.
+ *
+ * Commands are queued so at most REMOTE_CONCURRENCY run at once overall and
+ * at most the server's "concurrency" (SERVER_CONCURRENCY) on one server;
+ * see polling.js.
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'recorded');
+
+export const TRANSPORT_MODES = ['ssh', 'record', 'replay', 'fake'];
+
+// Values for a server's "transport" field in servers.json
+export const SERVER_TRANSPORTS = ['ssh', 'agent'];
+
+const globalLimit = createLimiter(REMOTE_CONCURRENCY);
+// server id -> { max, limit }
+const serverLimits = new Map();
+
+/**
+ * Get the active transport mode
+ * @returns {string}
+ */
+export function getTransportMode() {
+  const mode = process.env.GPU_MONITOR_TRANSPORT ||
+    (process.env.GPU_MONITOR_FAKE_CLUSTER ? 'fake' : 'ssh');
+  if (!TRANSPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown GPU_MONITOR_TRANSPORT "${mode}". Available: ${TRANSPORT_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Fixture file for a server/command pair
+ */
+export function getFixturePath(server, command) {
+  const dir = process.env.GPU_MONITOR_FIXTURES || DEFAULT_FIXTURES_DIR;
+  const serverDir = server.name.replace(/[^\w.-]/g, '_');
+  const hash = crypto.createHash('sha1').update(command).digest('hex').slice(0, 16);
+  return path.join(dir, serverDir, `${hash}.json`);
+}
+
+/**
+ * Save a command result (or failure) as a fixture
+ */
+async function recordFixture(server, command, result, error) {
+  const file = getFixturePath(server, command);
+  const fixture = {
+    server: server.name,
+    command,
+    recordedAt: new Date().toISOString(),
+    stdout: result?.stdout ?? '',
+    stderr: result?.stderr ?? error?.stderr ?? '',
+    error: error ? { message: error.message, code: error.code ?? null, killed: !!error.killed } : null,
+  };
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(fixture, null, 2));
+}
+
+/**
+ * Answer a command from its fixture, rejecting the same way the
+ * recorded call did
+ */
+async function replayFixture(server, command) {
+  const file = getFixturePath(server, command);
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No recorded fixture for ${server.name}: ${command.slice(0, 80)} (expected ${file})`);
+    }
+    throw error;
+  }
+
+  if (fixture.error) {
+    throw Object.assign(new Error(fixture.error.message), {
+      code: fixture.error.code,
+      killed: fixture.error.killed,
+      stderr: fixture.stderr,
+    });
+  }
+  return { stdout: fixture.stdout, stderr: fixture.stderr };
+}
+
+/**
+ * Answer a command for an agent server: GPU data from its last report,
+ * anything else over SSH if the server has a host
+ */
+async function runAgentCommand(server, command, timeout) {
+  const collector = getCollector(server);
+
+  if (command.startsWith(collector.snapshotCmd)) {
+    return { stdout: getAgentReport(server).report.snapshot, stderr: '' };
+  }
+  if (command === collector.statusCmd) {
+    // The snapshot's GPUS section is the status command's output
+    const { snapshot } = getAgentReport(server).report;
+    return { stdout: parseSections(snapshot).GPUS || '', stderr: '' };
+  }
+  if (!server.host) {
+    throw new Error(`${server.name} reports through gpu-agent and has no SSH host to run commands on.`);
+  }
+  return sshExec(server, command, { timeout });
+}
+
+/**
+ * Answer a command for a dcgm server by fetching its exporter metrics
+ */
+async function runDcgmCommand(server, command, timeout) {
+  const collector = getCollector(server);
+  if (!command.startsWith(collector.snapshotCmd)) {
+    throw new Error(`${server.name} is monitored through DCGM metrics only; it has no SSH access to run commands.`);
+  }
+
+  let response;
+  try {
+    response = await fetch(server.host, { signal: AbortSignal.timeout(timeout) });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw Object.assign(new Error(`Connection timed out fetching ${server.host}`), { killed: true });
+    }
+    throw new Error(`Could not reach metrics URL ${server.host}: ${error.cause?.code || error.cause?.message || error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Metrics URL ${server.host} returned HTTP ${response.status}`);
+  }
+  return { stdout: await response.text(), stderr: '' };
+}
+
+/**
+ * Run a command over the live transport for the server (SSH, its agent
+ * or its DCGM exporter)
+ */
+function runLiveCommand(server, command, timeout) {
+  if (server.collector === 'dcgm') {
+    return runDcgmCommand(server, command, timeout);
+  }
+  if (server.transport === 'agent') {
+    return runAgentCommand(server, command, timeout);
+  }
+  return sshExec(server, command, { timeout });
+}
+
+/**
+ * Get the concurrency limiter for a server, rebuilt if its setting changed
+ */
+function getServerLimit(server) {
+  const key = server.id || server.name;
+  const max = getPollPolicy(server).concurrency;
+  let entry = serverLimits.get(key);
+  if (!entry || entry.max !== max) {
+    entry = { max, limit: createLimiter(max) };
+    serverLimits.set(key, entry);
+  }
+  return entry.limit;
+}
+
+/**
+ * Run a command through the active transport mode
+ */
+async function dispatchCommand(server, command, timeout) {
+  switch (getTransportMode()) {
+    case 'replay':
+      return replayFixture(server, command);
+
+    case 'fake':
+      return runFakeCommand(server, command);
+
+    case 'record': {
+      try {
+        const result = await runLiveCommand(server, command, timeout);
+        await recordFixture(server, command, result, null);
+        return result;
+      } catch (error) {
+        await recordFixture(server, command, null, error);
+        throw error;
+      }
+    }
+
+    default:
+      return runLiveCommand(server, command, timeout);
+  }
+}
+
+/**
+ * Run a command on a server through the active transport, waiting for a
+ * free slot under the global and per-server concurrency limits
+ * @param {Object} server - Server configuration
+ * @param {string} command - Remote shell command
+ * @param {Object} [options]
+ * @param {number} [options.timeout=60000] - Timeout in ms, counted from when the command starts
+ * @returns {Promise<{stdout: string, stderr: string}>} Rejects like child_process.execFile
+ */
+export function runRemoteCommand(server, command, { timeout = 60000 } = {}) {
+  // Take the server's slot first so a busy server doesn't hold global slots
+  return getServerLimit(server)(() => globalLimit(() => dispatchCommand(server, command, timeout)));
+}
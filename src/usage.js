@@ -0,0 +1,228 @@
+import { readHistory } from './history.js';
+import { getShortGpuName } from './gpu.js';
+
+/**
+ * GPU usage accounting from the history store (see history.js).
+ *
+ * Each history sample stands for the time until the server's next sample,
+ * capped at twice the server's usual sampling gap so that time the bot was
+ * down is not billed. Over that time a user is charged:
+ *   - GPU-hours: their share of each GPU they had processes on, split
+ *     between the GPU's users by memory (MIG slices count toward their GPU)
+ *   - GB-hours: the GPU memory their processes held
+ * Days that have been downsampled are charged from their averaged samples,
+ * so short jobs there are spread over the whole bucket.
+ */
+const HOUR_SEC = 3600;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GAP_SEC = 60;
+
+/**
+ * Parse a report range: [] or "week" (last 7 days), "month" (last 30 days),
+ * "YYYY-MM" (that calendar month) or "YYYY-MM-DD YYYY-MM-DD" (whole days,
+ * both included, in local time)
+ * @param {string[]} args
+ * @param {number} [now] - Current time in ms
+ * @returns {{from: number, to: number, label: string}} Unix seconds
+ */
+export function parseReportRange(args, now = Date.now()) {
+  const [first, second] = args.map(a => a.toLowerCase());
+  const toSec = ms => Math.floor(ms / 1000);
+  const parseDay = (str) => {
+    const match = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match && new Date(match[1], match[2] - 1, match[3]);
+    if (!date || date.getMonth() !== match[2] - 1) throw new Error(`Invalid date "${str}". Use YYYY-MM-DD.`);
+    return date;
+  };
+
+  if (!first || first === 'week') {
+    return { from: toSec(now - 7 * DAY_MS), to: toSec(now), label: 'last 7 days' };
+  }
+  if (first === 'month') {
+    return { from: toSec(now - 30 * DAY_MS), to: toSec(now), label: 'last 30 days' };
+  }
+
+  const month = first.match(/^(\d{4})-(\d{2})$/);
+  if (month && !second) {
+    const start = new Date(month[1], month[2] - 1, 1);
+    if (start.getMonth() !== month[2] - 1) throw new Error(`Invalid month "${first}". Use YYYY-MM.`);
+    const end = new Date(month[1], month[2], 1);
+    return { from: toSec(start), to: toSec(Math.min(end, now)) - 1, label: first };
+  }
+
+  if (!second) throw new Error('Usage: report [week|month|YYYY-MM|<from YYYY-MM-DD> <to YYYY-MM-DD>]');
+  const start = parseDay(first);
+  const end = parseDay(second);
+  end.setDate(end.getDate() + 1);
+  if (end <= start) throw new Error(`The report range ends (${second}) before it starts (${first}).`);
+  return { from: toSec(start), to: toSec(Math.min(end, now)) - 1, label: `${first} to ${second}` };
+}
+
+/**
+ * Median gap between a server's samples, the "usual" sampling interval
+ * (the lower median, so one outage between two samples isn't the usual gap)
+ */
+function medianGap(times) {
+  const gaps = times.slice(1).map((t, i) => t - times[i]).filter(g => g > 0).sort((a, b) => a - b);
+  return gaps.length > 0 ? gaps[Math.floor((gaps.length - 1) / 2)] : DEFAULT_GAP_SEC;
+}
+
+/**
+ * Compute GPU-hours and GB-hours per user, server and GPU model
+ * @param {Array<Object>} records - From readHistory
+ * @param {{to: number}} range - End of the report, in Unix seconds
+ * @returns {Array<{user, server, model, gpuHours, gbHours}>} Sorted by user, then GPU-hours
+ */
+export function computeUsage(records, { to }) {
+  // server -> records in time order
+  const byServer = new Map();
+  for (const record of records) {
+    if (!byServer.has(record.server)) byServer.set(record.server, []);
+    byServer.get(record.server).push(record);
+  }
+
+  // user|server|model -> row
+  const rows = new Map();
+  for (const [server, serverRecords] of byServer) {
+    const gap = medianGap(serverRecords.map(r => r.t));
+
+    serverRecords.forEach((record, i) => {
+      const next = serverRecords[i + 1]?.t ?? Math.max(to, record.t);
+      const hours = Math.min(next - record.t, i + 1 < serverRecords.length ? 2 * gap : gap) / HOUR_SEC;
+      if (!(hours > 0)) return;
+
+      const models = new Map(record.gpus.map(([index, ...values]) => [String(index), values[5] || null]));
+      // GPU index -> [[user, memMB]]; MIG slices ("<gpu>:<slice>") count toward their GPU
+      const gpuUsers = new Map();
+      for (const [gpuKey, user, memMB] of record.users) {
+        const gpu = String(gpuKey).split(':')[0];
+        if (!gpuUsers.has(gpu)) gpuUsers.set(gpu, []);
+        gpuUsers.get(gpu).push([user, memMB]);
+      }
+
+      for (const [gpu, users] of gpuUsers) {
+        const totalMB = users.reduce((sum, [, memMB]) => sum + memMB, 0);
+        const model = models.get(gpu) ? getShortGpuName(models.get(gpu)) : 'unknown';
+        for (const [user, memMB] of users) {
+          const key = `${user}|${server}|${model}`;
+          const row = rows.get(key) || { user, server, model, gpuHours: 0, gbHours: 0 };
+          row.gpuHours += hours * (totalMB > 0 ? memMB / totalMB : 1 / users.length);
+          row.gbHours += hours * memMB / 1024;
+          rows.set(key, row);
+        }
+      }
+    });
+  }
+
+  return [...rows.values()].sort((a, b) => a.user.localeCompare(b.user) || b.gpuHours - a.gpuHours);
+}
+
+/**
+ * Sum usage rows by one or more fields
+ * @param {Array} rows - From computeUsage
+ * @param {string[]} fields - e.g. ['user']
+ * @returns {Array} Rows with those fields plus gpuHours and gbHours, most GPU-hours first
+ */
+export function summarizeUsage(rows, fields) {
+  const totals = new Map();
+  for (const row of rows) {
+    const key = fields.map(f => row[f]).join('|');
+    const total = totals.get(key) || { ...Object.fromEntries(fields.map(f => [f, row[f]])), gpuHours: 0, gbHours: 0 };
+    total.gpuHours += row.gpuHours;
+    total.gbHours += row.gbHours;
+    totals.set(key, total);
+  }
+  return [...totals.values()].sort((a, b) => b.gpuHours - a.gpuHours);
+}
+
+/**
+ * Build a usage report from the history store
+ * @param {Object} options
+ * @param {number} options.from - Unix seconds
+ * @param {number} options.to - Unix seconds
+ * @param {string} [options.label] - Description of the range, e.g. "last 7 days"
+ * @param {string} [options.server] - Only this server
+ * @returns {Promise<{from, to, label, rows, users, servers, models, total}>}
+ */
+export async function getUsageReport({ from, to, label = null, server }) {
+  const records = await readHistory({ server, from, to });
+  const rows = computeUsage(records, { to });
+  const [total = { gpuHours: 0, gbHours: 0 }] = summarizeUsage(rows, []);
+  return {
+    from,
+    to,
+    label,
+    rows,
+    users: summarizeUsage(rows, ['user']),
+    servers: summarizeUsage(rows, ['server']),
+    models: summarizeUsage(rows, ['model']),
+    total: { gpuHours: total.gpuHours, gbHours: total.gbHours },
+  };
+}
+
+/**
+ * Report rows as CSV (one line per user, server and GPU model)
+ * @param {Object} report - From getUsageReport
+ * @returns {string}
+ */
+export function formatUsageCsv(report) {
+  const quote = (value) => {
+    const str = String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const lines = [['user', 'server', 'gpu_model', 'gpu_hours', 'gb_hours'].join(',')];
+  for (const row of report.rows) {
+    lines.push([row.user, row.server, row.model, row.gpuHours.toFixed(2), row.gbHours.toFixed(2)].map(quote).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a number of hours for reports, e.g. "0.25", "12.5", "1,204"
+ */
+export function formatHours(hours) {
+  if (hours >= 1000) return Math.round(hours).toLocaleString('en-US');
+  if (hours >= 10) return hours.toFixed(1);
+  return hours.toFixed(2);
+}
+
+/**
+ * One-line summary of a report, e.g.
+ * "2026-10-12 to 2026-10-19: 412 GPU-hours, 9,310 GB-hours by 7 user(s)"
+ * @param {Object} report - From getUsageReport
+ * @returns {string}
+ */
+export function formatUsageSummary(report) {
+  const day = t => new Date(t * 1000).toLocaleDateString('en-CA');
+  return `${day(report.from)} to ${day(report.to)}: ${formatHours(report.total.gpuHours)} GPU-hours, ` +
+    `${formatHours(report.total.gbHours)} GB-hours by ${report.users.length} user(s)`;
+}
+
+/**
+ * Plain-text table of a report's users, with each user's GPU-hours by model,
+ * followed by totals per server and per model (for code blocks and terminals)
+ * @param {Object} report - From getUsageReport
+ * @param {{maxUsers?: number}} [options]
+ * @returns {string}
+ */
+export function formatUsageTable(report, { maxUsers = Infinity } = {}) {
+  // Columns 1 and 2 are numbers and right-aligned
+  const table = (header, rows) => {
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    return [header, ...rows].map(r => r.map((cell, i) => (i === 1 || i === 2
+      ? cell.padStart(widths[i]) : cell.padEnd(widths[i]))).join('  ').trimEnd()).join('\n');
+  };
+
+  const users = report.users.slice(0, maxUsers).map(({ user, gpuHours, gbHours }) => {
+    const byModel = report.rows.filter(r => r.user === user);
+    const models = summarizeUsage(byModel, ['model']).map(m => `${m.model} ${formatHours(m.gpuHours)}`).join(', ');
+    return [user, formatHours(gpuHours), formatHours(gbHours), models];
+  });
+  const more = report.users.length - users.length;
+
+  return [
+    table(['User', 'GPU-h', 'GB-h', 'GPU-h by model'], users) + (more > 0 ? `\n… and ${more} more user(s)` : ''),
+    table(['Server', 'GPU-h', 'GB-h'], report.servers.map(s => [s.server, formatHours(s.gpuHours), formatHours(s.gbHours)])),
+    table(['Model', 'GPU-h', 'GB-h'], report.models.map(m => [m.model, formatHours(m.gpuHours), formatHours(m.gbHours)])),
+  ].join('\n\n');
+}
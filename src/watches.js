@@ -0,0 +1,264 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getAllServersGpuStatusWithProcesses, getShortGpuName } from './gpu.js';
+import { isGpuFree } from './topology.js';
+
+/**
+ * Free-GPU watches: "DM me when 2 A6000s with ≥40GB free are available".
+ *
+ * A watch asks for `count` free GPUs on one server (free as for best:N, see
+ * isGpuFree), optionally of a GPU model and on one server or on servers
+ * with a tag (`/config edit <name> --tags a,b`). Watches are kept in
+ * watches.json next to servers.json, e.g.
+ *   { "id": 4, "count": 2, "minFreeGB": 40, "model": "A6000", "server": null,
+ *     "tag": null, "recurring": false, "platform": "slack", "userId": "U012AB" }
+ *
+ * Every WATCH_CHECK_INTERVAL seconds the watches are checked against the
+ * status cache (so checks share polls with the front-ends), and whoever
+ * added a watch gets a DM listing the servers and GPU ids that match.
+ * One-shot watches are removed after their DM; recurring ones send another
+ * each time a server starts matching again.
+ *
+ * Environment:
+ *   WATCH_CHECK_INTERVAL=60      Seconds between checks (0 disables them)
+ *   WATCHES_FILE=./watches.json  Where the watches are kept
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CHECK_INTERVAL_SEC = parseFloat(process.env.WATCH_CHECK_INTERVAL ?? '60');
+// Words skipped in watch arguments, e.g. "2 A6000s with ≥40 GB free"
+const FILLER_WORDS = new Set(['gpu', 'gpus', 'x', 'with', 'of', 'free', 'and']);
+
+// platform -> async (chatUserId, text) => void
+const senders = new Map();
+// watch id -> servers that matched at the last check
+const matchedServers = new Map();
+let checkTimer = null;
+
+// Read when used, so tests can point it at a temporary file
+function getWatchesFile() {
+  return process.env.WATCHES_FILE || path.join(__dirname, '..', 'watches.json');
+}
+
+async function loadWatchConfig() {
+  try {
+    return JSON.parse(await fs.readFile(getWatchesFile(), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { nextId: 1, watches: [] };
+    throw error;
+  }
+}
+
+async function saveWatchConfig(config) {
+  await fs.writeFile(getWatchesFile(), JSON.stringify(config, null, 2));
+}
+
+/**
+ * Parse watch arguments, e.g. ["2", "A6000", "40GB", "server", "grandrapids", "repeat"]
+ *   [<count>] [<min free>GB] [<model>] [server <name>] [tag <tag>] [repeat]
+ * The memory may read "≥40GB", ">=40GB" or "40 GB", a plural model
+ * ("A6000s") is taken as the model, and filler words are skipped, so
+ * "2 A6000s with ≥40 GB free" reads as it says.
+ * @param {string[]} args
+ * @returns {{count, minFreeGB, model, server, tag, recurring}}
+ */
+export function parseWatch(args) {
+  const usage = 'Usage: add [count] [min free, e.g. 40GB] [model, e.g. A6000] [server <name>] [tag <tag>] [repeat]';
+  const watch = { count: 1, minFreeGB: 0, model: null, server: null, tag: null, recurring: false };
+  const tokens = [...args];
+  let countGiven = false;
+
+  while (tokens.length > 0) {
+    const token = tokens.shift();
+    const lower = token.toLowerCase();
+    if (lower === 'server' || lower === 'tag') {
+      const value = tokens.shift();
+      if (!value) throw new Error(`Missing value after "${lower}". ${usage}`);
+      watch[lower] = value;
+    } else if (lower === 'repeat' || lower === 'recurring') {
+      watch.recurring = true;
+    } else if (lower === 'once') {
+      watch.recurring = false;
+    } else if (FILLER_WORDS.has(lower)) {
+      // "2 x A6000 gpus with 40GB free"
+    } else if (lower === '≥' || lower === '>=' || lower === '>') {
+      // "≥ 40GB"
+    } else if (/^(≥|>=?)?\d+(\.\d+)?\s*gb$/.test(lower)) {
+      watch.minFreeGB = parseFloat(lower.replace(/^(≥|>=?)/, ''));
+    } else if (/^(≥|>=?)?\d+(\.\d+)?$/.test(lower) && tokens[0]?.toLowerCase() === 'gb') {
+      // "40 GB"
+      watch.minFreeGB = parseFloat(lower.replace(/^(≥|>=?)/, ''));
+      tokens.shift();
+    } else if (/^\d+x?$/.test(lower) && !countGiven) {
+      watch.count = parseInt(lower);
+      countGiven = true;
+    } else if (!watch.model) {
+      // "A6000s" -> "A6000"
+      watch.model = token.replace(/(\d)s$/i, '$1');
+    } else {
+      throw new Error(`Unexpected "${token}". ${usage}`);
+    }
+  }
+
+  if (watch.count < 1) throw new Error('A watch needs at least 1 GPU');
+  return watch;
+}
+
+/**
+ * Describe a watch, e.g. "2 free A6000 GPUs with ≥40GB on any server"
+ * @param {Object} watch
+ * @returns {string}
+ */
+export function describeWatch(watch) {
+  let text = `${watch.count} free ${watch.model ? `${watch.model} ` : ''}GPU${watch.count === 1 ? '' : 's'}`;
+  if (watch.minFreeGB > 0) text += ` with ≥${watch.minFreeGB}GB`;
+  if (watch.server) text += ` on ${watch.server}`;
+  if (watch.tag) text += ` on servers tagged ${watch.tag}`;
+  if (!watch.server && !watch.tag) text += ' on any server';
+  return text;
+}
+
+/**
+ * Servers that meet a watch's requirement in a poll
+ * @param {Object} watch
+ * @param {Array} results - From getAllServersGpuStatusWithProcesses
+ * @returns {Array<{server: string, gpuIds: number[], model: string}>}
+ */
+export function matchWatch(watch, results) {
+  const matches = [];
+  for (const { server, gpus, processes, error } of results) {
+    if (error) continue;
+    if (watch.server && server.name.toLowerCase() !== watch.server.toLowerCase()) continue;
+    if (watch.tag && !(server.tags || []).some(t => t.toLowerCase() === watch.tag.toLowerCase())) continue;
+
+    const free = gpus.filter(g => isGpuFree(g, processes || new Map(), watch.minFreeGB) &&
+      (!watch.model || (g.name || '').toLowerCase().includes(watch.model.toLowerCase())));
+    if (free.length >= watch.count) {
+      matches.push({ server: server.name, gpuIds: free.map(g => g.index), model: getShortGpuName(free[0].name || 'GPU') });
+    }
+  }
+  return matches;
+}
+
+/**
+ * All watches
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getWatches() {
+  return (await loadWatchConfig()).watches;
+}
+
+/**
+ * Add a watch
+ * @param {Object} fields - From parseWatch
+ * @param {{platform: string, userId: string}} owner - Chat user to DM
+ * @returns {Promise<Object>} The watch with its id
+ */
+export async function addWatch(fields, { platform, userId }) {
+  if (!platform || !userId) throw new Error('A watch needs a user to notify');
+  const config = await loadWatchConfig();
+  const watch = { id: config.nextId, ...fields, platform, userId, createdAt: new Date().toISOString() };
+  config.nextId++;
+  config.watches.push(watch);
+  await saveWatchConfig(config);
+  return watch;
+}
+
+/**
+ * Remove a watch
+ * @param {string|number} id - e.g. 4 or "#4"
+ * @param {{platform: string, userId: string}} [owner] - Only remove it if it is theirs
+ * @returns {Promise<Object>} The removed watch
+ */
+export async function removeWatch(id, owner) {
+  const config = await loadWatchConfig();
+  const number = String(id).replace(/^#/, '');
+  const watch = config.watches.find(w => String(w.id) === number);
+  if (!watch) throw new Error(`No watch #${number}. Use list to see your watches.`);
+  if (owner && (watch.platform !== owner.platform || watch.userId !== owner.userId)) {
+    throw new Error(`Watch #${number} belongs to someone else.`);
+  }
+  config.watches = config.watches.filter(w => w !== watch);
+  await saveWatchConfig(config);
+  matchedServers.delete(watch.id);
+  return watch;
+}
+
+/**
+ * Check watches against a poll and update which servers each one matched
+ * @param {Array} watches - From getWatches
+ * @param {Array} results - From getAllServersGpuStatusWithProcesses
+ * @returns {Array<{watch, text, done: boolean}>} DMs to send; done means a one-shot watch is used up
+ */
+export function evaluateWatches(watches, results) {
+  const messages = [];
+
+  for (const watch of watches) {
+    const previous = matchedServers.get(watch.id) || new Set();
+    const matches = matchWatch(watch, results);
+    matchedServers.set(watch.id, new Set(matches.map(m => m.server)));
+
+    const fresh = matches.filter(m => !previous.has(m.server));
+    if (fresh.length === 0) continue;
+    const list = fresh.map(m => `${m.server} (${m.model}) GPU${m.gpuIds.length === 1 ? '' : 's'} ${m.gpuIds.join(', ')}`);
+    messages.push({
+      watch,
+      text: `🔔 Watch #${watch.id}: ${describeWatch(watch)} - available now on ${list.join('; ')}` +
+        (watch.recurring ? '' : '. This watch is done; add it again with `repeat` to keep watching.'),
+      done: !watch.recurring,
+    });
+  }
+
+  // Watches that were removed
+  const ids = new Set(watches.map(w => w.id));
+  for (const id of matchedServers.keys()) {
+    if (!ids.has(id)) matchedServers.delete(id);
+  }
+  return messages;
+}
+
+async function checkWatches() {
+  const watches = await getWatches();
+  if (watches.length === 0) return;
+
+  const results = await getAllServersGpuStatusWithProcesses();
+  for (const { watch, text, done } of evaluateWatches(watches, results)) {
+    const send = senders.get(watch.platform);
+    try {
+      if (!send) throw new Error(`${watch.platform} is not connected`);
+      await send(watch.userId, text);
+      if (done) await removeWatch(watch.id);
+    } catch (error) {
+      console.error(`Failed to send watch #${watch.id}:`, error.message);
+      // Try again at the next check
+      matchedServers.delete(watch.id);
+    }
+  }
+}
+
+/**
+ * Register a platform's DM sender for watches and start background checks
+ * @param {string} platform - e.g. "slack"; watches added there have this platform
+ * @param {Function} send - async (chatUserId, text) => void
+ */
+export function registerWatchSender(platform, send) {
+  senders.set(platform, send);
+
+  if (!checkTimer && CHECK_INTERVAL_SEC > 0) {
+    const check = () => checkWatches().catch(error => console.error('Watch check failed:', error));
+    checkTimer = setInterval(check, CHECK_INTERVAL_SEC * 1000);
+    checkTimer.unref();
+    check();
+  }
+}
+
+/**
+ * Stop background checks and drop all senders (call on shutdown)
+ */
+export function stopWatches() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+  senders.clear();
+}
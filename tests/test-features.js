@@ -8,7 +8,58 @@ import {
   executeRemoteCommand,
   getServerGpuStatus,
   parseGpuInfo,
+  getGpuWarnings,
+  parseGpuIds,
+  findGpuDevice,
+  getRemoteGpuSnapshot,
+  formatHealthSummary,
+  killUserProcesses,
+  startGpuOccupation,
+  getGpuHistory,
+  getUserHistory,
 } from '../src/gpu.js';
+import { getCollector, parseRocmGpuInfo, parseRocmProcessInfo, parseSections, parseDcgmMetrics, addUnattributedMemory } from '../src/collectors.js';
+import { parseHostInfo, getHostWarnings, formatHostSummary } from '../src/host.js';
+import { parseTopologyMatrix, selectBestGpus, getNvlinkGroups, parseBestGpuCount } from '../src/topology.js';
+import { getFixturePath } from '../src/transport.js';
+import { getFakeServers, resetFakeCluster, runFakeCommand } from '../src/fake-cluster.js';
+import { AGENT_REPORT_PATH, handleAgentReport, signReport } from '../src/ingest.js';
+import { registerRoute, dispatchRequest } from '../src/http-server.js';
+import { formatPrometheusMetrics } from '../src/metrics.js';
+import { createCache } from '../src/cache.js';
+import { classifyRemoteError, withRetries, createLimiter, getPollPolicy } from '../src/polling.js';
+import { getServerHealth, onHealthChange, recordSuccess } from '../src/health.js';
+import { formatHealthAlert } from '../src/notify.js';
+import { getKeyFingerprint, parseKnownHosts, buildHostKeyArgs, matchHostKeys, fetchHostKeys } from '../src/host-keys.js';
+import {
+  buildCommand,
+  validateUsername,
+  validateRemotePath,
+  validateGpuIds,
+  validatePid,
+  validateSshDestination,
+} from '../src/remote-command.js';
+import { parseSshConfig, parseInventory, planImport } from '../src/importers.js';
+import { appendHistory, compactHistory, toHistoryRecord } from '../src/history.js';
+import { parseReportRange, computeUsage, summarizeUsage, formatUsageCsv } from '../src/usage.js';
+import { sparkline, formatChartLines, renderChartSvg, renderPng, parseChartHours } from '../src/charts.js';
+import { findIdleStreaks, parseUserMap, formatIdleReminder, selectNewHogs, stopIdleReminders } from '../src/idle.js';
+import { collectDiagnostics, formatDiagnosticLabel } from '../src/diagnostics.js';
+import { formatMultiServerMessage } from '../src/format.js';
+import {
+  parseAlertRule,
+  describeRule,
+  evaluateAlertRules,
+  addAlertRule,
+  getAlertRules,
+  muteAlertRule,
+  removeAlertRule,
+} from '../src/alerts.js';
+import { parseWatch, describeWatch, matchWatch, evaluateWatches, addWatch, getWatches, removeWatch } from '../src/watches.js';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 const COLORS = {
   green: '\x1b[32m',
@@ -75,11 +126,1453 @@ async function runTests() {
       log('fail', 'Memory values incorrect');
       failed++;
     }
+
+    const extended = parseGpuInfo(
+      '0, NVIDIA A100-SXM4-80GB, 84, 100, 70, 60000, 81920, 398.2, 400.0, ' +
+      '1275, 1593, 1410, 1593, [N/A], ' +
+      'Not Active, Not Active, Active, Not Active, Not Active, Not Active, Active, Not Active, ' +
+      '0, 2, 0, 5, 4, 4, 8, 16, Enabled'
+    )[0];
+
+    if (
+      extended.clocks.sm === 1275 &&
+      extended.fanSpeed === null &&
+      extended.throttleReasons.join(',') === 'sw_power_cap,sw_thermal_slowdown' &&
+      extended.ecc.volatileUncorrected === 2 &&
+      extended.pcie.width === 8 &&
+      extended.persistenceMode === true &&
+      gpus[0].ecc === null
+    ) {
+      log('pass', 'Extended telemetry (clocks, throttle, ECC, PCIe) parsed');
+      passed++;
+    } else {
+      log('fail', `Extended telemetry incorrect: ${JSON.stringify(extended)}`);
+      failed++;
+    }
+
+    const warnings = getGpuWarnings(extended);
+    if (warnings.length === 3 && warnings[0].includes('Power cap') && warnings[2].includes('x8')) {
+      log('pass', 'Throttle / ECC / PCIe warnings derived');
+      passed++;
+    } else {
+      log('fail', `Unexpected warnings: ${JSON.stringify(warnings)}`);
+      failed++;
+    }
   } catch (error) {
     log('fail', `GPU parsing failed: ${error.message}`);
     failed++;
   }
 
+  // Test 2b: Collector backends
+  console.log('\n--- Collector Tests ---');
+  try {
+    if (getCollector({}).name === 'nvidia' && getCollector({ collector: 'rocm' }).name === 'rocm') {
+      log('pass', 'Collector selection by server config');
+      passed++;
+    } else {
+      log('fail', 'Wrong collector selected');
+      failed++;
+    }
+
+    const sampleRocm = JSON.stringify({
+      card1: {
+        'Temperature (Sensor edge) (C)': '41.0',
+        'GPU use (%)': '12',
+        'GPU memory use (%)': '3',
+        'VRAM Total Memory (B)': String(64 * 1024 ** 3),
+        'VRAM Total Used Memory (B)': String(2 * 1024 ** 3),
+        'Average Graphics Package Power (W)': '95.0',
+        'Max Graphics Package Power (W)': '560.0',
+        'Card series': 'AMD INSTINCT MI250 (MCM) OAM AC MBA',
+      },
+      card0: {
+        'Temperature (Sensor edge) (C)': '40.0',
+        'GPU use (%)': '0',
+        'GPU memory use (%)': '0',
+        'VRAM Total Memory (B)': String(64 * 1024 ** 3),
+        'VRAM Total Used Memory (B)': '10960896',
+        'Current Socket Graphics Package Power (W)': '90.0',
+        'Max Graphics Package Power (W)': '560.0',
+        'Card Series': 'AMD INSTINCT MI250 (MCM) OAM AC MBA',
+      },
+      system: { 'Driver version': '6.2.4' },
+    });
+    const gpus = parseRocmGpuInfo(`WARNING: some banner\n${sampleRocm}`);
+
+    if (
+      gpus.length === 2 &&
+      gpus[0].index === 0 &&
+      gpus[1].gpuUtilization === 12 &&
+      gpus[1].memoryUsed === 2048 &&
+      gpus[1].memoryTotal === 65536 &&
+      gpus[0].powerDraw === 90 &&
+      gpus[1].name.startsWith('AMD INSTINCT MI250')
+    ) {
+      log('pass', 'rocm-smi JSON parsed into GPU objects');
+      passed++;
+    } else {
+      log('fail', `rocm-smi parsing incorrect: ${JSON.stringify(gpus)}`);
+      failed++;
+    }
+
+    const rocmProcs = parseRocmProcessInfo({
+      PIDS: JSON.stringify({ system: { PID4242: `python3, 2, ${4 * 1024 ** 3}, 0, 0` } }),
+      PIDGPUS: JSON.stringify({ system: { PID4242: '[0, 1]' } }),
+      PS: '4242 alice',
+    });
+
+    if (rocmProcs.get(1)?.[0]?.user === 'alice' && rocmProcs.get(0)?.[0]?.memoryMB === 2048) {
+      log('pass', 'rocm-smi process info mapped to GPUs and users');
+      passed++;
+    } else {
+      log('fail', 'rocm-smi process parsing incorrect');
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Collector tests failed: ${error.message}`);
+    failed++;
+  }
+
+  // Test 2c: Combined status + process snapshot
+  console.log('\n--- Snapshot Tests ---');
+  try {
+    const snapshot = getCollector({}).parseSnapshot([
+      '---GPUS---',
+      '0, NVIDIA RTX A6000, 45, 80, 65, 31000, 48000, 120.5, 300.0',
+      '1, NVIDIA RTX A6000, 30, 0, 0, 4, 48000, 20.0, 300.0',
+      '---UUIDS---',
+      '0, GPU-aaaa',
+      '1, GPU-bbbb',
+      '---APPS---',
+      'GPU-aaaa, 1234, 30000',
+      '---PS---',
+      ' 1234 alice',
+      ' 5678 bob',
+    ].join('\n'));
+
+    if (
+      snapshot.gpus.length === 2 &&
+      snapshot.processes.get(0)?.[0]?.user === 'alice' &&
+      snapshot.processes.get(0)?.[0]?.memoryMB === 30000 &&
+      !snapshot.processes.has(1)
+    ) {
+      log('pass', 'Sectioned snapshot parsed into { gpus, processes }');
+      passed++;
+    } else {
+      log('fail', 'Snapshot parsing incorrect');
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Snapshot parsing failed: ${error.message}`);
+    failed++;
+  }
+
+  try {
+    const dockerId = 'a'.repeat(64);
+    const snapshot = getCollector({}).parseSnapshot([
+      '---GPUS---',
+      '0, NVIDIA RTX A6000, 45, 80, 65, 31000, 48000, 120.5, 300.0',
+      '---UUIDS---',
+      '0, GPU-aaaa',
+      '---APPS---',
+      'GPU-aaaa, 1234, 30000',
+      'GPU-aaaa, 5678, 1000',
+      '---PS---',
+      ' 1234 alice          7260  98.5 python train.py --epochs 10',
+      ' 5678 bob          259200   0.0 /opt/conda/bin/python -m ipykernel_launcher -f kernel.json',
+      '---CGROUPS---',
+      `1234 0::/system.slice/docker-${dockerId}.scope`,
+      '5678 0::/user.slice/user-1001.slice/session-4.scope',
+      '---CONTAINERS---',
+      `${dockerId} alice-train`,
+    ].join('\n'));
+
+    const [train, notebook] = snapshot.processes.get(0);
+    if (
+      train.command === 'python train.py --epochs 10' &&
+      train.elapsedSec === 7260 &&
+      train.cpuPercent === 98.5 &&
+      train.container === 'alice-train' &&
+      Math.abs(Date.now() - 7260 * 1000 - train.startTime) < 5000 &&
+      notebook.user === 'bob' &&
+      notebook.container === null &&
+      notebook.cgroup === '/user.slice/user-1001.slice/session-4.scope'
+    ) {
+      log('pass', 'Process command line, runtime, CPU and container parsed');
+      passed++;
+    } else {
+      log('fail', 'Process detail parsing incorrect');
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Process detail parsing failed: ${error.message}`);
+    failed++;
+  }
+
+  // nvidia-smi stub: the basic query always works; MODE=old rejects only the
+  // clocks_event_reasons names (drivers before 535), MODE=none every telemetry field
+  const stubDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gpu-nvidia-smi-'));
+  try {
+    fs.writeFileSync(path.join(stubDir, 'nvidia-smi'), [
+      '#!/bin/sh',
+      'case "$*" in',
+      '  *clocks_event_reasons*|*clocks_throttle_reasons*)',
+      '    case "$MODE$*" in old*clocks_throttle_reasons*) ;; *) echo "Field is not a valid field to query."; exit 2 ;; esac',
+      '    echo "0, 1275, 1593, 1410, 1593, 30, Not Active, Not Active, Active, Not Active, Not Active, Not Active, Not Active, Not Active, 0, 0, 0, 0, 4, 4, 16, 16, Enabled" ;;',
+      '  *index,name,*) echo "0, NVIDIA RTX A6000, 45, 80, 65, 31000, 48000, 120.5, 300.0" ;;',
+      '  *index,uuid*) echo "0, GPU-aaaa" ;;',
+      'esac',
+    ].join('\n'), { mode: 0o755 });
+    const collector = getCollector({});
+    const run = MODE => collector.parseSnapshot(execFileSync('sh', ['-c', collector.snapshotCmd], {
+      encoding: 'utf-8',
+      env: { ...process.env, MODE, PATH: `${stubDir}:${process.env.PATH}` },
+    }));
+    const [oldDriver] = run('old').gpus;
+    const [rejected] = run('none').gpus;
+
+    if (
+      !/clocks|ecc|pcie/.test(collector.statusCmd) &&
+      oldDriver.throttleReasons.join(',') === 'sw_power_cap' && oldDriver.clocks.sm === 1275 &&
+      rejected.gpuUtilization === 80 && rejected.memoryUsed === 31000 &&
+      rejected.throttleReasons === null && rejected.clocks.sm === null && rejected.ecc === null
+    ) {
+      log('pass', 'Basic status comes through when the driver rejects telemetry fields');
+      passed++;
+    } else {
+      log('fail', `Telemetry fallback incorrect: ${JSON.stringify({ oldDriver, rejected })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Telemetry fallback failed: ${error.message}`);
+    failed++;
+  } finally {
+    fs.rmSync(stubDir, { recursive: true, force: true });
+  }
+
+  // Host metrics
+  console.log('\n--- Host Metrics Tests ---');
+  try {
+    const host = parseHostInfo(parseSections([
+      '---NPROC---',
+      '64',
+      '---LOADAVG---',
+      '70.12 40.50 30.00 3/900 12345',
+      '---MEMINFO---',
+      'MemTotal:       263921664 kB',
+      'MemAvailable:   188743680 kB',
+      '---DISK---',
+      'Filesystem     1024-blocks      Used Available Capacity Mounted on',
+      '/dev/nvme0n1p2   959786032 900000000  10000000      99% /',
+      '/dev/nvme0n1p2   959786032 900000000  10000000      99% /',
+      '/dev/md0       7812500000 1000000000 6812500000     13% /home',
+    ].join('\n')));
+
+    const warnings = getHostWarnings(host);
+    if (
+      host.cpuCount === 64 &&
+      host.loadAvg[0] === 70.12 &&
+      host.memTotalMB === 257736 &&
+      host.memAvailableMB === 184320 &&
+      host.disks.length === 2 &&
+      host.disks[1].mount === '/home' &&
+      warnings.length === 2 &&
+      warnings.some(w => w.includes('Load')) &&
+      warnings.some(w => w.includes('Disk / 99%')) &&
+      formatHostSummary(host).startsWith('64 CPU | load 70.1 | RAM 180GB/252GB free')
+    ) {
+      log('pass', 'Host CPU, load, RAM and disk metrics parsed');
+      passed++;
+    } else {
+      log('fail', 'Host metrics parsing incorrect');
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Host metrics parsing failed: ${error.message}`);
+    failed++;
+  }
+
+  // Topology
+  console.log('\n--- Topology Tests ---');
+  try {
+    const topology = parseTopologyMatrix([
+      '\t\x1b[4mGPU0\tGPU1\tGPU2\tGPU3\tNIC0\tCPU Affinity\tNUMA Affinity\tGPU NUMA ID\x1b[0m',
+      'GPU0\t X \tNV12\tSYS\tSYS\tPXB\t0-31\t0\t\tN/A',
+      'GPU1\tNV12\t X \tSYS\tSYS\tPXB\t0-31\t0\t\tN/A',
+      'GPU2\tSYS\tSYS\t X \tNV12\tSYS\t32-63\t1\t\tN/A',
+      'GPU3\tSYS\tSYS\tNV12\t X \tSYS\t32-63\t1\t\tN/A',
+      'NIC0\tPXB\tPXB\tSYS\tSYS\t X',
+      '',
+      'Legend:',
+      '  X    = Self',
+    ].join('\n'));
+
+    // GPU 0 is busy, so the only NVLink pair left is 2+3
+    const pick = selectBestGpus(topology, [1, 2, 3], 2);
+    // executeRemoteCommand trims stdout, which drops the header's leading tab
+    const trimmed = parseTopologyMatrix('GPU0\tGPU1\tCPU Affinity\tNUMA Affinity\nGPU0\t X \tPHB\t0-15\t0\nGPU1\tPHB\t X \t0-15\t0');
+    if (
+      topology.gpus.length === 4 &&
+      trimmed.gpus.join(',') === '0,1' &&
+      trimmed.links[1][0] === 'PHB' &&
+      trimmed.cpuAffinity[1] === '0-15' &&
+      topology.links[0][1] === 'NV12' &&
+      topology.cpuAffinity[2] === '32-63' &&
+      topology.numaAffinity[2] === '1' &&
+      getNvlinkGroups(topology).map(g => g.join(',')).join(' ') === '0,1 2,3' &&
+      pick.gpuIds.join(',') === '2,3' &&
+      pick.weakestLink === 'NV12' &&
+      selectBestGpus(topology, [1, 2], 3) === null &&
+      parseBestGpuCount('best:2') === 2 &&
+      parseBestGpuCount('0,1') === null
+    ) {
+      log('pass', 'Topology matrix parsed and best-connected GPUs selected');
+      passed++;
+    } else {
+      log('fail', 'Topology parsing or GPU selection incorrect');
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Topology parsing failed: ${error.message}`);
+    failed++;
+  }
+
+  // MIG slices
+  console.log('\n--- MIG Tests ---');
+  try {
+    const snapshot = getCollector({}).parseSnapshot([
+      '---GPUS---',
+      '0, NVIDIA A100-SXM4-40GB, 40, 0, 0, 0, 40960, 60.0, 400.0',
+      '1, NVIDIA A100-SXM4-40GB, 38, 10, 5, 2000, 40960, 90.0, 400.0',
+      '---UUIDS---',
+      '0, GPU-aaaa',
+      '1, GPU-bbbb',
+      '---APPS---',
+      'MIG-1111, 1234, 3000',
+      'GPU-bbbb, 5678, 2000',
+      '---MIG---',
+      'GPU 0: NVIDIA A100-SXM4-40GB (UUID: GPU-aaaa)',
+      '  MIG 3g.20gb     Device  0: (UUID: MIG-0000)',
+      '  MIG 1g.5gb      Device  1: (UUID: MIG-1111)',
+      'GPU 1: NVIDIA A100-SXM4-40GB (UUID: GPU-bbbb)',
+      '---PS---',
+      ' 1234 alice',
+      ' 5678 bob',
+    ].join('\n'));
+
+    const slices = snapshot.gpus[0].migDevices;
+    if (
+      slices.length === 2 &&
+      slices[1].id === '0:1' &&
+      slices[1].profile === '1g.5gb' &&
+      slices[1].memoryTotal === 5 * 1024 &&
+      slices[1].memoryUsed === 3000 &&
+      snapshot.gpus[1].migDevices.length === 0 &&
+      snapshot.processes.get('0:1')?.[0]?.user === 'alice' &&
+      snapshot.processes.get(1)?.[0]?.user === 'bob' &&
+      findGpuDevice(snapshot.gpus, 'MIG-1111') === slices[1] &&
+      findGpuDevice(snapshot.gpus, 1) === snapshot.gpus[1]
+    ) {
+      log('pass', 'MIG slices parsed and processes attributed to their slice');
+      passed++;
+    } else {
+      log('fail', 'MIG slice parsing incorrect');
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `MIG parsing failed: ${error.message}`);
+    failed++;
+  }
+
+  {
+    const ids = parseGpuIds('0, 2');
+    const mig = parseGpuIds('MIG-c6d4f1ef-0e3b-5f5a-9b2c-0a1b2c3d4e5f');
+    if (
+      ids?.join(',') === '0,2' &&
+      mig?.[0] === 'MIG-c6d4f1ef-0e3b-5f5a-9b2c-0a1b2c3d4e5f' &&
+      parseGpuIds('0,x') === null &&
+      parseGpuIds('0;reboot') === null
+    ) {
+      log('pass', 'GPU id lists accept indices and MIG UUIDs');
+      passed++;
+    } else {
+      log('fail', 'parseGpuIds returned unexpected results');
+      failed++;
+    }
+  }
+
+  // dcgm-exporter metrics
+  console.log('\n--- DCGM Tests ---');
+  try {
+    const labels = (gpu) => `gpu="${gpu}",UUID="GPU-${gpu}",device="nvidia${gpu}",modelName="NVIDIA H100 80GB HBM3",Hostname="dgx-01"`;
+    const gpus = getCollector({ collector: 'dcgm' }).parseSnapshot([
+      '# HELP DCGM_FI_DEV_GPU_UTIL GPU utilization (in %).',
+      '# TYPE DCGM_FI_DEV_GPU_UTIL gauge',
+      `DCGM_FI_DEV_GPU_UTIL{${labels(1)}} 0`,
+      `DCGM_FI_DEV_GPU_UTIL{${labels(0)}} 93`,
+      `DCGM_FI_DEV_FB_USED{${labels(0)}} 71000`,
+      `DCGM_FI_DEV_FB_FREE{${labels(0)}} 10240`,
+      `DCGM_FI_DEV_FB_RESERVED{${labels(0)}} 680`,
+      `DCGM_FI_DEV_GPU_TEMP{${labels(0)}} 64`,
+      `DCGM_FI_DEV_POWER_USAGE{${labels(0)}} 312.5`,
+      `DCGM_FI_DEV_SM_CLOCK{${labels(0)}} 1410`,
+      `DCGM_FI_DEV_CLOCK_THROTTLE_REASONS{${labels(0)}} 68`,
+      `DCGM_FI_DEV_ECC_DBE_VOL_TOTAL{${labels(0)}} 2`,
+      `DCGM_FI_DEV_XID_ERRORS{${labels(0)},err_msg="No \\"Error\\""} 0`,
+      `DCGM_FI_PROF_GR_ENGINE_ACTIVE{${labels(0)},GPU_I_PROFILE="1g.10gb",GPU_I_ID="9"} 0.5`,
+      // No utilization metric: unknown, not idle
+      `DCGM_FI_DEV_FB_USED{${labels(2)}} 0`,
+    ].join('\n')).gpus;
+
+    const gpu = gpus[0];
+    if (
+      gpus.length === 3 &&
+      gpus[1].index === 1 && gpus[1].gpuUtilization === 0 &&
+      Number.isNaN(gpus[2].gpuUtilization) &&
+      gpu.name === 'NVIDIA H100 80GB HBM3' &&
+      gpu.gpuUtilization === 93 &&
+      gpu.memoryUsed === 71000 &&
+      gpu.memoryTotal === 81920 &&
+      gpu.temperature === 64 &&
+      gpu.powerDraw === 312.5 &&
+      Number.isNaN(gpu.powerLimit) &&
+      gpu.clocks.sm === 1410 &&
+      gpu.throttleReasons.join(',') === 'sw_power_cap,hw_thermal_slowdown' &&
+      gpu.ecc.volatileUncorrected === 2 &&
+      getGpuWarnings(gpu).length === 2
+    ) {
+      log('pass', 'DCGM exporter metrics mapped onto GPU objects');
+      passed++;
+    } else {
+      log('fail', `DCGM parsing incorrect: ${JSON.stringify(gpu)}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `DCGM parsing failed: ${error.message}`);
+    failed++;
+  }
+
+  // Record/replay and fake cluster transports
+  console.log('\n--- Transport Tests ---');
+  const savedEnv = {
+    GPU_MONITOR_TRANSPORT: process.env.GPU_MONITOR_TRANSPORT,
+    GPU_MONITOR_FIXTURES: process.env.GPU_MONITOR_FIXTURES,
+    GPU_MONITOR_FAKE_CLUSTER: process.env.GPU_MONITOR_FAKE_CLUSTER,
+  };
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gpu-fixtures-'));
+  try {
+    process.env.GPU_MONITOR_TRANSPORT = 'replay';
+    process.env.GPU_MONITOR_FIXTURES = fixturesDir;
+    const server = { name: 'recorded-box', host: 'user@recorded-box' };
+
+    const writeFixture = (command, fixture) => {
+      const file = getFixturePath(server, command);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ server: server.name, command, stderr: '', error: null, ...fixture }));
+    };
+    writeFixture('echo "test"', { stdout: 'test\n' });
+    writeFixture('uptime', { stdout: '', error: { message: 'ssh: connect to host recorded-box port 22: Connection timed out', code: 255, killed: false } });
+
+    const echo = await executeRemoteCommand(server, 'echo "test"', 1000);
+    const failure = await executeRemoteCommand(server, 'uptime', 1000);
+    const missing = await executeRemoteCommand(server, 'hostname', 1000);
+    if (
+      echo.success && echo.stdout === 'test' &&
+      !failure.success && /timed out/.test(failure.stderr) &&
+      !missing.success && /No recorded fixture/.test(missing.stderr)
+    ) {
+      log('pass', 'Replay answers from recorded fixtures and replays failures');
+      passed++;
+    } else {
+      log('fail', `Replay returned ${JSON.stringify({ echo, failure, missing })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Replay transport failed: ${error.message}`);
+    failed++;
+  }
+
+  try {
+    process.env.GPU_MONITOR_TRANSPORT = 'fake';
+    process.env.GPU_MONITOR_FAKE_CLUSTER = '1';
+    resetFakeCluster();
+    const [a100] = getFakeServers();
+
+    const first = await getRemoteGpuSnapshot(a100);
+    const second = await getRemoteGpuSnapshot(a100);
+    const third = await getRemoteGpuSnapshot(a100);
+    const topo = await runFakeCommand(a100, 'nvidia-smi topo -m');
+    const topology = parseTopologyMatrix(topo.stdout.trim());
+
+    if (
+      first.gpus.length === 4 &&
+      first.processes.get(0)?.[0]?.user === 'alice' &&
+      first.host?.cpuCount === 64 &&
+      !first.processes.has(2) &&
+      second.processes.get(2)?.[0]?.user === 'bob' &&
+      third.processes.get(2)?.[0]?.user === 'bob' &&
+      getNvlinkGroups(topology).map(g => g.join(',')).join(' ') === '0,1 2,3'
+    ) {
+      log('pass', 'Fake cluster serves scripted snapshot steps and topology');
+      passed++;
+    } else {
+      log('fail', 'Fake cluster returned unexpected results');
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Fake cluster failed: ${error.message}`);
+    failed++;
+  } finally {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  }
+
+  // gpu-agent reports: signed push, then status served from the report
+  console.log('\n--- Agent Tests ---');
+  const clusterFile = path.join(os.tmpdir(), `gpu-agent-cluster-${process.pid}.json`);
+  try {
+    fs.writeFileSync(clusterFile, JSON.stringify({
+      servers: [{ name: 'agent-box', transport: 'agent', agentSecret: 's3cret', gpuCount: 2 }],
+    }));
+    process.env.GPU_MONITOR_FAKE_CLUSTER = clusterFile;
+    registerRoute('POST', AGENT_REPORT_PATH, handleAgentReport);
+    const [server] = getFakeServers();
+
+    const snapshot = (await runFakeCommand(server, getCollector(server).snapshotCmd)).stdout;
+    const push = (report, secret = 's3cret', timestamp = Date.now()) => {
+      const body = JSON.stringify(report);
+      return dispatchRequest({
+        method: 'POST',
+        url: AGENT_REPORT_PATH,
+        headers: {
+          'x-gpu-agent-timestamp': String(timestamp),
+          'x-gpu-agent-signature': `sha256=${signReport(body, secret, timestamp)}`,
+        },
+        body,
+      });
+    };
+
+    const report = { server: 'agent-box', collector: 'nvidia', collectedAt: new Date().toISOString(), snapshot };
+    const badSignature = await push(report, 'wrong');
+    const tooOld = await push(report, 's3cret', Date.now() - 10 * 60 * 1000);
+    const accepted = await push(report);
+    const replayed = await push(report, 's3cret', Date.now() - 1000);
+    const wrongMethod = await dispatchRequest({ method: 'GET', url: AGENT_REPORT_PATH, headers: {}, body: '' });
+
+    // Back in live mode, the agent server answers status from its report
+    process.env.GPU_MONITOR_TRANSPORT = 'ssh';
+    const status = await getRemoteGpuSnapshot(server);
+    const csv = await executeRemoteCommand(server, getCollector(server).statusCmd, 1000);
+
+    if (
+      badSignature.status === 401 &&
+      tooOld.status === 401 &&
+      accepted.status === 200 &&
+      replayed.status === 409 &&
+      wrongMethod.status === 405 &&
+      status.gpus.length === 2 &&
+      status.host?.cpuCount === 32 &&
+      csv.success && parseGpuInfo(csv.stdout).length === 2
+    ) {
+      log('pass', 'Signed agent reports accepted and served as server status');
+      passed++;
+    } else {
+      log('fail', `Agent ingest returned ${[badSignature, tooOld, accepted, replayed, wrongMethod].map(r => r.status).join(', ')}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Agent ingest failed: ${error.message}`);
+    failed++;
+  } finally {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(clusterFile, { force: true });
+  }
+
+  // Prometheus exporter
+  console.log('\n--- Metrics Tests ---');
+  try {
+    const text = formatPrometheusMetrics([
+      {
+        server: { name: 'gpu-box' },
+        gpus: [{ index: 0, name: 'NVIDIA "A100"', gpuUtilization: 87, memoryUsed: 1024, memoryTotal: 40960, temperature: 61, powerDraw: NaN, powerLimit: 400 }],
+        processes: new Map([[0, [
+          { pid: 1, user: 'alice', memoryMB: 600 },
+          { pid: 2, user: 'alice', memoryMB: 200 },
+          { pid: 3, user: 'bob', memoryMB: 224 },
+        ]]]),
+        error: null,
+        durationSec: 0.42,
+        timestamp: 1700000000,
+      },
+      { server: { name: 'down-box' }, gpus: [], processes: new Map(), error: 'Connection timed out', durationSec: 10, timestamp: 1700000000 },
+    ]);
+
+    if (
+      text.includes('# TYPE gpu_monitor_gpu_utilization_percent gauge') &&
+      text.includes('gpu_monitor_gpu_utilization_percent{server="gpu-box",gpu="0",name="NVIDIA \\"A100\\""} 87') &&
+      text.includes('gpu_monitor_gpu_memory_used_bytes{server="gpu-box",gpu="0",name="NVIDIA \\"A100\\""} 1073741824') &&
+      text.includes('gpu_monitor_gpu_user_memory_used_bytes{server="gpu-box",gpu="0",user="alice"} 838860800') &&
+      text.includes('gpu_monitor_gpu_top_user{server="gpu-box",gpu="0",user="alice"} 1') &&
+      text.includes('gpu_monitor_server_up{server="down-box"} 0') &&
+      text.includes('gpu_monitor_scrape_duration_seconds{server="gpu-box"} 0.42') &&
+      !text.includes('gpu_monitor_gpu_power_draw_watts{')
+    ) {
+      log('pass', 'Prometheus metrics rendered with escaped labels and per-user memory');
+      passed++;
+    } else {
+      log('fail', 'Prometheus metrics output incorrect');
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Prometheus metrics failed: ${error.message}`);
+    failed++;
+  }
+
+  console.log('\n--- Cache Tests ---');
+  try {
+    const cache = createCache({ ttlMs: 100, staleMs: 200 });
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    let calls = 0;
+    const load = async () => {
+      calls++;
+      await sleep(10);
+      return calls;
+    };
+
+    // Concurrent callers share one fetch; within the TTL it is reused
+    const coalesced = await Promise.all([cache.get('a', load), cache.get('a', load), cache.get('a', load)]);
+    const cached = await cache.get('a', load);
+    const forced = await cache.get('a', load, { fresh: true });
+
+    // Past the TTL the old value is served while a refresh runs
+    await sleep(120);
+    const stale = await cache.get('a', load);
+    await sleep(30);
+    const refreshed = await cache.get('a', load);
+
+    // Past TTL + stale the caller waits
+    await sleep(350);
+    const expired = await cache.get('a', load);
+
+    // Errors are cached for the TTL but not served stale
+    let failures = 0;
+    const failing = async () => {
+      failures++;
+      throw new Error('Connection timed out');
+    };
+    const errors = [];
+    for (let i = 0; i < 2; i++) {
+      await cache.get('b', failing).catch(e => errors.push(e.message));
+    }
+    await sleep(120);
+    const recovered = await cache.get('b', load);
+
+    cache.invalidate('a');
+    const afterInvalidate = await cache.get('a', load);
+
+    if (
+      coalesced.every(v => v === 1) &&
+      cached === 1 &&
+      forced === 2 &&
+      stale === 2 &&
+      refreshed === 3 &&
+      expired === 4 &&
+      failures === 1 && errors.length === 2 &&
+      recovered === 5 &&
+      afterInvalidate === 6
+    ) {
+      log('pass', 'Status cache coalesces, honors TTL, serves stale while refreshing and bypasses on fresh');
+      passed++;
+    } else {
+      log('fail', `Status cache incorrect: ${JSON.stringify({ coalesced, cached, forced, stale, refreshed, expired, failures, recovered, afterInvalidate })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Status cache failed: ${error.message}`);
+    failed++;
+  }
+
+  console.log('\n--- Polling Tests ---');
+  try {
+    const nvidia = getCollector({ collector: 'nvidia' });
+    const kinds = [
+      'ssh: connect to host gpu-01 port 22: Connection timed out',
+      'user@gpu-01: Permission denied (publickey).',
+      'ssh: Could not resolve hostname gpu-99: Name or service not known',
+      'bash: nvidia-smi: command not found',
+      'ssh: connect to host gpu-01 port 22: Connection refused',
+      'kex_exchange_identification: read: Connection reset by peer',
+    ].map(message => classifyRemoteError(new Error(message), nvidia));
+    const killed = classifyRemoteError(Object.assign(new Error('Command failed'), { killed: true }), nvidia);
+
+    // Transient failures are retried until one succeeds
+    let calls = 0;
+    const flaky = await withRetries(async () => {
+      if (++calls < 3) throw new Error('Connection refused');
+      return 'ok';
+    }, { retries: 3, retryDelayMs: 1, isRetryable: e => classifyRemoteError(e, nvidia).retryable });
+
+    // Permanent failures stop at once and carry the attempt count
+    let authAttempts = null;
+    await withRetries(async () => {
+      throw new Error('Permission denied (publickey)');
+    }, { retries: 3, retryDelayMs: 1, isRetryable: e => classifyRemoteError(e, nvidia).retryable })
+      .catch(e => { authAttempts = e.attempts; });
+
+    let exhaustedAttempts = null;
+    await withRetries(async () => {
+      throw new Error('Connection timed out');
+    }, { retries: 2, retryDelayMs: 1, isRetryable: () => true })
+      .catch(e => { exhaustedAttempts = e.attempts; });
+
+    // At most 2 tasks run at once
+    const limit = createLimiter(2);
+    let running = 0;
+    let peak = 0;
+    const order = await Promise.all([1, 2, 3, 4, 5].map(n => limit(async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return n;
+    })));
+
+    const policy = getPollPolicy({ timeout: 90, retries: 0 });
+
+    if (
+      kinds.map(k => k.kind).join() === 'timeout,auth,dns,collector,refused,unknown' &&
+      kinds.map(k => k.retryable).join() === 'true,false,false,false,true,true' &&
+      killed.kind === 'timeout' &&
+      flaky.value === 'ok' && flaky.attempts === 3 &&
+      authAttempts === 1 &&
+      exhaustedAttempts === 3 &&
+      peak === 2 && order.join() === '1,2,3,4,5' &&
+      policy.timeoutMs === 90000 && policy.retries === 0
+    ) {
+      log('pass', 'Remote errors classified, transient failures retried and commands limited');
+      passed++;
+    } else {
+      log('fail', `Polling incorrect: ${JSON.stringify({ kinds, flaky, authAttempts, exhaustedAttempts, peak, policy })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Polling failed: ${error.message}`);
+    failed++;
+  }
+
+  console.log('\n--- Health Tests ---');
+  try {
+    process.env.GPU_MONITOR_TRANSPORT = 'fake';
+    process.env.GPU_MONITOR_FAKE_CLUSTER = '1';
+    const ghost = { id: 'health-ghost', name: 'ghost-box', host: 'user@ghost-box' };
+    const changes = [];
+    const unsubscribe = onHealthChange(change => changes.push(change));
+
+    // Unknown host: fails without retries, down after two polls, then skipped
+    const errors = [];
+    for (let i = 0; i < 3; i++) {
+      await getRemoteGpuSnapshot(ghost).catch(e => errors.push(e));
+    }
+    const down = getServerHealth(ghost);
+    const downSummary = formatHealthSummary(down);
+    recordSuccess(ghost);
+    const up = getServerHealth(ghost);
+    await new Promise(resolve => setImmediate(resolve));
+    unsubscribe();
+
+    if (
+      errors.length === 3 &&
+      errors[0].kind === 'dns' && errors[0].attempts === 1 &&
+      errors[2].kind === 'circuit' && errors[2].attempts === 0 &&
+      /ghost-box is down, skipping it/.test(errors[2].message) &&
+      down.state === 'down' && down.retryAt > Date.now() &&
+      /^down for \d+s \(since .+\)/.test(downSummary) &&
+      up.state === 'up' && up.retryAt === null && up.uptime < 1 &&
+      changes.map(c => c.state).join() === 'down,up' &&
+      formatHealthAlert(changes[0]).startsWith('🔴 ghost-box is down since') &&
+      formatHealthAlert(changes[1]).startsWith('🟢 ghost-box is back up after')
+    ) {
+      log('pass', 'Server health tracked, circuit opens for down servers and transitions alert');
+      passed++;
+    } else {
+      log('fail', `Health incorrect: ${JSON.stringify({ errors: errors.map(e => e.message), down, downSummary, up, changes: changes.map(c => c.state) })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Health failed: ${error.message}`);
+    failed++;
+  } finally {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+
+  console.log('\n--- Host Key Tests ---');
+  try {
+    // ssh-keygen -lf prints SHA256:O9bpvd7ap4uArVSPe+4xSdh4aYa4egYfVmY0YxjwzjI for this key
+    const key = 'AAAAC3NzaC1lZDI1NTE5AAAAIBSu7Ir9DhNggHN2KyvMtpNjh/lelvURCwf28eJUjGke';
+    const fingerprint = 'SHA256:O9bpvd7ap4uArVSPe+4xSdh4aYa4egYfVmY0YxjwzjI';
+    const server = { id: 'hk1', name: 'hk-box', host: 'user@127.0.0.1', port: 1 };
+    const entries = parseKnownHosts(`# comment\ngpu-monitor-hk1 ssh-ed25519 ${key}\n\n`);
+    const pinnedArgs = buildHostKeyArgs({ ...server, hostKeyFingerprint: fingerprint }).join(' ');
+    const unpinnedArgs = buildHostKeyArgs(server).join(' ');
+
+    let mismatch = null;
+    try {
+      matchHostKeys(server, entries, 'SHA256:' + 'A'.repeat(43));
+    } catch (error) {
+      mismatch = error;
+    }
+    const collector = getCollector(server);
+    const sshMessage = 'Command failed: ssh\n@@@@@\n@    WARNING: REMOTE HOST IDENTIFICATION HAS CHANGED!     @\nHost key verification failed.';
+
+    // Nothing listens on port 1, so no key can be fetched
+    let fetchError = null;
+    await fetchHostKeys(server).catch(e => { fetchError = e; });
+
+    if (
+      getKeyFingerprint(key) === fingerprint &&
+      entries.length === 1 && entries[0].host === 'gpu-monitor-hk1' && entries[0].fingerprint === fingerprint &&
+      matchHostKeys(server, entries, fingerprint).length === 1 &&
+      pinnedArgs.includes('StrictHostKeyChecking=yes') && pinnedArgs.includes('HostKeyAlias=gpu-monitor-hk1') &&
+      unpinnedArgs.includes('StrictHostKeyChecking=accept-new') && !unpinnedArgs.includes('=no') &&
+      mismatch?.hostKeyChanged && classifyRemoteError(mismatch, collector).kind === 'hostkey' &&
+      classifyRemoteError(new Error(sshMessage), collector).kind === 'hostkey' &&
+      classifyRemoteError(new Error('Host key verification failed.'), collector).kind === 'untrusted' &&
+      !classifyRemoteError(mismatch, collector).retryable &&
+      /^Could not get a host key from hk-box/.test(fetchError?.message)
+    ) {
+      log('pass', 'Host key fingerprints, pinning options and key change errors');
+      passed++;
+    } else {
+      log('fail', `Host keys incorrect: ${JSON.stringify({ entries, pinnedArgs, unpinnedArgs, mismatch: mismatch?.message, fetchError: fetchError?.message })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Host keys failed: ${error.message}`);
+    failed++;
+  }
+
+  console.log('\n--- Remote Command Tests ---');
+  try {
+    const hostile = [
+      'plain', '', "it's", '$(touch /tmp/pwned)', '`id`', 'a; reboot', 'a && b || c', 'x\ny', '"quoted"',
+      "'; rm -rf / #", '*', '~root', '-n', 'tab\there', '\\', '$HOME', '!!', '{a,b}', '>out', 'é ü',
+    ];
+    // Run each quoted value through a real shell and check it arrives unchanged
+    const roundTrips = hostile.filter(value =>
+      execFileSync('sh', ['-c', buildCommand(['printf', '%s', value])], { encoding: 'utf-8' }) === value);
+
+    const rejects = (fn) => { try { fn(); return false; } catch { return true; } };
+    const badUsers = ['root; reboot', '$(id)', '`id`', '-1', 'a b', 'x\ny', '', 'a'.repeat(33), '../etc'];
+    const badPaths = ['python; id', '$(id)', '-c', '/usr/bin/python\nid', '~root/bin/python', '/a b', 'py|sh', '/usr//bin', '"/x"'];
+    const badGpus = [['0;id'], [-1], [1.5], [256], ['MIG-abc;id'], []];
+    const badPids = ['1; reboot', '', '-1', '0', '12 34', '$$'];
+    const badHosts = ['-oProxyCommand=touch /tmp/x', 'user@host;id', 'a@b c', '$(id)@host', '-p', 'user@-host'];
+
+    const occupyErrors = await Promise.all([
+      killUserProcesses({ name: 'x', host: 'u@x' }, 'bob; reboot').catch(e => e.message),
+      startGpuOccupation({ name: 'x', host: 'u@x' }, '/usr/bin/python; reboot', [0], 4).catch(e => e.message),
+      startGpuOccupation({ name: 'x', host: 'u@x' }, '/usr/bin/python', ['0 && reboot'], 4).catch(e => e.message),
+      startGpuOccupation({ name: 'x', host: 'u@x' }, '/usr/bin/python', [0], '4; reboot').catch(e => e.message),
+    ]);
+
+    if (
+      roundTrips.length === hostile.length &&
+      buildCommand(['pkill', '-u', 'bob', '-f', 'nano_vllm_server']) === 'pkill -u bob -f nano_vllm_server' &&
+      badUsers.every(u => rejects(() => validateUsername(u))) && validateUsername('j.doe-2') === 'j.doe-2' &&
+      badPaths.every(p => rejects(() => validateRemotePath(p))) &&
+      validateRemotePath('/home/user/miniconda3/bin/python') === '/home/user/miniconda3/bin/python' &&
+      validateRemotePath('~/venv/bin/python') === 'venv/bin/python' && validateRemotePath('python3') === 'python3' &&
+      badGpus.every(ids => rejects(() => validateGpuIds(ids))) &&
+      validateGpuIds([0, 7]).length === 2 && validateGpuIds(['MIG-c6d4f1ef-0e3b-5f5a-9b2c-0a1b2c3d4e5f']).length === 1 &&
+      badPids.every(pid => rejects(() => validatePid(pid))) && validatePid(' 4242\n') === '4242' &&
+      badHosts.every(h => rejects(() => validateSshDestination(h))) &&
+      rejects(() => validateSshDestination('bastion,-oProxyCommand=x', { jump: true })) &&
+      validateSshDestination('root@192.168.1.100') && validateSshDestination('user@[::1]') &&
+      validateSshDestination('ops@bastion:2222,jump2', { jump: true }) &&
+      occupyErrors[0].startsWith('Invalid username') && occupyErrors[1].startsWith('Invalid Python path') &&
+      occupyErrors[2].startsWith('Invalid GPU id') && occupyErrors[3].startsWith('Invalid memory size')
+    ) {
+      log('pass', 'Remote commands quote hostile input and reject unsafe usernames, paths, GPU ids and hosts');
+      passed++;
+    } else {
+      const lost = hostile.filter(v => !roundTrips.includes(v));
+      log('fail', `Remote commands incorrect: ${JSON.stringify({ lost, occupyErrors })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Remote commands failed: ${error.message}`);
+    failed++;
+  }
+
+  console.log('\n--- Import Tests ---');
+  try {
+    const sshConfig = parseSshConfig([
+      'Host bastion',
+      '  HostName bastion.example.com',
+      'Host gpu-* !gpu-skip',
+      '  User ml',
+      '  ProxyJump bastion',
+      'Host gpu-01 gpu-skip',
+      '  HostName %h.cluster.local',
+      'Host gpu-02',
+      '  HostName=10.0.0.2',
+      '  Port 2222',
+      '  User root',
+      'Match host gpu-02',
+      '  User nobody',
+      'Host *',
+      '  IdentityFile ~/.ssh/id_ed25519',
+    ].join('\n'));
+    const byName = Object.fromEntries(sshConfig.map(s => [s.name, s]));
+
+    const ini = parseInventory([
+      '[gpu]',
+      'node[01:03] ansible_user=ubuntu',
+      'dgx ansible_host=10.0.1.5 ansible_port=2222',
+      '[gpu:vars]',
+      "ansible_ssh_common_args='-o ProxyJump=ops@bastion'",
+      '[lab:children]',
+      'gpu',
+      '[lab:vars]',
+      'ansible_user=lab',
+      '[cpu]',
+      'cpu1',
+    ].join('\n'), { group: 'lab' });
+    const yaml = parseInventory([
+      'all:',
+      '  vars:',
+      '    ansible_user: ops  # everyone',
+      '  children:',
+      '    gpu:',
+      '      hosts:',
+      '        dgx:',
+      '          ansible_host: "10.0.1.5"',
+      '          ansible_port: 2222',
+      '        node1:',
+    ].join('\n'));
+
+    const plan = planImport(
+      [{ id: 'a', name: 'GPU-01', host: 'ml@gpu-01.cluster.local', port: 22, proxyJump: 'bastion', identityFile: byName['gpu-01'].identityFile },
+        { id: 'b', name: 'gpu-02', host: 'root@10.0.0.2', port: 22, proxyJump: 'bastion', identityFile: null, collector: 'rocm' }],
+      sshConfig
+    );
+    const actions = Object.fromEntries(plan.map(p => [p.entry.name, p]));
+
+    if (
+      sshConfig.map(s => s.name).join() === 'bastion,gpu-01,gpu-skip,gpu-02' &&
+      byName['gpu-01'].host === 'ml@gpu-01.cluster.local' && byName['gpu-01'].proxyJump === 'bastion' &&
+      byName['gpu-01'].identityFile.endsWith('/.ssh/id_ed25519') && !byName['gpu-01'].identityFile.startsWith('~') &&
+      byName['gpu-skip'].host === 'gpu-skip.cluster.local' && byName['gpu-skip'].proxyJump === null &&
+      // ssh takes the first value it sees, so User ml from "Host gpu-*" beats User root
+      byName['gpu-02'].host === 'ml@10.0.0.2' && byName['gpu-02'].port === 2222 &&
+      ini.map(s => s.name).join() === 'node01,node02,node03,dgx' &&
+      ini[0].host === 'ubuntu@node01' && ini[3].host === 'lab@10.0.1.5' && ini[3].port === 2222 && ini[3].proxyJump === 'ops@bastion' &&
+      yaml.map(s => `${s.name}=${s.host}:${s.port}`).join() === 'dgx=ops@10.0.1.5:2222,node1=ops@node1:22' &&
+      actions['gpu-01'].action === 'unchanged' && actions['gpu-01'].server.id === 'a' &&
+      actions['gpu-02'].action === 'update' && actions['gpu-02'].changes.host[1] === 'ml@10.0.0.2' &&
+      actions['gpu-02'].changes.port.join() === '22,2222' && !('proxyJump' in actions['gpu-02'].changes) &&
+      actions.bastion.action === 'add'
+    ) {
+      log('pass', 'ssh_config and Ansible inventories parsed and diffed against servers.json');
+      passed++;
+    } else {
+      log('fail', `Import incorrect: ${JSON.stringify({ sshConfig, ini, yaml, plan: plan.map(p => [p.entry.name, p.action, p.changes]) })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Import failed: ${error.message}`);
+    failed++;
+  }
+
+  console.log('\n--- History Tests ---');
+  const historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gpu-history-'));
+  const savedHistoryDir = process.env.HISTORY_DIR;
+  process.env.HISTORY_DIR = historyDir;
+  try {
+    const DAY = 86400;
+    const today = Math.floor(Date.now() / 1000 / DAY) * DAY;
+    const server = { name: 'grandrapids' };
+    const gpu = (index, gpuUtilization, memoryUsed) => ({ index, gpuUtilization, memoryUsed, memoryTotal: 81920, temperature: 50, powerDraw: NaN });
+    const sample = (t, util, aliceMB) => toHistoryRecord({
+      server,
+      gpus: [gpu(0, util, aliceMB), gpu(1, 0, 0)],
+      processes: new Map([[0, aliceMB ? [{ pid: 1, user: 'alice', memoryMB: aliceMB / 2 }, { pid: 2, user: 'alice', memoryMB: aliceMB / 2 }] : []]]),
+    }, t);
+
+    await appendHistory([
+      sample(today - 40 * DAY, 100, 1000),
+      // One job for half of a 5-minute bucket, five days ago
+      sample(today - 5 * DAY, 100, 4000), sample(today - 5 * DAY + 60, 80, 4000),
+      sample(today - 5 * DAY + 120, 0, 0), sample(today - 5 * DAY + 180, 0, 0),
+      sample(today + 60, 50, 2000), sample(today + 120, 70, 6000),
+      { ...sample(today + 90, 10, 0), server: 'tucson' },
+    ]);
+    fs.appendFileSync(path.join(historyDir, `${new Date(today * 1000).toISOString().slice(0, 10)}.jsonl`), '{"t": 1, "cut short');
+
+    const recent = await getGpuHistory({ server: 'GrandRapids', gpu: 0, from: today, to: today + 300 });
+    const averaged = await getGpuHistory({ server: 'grandrapids', gpu: 0, from: today, to: today + 300, step: 300 });
+    const alice = await getUserHistory({ user: 'alice', from: today, to: today + 300 });
+    const { deleted, downsampled } = await compactHistory(today * 1000 + 1000);
+    const files = fs.readdirSync(historyDir).sort();
+    const old = await getGpuHistory({ gpu: 0, from: today - 6 * DAY, to: today - 4 * DAY });
+    const oldAlice = await getUserHistory({ user: 'alice', from: today - 6 * DAY, to: today - 4 * DAY });
+    const gone = await getGpuHistory({ from: today - 41 * DAY, to: today - 39 * DAY });
+
+    if (
+      recent.map(p => p.gpuUtilization).join() === '50,70' && recent[0].powerDraw === null &&
+      averaged.length === 1 && averaged[0].gpuUtilization === 60 && averaged[0].t === today &&
+      alice.map(p => `${p.memoryMB}@${p.gpus}`).join() === '2000@0,6000@0' &&
+      deleted.length === 1 && downsampled.length === 1 && files.length === 2 && files.some(f => f.endsWith('.300s.jsonl')) &&
+      old.length === 1 && old[0].gpuUtilization === 45 && old[0].memoryTotal === 81920 &&
+      oldAlice.length === 1 && oldAlice[0].memoryMB === 2000 &&
+      gone.length === 0
+    ) {
+      log('pass', 'History records, queries, downsamples and expires GPU samples');
+      passed++;
+    } else {
+      log('fail', `History incorrect: ${JSON.stringify({ recent, averaged, alice, deleted, downsampled, files, old, oldAlice, gone })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `History failed: ${error.message}`);
+    failed++;
+  } finally {
+    if (savedHistoryDir === undefined) delete process.env.HISTORY_DIR;
+    else process.env.HISTORY_DIR = savedHistoryDir;
+    fs.rmSync(historyDir, { recursive: true, force: true });
+  }
+
+  console.log('\n--- Usage Report Tests ---');
+  try {
+    const a100 = 'NVIDIA A100-SXM4-80GB';
+    const record = (t, server, users) => ({
+      t, server,
+      gpus: [[0, 90, 0, 81920, 60, 300, a100], [1, 90, 0, 81920, 60, 300, a100]],
+      users,
+    });
+    const records = [];
+    // Every minute for an hour: alice alone on GPU 0, bob and carol sharing GPU 1 3:1 by memory
+    for (let t = 0; t < 3600; t += 60) {
+      records.push(record(t, 'grandrapids', [[0, 'alice', 40960], [1, 'bob', 30720], [1, 'carol', 10240]]));
+    }
+    // Samples a day apart on another server: the gap is capped, not billed as a day
+    records.push(record(0, 'tucson', [['0:1', 'alice', 10240]]), record(60, 'tucson', [['0:1', 'alice', 10240]]));
+    records.push(record(86400, 'tucson', [['0:1', 'alice', 10240]]));
+
+    const rows = computeUsage(records, { to: 86400 });
+    const byKey = Object.fromEntries(rows.map(r => [`${r.user}@${r.server}`, r]));
+    const users = Object.fromEntries(summarizeUsage(rows, ['user']).map(u => [u.user, u]));
+    const csv = formatUsageCsv({ rows: [{ user: 'x,"y"', server: 's', model: 'A100', gpuHours: 1, gbHours: 2.5 }] });
+
+    const now = new Date(2026, 9, 19, 12).getTime();
+    const week = parseReportRange([], now);
+    const month = parseReportRange(['2026-09'], now);
+    const days = parseReportRange(['2026-10-01', '2026-10-02'], now);
+    const rangeErrors = [['2026-13'], ['2026-10-05'], ['2026-10-05', '2026-10-01'], ['2026-02-30', '2026-03-01']]
+      .map(args => { try { parseReportRange(args, now); return null; } catch (e) { return e.message; } });
+
+    const near = (a, b) => Math.abs(a - b) < 1e-6;
+    if (
+      near(byKey['alice@grandrapids'].gpuHours, 1) && near(byKey['alice@grandrapids'].gbHours, 40) &&
+      near(byKey['bob@grandrapids'].gpuHours, 0.75) && near(byKey['carol@grandrapids'].gpuHours, 0.25) &&
+      byKey['alice@grandrapids'].model === 'A100-SXM4-80GB' &&
+      // 60s + 120s (capped gap) + 0s (last sample, at the end of the range) on a MIG slice of GPU 0
+      near(byKey['alice@tucson'].gpuHours, 180 / 3600) && near(users.alice.gpuHours, 1 + 180 / 3600) &&
+      csv === 'user,server,gpu_model,gpu_hours,gb_hours\n"x,""y""",s,A100,1.00,2.50\n' &&
+      week.to - week.from === 7 * 86400 &&
+      month.from === new Date(2026, 8, 1).getTime() / 1000 && month.to === new Date(2026, 9, 1).getTime() / 1000 - 1 &&
+      days.to - days.from === 2 * 86400 - 1 &&
+      rangeErrors.every(Boolean)
+    ) {
+      log('pass', 'Usage reports charge GPU-hours and GB-hours per user, server and model');
+      passed++;
+    } else {
+      log('fail', `Usage reports incorrect: ${JSON.stringify({ rows, csv, week, month, days, rangeErrors })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Usage reports failed: ${error.message}`);
+    failed++;
+  }
+
+  console.log('\n--- Chart Tests ---');
+  try {
+    const chart = {
+      server: 'grandrapids <lab>', hours: 2, from: 0, to: 7200, step: 1800,
+      gpus: [
+        { index: 0, name: 'NVIDIA A100', util: [0, 50, null, 100], memory: [10, 10, null, 90] },
+        { index: 1, name: 'NVIDIA A100', util: [null, null, 20, 30], memory: [null, null, 5, 5] },
+      ],
+    };
+    const lines = formatChartLines(chart);
+    const svg = renderChartSvg(chart);
+    const paths = [...svg.matchAll(/<path d="([^"]+)"/g)].map(m => m[1]);
+    const png = await renderPng(svg);
+
+    if (
+      sparkline([0, 50, null, 100, 150, -5]) === '▁▅ ██▁' &&
+      sparkline([2, 4], { max: 4 }) === '▅█' &&
+      lines.length === 4 && lines[0] === 'GPU 0  util ▁▅ █ 100%  avg 50%' && lines[1] === '       mem  ▂▂ ▇  90%  avg 37%' &&
+      lines[2].startsWith('GPU 1  util   ▂▃  30%') &&
+      svg.startsWith('<svg') && svg.includes('grandrapids &lt;lab&gt;') && !svg.includes('<lab>') &&
+      // GPU 0's utilization line breaks at the missing sample
+      paths.length === 4 && (paths[0].match(/M/g) || []).length === 2 &&
+      (png === null || png.subarray(1, 4).toString() === 'PNG') &&
+      parseChartHours(undefined) === 6 && parseChartHours('24') === 24 &&
+      [() => parseChartHours('0'), () => parseChartHours('500'), () => parseChartHours('abc')].every(f => { try { f(); return false; } catch { return true; } })
+    ) {
+      log('pass', `Sparklines and chart SVG rendered${png ? ' (and PNG)' : ' (PNG renderer not installed)'}`);
+      passed++;
+    } else {
+      log('fail', `Charts incorrect: ${JSON.stringify({ lines, paths, png: png && png.length })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Charts failed: ${error.message}`);
+    failed++;
+  }
+
+  console.log('\n--- Idle Tests ---');
+  try {
+    const sample = (server, t, utils, users) => ({
+      t, server, gpus: utils.map((u, i) => [i, u, 40000, 81920, 40, 100, 'NVIDIA A100']), users,
+    });
+    const records = [
+      sample('a', 0, [90, 0], [[0, 'alice', 2048], ['1:0', 'bob', 4096], [1, 'carol', 512]]),
+      sample('a', 60, [1, 0], [[0, 'alice', 2048], ['1:0', 'bob', 4096], [1, 'carol', 512]]),
+      sample('a', 120, [2, 0], [[0, 'alice', 2048], ['1:0', 'bob', 4096], [1, 'carol', 512]]),
+      sample('a', 180, [0, 0], [[0, 'alice', 2048], [0, 'dave', 2048], ['1:0', 'bob', 4096], [1, 'carol', 512]]),
+      // A gap longer than 15 minutes ends erin's streak
+      sample('b', 0, [0], [[0, 'erin', 2048]]),
+      sample('b', 60, [0], [[0, 'erin', 2048]]),
+      sample('b', 2000, [0], [[0, 'erin', 2048]]),
+      sample('b', 2060, [0], [[0, 'erin', 2048]]),
+    ];
+    const streaks = findIdleStreaks(records, { threshold: 5, minMemoryMB: 1024 });
+    const find = user => streaks.find(s => s.user === user);
+    const users = parseUserMap('alice=U1, bob = U2,broken,=U3');
+    const hog = { ...find('bob'), idleSec: 3 * 24 * 3600, memoryMB: 4096, utilization: 0, processes: [{ pid: 42 }, { pid: 43 }] };
+    const reminder = formatIdleReminder(hog, '<@U2>');
+
+    if (
+      streaks.length === 3 &&
+      find('alice')?.server === 'a' && find('alice').gpu === 0 && find('alice').since === 60 && !find('alice').atLeast &&
+      // MIG slices use their GPU's utilization; a streak reaching the first record is "at least"
+      find('bob')?.gpu === '1:0' && find('bob').since === 0 && find('bob').atLeast &&
+      find('erin')?.since === 2000 && !find('carol') && !find('dave') &&
+      users.size === 2 && users.get('bob') === 'U2' &&
+      reminder.startsWith('💤 <@U2>, your processes on a GPU 1:0 have held 4.0GB') &&
+      reminder.includes('for 3d 0h+') && reminder.includes('PID 42, 43')
+    ) {
+      log('pass', 'Idle streaks found (busy break, gap break, MIG, minimum memory)');
+      passed++;
+    } else {
+      log('fail', `Idle streaks incorrect: ${JSON.stringify({ streaks, users: [...users], reminder })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Idle detection failed: ${error.message}`);
+    failed++;
+  }
+
+  try {
+    // alice has held GPU 0 idle for longer than the 3-day lookback: each check
+    // sees the streak start at the edge of its window
+    const lookback = 3 * 24 * 3600;
+    const window = end => Array.from({ length: lookback / 300 + 1 }, (_, i) => ({
+      t: end - lookback + i * 300, server: 'c', gpus: [[0, 0, 40000, 81920, 40, 100, 'NVIDIA A100']], users: [[0, 'alice', 2048]],
+    }));
+    const checks = [1000000, 1000900].map(end => findIdleStreaks(window(end), { threshold: 5, minMemoryMB: 1024 }));
+    stopIdleReminders();
+    const reminders = [...checks, [], checks[1]].map(streaks => selectNewHogs(streaks).length);
+    stopIdleReminders();
+
+    if (
+      checks[0][0]?.atLeast && checks[1][0]?.since > checks[0][0].since &&
+      JSON.stringify(reminders) === '[1,0,0,1]'
+    ) {
+      log('pass', 'One idle reminder per streak, also for streaks longer than the lookback');
+      passed++;
+    } else {
+      log('fail', `Idle reminders incorrect: ${JSON.stringify({ checks, reminders })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Idle reminders failed: ${error.message}`);
+    failed++;
+  }
+
+  console.log('\n--- Unattributed Memory Tests ---');
+  try {
+    process.env.GPU_MONITOR_TRANSPORT = 'fake';
+    process.env.GPU_MONITOR_FAKE_CLUSTER = '1';
+    // fake-a6000's GPU 1 has 6GB in use and no compute processes
+    const a6000 = getFakeServers().find(s => s.name === 'fake-a6000');
+    const { gpus } = await getRemoteGpuSnapshot(a6000);
+
+    // MIG slice processes count toward their GPU
+    const [mig] = addUnattributedMemory(
+      [{ index: 0, memoryUsed: 20000, migDevices: [{ id: '0:1' }, { id: '0:2' }] }],
+      new Map([['0:1', [{ memoryMB: 9000 }]], ['0:2', [{ memoryMB: 10500 }]]])
+    );
+    const issues = collectDiagnostics([
+      { server: { name: 'b-box' }, gpus, processes: new Map(), host: null, error: null },
+      { server: { name: 'a-box' }, gpus: [], processes: new Map(), host: null, error: 'Connection timed out to a-box.' },
+    ]);
+    const status = formatMultiServerMessage([{ server: a6000, gpus, processes: new Map(), host: null, error: null }]);
+    const text = status.blocks.map(b => b.text?.text || '').join('\n');
+
+    if (
+      gpus[0].unattributedMemoryMB === 0 && gpus[1].unattributedMemoryMB === 6150 &&
+      mig.unattributedMemoryMB === 0 &&
+      issues.length === 2 && issues[0].kind === 'unreachable' &&
+      issues[1].kind === 'unattributed' && issues[1].gpu === 1 && issues[1].message.startsWith('6.0GB of 6.0GB') &&
+      formatDiagnosticLabel(issues[1]) === '👻 b-box GPU 1' &&
+      /1: A6000 .*\| 👻 6\.0GB/.test(text)
+    ) {
+      log('pass', 'Unattributed GPU memory flagged in snapshots, status and diagnostics');
+      passed++;
+    } else {
+      log('fail', `Unattributed memory incorrect: ${JSON.stringify({ gpus: gpus.map(g => g.unattributedMemoryMB), mig, issues, text })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Unattributed memory failed: ${error.message}`);
+    failed++;
+  } finally {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+
+  console.log('\n--- Alert Rule Tests ---');
+  try {
+    const temp = parseAlertRule('temp>85°C for 5m server grandrapids'.split(' '));
+    const channel = parseAlertRule(['unreachable', 'for', '2m', 'channel', '<#C0123|gpu-ops>']);
+    const dropped = parseAlertRule(['gpus']);
+    const errors = [['temp'], ['unreachable', '>', '1'], ['mem', '>', 'lots'], ['power', '>', '90', 'every', '5m'], ['gpus', 'gpu', '0']]
+      .filter((args) => {
+        try {
+          parseAlertRule(args);
+          return false;
+        } catch {
+          return true;
+        }
+      });
+
+    if (
+      describeRule(temp) === 'temp > 85°C for 5m on grandrapids' && temp.cooldownSec === 1800 &&
+      channel.channel === 'C0123' && channel.forSec === 120 &&
+      describeRule(dropped) === 'gpus dropped' &&
+      errors.length === 5
+    ) {
+      log('pass', 'Alert rules parsed and described');
+      passed++;
+    } else {
+      log('fail', `Alert rule parsing incorrect: ${JSON.stringify({ temp, channel, dropped, errors })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Alert rule parsing failed: ${error.message}`);
+    failed++;
+  }
+
+  try {
+    // Synthetic polls a minute apart; GPU 1 runs hot from the second to the fifth
+    const rule = { id: 901, ...parseAlertRule(['temp', '>', '85', 'for', '2m', 'cooldown', '1h']), platform: 'slack', channel: 'C1' };
+    const poll = (temps, error = null) => [{
+      server: { name: 'box' },
+      error,
+      gpus: error ? [] : temps.map((temperature, index) => ({ index, temperature })),
+    }];
+    const t0 = Date.parse('2026-10-19T12:00:00Z');
+    const texts = [[80, 80], [80, 90], [80, 91], [80, 92], [80, 92, 0, 0], [80, 70], [88, 70]]
+      .map((temps, i) => evaluateAlertRules([rule], poll(temps), t0 + i * 60000).map(m => m.text));
+    // An unreachable server keeps its GPUs' state
+    const down = evaluateAlertRules([rule], poll([], 'Connection timed out'), t0 + 10 * 60000);
+    const late = evaluateAlertRules([rule], poll([88, 70]), t0 + 64 * 60000).map(m => m.text);
+
+    const gpusRule = { id: 902, ...parseAlertRule(['gpus']), platform: 'slack', channel: 'C1' };
+    const gpus = [[0, 1], [0], [0, 1]].map((indexes, i) => evaluateAlertRules(
+      [gpusRule], [{ server: { name: 'box' }, error: null, gpus: indexes.map(index => ({ index })) }], t0 + i * 60000
+    ).map(m => m.text));
+
+    if (
+      texts[0].length === 0 && texts[1].length === 0 && texts[2].length === 0 &&
+      texts[3].length === 1 && texts[3][0] === '🚨 Alert #901 (temp > 85°C for 2m): box GPU 1 at 92°C' &&
+      texts[4].length === 0 &&
+      texts[5].length === 1 && texts[5][0] === '✅ Resolved #901 (temp > 85°C for 2m): box GPU 1 after 4m' &&
+      // GPU 0 has held for 2m since minute 6, but the cooldown holds it back until minute 63
+      texts[6].length === 0 && down.length === 0 && late.length === 1 && late[0].includes('box GPU 0 at 88°C') &&
+      gpus[0].length === 0 && gpus[1][0] === '🚨 Alert #902 (gpus dropped): box at 1 of 2 GPUs' &&
+      gpus[2][0].startsWith('✅ Resolved #902')
+    ) {
+      log('pass', 'Alert rules fire after their duration, once, with recovery and cooldown');
+      passed++;
+    } else {
+      log('fail', `Alert rule evaluation incorrect: ${JSON.stringify({ texts, down, late, gpus })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Alert rule evaluation failed: ${error.message}`);
+    failed++;
+  }
+
+  const alertsFile = path.join(os.tmpdir(), `gpu-alerts-${process.pid}.json`);
+  const savedAlertsFile = process.env.ALERTS_FILE;
+  try {
+    process.env.ALERTS_FILE = alertsFile;
+    const first = await addAlertRule({ ...parseAlertRule(['mem', '>', '95']), platform: 'slack', channel: 'C1' }, 'U1');
+    const second = await addAlertRule({ ...parseAlertRule(['unreachable']), platform: 'discord', channel: '42' });
+    const muted = await muteAlertRule('#1', '2h');
+    const mutedRule = { ...first, mutedUntil: muted.mutedUntil };
+    // A muted rule stays quiet
+    const quiet = evaluateAlertRules([mutedRule], [{ server: { name: 'box' }, error: null, gpus: [{ index: 0, memoryUsed: 99, memoryTotal: 100 }] }]);
+    await removeAlertRule(1);
+    const rules = await getAlertRules();
+    let missing = false;
+    try {
+      await removeAlertRule(1);
+    } catch {
+      missing = true;
+    }
+
+    if (
+      first.id === 1 && second.id === 2 && first.createdBy === 'U1' &&
+      Date.parse(muted.mutedUntil) - Date.now() > 7100 * 1000 && quiet.length === 0 &&
+      rules.length === 1 && rules[0].id === 2 && missing
+    ) {
+      log('pass', 'Alert rules added, muted and removed in the alerts file');
+      passed++;
+    } else {
+      log('fail', `Alert rule storage incorrect: ${JSON.stringify({ first, second, muted, quiet, rules, missing })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Alert rule storage failed: ${error.message}`);
+    failed++;
+  } finally {
+    if (savedAlertsFile === undefined) delete process.env.ALERTS_FILE;
+    else process.env.ALERTS_FILE = savedAlertsFile;
+    fs.rmSync(alertsFile, { force: true });
+  }
+
+  console.log('\n--- GPU Watch Tests ---');
+  try {
+    const watch = { id: 801, ...parseWatch(['2', 'A6000', '40GB', 'tag', 'lab', 'repeat']) };
+    const once = { id: 802, ...parseWatch(['server', 'box']) };
+    // GPU 1 is busy, GPU 2 holds memory no process accounts for
+    const poll = (busy, tags = ['lab']) => [{
+      server: { name: 'box', tags },
+      error: null,
+      gpus: [0, 1, 2, 3].map(index => ({
+        index,
+        name: 'NVIDIA RTX A6000',
+        memoryUsed: index === 2 ? 6000 : 4,
+        memoryTotal: 49140,
+        unattributedMemoryMB: index === 2 ? 6000 : 0,
+      })),
+      processes: new Map(busy.map(index => [index, [{ pid: 100 + index, user: 'alice', memoryMB: 40000 }]])),
+    }];
+    const texts = [[1, 3], [1], [1], [1, 3], [1]].map(busy => evaluateWatches([watch, once], poll(busy)));
+    const untagged = evaluateWatches([{ ...watch, id: 803 }], poll([1], []));
+
+    if (
+      describeWatch(watch) === '2 free A6000 GPUs with ≥40GB on servers tagged lab' && watch.recurring &&
+      texts[0].length === 1 && texts[0][0].watch.id === 802 && texts[0][0].done &&
+      texts[0][0].text.includes('box (A6000) GPU 0') &&
+      texts[1].length === 1 && texts[1][0].text === '🔔 Watch #801: 2 free A6000 GPUs with ≥40GB on servers tagged lab - available now on box (A6000) GPUs 0, 3' &&
+      !texts[1][0].done && texts[2].length === 0 &&
+      texts[3].length === 0 && texts[4].length === 1 && texts[4][0].watch.id === 801 &&
+      untagged.length === 0
+    ) {
+      log('pass', 'Watches match free GPUs by count, memory, model and tag, and DM when they turn up');
+      passed++;
+    } else {
+      log('fail', `Watch evaluation incorrect: ${JSON.stringify({ watch, texts, untagged })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Watch evaluation failed: ${error.message}`);
+    failed++;
+  }
+
+  try {
+    const poll = [{
+      server: { name: 'box', tags: [] },
+      error: null,
+      gpus: [0, 1].map(index => ({ index, name: 'NVIDIA RTX A6000', memoryUsed: 4, memoryTotal: 49140 })),
+      processes: new Map(),
+    }];
+    const phrasings = [
+      ['2', 'A6000s', '40GB'],
+      ['2', 'A6000', '40', 'GB'],
+      ['2', 'A6000', '≥40GB'],
+      ['2', 'A6000', '>=40GB'],
+      ['2', 'A6000s', '≥', '40', 'GB'],
+      ['2', 'x', 'A6000', 'gpus', 'with', '40GB', 'free'],
+      // The request's own phrasing
+      '2 A6000s with ≥40 GB free'.split(' '),
+    ];
+    const watches = phrasings.map(args => parseWatch(args));
+
+    if (watches.every(w => w.count === 2 && w.model === 'A6000' && w.minFreeGB === 40 && matchWatch(w, poll).length === 1)) {
+      log('pass', 'Watches parse plural models, ≥/>=, a separate GB and filler words');
+      passed++;
+    } else {
+      log('fail', `Watch parsing incorrect: ${JSON.stringify(watches)}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Watch parsing failed: ${error.message}`);
+    failed++;
+  }
+
+  const watchesFile = path.join(os.tmpdir(), `gpu-watches-${process.pid}.json`);
+  const savedWatchesFile = process.env.WATCHES_FILE;
+  try {
+    process.env.WATCHES_FILE = watchesFile;
+    const alice = { platform: 'slack', userId: 'U1' };
+    const first = await addWatch(parseWatch(['1', 'H100']), alice);
+    const second = await addWatch(parseWatch(['4']), { platform: 'discord', userId: '42' });
+    let othersRefused = false;
+    try {
+      await removeWatch(2, alice);
+    } catch {
+      othersRefused = true;
+    }
+    await removeWatch('#1', alice);
+    const watches = await getWatches();
+
+    if (
+      first.id === 1 && second.id === 2 && first.userId === 'U1' && first.model === 'H100' &&
+      othersRefused && watches.length === 1 && watches[0].id === 2
+    ) {
+      log('pass', 'Watches added and removed by their owner in the watches file');
+      passed++;
+    } else {
+      log('fail', `Watch storage incorrect: ${JSON.stringify({ first, second, othersRefused, watches })}`);
+      failed++;
+    }
+  } catch (error) {
+    log('fail', `Watch storage failed: ${error.message}`);
+    failed++;
+  } finally {
+    if (savedWatchesFile === undefined) delete process.env.WATCHES_FILE;
+    else process.env.WATCHES_FILE = savedWatchesFile;
+    fs.rmSync(watchesFile, { force: true });
+  }
+
   // Test 3: Remote command execution (if servers configured)
   console.log('\n--- Remote Execution Tests ---');
   const servers = await getServers();